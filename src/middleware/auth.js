@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import SensorDevice from '../models/SensorDevice.js';
 
 // Middleware to verify JWT token
 export const authenticateToken = async (req, res, next) => {
@@ -140,6 +141,39 @@ export const canAccessPool = async (req, res, next) => {
   }
 };
 
+// Middleware to authenticate a sensor device by its API key
+export const authenticateDevice = async (req, res, next) => {
+  try {
+    const apiKey = req.headers['x-device-key'];
+
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        error: { message: 'Device API key required' }
+      });
+    }
+
+    const device = await SensorDevice.findByApiKey(apiKey);
+
+    if (!device) {
+      return res.status(401).json({
+        success: false,
+        error: { message: 'Invalid or disabled device API key' }
+      });
+    }
+
+    // Add device to request object
+    req.device = device;
+    next();
+
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: { message: 'Device authentication failed' }
+    });
+  }
+};
+
 // Optional authentication - continues even if no token provided
 export const optionalAuth = async (req, res, next) => {
   try {
@@ -40,6 +40,8 @@ const errorHandler = (err, req, res, next) => {
   if (err.code === 'LIMIT_FILE_SIZE') {
     const message = 'File too large';
     error = { message, statusCode: 413 };
+  } else if (err.name === 'MulterError') {
+    error = { message: err.message, statusCode: 400 };
   }
 
   // Default error response
@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+import mongoosePaginate from 'mongoose-paginate-v2';
+
+const FEEDBACK_RATINGS = ['up', 'down'];
+// Thumbs-down answers wait in the consultant review queue as pending
+const REVIEW_STATUSES = ['pending', 'trained', 'dismissed'];
+
+const turnSchema = new mongoose.Schema({
+  query: {
+    type: String,
+    required: true,
+    maxlength: 2000
+  },
+  context: String,
+  response: {
+    text: String,
+    citations: [{
+      _id: false,
+      id: String, // S1, S2, ... as cited in the text
+      type: { type: String },
+      refId: mongoose.Schema.Types.ObjectId,
+      pool: mongoose.Schema.Types.ObjectId,
+      title: String,
+      date: String,
+      path: String,
+      snippet: String
+    }],
+    confidence: Number,
+    suggestions: [String],
+    source: String, // Provider name, rule-based or rule-based-fallback
+    model: String,
+    fallbackReason: String,
+    latencyMs: Number
+  },
+  feedback: {
+    rating: {
+      type: String,
+      enum: FEEDBACK_RATINGS
+    },
+    comment: {
+      type: String,
+      maxlength: 2000
+    },
+    givenAt: Date
+  },
+  review: {
+    status: {
+      type: String,
+      enum: REVIEW_STATUSES
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    correctedResponse: String, // Shown to the client alongside the original answer
+    notes: String, // Staff only
+    addedToKnowledgeBase: Boolean
+  }
+}, {
+  timestamps: true
+});
+
+const aiConversationSchema = new mongoose.Schema({
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  pool: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pool'
+  }, // Set when the conversation is about one pool
+  title: {
+    type: String,
+    maxlength: 200
+  },
+  status: {
+    type: String,
+    enum: ['active', 'archived'],
+    default: 'active'
+  },
+  turns: [turnSchema],
+  lastTurnAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+aiConversationSchema.index({ client: 1, status: 1, lastTurnAt: -1 });
+aiConversationSchema.index({ 'turns.review.status': 1 });
+
+// Add pagination plugin
+aiConversationSchema.plugin(mongoosePaginate);
+
+export { FEEDBACK_RATINGS, REVIEW_STATUSES };
+export default mongoose.model('AIConversation', aiConversationSchema);
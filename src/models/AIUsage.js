@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+// Token accounting for LLM calls, used for per-user quotas and cost reporting
+const USAGE_RETENTION_DAYS = 180;
+
+const aiUsageSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }, // Unset for system calls (e.g. background jobs)
+  feature: {
+    type: String,
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  model: String,
+  status: {
+    type: String,
+    enum: ['success', 'error'],
+    required: true
+  },
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+  completionTokens: {
+    type: Number,
+    default: 0
+  },
+  totalTokens: {
+    type: Number,
+    default: 0
+  },
+  estimated: {
+    type: Boolean,
+    default: false
+  }, // The provider reported no usage; counted from text length
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  latencyMs: Number,
+  error: String
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+aiUsageSchema.index({ user: 1, createdAt: -1 });
+aiUsageSchema.index({ feature: 1, createdAt: -1 });
+aiUsageSchema.index({ createdAt: 1 }, { expireAfterSeconds: USAGE_RETENTION_DAYS * 24 * 60 * 60 });
+
+export default mongoose.model('AIUsage', aiUsageSchema);
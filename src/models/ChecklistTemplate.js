@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+const VISIT_TYPES = ['routine', 'emergency', 'seasonal', 'repair', 'inspection', 'custom'];
+const POOL_TYPES = ['inground', 'above_ground', 'spa', 'hot_tub', 'commercial'];
+const EQUIPMENT_TYPES = ['pump', 'filter', 'heater', 'chlorinator', 'vacuum', 'skimmer', 'other'];
+// Proof a completed checklist item needs: the task's before/after photos or
+// a water chemistry reading on the visit
+const EVIDENCE_TYPES = ['photo_before', 'photo_after', 'reading'];
+
+const checklistItemSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  description: String,
+  category: {
+    type: String,
+    enum: ['cleaning', 'chemical', 'equipment', 'inspection', 'repair', 'other'],
+    required: true
+  },
+  estimatedDuration: Number, // in minutes
+  required: {
+    type: Boolean,
+    default: true
+  },
+  evidence: [{
+    type: String,
+    enum: EVIDENCE_TYPES
+  }],
+  // Only added for pools that have this equipment
+  equipmentType: {
+    type: String,
+    enum: EQUIPMENT_TYPES
+  }
+});
+
+// Reusable task list for a visit type, optionally limited to pool types.
+// New visits get their tasks from the most specific active template.
+const checklistTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  visitType: {
+    type: String,
+    enum: VISIT_TYPES,
+    required: true
+  },
+  poolTypes: [{
+    type: String,
+    enum: POOL_TYPES
+  }], // Empty applies to every pool type
+  items: {
+    type: [checklistItemSchema],
+    validate: {
+      validator: items => items.length > 0,
+      message: 'A checklist needs at least one item'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+checklistTemplateSchema.index({ visitType: 1, isActive: 1 });
+
+export { VISIT_TYPES, POOL_TYPES, EQUIPMENT_TYPES, EVIDENCE_TYPES };
+export default mongoose.model('ChecklistTemplate', checklistTemplateSchema);
@@ -0,0 +1,110 @@
+import mongoose from 'mongoose';
+import mongoosePaginate from 'mongoose-paginate-v2';
+
+const ESCALATION_LEVELS = ['owner', 'technician', 'consultant'];
+
+const escalationStepSchema = new mongoose.Schema({
+  level: {
+    type: String,
+    enum: ESCALATION_LEVELS
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const chemistryAlertSchema = new mongoose.Schema({
+  pool: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pool',
+    required: true
+  },
+  rule: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['threshold', 'rate_of_change', 'stale_reading']
+  },
+  parameter: String,
+  severity: {
+    type: String,
+    enum: ['info', 'warning', 'critical'],
+    default: 'warning'
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  value: Number,
+  threshold: Number,
+  reading: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WaterChemistryReading'
+  },
+  status: {
+    type: String,
+    enum: ['open', 'acknowledged', 'resolved'],
+    default: 'open'
+  },
+  occurrences: {
+    type: Number,
+    default: 1
+  },
+  lastTriggeredAt: {
+    type: Date,
+    default: Date.now
+  },
+  escalation: {
+    level: {
+      type: String,
+      enum: ESCALATION_LEVELS,
+      default: 'owner'
+    },
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    escalatedAt: {
+      type: Date,
+      default: Date.now
+    },
+    history: [escalationStepSchema]
+  },
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acknowledgedAt: Date,
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: Date,
+  resolution: {
+    type: String,
+    enum: ['manual', 'auto']
+  },
+  resolutionNotes: String
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+chemistryAlertSchema.index({ pool: 1, rule: 1, status: 1 });
+chemistryAlertSchema.index({ status: 1, severity: 1, createdAt: -1 });
+chemistryAlertSchema.index({ 'escalation.recipient': 1, status: 1 });
+chemistryAlertSchema.index({ status: 1, 'escalation.escalatedAt': 1 });
+
+// Add pagination plugin
+chemistryAlertSchema.plugin(mongoosePaginate);
+
+export { ESCALATION_LEVELS };
+export default mongoose.model('ChemistryAlert', chemistryAlertSchema);
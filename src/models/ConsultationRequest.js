@@ -0,0 +1,184 @@
+import mongoose from 'mongoose';
+import mongoosePaginate from 'mongoose-paginate-v2';
+
+// pending -> triaged -> assigned -> scheduled -> resolved -> closed; any open
+// request can also be closed directly (withdrawn, duplicate, no action needed)
+const CONSULTATION_STATUSES = ['pending', 'triaged', 'assigned', 'scheduled', 'resolved', 'closed'];
+const CONSULTATION_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+// Requests still waiting on us; SLA timers only run for these
+const OPEN_STATUSES = ['pending', 'triaged', 'assigned', 'scheduled'];
+
+const messageSchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  authorRole: {
+    type: String,
+    enum: ['customer', 'technician', 'consultant', 'admin'],
+    required: true
+  },
+  body: {
+    type: String,
+    required: true,
+    maxlength: 5000
+  },
+  // Staff-only notes, never shown to the customer
+  internal: {
+    type: Boolean,
+    default: false
+  },
+  photos: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Photo'
+  }]
+}, {
+  timestamps: true
+});
+
+const consultationRequestSchema = new mongoose.Schema({
+  number: {
+    type: String,
+    required: true
+  }, // CR-YYYY-000001
+  pool: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pool',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }, // Pool owner
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }, // The customer, or staff filing on their behalf
+  issues: [String],
+  description: {
+    type: String,
+    maxlength: 1000
+  },
+  priority: {
+    type: String,
+    enum: CONSULTATION_PRIORITIES,
+    default: 'medium'
+  },
+  status: {
+    type: String,
+    enum: CONSULTATION_STATUSES,
+    default: 'pending'
+  },
+  triage: {
+    triagedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    triagedAt: Date,
+    category: {
+      type: String,
+      enum: ['water_chemistry', 'equipment', 'cleaning', 'construction', 'other']
+    },
+    notes: String
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  assignedAt: Date,
+  scheduledFor: Date,
+  resolution: {
+    summary: String,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  },
+  closedAt: Date,
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closeReason: String,
+  // Deadlines from the priority's SLA, counted from creation
+  sla: {
+    responseDueAt: Date,
+    resolutionDueAt: Date,
+    respondedAt: Date, // First staff reply or triage
+    responseBreachedAt: Date,
+    resolutionBreachedAt: Date
+  },
+  messages: [messageSchema],
+  photos: [{
+    photo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Photo'
+    },
+    url: String,
+    caption: String,
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // What the request turned into
+  conversion: {
+    type: {
+      type: String,
+      enum: ['maintenance', 'referral']
+    },
+    maintenanceLog: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MaintenanceLog'
+    },
+    referral: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReferralTracking'
+    },
+    convertedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    convertedAt: Date
+  },
+  history: [{
+    status: {
+      type: String,
+      enum: CONSULTATION_STATUSES
+    },
+    action: String, // created, triaged, assigned, reassigned, scheduled, resolved, closed, converted, sla_breached
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+consultationRequestSchema.index({ number: 1 }, { unique: true });
+consultationRequestSchema.index({ customer: 1, createdAt: -1 });
+consultationRequestSchema.index({ assignedTo: 1, status: 1 });
+consultationRequestSchema.index({ status: 1, priority: 1, createdAt: 1 });
+consultationRequestSchema.index({ status: 1, 'sla.responseDueAt': 1 });
+consultationRequestSchema.index({ status: 1, 'sla.resolutionDueAt': 1 });
+
+// Add pagination plugin
+consultationRequestSchema.plugin(mongoosePaginate);
+
+export { CONSULTATION_STATUSES, CONSULTATION_PRIORITIES, OPEN_STATUSES };
+export default mongoose.model('ConsultationRequest', consultationRequestSchema);
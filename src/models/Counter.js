@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+// Named sequences, e.g. invoice and work order numbers per year
+const counterSchema = new mongoose.Schema({
+  _id: String,
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Atomically take the next value of a sequence, starting at 1
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+export default mongoose.model('Counter', counterSchema);
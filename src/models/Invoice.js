@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+import mongoosePaginate from 'mongoose-paginate-v2';
+import { LINE_ITEM_TYPES } from './TaxRule.js';
+
+const INVOICE_STATUSES = ['draft', 'issued', 'paid', 'overdue', 'void'];
+
+const lineItemSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: LINE_ITEM_TYPES,
+    required: true
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  maintenanceLog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MaintenanceLog'
+  },
+  workOrderNumber: String,
+  quantity: Number,
+  unit: String,
+  unitPrice: Number,
+  amount: {
+    type: Number,
+    required: true
+  },
+  taxRate: {
+    type: Number,
+    default: 0
+  }, // combined percent of the rules that apply
+  taxAmount: {
+    type: Number,
+    default: 0
+  }
+});
+
+const invoiceSchema = new mongoose.Schema({
+  // Assigned when the invoice is issued, so drafts leave no gaps
+  number: String,
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  maintenanceLogs: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MaintenanceLog'
+  }],
+  lineItems: [lineItemSchema],
+  taxes: [{
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TaxRule'
+    },
+    name: String,
+    rate: Number,
+    taxableAmount: Number,
+    amount: Number
+  }],
+  subtotal: {
+    type: Number,
+    required: true
+  },
+  taxTotal: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  balanceDue: Number,
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  status: {
+    type: String,
+    enum: INVOICE_STATUSES,
+    default: 'draft'
+  },
+  // Rate card the prices came from, as it was when the invoice was built
+  rateCard: {
+    _id: mongoose.Schema.Types.ObjectId,
+    name: String,
+    paymentTermsDays: Number,
+    taxExempt: Boolean
+  },
+  issuedAt: Date,
+  dueDate: Date,
+  paidAt: Date,
+  voidedAt: Date,
+  voidReason: String,
+  notes: String,
+  warnings: [String], // Costs that could not be billed, e.g. chemicals without a cost
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+invoiceSchema.index({ number: 1 }, { unique: true, partialFilterExpression: { number: { $type: 'string' } } });
+invoiceSchema.index({ customer: 1, createdAt: -1 });
+invoiceSchema.index({ status: 1, dueDate: 1 });
+
+// Add pagination plugin
+invoiceSchema.plugin(mongoosePaginate);
+
+export { INVOICE_STATUSES };
+export default mongoose.model('Invoice', invoiceSchema);
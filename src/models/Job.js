@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+import mongoosePaginate from 'mongoose-paginate-v2';
+
+const JOB_STATUSES = ['queued', 'active', 'completed', 'failed', 'cancelled'];
+
+const jobErrorSchema = new mongoose.Schema({
+  attempt: Number,
+  message: String,
+  stalled: Boolean,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// One unit of background work, claimed and run by a queue worker
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'queued'
+  },
+  priority: {
+    type: Number,
+    default: 0 // Higher runs first
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  // Set while queued or active so a unique job is only enqueued once at a time
+  uniqueKey: String,
+  progress: {
+    percent: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100
+    },
+    message: String
+  },
+  result: mongoose.Schema.Types.Mixed,
+  lastError: String,
+  errorHistory: [jobErrorSchema],
+  lockedBy: String,
+  lockedAt: Date,
+  heartbeatAt: Date,
+  startedAt: Date,
+  completedAt: Date,
+  failedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+jobSchema.index({ status: 1, runAt: 1, priority: -1 });
+jobSchema.index({ status: 1, heartbeatAt: 1 });
+jobSchema.index({ name: 1, createdAt: -1 });
+jobSchema.index({ uniqueKey: 1 }, { unique: true, sparse: true });
+
+// Add pagination plugin
+jobSchema.plugin(mongoosePaginate);
+
+export { JOB_STATUSES };
+export default mongoose.model('Job', jobSchema);
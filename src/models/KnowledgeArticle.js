@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+import mongoosePaginate from 'mongoose-paginate-v2';
+
+const ARTICLE_CATEGORIES = ['water_chemistry', 'water_clarity', 'algae', 'equipment', 'cleaning', 'safety', 'seasonal', 'general'];
+// Only published articles are used to answer customers
+const ARTICLE_STATUSES = ['draft', 'published', 'archived'];
+
+const knowledgeArticleSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  slug: {
+    type: String,
+    required: true
+  },
+  summary: {
+    type: String,
+    maxlength: 500
+  }, // Short answer quoted when the article is cited
+  body: {
+    type: String,
+    required: true,
+    maxlength: 20000
+  },
+  category: {
+    type: String,
+    enum: ARTICLE_CATEGORIES,
+    default: 'general'
+  },
+  tags: [String],
+  status: {
+    type: String,
+    enum: ARTICLE_STATUSES,
+    default: 'draft'
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  publishedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+knowledgeArticleSchema.index({ slug: 1 }, { unique: true });
+knowledgeArticleSchema.index({ status: 1, category: 1 });
+knowledgeArticleSchema.index({ tags: 1 });
+
+// Add pagination plugin
+knowledgeArticleSchema.plugin(mongoosePaginate);
+
+export { ARTICLE_CATEGORIES, ARTICLE_STATUSES };
+export default mongoose.model('KnowledgeArticle', knowledgeArticleSchema);
@@ -22,7 +22,18 @@ const taskSchema = new mongoose.Schema({
   notes: String,
   photoBefore: String,
   photoAfter: String,
-  completedAt: Date
+  completedAt: Date,
+  // Set on tasks instantiated from a checklist template
+  checklistItem: mongoose.Schema.Types.ObjectId,
+  required: {
+    type: Boolean,
+    default: false
+  },
+  evidence: [{
+    type: String,
+    enum: ['photo_before', 'photo_after', 'reading']
+  }],
+  skipReason: String // Why a required item was skipped or failed
 });
 
 const maintenanceLogSchema = new mongoose.Schema({
@@ -42,11 +53,25 @@ const maintenanceLogSchema = new mongoose.Schema({
   },
   actualStartTime: Date,
   actualEndTime: Date,
+  overdueAt: Date, // Set by the scheduler when the visit was missed
+  reminderSentAt: Date,
+  // Set on visits generated from Pool.maintenanceSchedule
+  recurrence: {
+    occurrenceDate: Date, // Nominal day before any holiday shift
+    scheduledDate: Date, // As generated; differs from scheduledDate once moved by hand
+    shiftedFrom: Date,
+    holiday: String,
+    generatedAt: Date
+  },
   type: {
     type: String,
     enum: ['routine', 'emergency', 'seasonal', 'repair', 'inspection', 'custom'],
     default: 'routine'
   },
+  checklistTemplate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChecklistTemplate'
+  },
   status: {
     type: String,
     enum: ['scheduled', 'in_progress', 'completed', 'cancelled', 'no_show'],
@@ -75,8 +100,11 @@ const maintenanceLogSchema = new mongoose.Schema({
     temperature: Number
   },
   chemicalsUsed: [{
+    clientId: String, // Set by field devices so synced entries are added once
+    product: String, // Product catalog id (see services/dosingService.js)
     name: String,
     amount: Number,
+    recommendedAmount: Number, // Calculated dose for the reading before service
     unit: String,
     cost: Number,
     notes: String
@@ -91,6 +119,7 @@ const maintenanceLogSchema = new mongoose.Schema({
     actionTaken: String
   }],
   issues: [{
+    clientId: String,
     type: {
       type: String,
       enum: ['equipment', 'water_quality', 'structural', 'safety', 'other']
@@ -134,16 +163,39 @@ const maintenanceLogSchema = new mongoose.Schema({
     comments: String,
     concerns: String
   },
+  // Parts installed during the visit, billed with the work order
+  partsUsed: [{
+    name: {
+      type: String,
+      required: true
+    },
+    partNumber: String,
+    quantity: {
+      type: Number,
+      default: 1
+    },
+    unitCost: Number,
+    notes: String
+  }],
   workOrder: {
-    number: String,
+    number: String, // Assigned on completion (see billingService)
     estimatedCost: Number,
     actualCost: Number,
     billingStatus: {
       type: String,
       enum: ['pending', 'invoiced', 'paid', 'overdue']
+    },
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice'
     }
   },
   photos: [{
+    photo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Photo'
+    }, // Set for photos uploaded through /api/photos
+    clientId: String,
     url: String,
     caption: String,
     category: String,
@@ -166,10 +218,60 @@ const maintenanceLogSchema = new mongoose.Schema({
   },
   followUpReason: String,
   signatureUrl: String, // Customer signature for service completion
+  // Proof of service: the signature image and an HMAC over the hashes of the
+  // image and of the visit record the customer signed (see signatureService)
+  signature: {
+    signerName: String,
+    signedAt: Date,
+    capturedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    storageDriver: String,
+    imageKey: String,
+    imageHash: String, // SHA-256 of the stored PNG
+    payload: mongoose.Schema.Types.Mixed, // Visit record as signed
+    payloadHash: String, // SHA-256 of the canonical payload
+    hmac: String,
+    algorithm: String,
+    location: {
+      latitude: Number,
+      longitude: Number
+    },
+    ipAddress: String,
+    userAgent: String
+  },
   isEmergency: {
     type: Boolean,
     default: false
-  }
+  },
+  // Specializations or certifications the technician must have
+  requiredSkills: [String],
+  // Audit trail of dispatch decisions, newest last
+  assignmentHistory: [{
+    technician: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    previousTechnician: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    method: {
+      type: String,
+      enum: ['auto', 'manual', 'preemption']
+    },
+    score: Number,
+    reason: String,
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    assignedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
@@ -194,11 +296,16 @@ maintenanceLogSchema.virtual('completionPercentage').get(function() {
 maintenanceLogSchema.methods.calculateQualityScore = function() {
   let score = 100;
   
-  // Deduct points for incomplete tasks
-  const incompleteTasks = this.tasks.filter(task => 
-    task.status === 'failed' || task.status === 'skipped'
-  ).length;
-  score -= incompleteTasks * 10;
+  // Deduct points for incomplete tasks; skipping an optional item costs less
+  this.tasks.forEach(task => {
+    if (task.status === 'failed' || (task.status === 'skipped' && task.required)) {
+      score -= 10;
+    } else if (task.status === 'skipped') {
+      score -= 5;
+    } else if (task.status === 'completed' && this.getMissingEvidence(task).length > 0) {
+      score -= 5;
+    }
+  });
   
   // Deduct points for issues found
   const criticalIssues = this.issues.filter(issue => issue.severity === 'critical').length;
@@ -214,6 +321,38 @@ maintenanceLogSchema.methods.calculateQualityScore = function() {
   return Math.max(0, Math.min(100, score));
 };
 
+// Evidence a checklist task still lacks: its own photos, or a reading on the visit
+maintenanceLogSchema.methods.getMissingEvidence = function(task) {
+  const hasReading = [this.waterChemistryBefore, this.waterChemistryAfter]
+    .some(reading => reading && reading.pH !== undefined && reading.pH !== null);
+
+  return (task.evidence || []).filter(evidence =>
+    (evidence === 'photo_before' && !task.photoBefore) ||
+    (evidence === 'photo_after' && !task.photoAfter) ||
+    (evidence === 'reading' && !hasReading)
+  );
+};
+
+// Required checklist items that stop the visit being completed: not done,
+// skipped or failed without a reason, or done without their evidence
+maintenanceLogSchema.methods.getCompletionBlockers = function() {
+  return this.tasks
+    .filter(task => task.required)
+    .map(task => {
+      let reason = null;
+      if (task.status === 'completed') {
+        const missing = this.getMissingEvidence(task);
+        if (missing.length > 0) reason = `Missing evidence: ${missing.join(', ')}`;
+      } else if (task.status === 'skipped' || task.status === 'failed') {
+        if (!task.skipReason) reason = `${task.status === 'skipped' ? 'Skipped' : 'Failed'} without a reason`;
+      } else {
+        reason = 'Not completed';
+      }
+      return reason && { taskId: task._id, name: task.name, reason };
+    })
+    .filter(Boolean);
+};
+
 // Method to check if maintenance is overdue
 maintenanceLogSchema.methods.isOverdue = function() {
   return this.scheduledDate < new Date() && this.status === 'scheduled';
@@ -254,11 +393,19 @@ maintenanceLogSchema.pre('save', function(next) {
 // Indexes for better query performance
 maintenanceLogSchema.index({ pool: 1, scheduledDate: -1 });
 maintenanceLogSchema.index({ technician: 1, scheduledDate: -1 });
+maintenanceLogSchema.index({ technician: 1, updatedAt: 1 });
 maintenanceLogSchema.index({ status: 1 });
 maintenanceLogSchema.index({ type: 1 });
 maintenanceLogSchema.index({ scheduledDate: 1 });
+maintenanceLogSchema.index({ status: 1, scheduledDate: 1 });
+// One generated visit per pool and occurrence, so generation can be re-run safely
+maintenanceLogSchema.index(
+  { pool: 1, 'recurrence.occurrenceDate': 1 },
+  { unique: true, partialFilterExpression: { 'recurrence.occurrenceDate': { $exists: true } } }
+);
 maintenanceLogSchema.index({ priority: 1 });
 maintenanceLogSchema.index({ 'workOrder.billingStatus': 1 });
+maintenanceLogSchema.index({ 'workOrder.number': 1 }, { unique: true, partialFilterExpression: { 'workOrder.number': { $type: 'string' } } });
 
 // Add pagination plugin
 maintenanceLogSchema.plugin(mongoosePaginate);
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import mongoosePaginate from 'mongoose-paginate-v2';
+
+// Outbox entry: one message to one recipient over one channel
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  channel: {
+    type: String,
+    required: true,
+    enum: ['email', 'sms', 'in_app']
+  },
+  template: {
+    type: String,
+    required: true
+  },
+  category: {
+    type: String,
+    enum: ['account', 'chemical_alert', 'maintenance_reminder', 'ebook', 'agreement', 'billing', 'consultation', 'general'],
+    default: 'general'
+  },
+  to: String, // Email address or phone number at the time of sending
+  subject: String,
+  body: {
+    type: String,
+    required: true
+  },
+  html: String,
+  data: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: String,
+  transport: String,
+  providerMessageId: String,
+  sentAt: Date,
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ recipient: 1, channel: 1, createdAt: -1 });
+
+// Add pagination plugin
+notificationSchema.plugin(mongoosePaginate);
+
+export default mongoose.model('Notification', notificationSchema);
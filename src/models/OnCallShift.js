@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// A period when a technician takes emergency calls, including outside
+// their regular shifts
+const onCallShiftSchema = new mongoose.Schema({
+  technician: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    required: true
+  },
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+onCallShiftSchema.index({ start: 1, end: 1 });
+onCallShiftSchema.index({ technician: 1, start: 1 });
+
+export default mongoose.model('OnCallShift', onCallShiftSchema);
@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+import mongoosePaginate from 'mongoose-paginate-v2';
+
+const PAYMENT_PURPOSES = ['subscription_start', 'subscription_renewal', 'invoice'];
+const PAYMENT_STATUSES = ['pending', 'succeeded', 'failed', 'partially_refunded', 'refunded'];
+
+// One charge attempt through a payment gateway
+const paymentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  gateway: {
+    type: String,
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: PAYMENT_PURPOSES,
+    required: true
+  },
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PremiumSubscription'
+  },
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  // Subscription period the charge pays for
+  period: {
+    start: Date,
+    end: Date
+  },
+  attempt: {
+    type: Number,
+    default: 1
+  },
+  amount: {
+    type: Number,
+    required: true
+  }, // dollars
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  status: {
+    type: String,
+    enum: PAYMENT_STATUSES,
+    default: 'pending'
+  },
+  gatewayPaymentId: String,
+  // Sent with the charge, so a retried request never charges twice
+  idempotencyKey: {
+    type: String,
+    required: true
+  },
+  paymentMethod: {
+    id: String,
+    brand: String,
+    last4: String
+  },
+  failureCode: String,
+  failureMessage: String,
+  // Set while the gateway's answer is unknown (timeout, 5xx): the payment
+  // stays pending and is charged again with the same idempotency key
+  gatewayErrorAt: Date,
+  gatewayErrorMessage: String,
+  paidAt: Date,
+  amountRefunded: Number, // Total refunded so far
+  refundedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+paymentSchema.index({ idempotencyKey: 1 }, { unique: true });
+paymentSchema.index({ gateway: 1, gatewayPaymentId: 1 });
+paymentSchema.index({ user: 1, createdAt: -1 });
+paymentSchema.index({ subscription: 1, createdAt: -1 });
+paymentSchema.index({ invoice: 1 });
+
+// Add pagination plugin
+paymentSchema.plugin(mongoosePaginate);
+
+export { PAYMENT_PURPOSES, PAYMENT_STATUSES };
+export default mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+// Stored sizes of a photo. The original keeps its EXIF (including GPS) for
+// audit and is only served to staff; web and thumbnail copies have all
+// metadata stripped.
+const VARIANTS = ['original', 'web', 'thumbnail'];
+
+const variantSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  contentType: String,
+  size: Number, // bytes
+  width: Number,
+  height: Number
+}, { _id: false });
+
+const photoSchema = new mongoose.Schema({
+  pool: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pool',
+    required: true
+  },
+  maintenanceLog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MaintenanceLog'
+  },
+  consultationRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ConsultationRequest'
+  },
+  // What the photo is attached to
+  target: {
+    type: String,
+    enum: ['pool', 'maintenance', 'task_before', 'task_after', 'issue', 'consultation'],
+    required: true
+  },
+  task: mongoose.Schema.Types.ObjectId,
+  issue: mongoose.Schema.Types.ObjectId,
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  storageDriver: {
+    type: String,
+    required: true
+  },
+  originalName: String,
+  caption: String,
+  category: String,
+  variants: {
+    original: variantSchema,
+    web: variantSchema,
+    thumbnail: variantSchema
+  },
+  // From the original's EXIF; kept for audit, shown to staff only
+  capture: {
+    takenAt: Date,
+    latitude: Number,
+    longitude: Number,
+    altitude: Number,
+    make: String,
+    model: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+photoSchema.index({ pool: 1, createdAt: -1 });
+photoSchema.index({ maintenanceLog: 1 });
+photoSchema.index({ consultationRequest: 1 }, { sparse: true });
+
+export { VARIANTS };
+export default mongoose.model('Photo', photoSchema);
@@ -1,47 +1,35 @@
 import mongoose from 'mongoose';
 import mongoosePaginate from 'mongoose-paginate-v2';
+import { CHEMISTRY_PARAMETERS, waterChemistryFields } from './WaterChemistryReading.js';
+import { analyzeWaterBalance, getBalanceRecommendation } from '../services/waterBalanceService.js';
+import { calculateDosing } from '../services/dosingService.js';
+import {
+  chemistryProfiles,
+  PROFILE_PARAMETERS,
+  getProfileName,
+  resolveTargetRanges,
+  evaluateReading,
+  describeRange
+} from '../services/chemistryProfileService.js';
 
-const waterChemistrySchema = new mongoose.Schema({
-  pH: {
-    type: Number,
-    required: true,
-    min: 0,
-    max: 14
-  },
-  chlorine: {
-    type: Number,
-    required: true,
-    min: 0
-  },
-  alkalinity: {
-    type: Number,
-    required: true,
-    min: 0
-  },
-  hardness: {
-    type: Number,
-    required: true,
-    min: 0
-  },
-  cyanuricAcid: {
-    type: Number,
-    default: 0,
-    min: 0
-  },
-  temperature: {
-    type: Number,
-    required: true
-  },
-  testedAt: {
-    type: Date,
-    default: Date.now
-  },
-  testedBy: {
+// Parameters that flag a pool for attention when out of range
+const ATTENTION_PARAMETERS = ['pH', 'chlorine', 'alkalinity', 'salt', 'temperature'];
+
+// Snapshot of the newest reading; history lives in the WaterChemistryReading collection
+const latestReadingSchema = new mongoose.Schema({
+  ...waterChemistryFields,
+  reading: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
+    ref: 'WaterChemistryReading'
   },
-  notes: String
-});
+  // When each value was measured; a sensor reading keeps the values it
+  // lacks from earlier readings, so they can be older than testedAt
+  measuredAt: CHEMISTRY_PARAMETERS.reduce((fields, parameter) => {
+    fields[parameter] = Date;
+    return fields;
+  }, {}),
+  lastManualTestAt: Date // Newest test that was not a sensor reading
+}, { _id: false });
 
 const equipmentSchema = new mongoose.Schema({
   type: {
@@ -64,6 +52,12 @@ const equipmentSchema = new mongoose.Schema({
   notes: String
 });
 
+const targetRangeSchema = new mongoose.Schema({
+  min: Number,
+  max: Number,
+  target: Number
+}, { _id: false });
+
 const poolSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -103,7 +97,21 @@ const poolSchema = new mongoose.Schema({
     },
     volume: Number // in gallons
   },
-  waterChemistry: [waterChemistrySchema],
+  latestWaterChemistry: latestReadingSchema,
+  chemistryProfile: {
+    name: {
+      type: String,
+      enum: Object.keys(chemistryProfiles)
+    },
+    overrides: PROFILE_PARAMETERS.reduce((fields, parameter) => {
+      fields[parameter] = targetRangeSchema;
+      return fields;
+    }, {})
+  },
+  assignedTechnician: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   equipment: [equipmentSchema],
   maintenanceSchedule: {
     frequency: {
@@ -115,12 +123,22 @@ const poolSchema = new mongoose.Schema({
       type: String,
       enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
     },
-    timeSlot: String,
+    timeSlot: String, // "morning", "afternoon", "evening" or a start time like "09:30"
+    startDate: Date, // Anchors bi-weekly and monthly recurrences
+    skipDates: [Date], // Occurrences the owner does not want
+    skipHolidays: {
+      type: Boolean,
+      default: true // Move visits that land on a holiday to the next free day
+    },
     lastMaintenance: Date,
     nextMaintenance: Date
   },
   specialInstructions: String,
   photos: [{
+    photo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Photo'
+    }, // Set for photos uploaded through /api/photos
     url: String,
     caption: String,
     uploadedAt: {
@@ -140,28 +158,50 @@ const poolSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Virtual for latest water chemistry reading
-poolSchema.virtual('latestWaterChemistry').get(function() {
-  if (this.waterChemistry && this.waterChemistry.length > 0) {
-    return this.waterChemistry.sort((a, b) => new Date(b.testedAt) - new Date(a.testedAt))[0];
+// Method to get LSI/CSI water balance for a reading (defaults to the latest)
+poolSchema.methods.getWaterBalance = function(reading = this.latestWaterChemistry) {
+  if (!reading) return null;
+  if (reading.waterBalance && reading.waterBalance.status) {
+    return reading.waterBalance;
   }
-  return null;
-});
+  return analyzeWaterBalance(reading);
+};
+
+// Method to get the chemistry target ranges (named profile plus per-field overrides)
+poolSchema.methods.getTargetRanges = function() {
+  return resolveTargetRanges(this);
+};
+
+// Method to get the effective chemistry profile name
+poolSchema.methods.getChemistryProfileName = function() {
+  return getProfileName(this);
+};
+
+// Method to get product doses that bring a reading back into range
+poolSchema.methods.getDosingPlan = function(reading = this.latestWaterChemistry) {
+  return calculateDosing(reading, this.getTargetRanges(), this.dimensions?.volume);
+};
 
 // Method to check if pool needs attention
 poolSchema.methods.needsAttention = function() {
   const latest = this.latestWaterChemistry;
   if (!latest) return true;
   
-  // Check if readings are within acceptable ranges
-  const phOk = latest.pH >= 7.2 && latest.pH <= 7.6;
-  const chlorineOk = latest.chlorine >= 1.0 && latest.chlorine <= 3.0;
-  const alkalinityOk = latest.alkalinity >= 80 && latest.alkalinity <= 120;
+  // Check if readings are within the pool's target ranges
+  const rangesOk = evaluateReading(latest, this.getTargetRanges())
+    .filter(result => ATTENTION_PARAMETERS.includes(result.parameter))
+    .every(result => result.status === 'ok');
   
-  // Check if reading is recent (within last 7 days)
-  const recentReading = new Date() - new Date(latest.testedAt) <= 7 * 24 * 60 * 60 * 1000;
+  // Check water balance (scaling or corrosive water)
+  const balance = this.getWaterBalance(latest);
+  const balanceOk = !balance || balance.status === 'balanced' || balance.status === 'unknown';
   
-  return !phOk || !chlorineOk || !alkalinityOk || !recentReading;
+  // Check if the pool was tested recently (within last 7 days); sensor
+  // readings don't stand in for a full test
+  const lastTestedAt = latest.lastManualTestAt || (latest.source !== 'sensor' ? latest.testedAt : null);
+  const recentReading = Boolean(lastTestedAt) && new Date() - new Date(lastTestedAt) <= 7 * 24 * 60 * 60 * 1000;
+  
+  return !rangesOk || !balanceOk || !recentReading;
 };
 
 // Method to get AI recommendations
@@ -177,29 +217,38 @@ poolSchema.methods.getRecommendations = function() {
     return recommendations;
   }
   
+  const ranges = this.getTargetRanges();
+  const status = evaluateReading(latest, ranges).reduce((acc, result) => {
+    acc[result.parameter] = result.status;
+    return acc;
+  }, {});
+  
   // pH recommendations
-  if (latest.pH < 7.2) {
+  if (status.pH === 'low') {
     recommendations.push({
       type: 'chemical',
+      parameter: 'pH',
       message: 'pH is too low. Add sodium carbonate (soda ash) to raise pH.',
       priority: 'high'
     });
-  } else if (latest.pH > 7.6) {
+  } else if (status.pH === 'high') {
     recommendations.push({
       type: 'chemical',
+      parameter: 'pH',
       message: 'pH is too high. Add muriatic acid or sodium bisulfate to lower pH.',
       priority: 'high'
     });
   }
   
   // Chlorine recommendations
-  if (latest.chlorine < 1.0) {
+  if (status.chlorine === 'low') {
     recommendations.push({
       type: 'chemical',
+      parameter: 'chlorine',
       message: 'Chlorine level is too low. Add chlorine shock or liquid chlorine.',
       priority: 'urgent'
     });
-  } else if (latest.chlorine > 3.0) {
+  } else if (status.chlorine === 'high') {
     recommendations.push({
       type: 'safety',
       message: 'Chlorine level is too high. Allow levels to decrease before swimming.',
@@ -208,20 +257,79 @@ poolSchema.methods.getRecommendations = function() {
   }
   
   // Alkalinity recommendations
-  if (latest.alkalinity < 80) {
+  if (status.alkalinity === 'low') {
     recommendations.push({
       type: 'chemical',
+      parameter: 'alkalinity',
       message: 'Total alkalinity is low. Add sodium bicarbonate to increase alkalinity.',
       priority: 'medium'
     });
-  } else if (latest.alkalinity > 120) {
+  } else if (status.alkalinity === 'high') {
     recommendations.push({
       type: 'chemical',
+      parameter: 'alkalinity',
       message: 'Total alkalinity is high. Add muriatic acid to decrease alkalinity.',
       priority: 'medium'
     });
   }
   
+  // Calcium hardness recommendations
+  if (status.hardness === 'low') {
+    recommendations.push({
+      type: 'chemical',
+      parameter: 'hardness',
+      message: `Calcium hardness is low. Add calcium chloride to reach ${describeRange(ranges.hardness, 'ppm')}.`,
+      priority: 'medium'
+    });
+  } else if (status.hardness === 'high') {
+    recommendations.push({
+      type: 'chemical',
+      message: 'Calcium hardness is high. Watch for scaling and consider a partial drain and refill.',
+      priority: 'medium'
+    });
+  }
+  
+  // Salt recommendations (saltwater profiles)
+  if (status.salt === 'low') {
+    recommendations.push({
+      type: 'chemical',
+      message: `Salt level is low for the chlorine generator. Add pool salt to reach ${describeRange(ranges.salt, 'ppm')}.`,
+      priority: 'high'
+    });
+  } else if (status.salt === 'high') {
+    recommendations.push({
+      type: 'chemical',
+      message: 'Salt level is high. Partially drain and refill to protect the salt cell and equipment.',
+      priority: 'medium'
+    });
+  }
+  
+  // Temperature recommendations (spas and hot tubs)
+  if (status.temperature === 'high') {
+    recommendations.push({
+      type: 'safety',
+      message: `Water temperature is above the ${ranges.temperature.max}°F limit. Lower the heater setting before use.`,
+      priority: 'urgent'
+    });
+  }
+  
+  // Water balance (LSI/CSI) recommendations
+  const balanceRecommendation = getBalanceRecommendation(this.getWaterBalance(latest), latest);
+  if (balanceRecommendation) {
+    recommendations.push(balanceRecommendation);
+  }
+  
+  // Attach calculated doses when the pool volume is known
+  const dosing = this.getDosingPlan(latest);
+  recommendations.forEach(recommendation => {
+    const adjustment = dosing.adjustments.find(a => a.parameter === recommendation.parameter);
+    if (!adjustment) return;
+    
+    const dose = adjustment.products.find(p => p.product === adjustment.recommended);
+    recommendation.dose = dose;
+    recommendation.message += ` Recommended dose: ${dose.amount} ${dose.unit} of ${dose.name}.`;
+  });
+  
   return recommendations;
 };
 
@@ -230,7 +338,7 @@ poolSchema.index({ owner: 1 });
 poolSchema.index({ 'address.zipCode': 1 });
 poolSchema.index({ poolType: 1 });
 poolSchema.index({ isActive: 1 });
-poolSchema.index({ 'waterChemistry.testedAt': -1 });
+poolSchema.index({ 'latestWaterChemistry.testedAt': -1 });
 
 // Add pagination plugin
 poolSchema.plugin(mongoosePaginate);
@@ -31,10 +31,31 @@ const premiumSubscriptionSchema = new mongoose.Schema({
       default: 'monthly'
     },
     nextBillingDate: Date,
-    paymentMethod: String,
+    // Day of month periods end on; shorter months end on their last day
+    anchorDay: {
+      type: Number,
+      min: 1,
+      max: 31
+    },
+    paymentMethod: String, // Payment method id at the payment gateway
     autoRenewal: {
       type: Boolean,
       default: true
+    },
+    // current, past_due while failed renewals are retried, unpaid once retries run out
+    paymentStatus: {
+      type: String,
+      enum: ['pending', 'current', 'past_due', 'unpaid'],
+      default: 'current'
+    },
+    dunning: {
+      failedAttempts: {
+        type: Number,
+        default: 0
+      },
+      lastFailureAt: Date,
+      lastFailureMessage: String,
+      nextRetryAt: Date
     }
   },
   status: {
@@ -169,11 +190,20 @@ const virtualAiManagerSchema = new mongoose.Schema({
     },
     learningData: {
       interactionHistory: [{
-        type: String,
+        type: { type: String },
         timestamp: Date,
-        context: String,
+        context: String, // Entries logged before conversations only
         response: String,
-        effectiveness: Number
+        conversation: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'AIConversation'
+        },
+        turn: mongoose.Schema.Types.ObjectId,
+        rating: {
+          type: String,
+          enum: ['up', 'down']
+        },
+        effectiveness: Number // 1 for a thumbs-up, 0 for a thumbs-down, unset until rated
       }],
       preferences: {
         communicationStyle: String,
@@ -187,11 +217,14 @@ const virtualAiManagerSchema = new mongoose.Schema({
         equipmentHistory: [String]
       }
     },
+    // Computed from the client's conversations (see aiConversationService)
     performanceMetrics: {
       accuracyScore: Number,
-      responsTime: Number,
+      responsTime: Number, // seconds
       clientSatisfaction: Number,
-      issueResolutionRate: Number
+      issueResolutionRate: Number,
+      ratedAnswers: Number,
+      calculatedAt: Date
     }
   }],
   taskManagement: {
@@ -221,7 +254,18 @@ const virtualAiManagerSchema = new mongoose.Schema({
       correctResponse: String,
       actualResponse: String,
       feedback: String,
-      learned: Boolean
+      learned: Boolean,
+      // The reviewed answer this entry came from
+      conversation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AIConversation'
+      },
+      turn: mongoose.Schema.Types.ObjectId,
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reviewedAt: Date
     }]
   }
 }, {
@@ -301,8 +345,15 @@ const weeklyAssessmentSchema = new mongoose.Schema({
     trends: [{
       parameter: String,
       direction: String, // 'improving', 'stable', 'declining'
-      prediction: String
+      prediction: String,
+      slopePerDay: Number,
+      projectedOutOfRangeAt: Date
     }],
+    chlorineDemand: {
+      ppmPerDay: Number,
+      ppmPerWeek: Number,
+      samples: Number
+    },
     alerts: [{
       type: String,
       severity: String,
@@ -413,6 +464,7 @@ const defaultPremiumFeatures = {
 
 // Indexes
 premiumSubscriptionSchema.index({ client: 1, status: 1 });
+premiumSubscriptionSchema.index({ status: 1, 'billing.nextBillingDate': 1 });
 customEbookSchema.index({ client: 1, 'generationStatus.status': 1 });
 weeklyAssessmentSchema.index({ client: 1, assessmentDate: -1 });
 virtualAiManagerSchema.index({ 'clientProfiles.client': 1 });
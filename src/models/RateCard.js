@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+// Prices used to bill visits. A customer's own card wins over the default
+// card; without either, env defaults apply (see billingService).
+const rateCardSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  laborRatePerHour: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  minimumLaborMinutes: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Billed time is rounded up to this many minutes
+  laborIncrementMinutes: {
+    type: Number,
+    default: 15,
+    min: 1
+  },
+  billTravel: {
+    type: Boolean,
+    default: false
+  },
+  travelRatePerHour: {
+    type: Number,
+    min: 0
+  },
+  tripCharge: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  chemicalMarkupPercent: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  partsMarkupPercent: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Added to labor and travel on emergency visits
+  emergencySurchargePercent: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  paymentTermsDays: {
+    type: Number,
+    default: 30,
+    min: 0
+  },
+  taxExempt: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+rateCardSchema.index({ customer: 1, isActive: 1 });
+rateCardSchema.index({ isDefault: 1, isActive: 1 });
+
+export default mongoose.model('RateCard', rateCardSchema);
@@ -0,0 +1,140 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const API_KEY_PREFIX = 'vpc_sensor';
+
+const sensorDeviceSchema = new mongoose.Schema({
+  pool: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pool',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  manufacturer: String,
+  model: String,
+  serialNumber: {
+    type: String,
+    trim: true
+  },
+  parameters: [{
+    type: String,
+    enum: ['pH', 'orp', 'temperature', 'salt', 'chlorine']
+  }],
+  // Units the device reports in when a reading does not say
+  units: {
+    temperature: {
+      type: String,
+      enum: ['F', 'C'],
+      default: 'F'
+    },
+    salt: {
+      type: String,
+      enum: ['ppm', 'g/L', 'ppt'],
+      default: 'ppm'
+    },
+    orp: {
+      type: String,
+      enum: ['mV', 'V'],
+      default: 'mV'
+    }
+  },
+  apiKey: {
+    keyId: {
+      type: String,
+      required: true
+    },
+    hash: {
+      type: String,
+      required: true,
+      select: false
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  status: {
+    type: String,
+    enum: ['active', 'disabled'],
+    default: 'active'
+  },
+  lastSeenAt: Date,
+  lastReadingAt: Date,
+  stats: {
+    accepted: {
+      type: Number,
+      default: 0
+    },
+    duplicates: {
+      type: Number,
+      default: 0
+    },
+    rejected: {
+      type: Number,
+      default: 0
+    }
+  },
+  registeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// Method to issue a new API key; the plain key is only returned here
+sensorDeviceSchema.methods.generateApiKey = function() {
+  const keyId = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+
+  this.apiKey = {
+    keyId,
+    hash: hashSecret(secret),
+    createdAt: new Date()
+  };
+
+  return `${API_KEY_PREFIX}_${keyId}_${secret}`;
+};
+
+// Method to check a presented secret against the stored hash
+sensorDeviceSchema.methods.verifyApiKeySecret = function(secret) {
+  const expected = Buffer.from(this.apiKey.hash, 'hex');
+  const actual = Buffer.from(hashSecret(secret), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Find the active device a full API key belongs to
+sensorDeviceSchema.statics.findByApiKey = async function(apiKey) {
+  if (typeof apiKey !== 'string' || !apiKey.startsWith(`${API_KEY_PREFIX}_`)) return null;
+
+  const [keyId, ...secretParts] = apiKey.slice(API_KEY_PREFIX.length + 1).split('_');
+  const secret = secretParts.join('_');
+  if (!keyId || !secret) return null;
+
+  const device = await this.findOne({ 'apiKey.keyId': keyId, status: 'active' }).select('+apiKey.hash');
+  if (!device || !device.verifyApiKeySecret(secret)) return null;
+
+  return device;
+};
+
+// Hide the key hash when serialized
+sensorDeviceSchema.methods.toJSON = function() {
+  const device = this.toObject();
+  if (device.apiKey) delete device.apiKey.hash;
+  return device;
+};
+
+// Indexes for better query performance
+sensorDeviceSchema.index({ 'apiKey.keyId': 1 }, { unique: true });
+sensorDeviceSchema.index({ pool: 1 });
+sensorDeviceSchema.index({ serialNumber: 1 });
+
+export default mongoose.model('SensorDevice', sensorDeviceSchema);
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// Operations are remembered for this many days so device retries are safe
+const OPERATION_RETENTION_DAYS = 30;
+
+// One operation pushed by a field device. The unique (user, opId) index
+// makes a retried push return the stored result instead of applying twice.
+const syncOperationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  deviceId: String,
+  opId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'applied', 'rejected'],
+    default: 'processing'
+  },
+  // Times the operation was claimed; more than one after a server restart
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  result: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+syncOperationSchema.index({ user: 1, opId: 1 }, { unique: true });
+syncOperationSchema.index({ createdAt: 1 }, { expireAfterSeconds: OPERATION_RETENTION_DAYS * 24 * 60 * 60 });
+
+export default mongoose.model('SyncOperation', syncOperationSchema);
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+import mongoosePaginate from 'mongoose-paginate-v2';
+
+// Runs are kept for this many days
+const RUN_RETENTION_DAYS = 30;
+
+// One execution of a scheduled task. The unique (task, scheduledFor) index
+// doubles as the distributed lock: only the first instance to record a run
+// for a given tick executes it.
+const taskRunSchema = new mongoose.Schema({
+  task: {
+    type: String,
+    required: true
+  },
+  scheduledFor: {
+    type: Date,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed', 'skipped'],
+    default: 'running'
+  },
+  instance: String,
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  durationMs: Number,
+  result: mongoose.Schema.Types.Mixed,
+  error: String
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+taskRunSchema.index({ task: 1, scheduledFor: 1 }, { unique: true });
+taskRunSchema.index({ task: 1, startedAt: -1 });
+taskRunSchema.index({ status: 1, startedAt: -1 });
+taskRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: RUN_RETENTION_DAYS * 24 * 60 * 60 });
+
+// Add pagination plugin
+taskRunSchema.plugin(mongoosePaginate);
+
+export default mongoose.model('TaskRun', taskRunSchema);
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+const LINE_ITEM_TYPES = ['labor', 'travel', 'chemical', 'part', 'fee', 'surcharge'];
+
+// Sales tax for pools in a jurisdiction. Every rule matching a pool's
+// address applies, so state and local rates stack.
+const taxRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  }, // percent
+  appliesTo: {
+    type: [{
+      type: String,
+      enum: LINE_ITEM_TYPES
+    }],
+    default: ['chemical', 'part']
+  },
+  // Unset fields match any address
+  jurisdiction: {
+    state: String,
+    city: String,
+    zipCodes: [String]
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+taxRuleSchema.index({ isActive: 1 });
+
+export { LINE_ITEM_TYPES };
+export default mongoose.model('TaxRule', taxRuleSchema);
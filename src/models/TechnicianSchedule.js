@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A recurring working window, in the business time zone ("HH:MM", SCHEDULER_TIMEZONE)
+const shiftSchema = new mongoose.Schema({
+  day: {
+    type: String,
+    enum: WEEKDAYS,
+    required: true
+  },
+  start: {
+    type: String,
+    required: true,
+    match: TIME_PATTERN
+  },
+  end: {
+    type: String,
+    required: true,
+    match: TIME_PATTERN
+  }
+}, { _id: false });
+
+const timeOffSchema = new mongoose.Schema({
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['pto', 'sick', 'training', 'other'],
+    default: 'pto'
+  },
+  // Only approved time off blocks scheduling
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'cancelled'],
+    default: 'requested'
+  },
+  reason: String,
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date
+}, {
+  timestamps: true
+});
+
+const technicianScheduleSchema = new mongoose.Schema({
+  technician: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // Technicians without a schedule work the default shifts
+  weeklyShifts: [shiftSchema],
+  worksHolidays: {
+    type: Boolean,
+    default: false
+  },
+  timeOff: [timeOffSchema],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+technicianScheduleSchema.index({ 'timeOff.status': 1, 'timeOff.start': 1 });
+
+export { WEEKDAYS, TIME_PATTERN };
+export default mongoose.model('TechnicianSchedule', technicianScheduleSchema);
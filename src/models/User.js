@@ -87,8 +87,16 @@ const userSchema = new mongoose.Schema({
     },
     startDate: Date,
     endDate: Date,
-    stripeCustomerId: String,
-    stripeSubscriptionId: String
+    stripeCustomerId: String, // Customer id at the payment gateway
+    stripeSubscriptionId: String,
+    // Saved card at the payment gateway (no card numbers are stored)
+    paymentMethod: {
+      id: String,
+      brand: String,
+      last4: String,
+      expMonth: Number,
+      expYear: Number
+    }
   },
   profile: {
     avatar: String,
@@ -0,0 +1,187 @@
+import mongoose from 'mongoose';
+import { analyzeWaterBalance } from '../services/waterBalanceService.js';
+
+// Sensors only report what they can measure; manual tests cover the full panel
+function requiredForManualTests() {
+  return this.source !== 'sensor';
+}
+
+// Measured values; sensors report a subset
+const CHEMISTRY_PARAMETERS = ['pH', 'chlorine', 'alkalinity', 'hardness', 'cyanuricAcid', 'temperature', 'salt', 'orp'];
+
+// Chemistry fields shared by stored readings and the pool's latest-reading snapshot
+const waterChemistryFields = {
+  pH: {
+    type: Number,
+    required: requiredForManualTests,
+    min: 0,
+    max: 14
+  },
+  chlorine: {
+    type: Number,
+    required: requiredForManualTests,
+    min: 0
+  },
+  alkalinity: {
+    type: Number,
+    required: requiredForManualTests,
+    min: 0
+  },
+  hardness: {
+    type: Number,
+    required: requiredForManualTests,
+    min: 0
+  },
+  cyanuricAcid: {
+    type: Number,
+    default: function() {
+      return this.source === 'sensor' ? undefined : 0;
+    },
+    min: 0
+  },
+  temperature: {
+    type: Number,
+    required: requiredForManualTests
+  },
+  salt: {
+    type: Number,
+    min: 0
+  },
+  orp: Number, // millivolts
+  testedAt: {
+    type: Date,
+    default: Date.now
+  },
+  testedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: String,
+  source: {
+    type: String,
+    enum: ['manual', 'maintenance', 'migration', 'sensor'],
+    default: 'manual'
+  },
+  waterBalance: {
+    lsi: Number,
+    csi: Number,
+    status: {
+      type: String,
+      enum: ['corrosive', 'balanced', 'scaling', 'unknown']
+    },
+    severity: {
+      type: String,
+      enum: ['low', 'medium', 'high']
+    },
+    carbonateAlkalinity: Number,
+    calculatedAt: Date
+  }
+};
+
+const waterChemistryReadingSchema = new mongoose.Schema({
+  pool: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pool',
+    required: true
+  },
+  ...waterChemistryFields,
+  maintenanceLog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MaintenanceLog'
+  },
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SensorDevice'
+  }
+}, {
+  timestamps: true
+});
+
+// Compute saturation indices whenever a reading is saved
+waterChemistryReadingSchema.pre('validate', function(next) {
+  const balance = analyzeWaterBalance(this);
+  if (balance) {
+    this.waterBalance = balance;
+  }
+  next();
+});
+
+// Snapshot stored on the pool document for synchronous evaluators
+waterChemistryReadingSchema.methods.toSnapshot = function() {
+  const { _id, pool, maintenanceLog, device, createdAt, updatedAt, __v, ...fields } = this.toObject();
+  return { ...fields, reading: _id };
+};
+
+// Cursor-paginated history for a pool, newest first
+waterChemistryReadingSchema.statics.findHistory = async function(poolId, options = {}) {
+  const { from, to, source, cursor, limit = 10, populate = true } = options;
+
+  const query = { pool: poolId };
+  if (source) query.source = source;
+  if (from || to) {
+    query.testedAt = {};
+    if (from) query.testedAt.$gte = new Date(from);
+    if (to) query.testedAt.$lte = new Date(to);
+  }
+
+  // Cursor is the (testedAt, _id) of the last reading on the previous page
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    query.$and = [{
+      $or: [
+        { testedAt: { $lt: position.testedAt } },
+        { testedAt: position.testedAt, _id: { $lt: position.id } }
+      ]
+    }];
+  }
+
+  let findQuery = this.find(query)
+    .sort({ testedAt: -1, _id: -1 })
+    .limit(limit + 1);
+
+  if (populate) {
+    findQuery = findQuery.populate('testedBy', 'firstName lastName');
+  }
+
+  const results = await findQuery;
+  const hasMore = results.length > limit;
+  const readings = hasMore ? results.slice(0, limit) : results;
+  const last = readings[readings.length - 1];
+
+  return {
+    readings,
+    hasMore,
+    nextCursor: hasMore && last ? encodeCursor(last) : null
+  };
+};
+
+function encodeCursor(reading) {
+  return Buffer.from(`${new Date(reading.testedAt).toISOString()}|${reading._id}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  const [testedAt, id] = Buffer.from(cursor, 'base64url').toString('utf8').split('|');
+  const date = new Date(testedAt);
+
+  if (Number.isNaN(date.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+    const error = new Error('Invalid cursor');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return { testedAt: date, id: new mongoose.Types.ObjectId(id) };
+}
+
+// Indexes for time-range queries per pool
+waterChemistryReadingSchema.index({ pool: 1, testedAt: -1, _id: -1 });
+waterChemistryReadingSchema.index({ testedAt: -1 });
+waterChemistryReadingSchema.index({ 'waterBalance.status': 1 });
+
+// One reading per device timestamp; re-sent sensor batches are rejected as duplicates
+waterChemistryReadingSchema.index(
+  { device: 1, testedAt: 1 },
+  { unique: true, partialFilterExpression: { device: { $exists: true } } }
+);
+
+export { CHEMISTRY_PARAMETERS, waterChemistryFields };
+export default mongoose.model('WaterChemistryReading', waterChemistryReadingSchema);
@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+// Gateways retry deliveries, so events are recorded and handled once
+const EVENT_RETENTION_DAYS = 30;
+
+const webhookEventSchema = new mongoose.Schema({
+  gateway: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: String,
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored'],
+    default: 'processing'
+  },
+  result: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+webhookEventSchema.index({ gateway: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: EVENT_RETENTION_DAYS * 24 * 60 * 60 });
+
+export default mongoose.model('WebhookEvent', webhookEventSchema);
@@ -0,0 +1,182 @@
+import express from 'express';
+import Joi from 'joi';
+import ChemistryAlert from '../models/ChemistryAlert.js';
+import Pool from '../models/Pool.js';
+import { authenticateToken, authorize } from '../middleware/auth.js';
+import { acknowledgeAlert, resolveAlert, runAlertSweep } from '../services/chemistryAlertService.js';
+
+const router = express.Router();
+
+// Validation schemas
+const listAlertsSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('active', 'open', 'acknowledged', 'resolved', 'all').default('active'),
+  severity: Joi.string().valid('info', 'warning', 'critical'),
+  pool: Joi.string(),
+  assignedToMe: Joi.boolean()
+});
+
+const resolveAlertSchema = Joi.object({
+  notes: Joi.string().max(1000)
+});
+
+// Restrict alert queries to what the user may see
+async function buildAccessQuery(user) {
+  if (user.role === 'customer') {
+    const pools = await Pool.find({ owner: user._id }).distinct('_id');
+    return { pool: { $in: pools } };
+  }
+
+  if (user.role === 'technician') {
+    const pools = await Pool.find({ assignedTechnician: user._id }).distinct('_id');
+    return { $or: [{ pool: { $in: pools } }, { 'escalation.recipient': user._id }] };
+  }
+
+  // Consultants and admins see every alert
+  return {};
+}
+
+async function findAccessibleAlert(alertId, user) {
+  const query = { $and: [{ _id: alertId }, await buildAccessQuery(user)] };
+  return ChemistryAlert.findOne(query);
+}
+
+// @route   GET /api/alerts
+// @desc    List chemistry alerts
+// @access  Private
+router.get('/', authenticateToken, async (req, res, next) => {
+  try {
+    const { error, value } = listAlertsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const { page, limit, status, severity, pool, assignedToMe } = value;
+    const filters = [await buildAccessQuery(req.user)];
+
+    if (status === 'active') filters.push({ status: { $in: ['open', 'acknowledged'] } });
+    else if (status !== 'all') filters.push({ status });
+    if (severity) filters.push({ severity });
+    if (pool) filters.push({ pool });
+    if (assignedToMe) filters.push({ 'escalation.recipient': req.user._id });
+
+    const alerts = await ChemistryAlert.paginate({ $and: filters }, {
+      page,
+      limit,
+      populate: [
+        { path: 'pool', select: 'name address poolType owner' },
+        { path: 'escalation.recipient', select: 'firstName lastName role' },
+        { path: 'acknowledgedBy', select: 'firstName lastName' }
+      ],
+      sort: { createdAt: -1 }
+    });
+
+    res.json({
+      success: true,
+      data: alerts
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/alerts/:alertId/acknowledge
+// @desc    Acknowledge an alert (stops escalation)
+// @access  Private
+router.put('/:alertId/acknowledge', authenticateToken, async (req, res, next) => {
+  try {
+    const alert = await findAccessibleAlert(req.params.alertId, req.user);
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Alert not found' }
+      });
+    }
+
+    if (alert.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Alert is already ${alert.status}` }
+      });
+    }
+
+    await acknowledgeAlert(alert, req.user);
+
+    res.json({
+      success: true,
+      data: { alert },
+      message: 'Alert acknowledged'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/alerts/:alertId/resolve
+// @desc    Resolve an alert
+// @access  Private
+router.put('/:alertId/resolve', authenticateToken, async (req, res, next) => {
+  try {
+    const { error, value } = resolveAlertSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const alert = await findAccessibleAlert(req.params.alertId, req.user);
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Alert not found' }
+      });
+    }
+
+    if (alert.status === 'resolved') {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Alert is already resolved' }
+      });
+    }
+
+    await resolveAlert(alert, req.user, value.notes);
+
+    res.json({
+      success: true,
+      data: { alert },
+      message: 'Alert resolved'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/alerts/sweep
+// @desc    Raise stale-reading alerts and escalate unacknowledged alerts now
+// @access  Private (Admin only)
+router.post('/sweep', authenticateToken, authorize('admin'), async (req, res, next) => {
+  try {
+    const result = await runAlertSweep();
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Alert sweep completed'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
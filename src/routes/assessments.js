@@ -2,7 +2,8 @@ import express from 'express';
 import Joi from 'joi';
 import { authenticateToken, authorize } from '../middleware/auth.js';
 import { AssessmentQuestion, ClientAssessment, CharacterPersona, defaultAssessmentQuestions, defaultCharacters } from '../models/Assessment.js';
-import User from '../models/User.js';
+import { findSpecialists } from '../services/dispatchService.js';
+import { isAIEnabled, generateText } from '../services/aiService.js';
 
 const router = express.Router();
 
@@ -69,7 +70,7 @@ router.post('/', authenticateToken, async (req, res, next) => {
     });
 
     // Run AI analysis
-    const aiAnalysis = await performAIAnalysis(responses, assessmentType);
+    const aiAnalysis = await performAIAnalysis(responses, assessmentType, req.user);
     assessment.aiAnalysis = aiAnalysis;
 
     // Assign agents based on AI recommendations
@@ -208,7 +209,7 @@ router.put('/:assessmentId', authenticateToken, async (req, res, next) => {
     
     // Re-run AI analysis if responses changed
     if (value.responses) {
-      const aiAnalysis = await performAIAnalysis(assessment.responses, assessment.assessmentType);
+      const aiAnalysis = await performAIAnalysis(assessment.responses, assessment.assessmentType, req.user);
       assessment.aiAnalysis = aiAnalysis;
       
       // Reassign agents if needed
@@ -286,9 +287,8 @@ router.post('/:assessmentId/character-advice', authenticateToken, async (req, re
 });
 
 // AI Analysis Functions
-async function performAIAnalysis(responses, assessmentType) {
+async function performAIAnalysis(responses, assessmentType, user) {
   try {
-    // This would integrate with actual AI service in production
     const analysis = {
       overallScore: calculateOverallScore(responses),
       riskLevel: determineRiskLevel(responses),
@@ -301,6 +301,12 @@ async function performAIAnalysis(responses, assessmentType) {
       confidenceScore: 0.85 // Mock confidence score
     };
 
+    // Scores and specialist picks stay rule-based so assignment is predictable;
+    // the model only rewrites the advice when a provider is configured
+    if (isAIEnabled('assessment_analysis')) {
+      Object.assign(analysis, await generateAIRecommendations(responses, assessmentType, analysis, user));
+    }
+
     return analysis;
   } catch (error) {
     console.error('AI Analysis Error:', error);
@@ -309,6 +315,39 @@ async function performAIAnalysis(responses, assessmentType) {
   }
 }
 
+async function generateAIRecommendations(responses, assessmentType, analysis, user) {
+  const toList = items => (Array.isArray(items) ? items : [])
+    .filter(item => typeof item === 'string' && item.trim())
+    .map(item => item.trim().slice(0, 300))
+    .slice(0, 8);
+
+  try {
+    const completion = await generateText('assessment_analysis', {
+      system: 'You are a pool care consultant reviewing a client intake assessment. Reply with a JSON object ' +
+        'with two arrays of short strings: "immediateActions" and "longTermRecommendations".',
+      prompt: `Assessment type: ${assessmentType}
+Risk level: ${analysis.riskLevel}
+Overall score: ${analysis.overallScore}/100
+
+Client responses:
+${JSON.stringify(responses, null, 2)}`,
+      json: true,
+      user
+    });
+
+    const immediateActions = toList(completion.data.immediateActions);
+    const longTermRecommendations = toList(completion.data.longTermRecommendations);
+    return {
+      ...(immediateActions.length > 0 && { immediateActions }),
+      ...(longTermRecommendations.length > 0 && { longTermRecommendations })
+    };
+  } catch (error) {
+    // Keep the rule-based advice when the provider fails or the user is out of quota
+    console.error('AI assessment recommendations failed:', error.message);
+    return {};
+  }
+}
+
 function calculateOverallScore(responses) {
   let score = 70; // Base score
   
@@ -463,13 +502,8 @@ async function assignSpecialists(recommendations) {
   const assignments = [];
   
   for (const rec of recommendations) {
-    // Find available specialists
-    const specialists = await User.find({
-      role: 'technician',
-      isActive: true,
-      // Could add specialization matching here
-    }).limit(1);
-    
+    const specialists = await findSpecialists(rec.specialistType);
+
     if (specialists.length > 0) {
       assignments.push({
         agent: specialists[0]._id,
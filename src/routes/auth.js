@@ -2,6 +2,7 @@ import express from 'express';
 import Joi from 'joi';
 import User from '../models/User.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { notifyUser } from '../services/notificationService.js';
 
 const router = express.Router();
 
@@ -66,9 +67,15 @@ router.post('/register', async (req, res, next) => {
 
     await user.save();
 
-    // Generate email verification token
+    // Generate email verification token and send it
     const emailToken = user.generateEmailVerificationToken();
     await user.save();
+    // The account is already saved, so a delivery failure must not fail signup
+    try {
+      await notifyUser(user, 'email_verification', { token: emailToken });
+    } catch (error) {
+      console.error('Failed to send verification email:', error.message);
+    }
 
     // Generate auth token
     const token = user.generateAuthToken();
@@ -323,8 +330,11 @@ router.post('/forgot-password', async (req, res, next) => {
     const resetToken = user.generatePasswordResetToken();
     await user.save();
 
-    // TODO: Send email with reset token
-    // For now, just return success (in production, integrate with email service)
+    try {
+      await notifyUser(user, 'password_reset', { token: resetToken });
+    } catch (error) {
+      console.error('Failed to send password reset email:', error.message);
+    }
     
     res.json({
       success: true,
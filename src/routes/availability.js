@@ -0,0 +1,484 @@
+import express from 'express';
+import Joi from 'joi';
+import User from '../models/User.js';
+import TechnicianSchedule, { WEEKDAYS, TIME_PATTERN } from '../models/TechnicianSchedule.js';
+import OnCallShift from '../models/OnCallShift.js';
+import { authenticateToken, authorize } from '../middleware/auth.js';
+import {
+  DEFAULT_WEEKLY_SHIFTS,
+  findVisitConflicts,
+  getOnCallTechnicians,
+  createOnCallRotation
+} from '../services/availabilityService.js';
+import { addZonedDays } from '../services/timeZoneService.js';
+
+const router = express.Router();
+
+// Days ahead checked for visits that conflict with a schedule change
+const CONFLICT_LOOKAHEAD_DAYS = 30;
+
+// Validation schemas
+const shiftsSchema = Joi.object({
+  weeklyShifts: Joi.array().items(Joi.object({
+    day: Joi.string().valid(...WEEKDAYS).required(),
+    start: Joi.string().pattern(TIME_PATTERN).required(),
+    end: Joi.string().pattern(TIME_PATTERN).required()
+  }).custom((shift, helpers) => (shift.end > shift.start ? shift : helpers.error('any.invalid')))
+    .messages({ 'any.invalid': 'Shift end must be after its start' })).required(),
+  worksHolidays: Joi.boolean()
+});
+
+const timeOffSchema = Joi.object({
+  start: Joi.date().required(),
+  end: Joi.date().greater(Joi.ref('start')).required(),
+  type: Joi.string().valid('pto', 'sick', 'training', 'other').default('pto'),
+  reason: Joi.string().max(500)
+});
+
+const reviewTimeOffSchema = Joi.object({
+  status: Joi.string().valid('approved', 'rejected', 'cancelled').required()
+});
+
+const rangeSchema = Joi.object({
+  from: Joi.date().default(() => new Date()),
+  to: Joi.date().greater(Joi.ref('from'))
+});
+
+const onCallSchema = Joi.object({
+  technicianId: Joi.string().required(),
+  start: Joi.date().required(),
+  end: Joi.date().greater(Joi.ref('start')).required(),
+  notes: Joi.string().max(500)
+});
+
+const rotationSchema = Joi.object({
+  technicianIds: Joi.array().items(Joi.string()).min(1).required(),
+  start: Joi.date().required(),
+  periods: Joi.number().integer().min(1).max(52).required(),
+  periodDays: Joi.number().integer().min(1).max(31).default(7)
+});
+
+// Technicians may only see and request changes to their own calendar
+function isOwnCalendar(req) {
+  return req.user.role !== 'technician' || req.user._id.equals(req.params.technicianId);
+}
+
+async function findTechnician(technicianId) {
+  return User.findOne({ _id: technicianId, role: 'technician' }).select('firstName lastName');
+}
+
+// @route   GET /api/availability/on-call
+// @desc    List on-call shifts in a period
+// @access  Private (technicians, consultants, admins)
+router.get('/on-call', authenticateToken, authorize('technician', 'consultant', 'admin'), async (req, res, next) => {
+  try {
+    const { error, value } = rangeSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const to = value.to || addZonedDays(value.from, CONFLICT_LOOKAHEAD_DAYS);
+    const shifts = await OnCallShift.find({ start: { $lt: to }, end: { $gt: value.from } })
+      .populate('technician', 'firstName lastName phone')
+      .sort({ start: 1 });
+
+    res.json({
+      success: true,
+      data: { shifts }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/availability/on-call/now
+// @desc    Get the technicians on call right now
+// @access  Private (technicians, consultants, admins)
+router.get('/on-call/now', authenticateToken, authorize('technician', 'consultant', 'admin'), async (req, res, next) => {
+  try {
+    const shifts = await getOnCallTechnicians();
+
+    res.json({
+      success: true,
+      data: { shifts }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/availability/on-call
+// @desc    Put a technician on call for a period
+// @access  Private (consultants, admins)
+router.post('/on-call', authenticateToken, authorize('consultant', 'admin'), async (req, res, next) => {
+  try {
+    const { error, value } = onCallSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const technician = await findTechnician(value.technicianId);
+    if (!technician) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Technician not found' }
+      });
+    }
+
+    const overlapping = await OnCallShift.exists({
+      technician: technician._id,
+      start: { $lt: value.end },
+      end: { $gt: value.start }
+    });
+    if (overlapping) {
+      return res.status(409).json({
+        success: false,
+        error: { message: 'Technician is already on call during this period' }
+      });
+    }
+
+    const shift = await OnCallShift.create({
+      technician: technician._id,
+      start: value.start,
+      end: value.end,
+      notes: value.notes,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { shift },
+      message: 'On-call shift created'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/availability/on-call/rotation
+// @desc    Create consecutive on-call periods rotating through technicians
+// @access  Private (consultants, admins)
+router.post('/on-call/rotation', authenticateToken, authorize('consultant', 'admin'), async (req, res, next) => {
+  try {
+    const { error, value } = rotationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const technicians = await User.find({ _id: { $in: value.technicianIds }, role: 'technician', isActive: true })
+      .select('_id');
+    if (technicians.length !== new Set(value.technicianIds).size) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'All rotation members must be active technicians' }
+      });
+    }
+
+    const rotationEnd = addZonedDays(value.start, value.periods * value.periodDays);
+    const overlapping = await OnCallShift.exists({ start: { $lt: rotationEnd }, end: { $gt: value.start } });
+    if (overlapping) {
+      return res.status(409).json({
+        success: false,
+        error: { message: 'On-call shifts already exist in this period' }
+      });
+    }
+
+    const shifts = await createOnCallRotation(value.technicianIds, value.start, {
+      periods: value.periods,
+      periodDays: value.periodDays,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { shifts },
+      message: `${shifts.length} on-call shifts created`
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/availability/on-call/:shiftId
+// @desc    Remove an on-call shift
+// @access  Private (consultants, admins)
+router.delete('/on-call/:shiftId', authenticateToken, authorize('consultant', 'admin'), async (req, res, next) => {
+  try {
+    const shift = await OnCallShift.findByIdAndDelete(req.params.shiftId);
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'On-call shift not found' }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'On-call shift removed'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/availability/technicians/:technicianId
+// @desc    Get a technician's shifts, time off and on-call periods
+// @access  Private (own calendar, consultants, admins)
+router.get('/technicians/:technicianId', authenticateToken, authorize('technician', 'consultant', 'admin'), async (req, res, next) => {
+  try {
+    if (!isOwnCalendar(req)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: 'Access denied' }
+      });
+    }
+
+    const technician = await findTechnician(req.params.technicianId);
+    if (!technician) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Technician not found' }
+      });
+    }
+
+    const [schedule, onCall] = await Promise.all([
+      TechnicianSchedule.findOne({ technician: technician._id }),
+      OnCallShift.find({ technician: technician._id, end: { $gt: new Date() } }).sort({ start: 1 })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        technician,
+        weeklyShifts: schedule && schedule.weeklyShifts.length > 0 ? schedule.weeklyShifts : DEFAULT_WEEKLY_SHIFTS,
+        usesDefaultShifts: !schedule || schedule.weeklyShifts.length === 0,
+        worksHolidays: schedule ? schedule.worksHolidays : false,
+        timeOff: schedule ? schedule.timeOff.filter(entry => entry.end > new Date()) : [],
+        onCall
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/availability/technicians/:technicianId/shifts
+// @desc    Set a technician's weekly shifts
+// @access  Private (consultants, admins)
+router.put('/technicians/:technicianId/shifts', authenticateToken, authorize('consultant', 'admin'), async (req, res, next) => {
+  try {
+    const { error, value } = shiftsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const technician = await findTechnician(req.params.technicianId);
+    if (!technician) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Technician not found' }
+      });
+    }
+
+    const schedule = await TechnicianSchedule.findOneAndUpdate(
+      { technician: technician._id },
+      { $set: { ...value, updatedBy: req.user._id } },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    // Visits booked under the old shifts that no longer fit
+    const now = new Date();
+    const conflicts = await findVisitConflicts(technician._id, now, addZonedDays(now, CONFLICT_LOOKAHEAD_DAYS));
+
+    res.json({
+      success: true,
+      data: { schedule, conflicts },
+      message: conflicts.length > 0
+        ? `Shifts updated; ${conflicts.length} upcoming visits conflict`
+        : 'Shifts updated successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/availability/technicians/:technicianId/time-off
+// @desc    Request time off (approved straight away when added by a consultant or admin)
+// @access  Private (own calendar, consultants, admins)
+router.post('/technicians/:technicianId/time-off', authenticateToken, authorize('technician', 'consultant', 'admin'), async (req, res, next) => {
+  try {
+    if (!isOwnCalendar(req)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: 'Access denied' }
+      });
+    }
+
+    const { error, value } = timeOffSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const technician = await findTechnician(req.params.technicianId);
+    if (!technician) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Technician not found' }
+      });
+    }
+
+    const approved = req.user.role !== 'technician';
+    const schedule = await TechnicianSchedule.findOneAndUpdate(
+      { technician: technician._id },
+      {
+        $push: {
+          timeOff: {
+            ...value,
+            status: approved ? 'approved' : 'requested',
+            requestedBy: req.user._id,
+            reviewedBy: approved ? req.user._id : undefined,
+            reviewedAt: approved ? new Date() : undefined
+          }
+        }
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+    const timeOff = schedule.timeOff[schedule.timeOff.length - 1];
+
+    // Visits that need another technician or a new date
+    const conflicts = await findVisitConflicts(technician._id, value.start, value.end);
+
+    res.status(201).json({
+      success: true,
+      data: { timeOff, conflicts },
+      message: approved ? 'Time off added' : 'Time off requested'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/availability/technicians/:technicianId/time-off/:timeOffId
+// @desc    Approve, reject or cancel time off (technicians may only cancel their own)
+// @access  Private (own calendar, consultants, admins)
+router.put('/technicians/:technicianId/time-off/:timeOffId', authenticateToken, authorize('technician', 'consultant', 'admin'), async (req, res, next) => {
+  try {
+    if (!isOwnCalendar(req)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: 'Access denied' }
+      });
+    }
+
+    const { error, value } = reviewTimeOffSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    if (req.user.role === 'technician' && value.status !== 'cancelled') {
+      return res.status(403).json({
+        success: false,
+        error: { message: 'Technicians can only cancel their own time off' }
+      });
+    }
+
+    const schedule = await TechnicianSchedule.findOne({ technician: req.params.technicianId });
+    const timeOff = schedule && schedule.timeOff.id(req.params.timeOffId);
+    if (!timeOff) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Time off not found' }
+      });
+    }
+
+    timeOff.status = value.status;
+    timeOff.reviewedBy = req.user._id;
+    timeOff.reviewedAt = new Date();
+    await schedule.save();
+
+    const conflicts = value.status === 'approved'
+      ? await findVisitConflicts(schedule.technician, timeOff.start, timeOff.end)
+      : [];
+
+    res.json({
+      success: true,
+      data: { timeOff, conflicts },
+      message: `Time off ${value.status}`
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/availability/technicians/:technicianId/conflicts
+// @desc    List a technician's open visits that clash with their availability
+// @access  Private (own calendar, consultants, admins)
+router.get('/technicians/:technicianId/conflicts', authenticateToken, authorize('technician', 'consultant', 'admin'), async (req, res, next) => {
+  try {
+    if (!isOwnCalendar(req)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: 'Access denied' }
+      });
+    }
+
+    const { error, value } = rangeSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const technician = await findTechnician(req.params.technicianId);
+    if (!technician) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Technician not found' }
+      });
+    }
+
+    const conflicts = await findVisitConflicts(
+      technician._id,
+      value.from,
+      value.to || addZonedDays(value.from, CONFLICT_LOOKAHEAD_DAYS)
+    );
+
+    res.json({
+      success: true,
+      data: { conflicts }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
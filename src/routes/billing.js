@@ -0,0 +1,661 @@
+import express from 'express';
+import Joi from 'joi';
+import Invoice, { INVOICE_STATUSES } from '../models/Invoice.js';
+import RateCard from '../models/RateCard.js';
+import TaxRule, { LINE_ITEM_TYPES } from '../models/TaxRule.js';
+import { authenticateToken, authorize } from '../middleware/auth.js';
+import {
+  previewInvoice,
+  createInvoice,
+  issueInvoice,
+  markInvoicePaid,
+  voidInvoice,
+  getAgingReport
+} from '../services/billingService.js';
+import { loadInvoiceDocument, renderInvoicePdf } from '../services/invoiceDocumentService.js';
+import { payInvoice } from '../services/paymentService.js';
+
+const router = express.Router();
+
+const BILLING_ROLES = ['consultant', 'admin'];
+
+// Validation schemas
+const listInvoicesSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid(...INVOICE_STATUSES),
+  customer: Joi.string()
+});
+
+const invoiceVisitsSchema = Joi.object({
+  maintenanceIds: Joi.array().items(Joi.string()).min(1).max(100).unique().required(),
+  notes: Joi.string().max(2000),
+  issue: Joi.boolean().default(false)
+});
+
+const markPaidSchema = Joi.object({
+  paidAt: Joi.date().max('now')
+});
+
+const payInvoiceSchema = Joi.object({
+  // Token from the payment gateway's client-side library; the saved card is used without one
+  paymentMethod: Joi.string().max(255)
+});
+
+const voidInvoiceSchema = Joi.object({
+  reason: Joi.string().max(500).required()
+});
+
+const agingSchema = Joi.object({
+  customer: Joi.string()
+});
+
+const rateCardSchema = Joi.object({
+  name: Joi.string().max(200).required(),
+  customer: Joi.string(),
+  isDefault: Joi.boolean(),
+  laborRatePerHour: Joi.number().min(0).required(),
+  minimumLaborMinutes: Joi.number().min(0),
+  laborIncrementMinutes: Joi.number().integer().min(1).max(60),
+  billTravel: Joi.boolean(),
+  travelRatePerHour: Joi.number().min(0),
+  tripCharge: Joi.number().min(0),
+  chemicalMarkupPercent: Joi.number().min(0).max(500),
+  partsMarkupPercent: Joi.number().min(0).max(500),
+  emergencySurchargePercent: Joi.number().min(0).max(500),
+  paymentTermsDays: Joi.number().integer().min(0).max(365),
+  taxExempt: Joi.boolean(),
+  isActive: Joi.boolean()
+});
+
+const updateRateCardSchema = rateCardSchema.fork(['name', 'laborRatePerHour'], field => field.optional()).min(1);
+
+const taxRuleSchema = Joi.object({
+  name: Joi.string().max(200).required(),
+  rate: Joi.number().min(0).max(100).required(),
+  appliesTo: Joi.array().items(Joi.string().valid(...LINE_ITEM_TYPES)).min(1).unique(),
+  jurisdiction: Joi.object({
+    state: Joi.string().max(50),
+    city: Joi.string().max(100),
+    zipCodes: Joi.array().items(Joi.string().pattern(/^\d{5}$/)).unique()
+  }),
+  isActive: Joi.boolean()
+});
+
+const updateTaxRuleSchema = taxRuleSchema.fork(['name', 'rate'], field => field.optional()).min(1);
+
+function isBillingStaff(user) {
+  return BILLING_ROLES.includes(user.role);
+}
+
+// Customers see their own invoices once issued; billing staff see all
+async function findAccessibleInvoice(invoiceId, user) {
+  const invoice = await Invoice.findById(invoiceId);
+  if (!invoice) return null;
+  if (isBillingStaff(user)) return invoice;
+  if (invoice.customer.equals(user._id) && invoice.status !== 'draft') return invoice;
+  return null;
+}
+
+// @route   GET /api/billing/invoices
+// @desc    List invoices
+// @access  Private (customers see their own)
+router.get('/invoices', authenticateToken, async (req, res, next) => {
+  try {
+    const { error, value } = listInvoicesSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const query = {};
+    if (isBillingStaff(req.user)) {
+      if (value.customer) query.customer = value.customer;
+      if (value.status) query.status = value.status;
+    } else {
+      query.customer = req.user._id;
+      query.status = { $ne: 'draft', ...(value.status && { $eq: value.status }) };
+    }
+
+    const invoices = await Invoice.paginate(query, {
+      page: value.page,
+      limit: value.limit,
+      select: '-lineItems',
+      populate: { path: 'customer', select: 'firstName lastName email' },
+      sort: { createdAt: -1 }
+    });
+
+    res.json({
+      success: true,
+      data: invoices
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/billing/invoices/preview
+// @desc    Show what an invoice for completed visits would contain
+// @access  Private (consultants, admins)
+router.post('/invoices/preview', authenticateToken, authorize(...BILLING_ROLES), async (req, res, next) => {
+  try {
+    const { error, value } = invoiceVisitsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const preview = await previewInvoice(value.maintenanceIds);
+
+    res.json({
+      success: true,
+      data: { preview }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/billing/invoices
+// @desc    Create an invoice for completed visits of one customer
+// @access  Private (consultants, admins)
+router.post('/invoices', authenticateToken, authorize(...BILLING_ROLES), async (req, res, next) => {
+  try {
+    const { error, value } = invoiceVisitsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const invoice = await createInvoice(value.maintenanceIds, {
+      createdBy: req.user._id,
+      notes: value.notes,
+      issue: value.issue
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { invoice },
+      message: value.issue ? 'Invoice created and issued successfully' : 'Invoice created successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/billing/invoices/:invoiceId
+// @desc    Get an invoice
+// @access  Private (customers see their own)
+router.get('/invoices/:invoiceId', authenticateToken, async (req, res, next) => {
+  try {
+    const invoice = await findAccessibleInvoice(req.params.invoiceId, req.user);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Invoice not found' }
+      });
+    }
+
+    await invoice.populate([
+      { path: 'customer', select: 'firstName lastName email phone address' },
+      { path: 'maintenanceLogs', select: 'pool scheduledDate actualEndTime type workOrder signature.signerName signature.signedAt' }
+    ]);
+
+    res.json({
+      success: true,
+      data: { invoice }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/billing/invoices/:invoiceId/pdf
+// @desc    Download an invoice as PDF
+// @access  Private (customers see their own)
+router.get('/invoices/:invoiceId/pdf', authenticateToken, async (req, res, next) => {
+  try {
+    const accessible = await findAccessibleInvoice(req.params.invoiceId, req.user);
+    if (!accessible) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Invoice not found' }
+      });
+    }
+
+    const invoice = await loadInvoiceDocument(accessible._id);
+    const fileName = `${invoice.number || `invoice-draft-${invoice._id}`}.pdf`;
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${fileName}"`
+    });
+    renderInvoicePdf(invoice, res);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/billing/invoices/:invoiceId/issue
+// @desc    Number a draft invoice, set its due date and send it to the customer
+// @access  Private (consultants, admins)
+router.post('/invoices/:invoiceId/issue', authenticateToken, authorize(...BILLING_ROLES), async (req, res, next) => {
+  try {
+    const invoice = await Invoice.findById(req.params.invoiceId);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Invoice not found' }
+      });
+    }
+
+    await issueInvoice(invoice);
+
+    res.json({
+      success: true,
+      data: { invoice },
+      message: `Invoice ${invoice.number} issued successfully`
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/billing/invoices/:invoiceId/mark-paid
+// @desc    Record full payment received outside the app (cash, check)
+// @access  Private (consultants, admins)
+router.post('/invoices/:invoiceId/mark-paid', authenticateToken, authorize(...BILLING_ROLES), async (req, res, next) => {
+  try {
+    const { error, value } = markPaidSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const invoice = await Invoice.findById(req.params.invoiceId);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Invoice not found' }
+      });
+    }
+
+    await markInvoicePaid(invoice, { paidAt: value.paidAt });
+
+    res.json({
+      success: true,
+      data: { invoice },
+      message: 'Invoice marked as paid'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/billing/invoices/:invoiceId/pay
+// @desc    Pay an invoice's balance by card
+// @access  Private (the invoiced customer)
+router.post('/invoices/:invoiceId/pay', authenticateToken, async (req, res, next) => {
+  try {
+    const { error, value } = payInvoiceSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const invoice = await findAccessibleInvoice(req.params.invoiceId, req.user);
+    if (!invoice || !invoice.customer.equals(req.user._id)) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Invoice not found' }
+      });
+    }
+
+    const payment = await payInvoice(invoice, req.user, { paymentMethodToken: value.paymentMethod });
+
+    if (payment.status === 'failed') {
+      return res.status(402).json({
+        success: false,
+        error: { message: payment.failureMessage || 'The payment was declined' },
+        data: { payment }
+      });
+    }
+
+    const updated = await Invoice.findById(invoice._id);
+
+    res.status(payment.status === 'pending' ? 202 : 200).json({
+      success: true,
+      data: { invoice: updated, payment },
+      message: payment.status === 'pending' ? 'Payment is processing' : 'Payment received'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/billing/invoices/:invoiceId/void
+// @desc    Void an unpaid invoice so its visits can be invoiced again
+// @access  Private (consultants, admins)
+router.post('/invoices/:invoiceId/void', authenticateToken, authorize(...BILLING_ROLES), async (req, res, next) => {
+  try {
+    const { error, value } = voidInvoiceSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const invoice = await Invoice.findById(req.params.invoiceId);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Invoice not found' }
+      });
+    }
+
+    await voidInvoice(invoice, { reason: value.reason });
+
+    res.json({
+      success: true,
+      data: { invoice },
+      message: 'Invoice voided successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/billing/aging
+// @desc    Accounts receivable aging: outstanding balances by days past due
+// @access  Private (consultants, admins)
+router.get('/aging', authenticateToken, authorize(...BILLING_ROLES), async (req, res, next) => {
+  try {
+    const { error, value } = agingSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const report = await getAgingReport({ customer: value.customer });
+
+    res.json({
+      success: true,
+      data: { report }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/billing/rate-cards
+// @desc    List rate cards
+// @access  Private (consultants, admins)
+router.get('/rate-cards', authenticateToken, authorize(...BILLING_ROLES), async (req, res, next) => {
+  try {
+    const rateCards = await RateCard.find()
+      .populate('customer', 'firstName lastName email')
+      .sort({ isDefault: -1, name: 1 });
+
+    res.json({
+      success: true,
+      data: { rateCards }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/billing/rate-cards
+// @desc    Create a rate card for a customer, or the default card
+// @access  Private (consultants, admins)
+router.post('/rate-cards', authenticateToken, authorize(...BILLING_ROLES), async (req, res, next) => {
+  try {
+    const { error, value } = rateCardSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    if (value.isDefault && value.customer) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'The default rate card cannot belong to a customer' }
+      });
+    }
+
+    // One active card per customer, and one active default
+    if (value.isActive !== false) {
+      await RateCard.updateMany(
+        value.isDefault ? { isDefault: true, isActive: true } : { customer: value.customer || null, isDefault: false, isActive: true },
+        { $set: { isActive: false } }
+      );
+    }
+
+    const rateCard = await RateCard.create({ ...value, createdBy: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      data: { rateCard },
+      message: 'Rate card created successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/billing/rate-cards/:rateCardId
+// @desc    Update a rate card. Issued invoices keep the prices they were built with.
+// @access  Private (consultants, admins)
+router.put('/rate-cards/:rateCardId', authenticateToken, authorize(...BILLING_ROLES), async (req, res, next) => {
+  try {
+    const { error, value } = updateRateCardSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const rateCard = await RateCard.findById(req.params.rateCardId);
+    if (!rateCard) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Rate card not found' }
+      });
+    }
+
+    rateCard.set(value);
+    if (rateCard.isDefault && rateCard.customer) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'The default rate card cannot belong to a customer' }
+      });
+    }
+
+    if (rateCard.isActive) {
+      await RateCard.updateMany(
+        {
+          _id: { $ne: rateCard._id },
+          isActive: true,
+          ...(rateCard.isDefault ? { isDefault: true } : { customer: rateCard.customer || null, isDefault: false })
+        },
+        { $set: { isActive: false } }
+      );
+    }
+    await rateCard.save();
+
+    res.json({
+      success: true,
+      data: { rateCard },
+      message: 'Rate card updated successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/billing/rate-cards/:rateCardId
+// @desc    Deactivate a rate card
+// @access  Private (consultants, admins)
+router.delete('/rate-cards/:rateCardId', authenticateToken, authorize(...BILLING_ROLES), async (req, res, next) => {
+  try {
+    const rateCard = await RateCard.findByIdAndUpdate(
+      req.params.rateCardId,
+      { $set: { isActive: false } },
+      { new: true }
+    );
+
+    if (!rateCard) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Rate card not found' }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Rate card deactivated successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/billing/tax-rules
+// @desc    List tax rules
+// @access  Private (consultants, admins)
+router.get('/tax-rules', authenticateToken, authorize(...BILLING_ROLES), async (req, res, next) => {
+  try {
+    const taxRules = await TaxRule.find().sort({ isActive: -1, name: 1 });
+
+    res.json({
+      success: true,
+      data: { taxRules }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/billing/tax-rules
+// @desc    Create a tax rule
+// @access  Private (consultants, admins)
+router.post('/tax-rules', authenticateToken, authorize(...BILLING_ROLES), async (req, res, next) => {
+  try {
+    const { error, value } = taxRuleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const taxRule = await TaxRule.create(value);
+
+    res.status(201).json({
+      success: true,
+      data: { taxRule },
+      message: 'Tax rule created successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/billing/tax-rules/:taxRuleId
+// @desc    Update a tax rule. Issued invoices keep the taxes they were built with.
+// @access  Private (consultants, admins)
+router.put('/tax-rules/:taxRuleId', authenticateToken, authorize(...BILLING_ROLES), async (req, res, next) => {
+  try {
+    const { error, value } = updateTaxRuleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const taxRule = await TaxRule.findByIdAndUpdate(
+      req.params.taxRuleId,
+      { $set: value },
+      { new: true, runValidators: true }
+    );
+
+    if (!taxRule) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Tax rule not found' }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { taxRule },
+      message: 'Tax rule updated successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/billing/tax-rules/:taxRuleId
+// @desc    Deactivate a tax rule
+// @access  Private (consultants, admins)
+router.delete('/tax-rules/:taxRuleId', authenticateToken, authorize(...BILLING_ROLES), async (req, res, next) => {
+  try {
+    const taxRule = await TaxRule.findByIdAndUpdate(
+      req.params.taxRuleId,
+      { $set: { isActive: false } },
+      { new: true }
+    );
+
+    if (!taxRule) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Tax rule not found' }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tax rule deactivated successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
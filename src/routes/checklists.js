@@ -0,0 +1,235 @@
+import express from 'express';
+import Joi from 'joi';
+import ChecklistTemplate, { VISIT_TYPES, POOL_TYPES, EQUIPMENT_TYPES, EVIDENCE_TYPES } from '../models/ChecklistTemplate.js';
+import Pool from '../models/Pool.js';
+import { authenticateToken, authorize } from '../middleware/auth.js';
+import { findTemplate, buildTasks } from '../services/checklistService.js';
+
+const router = express.Router();
+
+// Validation schemas
+const checklistItemSchema = Joi.object({
+  name: Joi.string().max(200).required(),
+  description: Joi.string().max(1000),
+  category: Joi.string().valid('cleaning', 'chemical', 'equipment', 'inspection', 'repair', 'other').required(),
+  estimatedDuration: Joi.number().positive(),
+  required: Joi.boolean().default(true),
+  evidence: Joi.array().items(Joi.string().valid(...EVIDENCE_TYPES)).unique().default([]),
+  equipmentType: Joi.string().valid(...EQUIPMENT_TYPES)
+});
+
+const templateSchema = Joi.object({
+  name: Joi.string().max(200).required(),
+  description: Joi.string().max(1000),
+  visitType: Joi.string().valid(...VISIT_TYPES).required(),
+  poolTypes: Joi.array().items(Joi.string().valid(...POOL_TYPES)).unique().default([]),
+  items: Joi.array().items(checklistItemSchema).min(1).max(100).required(),
+  isActive: Joi.boolean().default(true)
+});
+
+const updateTemplateSchema = Joi.object({
+  name: Joi.string().max(200),
+  description: Joi.string().max(1000),
+  visitType: Joi.string().valid(...VISIT_TYPES),
+  poolTypes: Joi.array().items(Joi.string().valid(...POOL_TYPES)).unique(),
+  items: Joi.array().items(checklistItemSchema).min(1).max(100),
+  isActive: Joi.boolean()
+}).min(1);
+
+const listTemplatesSchema = Joi.object({
+  visitType: Joi.string().valid(...VISIT_TYPES),
+  poolType: Joi.string().valid(...POOL_TYPES),
+  includeInactive: Joi.boolean().default(false)
+});
+
+const previewSchema = Joi.object({
+  poolId: Joi.string().required(),
+  visitType: Joi.string().valid(...VISIT_TYPES).default('routine')
+});
+
+// @route   GET /api/checklists
+// @desc    List checklist templates
+// @access  Private (technicians, consultants, admins)
+router.get('/', authenticateToken, authorize('technician', 'consultant', 'admin'), async (req, res, next) => {
+  try {
+    const { error, value } = listTemplatesSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const query = {};
+    if (value.visitType) query.visitType = value.visitType;
+    // Templates for the pool type plus those for every pool type
+    if (value.poolType) query.$or = [{ poolTypes: value.poolType }, { poolTypes: { $size: 0 } }];
+    if (!value.includeInactive) query.isActive = true;
+
+    const templates = await ChecklistTemplate.find(query).sort({ visitType: 1, name: 1 });
+
+    res.json({
+      success: true,
+      data: { templates }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/checklists/preview
+// @desc    Show the checklist a new visit to a pool would get
+// @access  Private (technicians, consultants, admins)
+router.get('/preview', authenticateToken, authorize('technician', 'consultant', 'admin'), async (req, res, next) => {
+  try {
+    const { error, value } = previewSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const pool = await Pool.findById(value.poolId).select('name poolType equipment');
+    if (!pool) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Pool not found' }
+      });
+    }
+
+    const template = await findTemplate(value.visitType, pool);
+
+    res.json({
+      success: true,
+      data: {
+        template: template && { _id: template._id, name: template.name },
+        tasks: template ? buildTasks(template, pool) : []
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/checklists/:templateId
+// @desc    Get a checklist template
+// @access  Private (technicians, consultants, admins)
+router.get('/:templateId', authenticateToken, authorize('technician', 'consultant', 'admin'), async (req, res, next) => {
+  try {
+    const template = await ChecklistTemplate.findById(req.params.templateId);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Checklist template not found' }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { template }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/checklists
+// @desc    Create a checklist template
+// @access  Private (consultants, admins)
+router.post('/', authenticateToken, authorize('consultant', 'admin'), async (req, res, next) => {
+  try {
+    const { error, value } = templateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const template = await ChecklistTemplate.create({
+      ...value,
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { template },
+      message: 'Checklist template created successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/checklists/:templateId
+// @desc    Update a checklist template. Existing visits keep the tasks they were created with.
+// @access  Private (consultants, admins)
+router.put('/:templateId', authenticateToken, authorize('consultant', 'admin'), async (req, res, next) => {
+  try {
+    const { error, value } = updateTemplateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const template = await ChecklistTemplate.findByIdAndUpdate(
+      req.params.templateId,
+      { $set: { ...value, updatedBy: req.user._id } },
+      { new: true, runValidators: true }
+    );
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Checklist template not found' }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { template },
+      message: 'Checklist template updated successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/checklists/:templateId
+// @desc    Deactivate a checklist template
+// @access  Private (consultants, admins)
+router.delete('/:templateId', authenticateToken, authorize('consultant', 'admin'), async (req, res, next) => {
+  try {
+    const template = await ChecklistTemplate.findByIdAndUpdate(
+      req.params.templateId,
+      { $set: { isActive: false, updatedBy: req.user._id } },
+      { new: true }
+    );
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Checklist template not found' }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Checklist template deactivated successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,469 @@
+import express from 'express';
+import Joi from 'joi';
+import ConsultationRequest, { CONSULTATION_STATUSES, CONSULTATION_PRIORITIES, OPEN_STATUSES } from '../models/ConsultationRequest.js';
+import Pool from '../models/Pool.js';
+import { authenticateToken, authorize } from '../middleware/auth.js';
+import {
+  canViewRequest,
+  toRequestResponse,
+  triageRequest,
+  assignRequest,
+  scheduleRequest,
+  resolveRequest,
+  closeRequest,
+  addMessage,
+  convertToMaintenance,
+  convertToReferral
+} from '../services/consultationService.js';
+
+const router = express.Router();
+
+// Validation schemas
+const listRequestsSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid(...CONSULTATION_STATUSES, 'open'),
+  priority: Joi.string().valid(...CONSULTATION_PRIORITIES),
+  pool: Joi.string(),
+  // Staff filters
+  assignedTo: Joi.alternatives().try(Joi.string().valid('me', 'none'), Joi.string().hex().length(24)),
+  breached: Joi.boolean()
+});
+
+const triageSchema = Joi.object({
+  priority: Joi.string().valid(...CONSULTATION_PRIORITIES),
+  category: Joi.string().valid('water_chemistry', 'equipment', 'cleaning', 'construction', 'other'),
+  notes: Joi.string().max(2000)
+});
+
+const assignSchema = Joi.object({
+  consultantId: Joi.string().required()
+});
+
+const scheduleSchema = Joi.object({
+  scheduledFor: Joi.date().required(),
+  note: Joi.string().max(1000)
+});
+
+const resolveSchema = Joi.object({
+  summary: Joi.string().max(2000).required()
+});
+
+const closeSchema = Joi.object({
+  reason: Joi.string().max(1000)
+});
+
+const messageSchema = Joi.object({
+  body: Joi.string().max(5000).required(),
+  internal: Joi.boolean().default(false),
+  photos: Joi.array().items(Joi.string().hex().length(24)).max(10).default([])
+});
+
+const convertMaintenanceSchema = Joi.object({
+  scheduledDate: Joi.date().required(),
+  type: Joi.string().valid('routine', 'emergency', 'seasonal', 'repair', 'inspection', 'custom').default('repair'),
+  technicianId: Joi.string(),
+  notes: Joi.string().max(1000),
+  allowConflicts: Joi.boolean().default(false)
+});
+
+const convertReferralSchema = Joi.object({
+  affiliateId: Joi.string().required(),
+  serviceCategory: Joi.string().valid('equipment_repair', 'chemical_service', 'cleaning', 'construction', 'emergency', 'consultation').required(),
+  estimatedValue: Joi.number().min(0),
+  notes: Joi.string().max(1000)
+});
+
+// Requests the user cannot see are reported as missing
+async function findAccessibleRequest(requestId, user) {
+  const request = await ConsultationRequest.findById(requestId);
+  return request && canViewRequest(user, request) ? request : null;
+}
+
+// @route   GET /api/consultations
+// @desc    List consultation requests (customers see their own; consultants and admins see the queue)
+// @access  Private
+router.get('/', authenticateToken, async (req, res, next) => {
+  try {
+    const { error, value } = listRequestsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const isQueueStaff = ['consultant', 'admin'].includes(req.user.role);
+    const query = isQueueStaff ? {} : { $or: [{ customer: req.user._id }, { requestedBy: req.user._id }] };
+
+    if (value.status === 'open') query.status = { $in: OPEN_STATUSES };
+    else if (value.status) query.status = value.status;
+    if (value.priority) query.priority = value.priority;
+    if (value.pool) query.pool = value.pool;
+
+    if (isQueueStaff) {
+      if (value.assignedTo === 'me') query.assignedTo = req.user._id;
+      else if (value.assignedTo === 'none') query.assignedTo = { $exists: false };
+      else if (value.assignedTo) query.assignedTo = value.assignedTo;
+
+      if (value.breached === true) {
+        query.$or = [{ 'sla.responseBreachedAt': { $exists: true } }, { 'sla.resolutionBreachedAt': { $exists: true } }];
+      }
+    }
+
+    const requests = await ConsultationRequest.paginate(query, {
+      page: value.page,
+      limit: value.limit,
+      select: '-messages -history',
+      populate: [
+        { path: 'pool', select: 'name address' },
+        { path: 'assignedTo', select: 'firstName lastName' }
+      ],
+      // Staff work the queue oldest deadline first
+      sort: isQueueStaff ? { 'sla.resolutionDueAt': 1 } : { createdAt: -1 }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...requests,
+        docs: requests.docs.map(request => toRequestResponse(request, req.user))
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/consultations/:requestId
+// @desc    Get a consultation request with its messages, photos and history
+// @access  Private
+router.get('/:requestId', authenticateToken, async (req, res, next) => {
+  try {
+    const request = await findAccessibleRequest(req.params.requestId, req.user);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Consultation request not found' }
+      });
+    }
+
+    await request.populate([
+      { path: 'pool', select: 'name address poolType' },
+      { path: 'customer', select: 'firstName lastName email phone' },
+      { path: 'assignedTo', select: 'firstName lastName' },
+      { path: 'messages.author', select: 'firstName lastName role' }
+    ]);
+
+    res.json({
+      success: true,
+      data: { request: toRequestResponse(request, req.user) }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/consultations/:requestId/triage
+// @desc    Triage a pending request, optionally changing its priority (resets SLA deadlines)
+// @access  Private (consultants, admins)
+router.post('/:requestId/triage', authenticateToken, authorize('consultant', 'admin'), async (req, res, next) => {
+  try {
+    const { error, value } = triageSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const request = await ConsultationRequest.findById(req.params.requestId);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Consultation request not found' }
+      });
+    }
+
+    await triageRequest(request, req.user, value);
+
+    res.json({
+      success: true,
+      data: { request },
+      message: 'Consultation request triaged'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/consultations/:requestId/assign
+// @desc    Assign or reassign a consultant
+// @access  Private (consultants, admins)
+router.post('/:requestId/assign', authenticateToken, authorize('consultant', 'admin'), async (req, res, next) => {
+  try {
+    const { error, value } = assignSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const request = await ConsultationRequest.findById(req.params.requestId);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Consultation request not found' }
+      });
+    }
+
+    await assignRequest(request, req.user, value.consultantId);
+
+    res.json({
+      success: true,
+      data: { request },
+      message: 'Consultation request assigned'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/consultations/:requestId/schedule
+// @desc    Schedule the consultation
+// @access  Private (consultants, admins)
+router.post('/:requestId/schedule', authenticateToken, authorize('consultant', 'admin'), async (req, res, next) => {
+  try {
+    const { error, value } = scheduleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const request = await ConsultationRequest.findById(req.params.requestId);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Consultation request not found' }
+      });
+    }
+
+    await scheduleRequest(request, req.user, value);
+
+    res.json({
+      success: true,
+      data: { request },
+      message: 'Consultation scheduled'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/consultations/:requestId/resolve
+// @desc    Resolve a request with a summary for the customer
+// @access  Private (consultants, admins)
+router.post('/:requestId/resolve', authenticateToken, authorize('consultant', 'admin'), async (req, res, next) => {
+  try {
+    const { error, value } = resolveSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const request = await ConsultationRequest.findById(req.params.requestId);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Consultation request not found' }
+      });
+    }
+
+    await resolveRequest(request, req.user, value);
+
+    res.json({
+      success: true,
+      data: { request },
+      message: 'Consultation request resolved'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/consultations/:requestId/close
+// @desc    Close a request (customers can withdraw their own)
+// @access  Private
+router.post('/:requestId/close', authenticateToken, async (req, res, next) => {
+  try {
+    const { error, value } = closeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const request = await findAccessibleRequest(req.params.requestId, req.user);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Consultation request not found' }
+      });
+    }
+
+    await closeRequest(request, req.user, value);
+
+    res.json({
+      success: true,
+      data: { request: toRequestResponse(request, req.user) },
+      message: 'Consultation request closed'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/consultations/:requestId/messages
+// @desc    Post a message on the request (staff can post internal notes)
+// @access  Private
+router.post('/:requestId/messages', authenticateToken, async (req, res, next) => {
+  try {
+    const { error, value } = messageSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const request = await findAccessibleRequest(req.params.requestId, req.user);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Consultation request not found' }
+      });
+    }
+
+    const message = await addMessage(request, req.user, value);
+
+    res.status(201).json({
+      success: true,
+      data: { message },
+      message: 'Message posted'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/consultations/:requestId/convert/maintenance
+// @desc    Book a maintenance visit for the request and mark it scheduled
+// @access  Private (consultants, admins)
+router.post('/:requestId/convert/maintenance', authenticateToken, authorize('consultant', 'admin'), async (req, res, next) => {
+  try {
+    const { error, value } = convertMaintenanceSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const request = await ConsultationRequest.findById(req.params.requestId);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Consultation request not found' }
+      });
+    }
+
+    const pool = await Pool.findById(request.pool);
+    if (!pool) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Pool not found' }
+      });
+    }
+
+    const result = await convertToMaintenance(request, req.user, { ...value, pool });
+
+    if (result.conflicts) {
+      return res.status(409).json({
+        success: false,
+        error: { message: `Technician is not available: ${result.conflicts.map(conflict => conflict.message).join('; ')}` },
+        data: { conflicts: result.conflicts }
+      });
+    }
+    if (result.candidates) {
+      return res.status(409).json({
+        success: false,
+        error: { message: 'No technician is available for this visit' },
+        data: { candidates: result.candidates }
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        request: result.request,
+        maintenance: result.maintenance,
+        dispatch: result.dispatch,
+        warnings: result.warnings
+      },
+      message: 'Maintenance visit scheduled from consultation request'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/consultations/:requestId/convert/referral
+// @desc    Refer the request to an affiliate partner and resolve it
+// @access  Private (consultants, admins)
+router.post('/:requestId/convert/referral', authenticateToken, authorize('consultant', 'admin'), async (req, res, next) => {
+  try {
+    const { error, value } = convertReferralSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const request = await ConsultationRequest.findById(req.params.requestId);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Consultation request not found' }
+      });
+    }
+
+    const { referral } = await convertToReferral(request, req.user, value);
+
+    res.status(201).json({
+      success: true,
+      data: { request, referral },
+      message: 'Consultation request referred to affiliate'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,27 +1,31 @@
 import express from 'express';
 import Joi from 'joi';
-import OpenAI from 'openai';
 import Pool from '../models/Pool.js';
 import MaintenanceLog from '../models/MaintenanceLog.js';
+import ChemistryAlert from '../models/ChemistryAlert.js';
+import Job from '../models/Job.js';
 import { authenticateToken, authorize, canAccessPool } from '../middleware/auth.js';
+import {
+  chemistryProfiles,
+  getProfileName,
+  resolveTargetRanges
+} from '../services/chemistryProfileService.js';
+import { buildPoolReport } from '../services/poolReportService.js';
+import { enqueueJob } from '../services/jobQueueService.js';
+import { getUsageSummary } from '../services/aiService.js';
+import { analyzePool, buildRuleBasedAnalysis } from '../services/poolAnalysisService.js';
+import { createConsultationRequest, toRequestResponse } from '../services/consultationService.js';
 
 const router = express.Router();
 
-// Initialize OpenAI (if API key is provided)
-let openai = null;
-if (process.env.OPENAI_API_KEY) {
-  openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
-  });
-}
-
 // Validation schemas
 const consultationRequestSchema = Joi.object({
   poolId: Joi.string().required(),
   issues: Joi.array().items(Joi.string()).optional(),
   priority: Joi.string().valid('low', 'medium', 'high', 'urgent').default('medium'),
   description: Joi.string().max(1000).optional(),
-  photos: Joi.array().items(Joi.string()).optional()
+  // Ids of photos already uploaded for the pool; add more with POST /api/photos/consultations/:requestId
+  photos: Joi.array().items(Joi.string().hex().length(24)).max(10).optional()
 });
 
 const aiAnalysisSchema = Joi.object({
@@ -34,7 +38,13 @@ const aiAnalysisSchema = Joi.object({
     temperature: Joi.number()
   }).optional(),
   symptoms: Joi.array().items(Joi.string()).optional(),
-  urgency: Joi.string().valid('low', 'medium', 'high', 'urgent').default('medium')
+  urgency: Joi.string().valid('low', 'medium', 'high', 'urgent').default('medium'),
+  poolId: Joi.string().optional(),
+  profile: Joi.string().valid(...Object.keys(chemistryProfiles)).optional()
+});
+
+const renderReportSchema = Joi.object({
+  days: Joi.number().integer().min(1).max(365).default(30)
 });
 
 // @route   GET /api/consulting/dashboard
@@ -46,9 +56,48 @@ router.get('/dashboard', authenticateToken, authorize('consultant', 'admin'), as
     const startOfWeek = new Date(now.setDate(now.getDate() - now.getDay()));
     const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
 
-    // Get pools that need attention
-    const poolsNeedingAttention = await Pool.find({ isActive: true }).populate('owner', 'firstName lastName email');
-    const urgentPools = poolsNeedingAttention.filter(pool => pool.needsAttention());
+    // Open chemistry alerts, most severe first
+    const openAlerts = await ChemistryAlert.find({ status: { $in: ['open', 'acknowledged'] } })
+      .populate({
+        path: 'pool',
+        select: 'name owner address isActive latestWaterChemistry.testedAt',
+        populate: { path: 'owner', select: 'firstName lastName email' }
+      })
+      .populate('escalation.recipient', 'firstName lastName role')
+      .sort({ createdAt: -1 });
+
+    const severityOrder = { critical: 0, warning: 1, info: 2 };
+    const activeAlerts = openAlerts
+      .filter(alert => alert.pool && alert.pool.isActive)
+      .sort((a, b) => severityOrder[a.severity] - severityOrder[b.severity]);
+
+    // Group alerts by pool
+    const urgentPools = Object.values(activeAlerts.reduce((acc, alert) => {
+      const poolId = alert.pool._id.toString();
+      if (!acc[poolId]) {
+        acc[poolId] = {
+          _id: alert.pool._id,
+          name: alert.pool.name,
+          owner: alert.pool.owner,
+          address: alert.pool.address,
+          lastChemistryTest: alert.pool.latestWaterChemistry?.testedAt,
+          highestSeverity: alert.severity,
+          alerts: []
+        };
+      }
+      acc[poolId].alerts.push({
+        _id: alert._id,
+        rule: alert.rule,
+        type: alert.type,
+        parameter: alert.parameter,
+        severity: alert.severity,
+        status: alert.status,
+        message: alert.message,
+        escalation: alert.escalation,
+        createdAt: alert.createdAt
+      });
+      return acc;
+    }, {}));
 
     // Get recent maintenance logs
     const recentMaintenance = await MaintenanceLog.find({
@@ -79,16 +128,17 @@ router.get('/dashboard', authenticateToken, authorize('consultant', 'admin'), as
       other: 0
     };
 
-    urgentPools.forEach(pool => {
-      const recommendations = pool.getRecommendations();
-      recommendations.forEach(rec => {
-        if (rec.type === 'chemical') issueBreakdown.waterChemistry++;
-        else if (rec.type === 'equipment') issueBreakdown.equipment++;
-        else if (rec.type === 'maintenance') issueBreakdown.maintenance++;
-        else issueBreakdown.other++;
-      });
+    activeAlerts.forEach(alert => {
+      if (alert.type === 'threshold' || alert.type === 'rate_of_change') issueBreakdown.waterChemistry++;
+      else if (alert.type === 'stale_reading') issueBreakdown.maintenance++;
+      else issueBreakdown.other++;
     });
 
+    const alertSummary = activeAlerts.reduce((acc, alert) => {
+      acc[alert.severity] = (acc[alert.severity] || 0) + 1;
+      return acc;
+    }, { critical: 0, warning: 0, info: 0 });
+
     res.json({
       success: true,
       data: {
@@ -98,14 +148,8 @@ router.get('/dashboard', authenticateToken, authorize('consultant', 'admin'), as
           completedMaintenanceThisWeek,
           avgQualityScore: avgQualityScore[0]?.avgScore || 0
         },
-        urgentPools: urgentPools.map(pool => ({
-          _id: pool._id,
-          name: pool.name,
-          owner: pool.owner,
-          recommendations: pool.getRecommendations(),
-          lastChemistryTest: pool.latestWaterChemistry?.testedAt,
-          address: pool.address
-        })),
+        urgentPools,
+        alertSummary,
         recentMaintenance,
         issueBreakdown
       }
@@ -120,6 +164,9 @@ router.get('/dashboard', authenticateToken, authorize('consultant', 'admin'), as
 // @desc    Get AI-powered pool analysis and recommendations
 // @access  Private
 router.post('/ai-analysis', authenticateToken, async (req, res, next) => {
+  // Target ranges come from the pool's profile, an explicit profile, or the default
+  let targetRanges = resolveTargetRanges();
+
   try {
     const { error, value } = aiAnalysisSchema.validate(req.body);
     if (error) {
@@ -129,94 +176,98 @@ router.post('/ai-analysis', authenticateToken, async (req, res, next) => {
       });
     }
 
-    const { waterChemistry, symptoms, urgency } = value;
+    const { waterChemistry, symptoms, urgency, poolId, profile } = value;
+    let profileName = getProfileName(profile ? { chemistryProfile: { name: profile } } : null);
+    let volumeGallons;
+
+    if (poolId) {
+      const pool = await Pool.findById(poolId);
+      if (!pool) {
+        return res.status(404).json({
+          success: false,
+          error: { message: 'Pool not found' }
+        });
+      }
 
-    if (!openai) {
-      // Fallback to rule-based analysis if no OpenAI API key
-      return res.json({
-        success: true,
-        data: {
-          analysis: generateRuleBasedAnalysis(waterChemistry, symptoms),
-          source: 'rule-based'
-        }
-      });
+      if (req.user.role === 'customer' && !pool.owner.equals(req.user._id)) {
+        return res.status(403).json({
+          success: false,
+          error: { message: 'Access denied' }
+        });
+      }
+
+      targetRanges = pool.getTargetRanges();
+      profileName = pool.getChemistryProfileName();
+      volumeGallons = pool.dimensions?.volume;
+    } else if (profile) {
+      targetRanges = resolveTargetRanges({ chemistryProfile: { name: profile } });
     }
 
-    // Prepare context for AI analysis
-    const context = {
+    const analysis = await analyzePool({
       waterChemistry,
-      symptoms: symptoms || [],
+      symptoms,
       urgency,
-      timestamp: new Date().toISOString()
-    };
-
-    const prompt = `
-You are an expert pool maintenance consultant. Analyze the following pool data and provide detailed recommendations:
-
-Water Chemistry:
-${waterChemistry ? JSON.stringify(waterChemistry, null, 2) : 'No recent data available'}
-
-Reported Symptoms/Issues:
-${symptoms && symptoms.length > 0 ? symptoms.join(', ') : 'None reported'}
-
-Urgency Level: ${urgency}
-
-Please provide:
-1. Assessment of water chemistry balance
-2. Immediate actions needed
-3. Long-term maintenance recommendations
-4. Potential causes of any issues
-5. Prevention strategies
-
-Format your response as a structured analysis with clear priorities and actionable steps.
-`;
-
-    const completion = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [
-        {
-          role: "system",
-          content: "You are a professional pool maintenance expert with 20+ years of experience. Provide practical, safe, and effective recommendations."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      max_tokens: 1000,
-      temperature: 0.7
+      targetRanges,
+      profileLabel: chemistryProfiles[profileName].label,
+      volumeGallons,
+      user: req.user
     });
 
-    const aiAnalysis = completion.choices[0].message.content;
-
     res.json({
       success: true,
       data: {
-        analysis: aiAnalysis,
-        context,
-        source: 'openai',
-        model: 'gpt-3.5-turbo'
+        analysis,
+        context: {
+          waterChemistry,
+          symptoms: symptoms || [],
+          urgency,
+          profile: profileName,
+          targetRanges,
+          timestamp: new Date().toISOString()
+        },
+        source: analysis.source
       }
     });
 
   } catch (error) {
     console.error('AI Analysis Error:', error);
     
-    // Fallback to rule-based analysis on AI failure
+    // Fallback to rule-based analysis on failure
     const { waterChemistry, symptoms } = req.body;
+    const analysis = {
+      ...buildRuleBasedAnalysis({ waterChemistry, symptoms, targetRanges }),
+      source: req.app.locals.isDemoMode ? 'rule-based-demo' : 'rule-based-fallback',
+      fallbackReason: req.app.locals.isDemoMode ? 'Demo mode - using rule-based analysis' : 'AI service temporarily unavailable'
+    };
     res.json({
       success: true,
       data: {
-        analysis: generateRuleBasedAnalysis(waterChemistry, symptoms),
-        source: req.app.locals.isDemoMode ? 'rule-based-demo' : 'rule-based-fallback',
-        error: req.app.locals.isDemoMode ? 'Demo mode - using rule-based analysis' : 'AI service temporarily unavailable'
+        analysis,
+        source: analysis.source
       }
     });
   }
 });
 
+// @route   GET /api/consulting/ai-usage
+// @desc    AI token usage over the last 24 hours and the remaining daily quota
+// @access  Private
+router.get('/ai-usage', authenticateToken, async (req, res, next) => {
+  try {
+    const usage = await getUsageSummary(req.user);
+
+    res.json({
+      success: true,
+      data: { usage }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   POST /api/consulting/consultation-request
-// @desc    Submit a consultation request
+// @desc    Submit a consultation request (tracked under /api/consultations)
 // @access  Private
 router.post('/consultation-request', authenticateToken, async (req, res, next) => {
   try {
@@ -247,20 +298,14 @@ router.post('/consultation-request', authenticateToken, async (req, res, next) =
       });
     }
 
-    // Create consultation log (could be a separate model in production)
-    const consultationData = {
-      pool: poolId,
-      requestedBy: req.user._id,
-      issues: issues || [],
+    const consultation = await createConsultationRequest({
+      pool,
+      requestedBy: req.user,
+      issues,
       priority,
       description,
-      photos: photos || [],
-      status: 'pending',
-      requestedAt: new Date()
-    };
-
-    // In a real application, you'd save this to a ConsultationRequest model
-    // For now, we'll just return immediate analysis
+      photos
+    });
 
     const analysis = pool.getRecommendations();
     const needsAttention = pool.needsAttention();
@@ -268,7 +313,7 @@ router.post('/consultation-request', authenticateToken, async (req, res, next) =
     res.status(201).json({
       success: true,
       data: {
-        consultation: consultationData,
+        consultation: toRequestResponse(consultation, req.user),
         immediateAnalysis: {
           needsAttention,
           recommendations: analysis,
@@ -294,97 +339,16 @@ router.post('/consultation-request', authenticateToken, async (req, res, next) =
 router.get('/pool-report/:poolId', authenticateToken, canAccessPool, async (req, res, next) => {
   try {
     const { days = 30 } = req.query;
-    
-    const pool = await Pool.findById(req.params.poolId)
-      .populate('owner', 'firstName lastName email phone')
-      .populate('waterChemistry.testedBy', 'firstName lastName');
 
-    if (!pool) {
+    const report = await buildPoolReport(req.params.poolId, { days });
+
+    if (!report) {
       return res.status(404).json({
         success: false,
         error: { message: 'Pool not found' }
       });
     }
 
-    // Get maintenance history
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - parseInt(days));
-
-    const maintenanceHistory = await MaintenanceLog.find({
-      pool: pool._id,
-      createdAt: { $gte: cutoffDate }
-    })
-    .populate('technician', 'firstName lastName')
-    .sort({ scheduledDate: -1 });
-
-    // Calculate statistics
-    const stats = {
-      totalMaintenance: maintenanceHistory.length,
-      completedMaintenance: maintenanceHistory.filter(m => m.status === 'completed').length,
-      avgQualityScore: maintenanceHistory.length > 0 
-        ? maintenanceHistory.reduce((sum, m) => sum + (m.calculateQualityScore() || 0), 0) / maintenanceHistory.length
-        : 0,
-      issuesFound: maintenanceHistory.reduce((sum, m) => sum + m.issues.length, 0),
-      chemicalReadings: pool.waterChemistry.filter(c => c.testedAt >= cutoffDate).length
-    };
-
-    // Get water chemistry trends
-    const recentChemistry = pool.waterChemistry
-      .filter(c => c.testedAt >= cutoffDate)
-      .sort((a, b) => new Date(b.testedAt) - new Date(a.testedAt))
-      .slice(0, 10);
-
-    // Generate recommendations
-    const recommendations = pool.getRecommendations();
-    const needsAttention = pool.needsAttention();
-
-    // Equipment status summary
-    const equipmentSummary = pool.equipment.reduce((acc, eq) => {
-      acc[eq.status] = (acc[eq.status] || 0) + 1;
-      return acc;
-    }, {});
-
-    const report = {
-      pool: {
-        _id: pool._id,
-        name: pool.name,
-        type: pool.poolType,
-        owner: pool.owner,
-        address: pool.address,
-        dimensions: pool.dimensions
-      },
-      period: {
-        days: parseInt(days),
-        startDate: cutoffDate,
-        endDate: new Date()
-      },
-      statistics: stats,
-      currentStatus: {
-        needsAttention,
-        recommendations,
-        latestChemistry: pool.latestWaterChemistry,
-        equipmentSummary
-      },
-      history: {
-        maintenance: maintenanceHistory.map(m => ({
-          date: m.scheduledDate,
-          type: m.type,
-          status: m.status,
-          technician: m.technician,
-          qualityScore: m.calculateQualityScore(),
-          issuesFound: m.issues.length,
-          summary: m.generateSummary()
-        })),
-        waterChemistry: recentChemistry
-      },
-      trends: {
-        // Calculate trends for pH, chlorine, etc.
-        phTrend: calculateTrend(recentChemistry, 'pH'),
-        chlorineTrend: calculateTrend(recentChemistry, 'chlorine'),
-        alkalinityTrend: calculateTrend(recentChemistry, 'alkalinity')
-      }
-    };
-
     res.json({
       success: true,
       data: { report }
@@ -395,102 +359,68 @@ router.get('/pool-report/:poolId', authenticateToken, canAccessPool, async (req,
   }
 });
 
-// Helper function for rule-based analysis
-function generateRuleBasedAnalysis(waterChemistry, symptoms = []) {
-  let analysis = "Pool Analysis (Rule-Based System)\n\n";
-  const issues = [];
-  const recommendations = [];
-
-  if (waterChemistry) {
-    // pH Analysis
-    if (waterChemistry.pH < 7.2) {
-      issues.push("pH is too low (acidic)");
-      recommendations.push("Add sodium carbonate (soda ash) to raise pH to 7.2-7.6 range");
-    } else if (waterChemistry.pH > 7.6) {
-      issues.push("pH is too high (basic)");
-      recommendations.push("Add muriatic acid or sodium bisulfate to lower pH to 7.2-7.6 range");
-    } else {
-      analysis += "✓ pH level is within optimal range (7.2-7.6)\n";
+// @route   POST /api/consulting/pool-report/:poolId/render
+// @desc    Queue a PDF rendering of the pool report
+// @access  Private
+router.post('/pool-report/:poolId/render', authenticateToken, canAccessPool, async (req, res, next) => {
+  try {
+    const { error, value } = renderReportSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
     }
 
-    // Chlorine Analysis
-    if (waterChemistry.chlorine < 1.0) {
-      issues.push("Free chlorine is too low");
-      recommendations.push("URGENT: Add chlorine shock or liquid chlorine to reach 1.0-3.0 ppm");
-    } else if (waterChemistry.chlorine > 3.0) {
-      issues.push("Free chlorine is too high");
-      recommendations.push("Allow chlorine to naturally decrease before swimming, or add neutralizer");
-    } else {
-      analysis += "✓ Free chlorine level is adequate (1.0-3.0 ppm)\n";
+    if (!(await Pool.exists({ _id: req.params.poolId }))) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Pool not found' }
+      });
     }
 
-    // Alkalinity Analysis
-    if (waterChemistry.alkalinity < 80) {
-      issues.push("Total alkalinity is low");
-      recommendations.push("Add sodium bicarbonate to increase alkalinity to 80-120 ppm");
-    } else if (waterChemistry.alkalinity > 120) {
-      issues.push("Total alkalinity is high");
-      recommendations.push("Add muriatic acid carefully to decrease alkalinity");
-    } else {
-      analysis += "✓ Total alkalinity is within range (80-120 ppm)\n";
-    }
-  }
+    const job = await enqueueJob('report.render', {
+      poolId: req.params.poolId,
+      days: value.days
+    }, { createdBy: req.user._id });
 
-  // Symptoms analysis
-  if (symptoms.length > 0) {
-    analysis += "\nReported Issues:\n";
-    symptoms.forEach(symptom => {
-      analysis += `- ${symptom}\n`;
-      
-      if (symptom.toLowerCase().includes('algae')) {
-        recommendations.push("Shock treatment with chlorine, brush walls, and run filtration 24/7 until clear");
-      }
-      if (symptom.toLowerCase().includes('cloudy')) {
-        recommendations.push("Check and clean filter, test water chemistry, consider clarifier treatment");
-      }
-      if (symptom.toLowerCase().includes('smell')) {
-        recommendations.push("Test chlorine levels, shock if needed, check pH balance");
-      }
+    res.status(202).json({
+      success: true,
+      data: { job: { _id: job._id, status: job.status } },
+      message: 'Report rendering queued. Check /api/jobs/:jobId for progress.'
     });
-  }
 
-  if (issues.length > 0) {
-    analysis += "\n⚠️ Issues Found:\n";
-    issues.forEach(issue => analysis += `- ${issue}\n`);
+  } catch (error) {
+    next(error);
   }
+});
 
-  if (recommendations.length > 0) {
-    analysis += "\n🔧 Recommended Actions:\n";
-    recommendations.forEach((rec, index) => analysis += `${index + 1}. ${rec}\n`);
-  }
+// @route   GET /api/consulting/reports/:jobId/download
+// @desc    Download a rendered pool report
+// @access  Private
+router.get('/reports/:jobId/download', authenticateToken, async (req, res, next) => {
+  try {
+    const job = await Job.findOne({ _id: req.params.jobId, name: 'report.render' });
 
-  analysis += "\n💡 General Maintenance Tips:\n";
-  analysis += "- Test water chemistry 2-3 times per week\n";
-  analysis += "- Clean skimmer and pump baskets weekly\n";
-  analysis += "- Brush walls and vacuum weekly\n";
-  analysis += "- Maintain proper water level\n";
-  analysis += "- Run filtration system 8-12 hours daily\n";
-
-  return analysis;
-}
-
-// Helper function to calculate trends
-function calculateTrend(readings, parameter) {
-  if (readings.length < 2) return 'insufficient_data';
-  
-  const values = readings.map(r => r[parameter]).filter(v => v !== undefined);
-  if (values.length < 2) return 'insufficient_data';
-  
-  const recent = values.slice(0, Math.ceil(values.length / 2));
-  const older = values.slice(Math.ceil(values.length / 2));
-  
-  const recentAvg = recent.reduce((a, b) => a + b, 0) / recent.length;
-  const olderAvg = older.reduce((a, b) => a + b, 0) / older.length;
-  
-  const percentChange = ((recentAvg - olderAvg) / olderAvg) * 100;
-  
-  if (Math.abs(percentChange) < 5) return 'stable';
-  return percentChange > 0 ? 'increasing' : 'decreasing';
-}
+    if (!job || (req.user.role !== 'admin' && !job.createdBy?.equals(req.user._id))) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Report not found' }
+      });
+    }
+
+    if (job.status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Report is not ready (${job.status})` }
+      });
+    }
+
+    res.download(job.result.filePath, job.result.fileName);
+
+  } catch (error) {
+    next(error);
+  }
+});
 
 export default router;
\ No newline at end of file
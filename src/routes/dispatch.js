@@ -0,0 +1,187 @@
+import express from 'express';
+import Joi from 'joi';
+import MaintenanceLog from '../models/MaintenanceLog.js';
+import { authenticateToken, authorize } from '../middleware/auth.js';
+import { rankTechnicians, autoAssign, manualAssign } from '../services/dispatchService.js';
+
+const router = express.Router();
+
+// Validation schemas
+const autoAssignSchema = Joi.object({
+  excludeCurrent: Joi.boolean().default(false),
+  reason: Joi.string().max(500)
+});
+
+const manualAssignSchema = Joi.object({
+  technicianId: Joi.string().required(),
+  reason: Joi.string().max(500).required(),
+  // Hand over a visit the current technician has already started
+  reassignInProgress: Joi.boolean().default(false)
+});
+
+// Load a visit that can still change hands. Visits already under way only
+// move when the dispatcher asks for it explicitly.
+async function findOpenVisit(maintenanceId, res, { allowInProgress = false } = {}) {
+  const maintenance = await MaintenanceLog.findById(maintenanceId);
+
+  if (!maintenance) {
+    res.status(404).json({
+      success: false,
+      error: { message: 'Maintenance log not found' }
+    });
+    return null;
+  }
+
+  if (maintenance.status === 'in_progress' && !allowInProgress) {
+    res.status(400).json({
+      success: false,
+      error: { message: 'Maintenance is already in progress; set reassignInProgress to hand it to another technician' }
+    });
+    return null;
+  }
+
+  if (!['scheduled', 'in_progress'].includes(maintenance.status)) {
+    res.status(400).json({
+      success: false,
+      error: { message: `Cannot dispatch ${maintenance.status} maintenance` }
+    });
+    return null;
+  }
+
+  return maintenance;
+}
+
+// @route   GET /api/dispatch/maintenance/:maintenanceId/candidates
+// @desc    Rank technicians for a visit
+// @access  Private (consultants, admins)
+router.get('/maintenance/:maintenanceId/candidates', authenticateToken, authorize('consultant', 'admin'), async (req, res, next) => {
+  try {
+    const maintenance = await MaintenanceLog.findById(req.params.maintenanceId);
+    if (!maintenance) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Maintenance log not found' }
+      });
+    }
+
+    const candidates = await rankTechnicians(maintenance);
+
+    res.json({
+      success: true,
+      data: { candidates }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/dispatch/maintenance/:maintenanceId/auto
+// @desc    Assign a visit to the best available technician
+// @access  Private (consultants, admins)
+router.post('/maintenance/:maintenanceId/auto', authenticateToken, authorize('consultant', 'admin'), async (req, res, next) => {
+  try {
+    const { error, value } = autoAssignSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const maintenance = await findOpenVisit(req.params.maintenanceId, res);
+    if (!maintenance) return;
+
+    const dispatch = await autoAssign(maintenance, {
+      assignedBy: req.user._id,
+      exclude: value.excludeCurrent ? [maintenance.technician] : [],
+      reason: value.reason
+    });
+
+    if (!dispatch.assigned) {
+      return res.status(409).json({
+        success: false,
+        error: { message: 'No technician is available for this visit' },
+        data: { candidates: dispatch.candidates }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { maintenance, dispatch },
+      message: `Assigned to ${dispatch.technician.firstName} ${dispatch.technician.lastName}`
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/dispatch/maintenance/:maintenanceId/assign
+// @desc    Assign or reassign a visit to a specific technician
+// @access  Private (consultants, admins)
+router.post('/maintenance/:maintenanceId/assign', authenticateToken, authorize('consultant', 'admin'), async (req, res, next) => {
+  try {
+    const { error, value } = manualAssignSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const maintenance = await findOpenVisit(req.params.maintenanceId, res, { allowInProgress: value.reassignInProgress });
+    if (!maintenance) return;
+
+    const dispatch = await manualAssign(maintenance, value.technicianId, {
+      assignedBy: req.user._id,
+      reason: value.reason
+    });
+
+    res.json({
+      success: true,
+      data: { maintenance, dispatch },
+      message: dispatch.warnings.length > 0
+        ? `Assigned with warnings: ${dispatch.warnings.join('; ')}`
+        : 'Technician assigned successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/dispatch/maintenance/:maintenanceId/history
+// @desc    Get the assignment audit trail for a visit
+// @access  Private (assigned technician, consultants, admins)
+router.get('/maintenance/:maintenanceId/history', authenticateToken, authorize('technician', 'consultant', 'admin'), async (req, res, next) => {
+  try {
+    const maintenance = await MaintenanceLog.findById(req.params.maintenanceId)
+      .select('technician assignmentHistory')
+      .populate('assignmentHistory.technician assignmentHistory.previousTechnician assignmentHistory.assignedBy', 'firstName lastName role');
+
+    if (!maintenance) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Maintenance log not found' }
+      });
+    }
+
+    if (req.user.role === 'technician' && !maintenance.technician.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: 'Access denied' }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { history: maintenance.assignmentHistory }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
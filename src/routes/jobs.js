@@ -0,0 +1,176 @@
+import express from 'express';
+import Joi from 'joi';
+import Job, { JOB_STATUSES } from '../models/Job.js';
+import { authenticateToken, authorize } from '../middleware/auth.js';
+import { getJobStats, retryJob, cancelJob } from '../services/jobQueueService.js';
+
+const router = express.Router();
+
+// Validation schemas
+const listJobsSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid(...JOB_STATUSES),
+  name: Joi.string()
+});
+
+// @route   GET /api/jobs
+// @desc    List background jobs
+// @access  Private (Admin only)
+router.get('/', authenticateToken, authorize('admin'), async (req, res, next) => {
+  try {
+    const { error, value } = listJobsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const { page, limit, status, name } = value;
+    const query = {};
+    if (status) query.status = status;
+    if (name) query.name = name;
+
+    const jobs = await Job.paginate(query, {
+      page,
+      limit,
+      select: '-errorHistory',
+      populate: { path: 'createdBy', select: 'firstName lastName email' },
+      sort: { createdAt: -1 }
+    });
+
+    res.json({
+      success: true,
+      data: jobs
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/jobs/stats
+// @desc    Job counts by type and status
+// @access  Private (Admin only)
+router.get('/stats', authenticateToken, authorize('admin'), async (req, res, next) => {
+  try {
+    const stats = await getJobStats();
+
+    res.json({
+      success: true,
+      data: { stats }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/jobs/:jobId
+// @desc    Get job status and progress
+// @access  Private (job creator or admin)
+router.get('/:jobId', authenticateToken, async (req, res, next) => {
+  try {
+    const job = await Job.findById(req.params.jobId);
+
+    if (!job || (req.user.role !== 'admin' && !job.createdBy?.equals(req.user._id))) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Job not found' }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        job: {
+          _id: job._id,
+          name: job.name,
+          status: job.status,
+          progress: job.progress,
+          attempts: job.attempts,
+          maxAttempts: job.maxAttempts,
+          lastError: job.lastError,
+          result: job.result,
+          createdAt: job.createdAt,
+          startedAt: job.startedAt,
+          completedAt: job.completedAt,
+          failedAt: job.failedAt,
+          ...(req.user.role === 'admin' && { payload: job.payload, errorHistory: job.errorHistory })
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/jobs/:jobId/retry
+// @desc    Re-queue a failed or cancelled job
+// @access  Private (Admin only)
+router.post('/:jobId/retry', authenticateToken, authorize('admin'), async (req, res, next) => {
+  try {
+    const job = await Job.findById(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Job not found' }
+      });
+    }
+
+    const retried = await retryJob(job._id);
+    if (!retried) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Only failed or cancelled jobs can be retried (job is ${job.status})` }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { job: retried },
+      message: 'Job re-queued'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/jobs/:jobId/cancel
+// @desc    Cancel a queued job
+// @access  Private (Admin only)
+router.post('/:jobId/cancel', authenticateToken, authorize('admin'), async (req, res, next) => {
+  try {
+    const job = await Job.findById(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Job not found' }
+      });
+    }
+
+    const cancelled = await cancelJob(job._id);
+    if (!cancelled) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Only queued jobs can be cancelled (job is ${job.status})` }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { job: cancelled },
+      message: 'Job cancelled'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,270 @@
+import express from 'express';
+import Joi from 'joi';
+import KnowledgeArticle, { ARTICLE_CATEGORIES, ARTICLE_STATUSES } from '../models/KnowledgeArticle.js';
+import { authenticateToken, authorize } from '../middleware/auth.js';
+import { invalidateKnowledgeCache } from '../services/aiManagerService.js';
+import { createSearchIndex, bestSnippet } from '../services/retrievalService.js';
+
+const router = express.Router();
+
+const STAFF_ROLES = ['consultant', 'admin'];
+
+// Validation schemas
+const articleSchema = Joi.object({
+  title: Joi.string().max(200).required(),
+  summary: Joi.string().max(500),
+  body: Joi.string().max(20000).required(),
+  category: Joi.string().valid(...ARTICLE_CATEGORIES).default('general'),
+  tags: Joi.array().items(Joi.string().max(50)).max(20).default([]),
+  status: Joi.string().valid(...ARTICLE_STATUSES).default('draft')
+});
+
+const updateArticleSchema = Joi.object({
+  title: Joi.string().max(200),
+  summary: Joi.string().max(500).allow(''),
+  body: Joi.string().max(20000),
+  category: Joi.string().valid(...ARTICLE_CATEGORIES),
+  tags: Joi.array().items(Joi.string().max(50)).max(20),
+  status: Joi.string().valid(...ARTICLE_STATUSES)
+}).min(1);
+
+const listArticlesSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  category: Joi.string().valid(...ARTICLE_CATEGORIES),
+  tag: Joi.string(),
+  status: Joi.string().valid(...ARTICLE_STATUSES)
+});
+
+const searchSchema = Joi.object({
+  q: Joi.string().max(500).required(),
+  limit: Joi.number().integer().min(1).max(20).default(5)
+});
+
+function slugify(title) {
+  return title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 80) || 'article';
+}
+
+async function uniqueSlug(title, excludeId) {
+  const base = slugify(title);
+  let slug = base;
+  for (let suffix = 2; await KnowledgeArticle.exists({ slug, _id: { $ne: excludeId } }); suffix++) {
+    slug = `${base}-${suffix}`;
+  }
+  return slug;
+}
+
+// Customers and technicians only see published articles
+function visibleStatusFilter(user, status) {
+  if (STAFF_ROLES.includes(user.role)) return status ? { status } : {};
+  return { status: 'published' };
+}
+
+// @route   GET /api/knowledge
+// @desc    List knowledge base articles
+// @access  Private (drafts and archived articles for consultants and admins)
+router.get('/', authenticateToken, async (req, res, next) => {
+  try {
+    const { error, value } = listArticlesSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const query = visibleStatusFilter(req.user, value.status);
+    if (value.category) query.category = value.category;
+    if (value.tag) query.tags = value.tag;
+
+    const articles = await KnowledgeArticle.paginate(query, {
+      page: value.page,
+      limit: value.limit,
+      sort: { title: 1 },
+      select: '-body'
+    });
+
+    res.json({
+      success: true,
+      data: articles
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/knowledge/search
+// @desc    Search published articles the way the AI manager retrieves them
+// @access  Private
+router.get('/search', authenticateToken, async (req, res, next) => {
+  try {
+    const { error, value } = searchSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const articles = await KnowledgeArticle.find({ status: 'published' })
+      .select('title summary body category tags')
+      .lean();
+
+    const index = createSearchIndex(articles.map(article => ({
+      article,
+      title: article.title,
+      text: [article.summary, article.body, (article.tags || []).join(' ')].join('\n')
+    })));
+
+    const results = index.search(value.q, { limit: value.limit }).map(({ document, score }) => ({
+      _id: document.article._id,
+      title: document.article.title,
+      category: document.article.category,
+      summary: document.article.summary,
+      snippet: bestSnippet(document.article.body, value.q),
+      score
+    }));
+
+    res.json({
+      success: true,
+      data: { results }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/knowledge/:articleId
+// @desc    Get a knowledge base article
+// @access  Private
+router.get('/:articleId', authenticateToken, async (req, res, next) => {
+  try {
+    const article = await KnowledgeArticle.findOne({
+      _id: req.params.articleId,
+      ...visibleStatusFilter(req.user)
+    }).populate('author', 'firstName lastName');
+
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Article not found' }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { article }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/knowledge
+// @desc    Create a knowledge base article
+// @access  Private (consultants, admins)
+router.post('/', authenticateToken, authorize('consultant', 'admin'), async (req, res, next) => {
+  try {
+    const { error, value } = articleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const article = await KnowledgeArticle.create({
+      ...value,
+      slug: await uniqueSlug(value.title),
+      author: req.user._id,
+      updatedBy: req.user._id,
+      publishedAt: value.status === 'published' ? new Date() : undefined
+    });
+    invalidateKnowledgeCache();
+
+    res.status(201).json({
+      success: true,
+      data: { article },
+      message: 'Article created successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/knowledge/:articleId
+// @desc    Update, publish or archive a knowledge base article
+// @access  Private (consultants, admins)
+router.put('/:articleId', authenticateToken, authorize('consultant', 'admin'), async (req, res, next) => {
+  try {
+    const { error, value } = updateArticleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const article = await KnowledgeArticle.findById(req.params.articleId);
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Article not found' }
+      });
+    }
+
+    if (value.title && value.title !== article.title) {
+      article.slug = await uniqueSlug(value.title, article._id);
+    }
+    if (value.status === 'published' && article.status !== 'published') {
+      article.publishedAt = new Date();
+    }
+    Object.assign(article, value, { updatedBy: req.user._id });
+    await article.save();
+    invalidateKnowledgeCache();
+
+    res.json({
+      success: true,
+      data: { article },
+      message: 'Article updated successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/knowledge/:articleId
+// @desc    Archive a knowledge base article so the AI manager stops citing it
+// @access  Private (consultants, admins)
+router.delete('/:articleId', authenticateToken, authorize('consultant', 'admin'), async (req, res, next) => {
+  try {
+    const article = await KnowledgeArticle.findByIdAndUpdate(
+      req.params.articleId,
+      { $set: { status: 'archived', updatedBy: req.user._id } },
+      { new: true }
+    );
+
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Article not found' }
+      });
+    }
+    invalidateKnowledgeCache();
+
+    res.json({
+      success: true,
+      message: 'Article archived successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -2,6 +2,7 @@ import express from 'express';
 import Joi from 'joi';
 import { authenticateToken, authorize } from '../middleware/auth.js';
 import { LegalDocument, ClientAgreement, IndemnityClause, defaultTemplates } from '../models/LegalDocument.js';
+import { notifyUser } from '../services/notificationService.js';
 
 const router = express.Router();
 
@@ -97,8 +98,7 @@ router.post('/generate', authenticateToken, authorize(['admin', 'consultant']),
 
     // TODO: Integrate with DocuSign if autoSend is true
     if (autoSend) {
-      // Placeholder for DocuSign integration
-      console.log('Would send to DocuSign:', clientAgreement._id);
+      await notifyUser(clientId, 'agreement_sent', { agreement: clientAgreement }, { data: { agreement: clientAgreement._id } });
     }
 
     res.status(201).json({
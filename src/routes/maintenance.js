@@ -3,9 +3,22 @@ import Joi from 'joi';
 import MaintenanceLog from '../models/MaintenanceLog.js';
 import Pool from '../models/Pool.js';
 import { authenticateToken, authorize, canAccessPool } from '../middleware/auth.js';
+import { loadProductCatalog, getProduct, getRecommendedDose, toChemicalsUsed } from '../services/dosingService.js';
+import { recordReading } from '../services/waterChemistryService.js';
+import { syncScheduleDates, regenerateVisits } from '../services/maintenanceScheduleService.js';
+import { planTechnicianRoute } from '../services/routePlanningService.js';
+import { checkVisitAvailability } from '../services/availabilityService.js';
+import { getChecklistStatus } from '../services/checklistService.js';
+import { EDITABLE_AFTER_SIGNING, signVisit, openSignatureImage, getProofOfService, isSigned } from '../services/signatureService.js';
+import { ensureWorkOrderNumber } from '../services/billingService.js';
+import { scheduleVisit } from '../services/maintenanceService.js';
+import { toCalendarDay } from '../services/timeZoneService.js';
 
 const router = express.Router();
 
+// What an invoice is built from (see billingService)
+const BILLED_FIELDS = ['chemicalsUsed', 'partsUsed', 'timeSpent', 'actualStartTime', 'actualEndTime'];
+
 // Validation schemas
 const createMaintenanceSchema = Joi.object({
   pool: Joi.string().required(),
@@ -19,11 +32,16 @@ const createMaintenanceSchema = Joi.object({
     estimatedDuration: Joi.number().positive()
   })).default([]),
   notes: Joi.string().max(1000),
-  isEmergency: Joi.boolean().default(false)
+  isEmergency: Joi.boolean().default(false),
+  requiredSkills: Joi.array().items(Joi.string().max(100)).max(10),
+  // Save despite availability conflicts (returned as warnings)
+  allowConflicts: Joi.boolean().default(false)
 });
 
 const updateMaintenanceSchema = Joi.object({
   status: Joi.string().valid('scheduled', 'in_progress', 'completed', 'cancelled', 'no_show'),
+  scheduledDate: Joi.date(),
+  allowConflicts: Joi.boolean().default(false),
   actualStartTime: Joi.date(),
   actualEndTime: Joi.date(),
   tasks: Joi.array().items(Joi.object({
@@ -34,6 +52,9 @@ const updateMaintenanceSchema = Joi.object({
     status: Joi.string().valid('pending', 'in_progress', 'completed', 'skipped', 'failed'),
     actualDuration: Joi.number().positive(),
     notes: Joi.string(),
+    photoBefore: Joi.string(),
+    photoAfter: Joi.string(),
+    skipReason: Joi.string().max(500),
     completedAt: Joi.date()
   })),
   waterChemistryBefore: Joi.object({
@@ -53,12 +74,21 @@ const updateMaintenanceSchema = Joi.object({
     temperature: Joi.number()
   }),
   chemicalsUsed: Joi.array().items(Joi.object({
-    name: Joi.string().required(),
-    amount: Joi.number().positive().required(),
-    unit: Joi.string().required(),
+    product: Joi.string().valid(...loadProductCatalog().map(product => product.id)),
+    // Name, amount and unit are filled from the product catalog and dosing plan when a product is given
+    name: Joi.string().when('product', { is: Joi.exist(), otherwise: Joi.required() }),
+    amount: Joi.number().positive().when('product', { is: Joi.exist(), otherwise: Joi.required() }),
+    unit: Joi.string().when('product', { is: Joi.exist(), otherwise: Joi.required() }),
     cost: Joi.number().positive(),
     notes: Joi.string()
   })),
+  partsUsed: Joi.array().items(Joi.object({
+    name: Joi.string().max(200).required(),
+    partNumber: Joi.string().max(100),
+    quantity: Joi.number().positive().default(1),
+    unitCost: Joi.number().min(0),
+    notes: Joi.string()
+  })),
   issues: Joi.array().items(Joi.object({
     type: Joi.string().valid('equipment', 'water_quality', 'structural', 'safety', 'other').required(),
     severity: Joi.string().valid('minor', 'moderate', 'major', 'critical').required(),
@@ -87,6 +117,22 @@ const updateMaintenanceSchema = Joi.object({
   internalNotes: Joi.string().max(2000)
 });
 
+const signatureSchema = Joi.object({
+  signerName: Joi.string().max(200).required(),
+  // Data URL from the signature pad, e.g. data:image/png;base64,...
+  image: Joi.string().max(750000).required(),
+  latitude: Joi.number().min(-90).max(90),
+  longitude: Joi.number().min(-180).max(180)
+}).and('latitude', 'longitude');
+
+const routeQuerySchema = Joi.object({
+  date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/), // Local day, defaults to today
+  startTime: Joi.string().pattern(/^\d{1,2}:\d{2}$/),
+  startLatitude: Joi.number().min(-90).max(90),
+  startLongitude: Joi.number().min(-180).max(180),
+  returnToStart: Joi.boolean().default(true)
+}).and('startLatitude', 'startLongitude');
+
 // @route   GET /api/maintenance
 // @desc    Get maintenance logs (filtered by user role)
 // @access  Private
@@ -189,7 +235,7 @@ router.get('/', authenticateToken, async (req, res, next) => {
 router.get('/:maintenanceId', authenticateToken, async (req, res, next) => {
   try {
     const maintenance = await MaintenanceLog.findById(req.params.maintenanceId)
-      .populate('pool', 'name address poolType owner')
+      .populate('pool', 'name address poolType owner dimensions')
       .populate('technician', 'firstName lastName phone email profile.avatar');
 
     if (!maintenance) {
@@ -224,6 +270,14 @@ router.get('/:maintenanceId', authenticateToken, async (req, res, next) => {
     maintenanceData.isOverdue = maintenance.isOverdue();
     maintenanceData.summary = maintenance.generateSummary();
     maintenanceData.totalDuration = maintenance.totalDuration;
+    maintenanceData.checklist = getChecklistStatus(maintenance);
+
+    // Calculated doses for the reading taken before service
+    const readingBefore = maintenanceData.waterChemistryBefore;
+    if (readingBefore && readingBefore.pH !== undefined && maintenance.pool.getDosingPlan) {
+      maintenanceData.dosing = maintenance.pool.getDosingPlan(readingBefore);
+      maintenanceData.suggestedChemicals = toChemicalsUsed(maintenanceData.dosing);
+    }
 
     res.json({
       success: true,
@@ -257,18 +311,33 @@ router.post('/', authenticateToken, authorize('technician', 'consultant', 'admin
       });
     }
 
-    // For technicians, assign to themselves; others can specify technician
-    let technicianId = req.user._id;
-    if (req.user.role !== 'technician' && req.body.technicianId) {
-      technicianId = req.body.technicianId;
-    }
+    const { allowConflicts, ...fields } = value;
+    const maintenance = new MaintenanceLog(fields);
 
-    const maintenance = new MaintenanceLog({
-      ...value,
-      technician: technicianId
+    // Technicians schedule themselves; others can pick a technician or let dispatch choose
+    const selfScheduled = req.user.role === 'technician';
+    const { conflicts, candidates, dispatch, warnings } = await scheduleVisit(maintenance, pool, {
+      technicianId: selfScheduled ? req.user._id : req.body.technicianId,
+      selfScheduled,
+      allowConflicts,
+      assignedBy: req.user._id
     });
 
-    await maintenance.save();
+    if (conflicts) {
+      return res.status(409).json({
+        success: false,
+        error: { message: `Technician is not available: ${conflicts.map(conflict => conflict.message).join('; ')}` },
+        data: { conflicts }
+      });
+    }
+    if (candidates) {
+      return res.status(409).json({
+        success: false,
+        error: { message: 'No technician is available for this visit' },
+        data: { candidates }
+      });
+    }
+
     await maintenance.populate([
       { path: 'pool', select: 'name address poolType owner' },
       { path: 'technician', select: 'firstName lastName phone email' }
@@ -276,8 +345,10 @@ router.post('/', authenticateToken, authorize('technician', 'consultant', 'admin
 
     res.status(201).json({
       success: true,
-      data: { maintenance },
-      message: 'Maintenance scheduled successfully'
+      data: { maintenance, dispatch, warnings },
+      message: warnings.length > 0
+        ? 'Maintenance scheduled with availability conflicts'
+        : 'Maintenance scheduled successfully'
     });
 
   } catch (error) {
@@ -329,29 +400,140 @@ router.put('/:maintenanceId', authenticateToken, async (req, res, next) => {
       });
     }
 
-    // If maintenance is being completed, update pool water chemistry
-    if (value.status === 'completed' && value.waterChemistryAfter) {
+    const { allowConflicts, ...updates } = value;
+
+    // The customer signed off on the visit as it was
+    const lockedFields = Object.keys(updates).filter(field => !EDITABLE_AFTER_SIGNING.includes(field));
+    if (isSigned(maintenance) && lockedFields.length > 0) {
+      return res.status(423).json({
+        success: false,
+        error: { message: `Visit has been signed by the customer; ${lockedFields.join(', ')} can no longer be changed` }
+      });
+    }
+
+    // Invoiced visits keep what was billed until the invoice is voided
+    const billedFields = Object.keys(updates).filter(field => BILLED_FIELDS.includes(field));
+    if (maintenance.workOrder && maintenance.workOrder.invoice && billedFields.length > 0) {
+      return res.status(423).json({
+        success: false,
+        error: { message: `Visit has been invoiced; ${billedFields.join(', ')} can no longer be changed` }
+      });
+    }
+
+    // Edited tasks keep their checklist settings; required items cannot be dropped
+    if (updates.tasks) {
+      const existing = new Map(maintenance.tasks.map(task => [task._id.toString(), task.toObject()]));
+      const kept = new Set(updates.tasks.map(task => task._id).filter(Boolean));
+      const dropped = maintenance.tasks.filter(task => task.required && !kept.has(task._id.toString()));
+      if (dropped.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: { message: `Required checklist items cannot be removed: ${dropped.map(task => task.name).join(', ')}` }
+        });
+      }
+
+      updates.tasks = updates.tasks.map(task => existing.has(task._id) ? { ...existing.get(task._id), ...task } : task);
+    }
+
+    // Completion waits for required checklist items to be done, or skipped with a reason
+    if (updates.status === 'completed') {
+      const completed = MaintenanceLog.hydrate(maintenance.toObject());
+      completed.set(updates);
+      const blockers = completed.getCompletionBlockers();
+      if (blockers.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: { message: `Checklist incomplete: ${blockers.map(blocker => `${blocker.name} (${blocker.reason})`).join('; ')}` },
+          data: { blockers }
+        });
+      }
+    }
+
+    // Rescheduled or reopened visits must still fit the technician's availability
+    let warnings = [];
+    const reopened = updates.status === 'scheduled' && maintenance.status !== 'scheduled';
+    if (updates.scheduledDate || reopened) {
+      const { conflicts } = await checkVisitAvailability({
+        _id: maintenance._id,
+        technician: maintenance.technician,
+        scheduledDate: updates.scheduledDate || maintenance.scheduledDate,
+        tasks: maintenance.tasks,
+        type: maintenance.type,
+        isEmergency: maintenance.isEmergency
+      });
+
+      if (conflicts.length > 0 && !allowConflicts) {
+        return res.status(409).json({
+          success: false,
+          error: { message: `Technician is not available: ${conflicts.map(conflict => conflict.message).join('; ')}` },
+          data: { conflicts }
+        });
+      }
+      warnings = conflicts;
+    }
+
+    // Fill catalog products in chemicalsUsed with their names, units and calculated doses
+    if (value.chemicalsUsed && value.chemicalsUsed.some(chemical => chemical.product)) {
       const pool = await Pool.findById(maintenance.pool);
-      if (pool) {
-        pool.waterChemistry.push({
+      const readingBefore = value.waterChemistryBefore || maintenance.toObject().waterChemistryBefore;
+      const dosing = pool && readingBefore ? pool.getDosingPlan(readingBefore) : null;
+
+      for (const chemical of value.chemicalsUsed) {
+        if (!chemical.product) continue;
+
+        const product = getProduct(chemical.product);
+        const dose = getRecommendedDose(dosing, chemical.product);
+
+        if (chemical.amount === undefined && !dose) {
+          return res.status(400).json({
+            success: false,
+            error: { message: `Amount is required for ${product.name} - no calculated dose is available` }
+          });
+        }
+
+        chemical.name = chemical.name || product.name;
+        chemical.recommendedAmount = dose ? dose.amount : undefined;
+        chemical.amount = chemical.amount ?? dose.amount;
+        chemical.unit = chemical.unit || (dose ? dose.unit : undefined);
+        if (chemical.cost === undefined && dose && chemical.amount === dose.amount) {
+          chemical.cost = dose.estimatedCost;
+        }
+      }
+    }
+
+    // If maintenance is being completed, record the closing water chemistry reading
+    if (value.status === 'completed' && value.waterChemistryAfter) {
+      const poolExists = await Pool.exists({ _id: maintenance.pool });
+      if (poolExists) {
+        await recordReading(maintenance.pool, {
           ...value.waterChemistryAfter,
           testedBy: req.user._id,
           testedAt: new Date(),
-          notes: 'Recorded during maintenance'
+          notes: 'Recorded during maintenance',
+          source: 'maintenance',
+          maintenanceLog: maintenance._id
         });
-        await pool.save();
       }
     }
 
     const updatedMaintenance = await MaintenanceLog.findByIdAndUpdate(
       req.params.maintenanceId,
-      { $set: value },
+      { $set: updates },
       { new: true, runValidators: true }
     ).populate([
       { path: 'pool', select: 'name address poolType owner' },
       { path: 'technician', select: 'firstName lastName phone email' }
     ]);
 
+    // Completed, rescheduled and cancelled visits move the pool's last/next dates
+    if (value.status || value.scheduledDate) {
+      await syncScheduleDates(maintenance.pool);
+    }
+
+    if (updatedMaintenance.status === 'completed') {
+      await ensureWorkOrderNumber(updatedMaintenance);
+    }
+
     // Add computed properties
     const maintenanceData = updatedMaintenance.toObject();
     maintenanceData.completionPercentage = updatedMaintenance.completionPercentage;
@@ -360,7 +542,7 @@ router.put('/:maintenanceId', authenticateToken, async (req, res, next) => {
 
     res.json({
       success: true,
-      data: { maintenance: maintenanceData },
+      data: { maintenance: maintenanceData, warnings },
       message: 'Maintenance log updated successfully'
     });
 
@@ -369,6 +551,150 @@ router.put('/:maintenanceId', authenticateToken, async (req, res, next) => {
   }
 });
 
+// @route   POST /api/maintenance/:maintenanceId/signature
+// @desc    Record the customer's signature on a completed visit
+// @access  Private (assigned technician, consultants, admins)
+router.post('/:maintenanceId/signature', authenticateToken, authorize('technician', 'consultant', 'admin'), async (req, res, next) => {
+  try {
+    const { error, value } = signatureSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const maintenance = await MaintenanceLog.findById(req.params.maintenanceId);
+    if (!maintenance) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Maintenance log not found' }
+      });
+    }
+
+    if (req.user.role === 'technician' && !maintenance.technician.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: 'Access denied. You can only collect signatures for your own maintenance logs' }
+      });
+    }
+
+    await signVisit(maintenance, {
+      image: value.image,
+      signerName: value.signerName,
+      capturedBy: req.user._id,
+      location: value.latitude !== undefined ? { latitude: value.latitude, longitude: value.longitude } : undefined,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { proof: await getProofOfService(maintenance) },
+      message: 'Signature recorded successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/maintenance/:maintenanceId/signature
+// @desc    Get the proof of service for a signed visit, with its verification
+// @access  Private
+router.get('/:maintenanceId/signature', authenticateToken, async (req, res, next) => {
+  try {
+    const maintenance = await MaintenanceLog.findById(req.params.maintenanceId);
+    if (!maintenance) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Maintenance log not found' }
+      });
+    }
+
+    if (req.user.role === 'customer' && !(await Pool.exists({ _id: maintenance.pool, owner: req.user._id }))) {
+      return res.status(403).json({
+        success: false,
+        error: { message: 'Access denied' }
+      });
+    }
+
+    if (req.user.role === 'technician' && !maintenance.technician.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: 'Access denied' }
+      });
+    }
+
+    const proof = await getProofOfService(maintenance);
+    if (!proof) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'This visit has not been signed' }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { proof }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/maintenance/:maintenanceId/signature/image
+// @desc    Get the customer's signature image
+// @access  Private
+router.get('/:maintenanceId/signature/image', authenticateToken, async (req, res, next) => {
+  try {
+    const maintenance = await MaintenanceLog.findById(req.params.maintenanceId).select('pool technician signature');
+    if (!maintenance || !isSigned(maintenance)) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Signature not found' }
+      });
+    }
+
+    if (req.user.role === 'customer' && !(await Pool.exists({ _id: maintenance.pool, owner: req.user._id }))) {
+      return res.status(403).json({
+        success: false,
+        error: { message: 'Access denied' }
+      });
+    }
+
+    if (req.user.role === 'technician' && !maintenance.technician.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: 'Access denied' }
+      });
+    }
+
+    const stream = openSignatureImage(maintenance);
+    stream.on('error', (error) => {
+      if (res.headersSent) return res.destroy(error);
+      if (error.code === 'ENOENT') {
+        return res.status(404).json({
+          success: false,
+          error: { message: 'Signature image not found' }
+        });
+      }
+      next(error);
+    });
+
+    res.set({
+      'Content-Type': 'image/png',
+      'Cache-Control': 'private, max-age=3600',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   DELETE /api/maintenance/:maintenanceId
 // @desc    Cancel maintenance
 // @access  Private (technician, consultant, admin)
@@ -401,6 +727,7 @@ router.delete('/:maintenanceId', authenticateToken, async (req, res, next) => {
 
     maintenance.status = 'cancelled';
     await maintenance.save();
+    await syncScheduleDates(maintenance.pool);
 
     res.json({
       success: true,
@@ -439,9 +766,12 @@ router.get('/schedule/:poolId', authenticateToken, canAccessPool, async (req, re
     .populate('technician', 'firstName lastName phone')
     .sort({ scheduledDate: 1 });
 
+    const pool = await Pool.findById(req.params.poolId).select('maintenanceSchedule');
+
     res.json({
       success: true,
       data: {
+        schedule: pool ? pool.maintenanceSchedule : null,
         upcoming: scheduledMaintenance,
         overdue: overdueMaintenance,
         period: {
@@ -456,6 +786,82 @@ router.get('/schedule/:poolId', authenticateToken, canAccessPool, async (req, re
   }
 });
 
+// @route   POST /api/maintenance/schedule/:poolId/generate
+// @desc    Rebuild upcoming visits from the pool's maintenance schedule
+// @access  Private (technician, consultant, admin)
+router.post('/schedule/:poolId/generate', authenticateToken, authorize('technician', 'consultant', 'admin'), canAccessPool, async (req, res, next) => {
+  try {
+    const pool = await Pool.findById(req.params.poolId);
+    if (!pool) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Pool not found' }
+      });
+    }
+
+    const result = await regenerateVisits(pool);
+
+    res.json({
+      success: true,
+      data: result,
+      message: result.skipped
+        ? `Visits not generated (${result.skipped})`
+        : `${result.created} visits scheduled`
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/maintenance/route/:technicianId
+// @desc    Get an optimized stop order for a technician's day
+// @access  Private (technician for own route, consultant, admin)
+router.get('/route/:technicianId', authenticateToken, authorize('technician', 'consultant', 'admin'), async (req, res, next) => {
+  try {
+    if (req.user.role === 'technician' && !req.user._id.equals(req.params.technicianId)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: 'Access denied. You can only view your own route' }
+      });
+    }
+
+    const { error, value } = routeQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    // YYYY-MM-DD is a calendar day in the business time zone, not UTC midnight
+    const date = value.date ? toCalendarDay(value.date) : new Date();
+
+    const route = await planTechnicianRoute(req.params.technicianId, date, {
+      start: value.startLatitude !== undefined
+        ? { latitude: value.startLatitude, longitude: value.startLongitude }
+        : undefined,
+      startTime: value.startTime,
+      returnToStart: value.returnToStart
+    });
+
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Technician not found' }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { route }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   GET /api/maintenance/analytics
 // @desc    Get maintenance analytics
 // @access  Private (consultants, admins)
@@ -0,0 +1,152 @@
+import express from 'express';
+import Joi from 'joi';
+import Notification from '../models/Notification.js';
+import { authenticateToken, authorize } from '../middleware/auth.js';
+import { processOutbox } from '../services/notificationService.js';
+
+const router = express.Router();
+
+// Validation schemas
+const listNotificationsSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  unread: Joi.boolean(),
+  category: Joi.string().valid('account', 'chemical_alert', 'maintenance_reminder', 'ebook', 'agreement', 'general')
+});
+
+// @route   GET /api/notifications
+// @desc    Get in-app notifications for the current user
+// @access  Private
+router.get('/', authenticateToken, async (req, res, next) => {
+  try {
+    const { error, value } = listNotificationsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const { page, limit, unread, category } = value;
+    const query = { recipient: req.user._id, channel: 'in_app' };
+    if (unread) query.readAt = null;
+    if (category) query.category = category;
+
+    const notifications = await Notification.paginate(query, {
+      page,
+      limit,
+      select: 'template category subject body data readAt createdAt',
+      sort: { createdAt: -1 }
+    });
+
+    const unreadCount = await Notification.countDocuments({
+      recipient: req.user._id,
+      channel: 'in_app',
+      readAt: null
+    });
+
+    res.json({
+      success: true,
+      data: { ...notifications, unreadCount }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all in-app notifications as read
+// @access  Private
+router.put('/read-all', authenticateToken, async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, channel: 'in_app', readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      data: { updated: result.modifiedCount },
+      message: 'Notifications marked as read'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/notifications/:notificationId/read
+// @desc    Mark an in-app notification as read
+// @access  Private
+router.put('/:notificationId/read', authenticateToken, async (req, res, next) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.notificationId, recipient: req.user._id, channel: 'in_app' },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Notification not found' }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { notification }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/notifications/outbox
+// @desc    Inspect queued and failed outgoing messages
+// @access  Private (Admin only)
+router.get('/outbox', authenticateToken, authorize('admin'), async (req, res, next) => {
+  try {
+    const { status = 'failed', page = 1, limit = 20 } = req.query;
+
+    const notifications = await Notification.paginate(
+      { channel: { $ne: 'in_app' }, status },
+      {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        populate: { path: 'recipient', select: 'firstName lastName email' },
+        sort: { updatedAt: -1 }
+      }
+    );
+
+    res.json({
+      success: true,
+      data: notifications
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/notifications/outbox/process
+// @desc    Deliver due outbox messages now
+// @access  Private (Admin only)
+router.post('/outbox/process', authenticateToken, authorize('admin'), async (req, res, next) => {
+  try {
+    const processed = await processOutbox();
+
+    res.json({
+      success: true,
+      data: { processed },
+      message: 'Outbox processed'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
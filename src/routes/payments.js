@@ -0,0 +1,125 @@
+import express from 'express';
+import Joi from 'joi';
+import Payment, { PAYMENT_STATUSES } from '../models/Payment.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { savePaymentMethod, retryPastDueSubscription, handlePaymentWebhook } from '../services/paymentService.js';
+
+const router = express.Router();
+
+// Validation schemas
+const paymentMethodSchema = Joi.object({
+  // Token from the payment gateway's client-side library
+  paymentMethod: Joi.string().max(255).required()
+});
+
+const listPaymentsSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid(...PAYMENT_STATUSES)
+});
+
+// @route   GET /api/payments/payment-method
+// @desc    Get the saved payment method
+// @access  Private
+router.get('/payment-method', authenticateToken, async (req, res, next) => {
+  try {
+    const paymentMethod = req.user.subscription && req.user.subscription.paymentMethod;
+
+    res.json({
+      success: true,
+      data: { paymentMethod: paymentMethod && paymentMethod.id ? paymentMethod : null }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/payments/payment-method
+// @desc    Save a card as the default payment method; a past due subscription is charged straight away
+// @access  Private
+router.put('/payment-method', authenticateToken, async (req, res, next) => {
+  try {
+    const { error, value } = paymentMethodSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const paymentMethod = await savePaymentMethod(req.user, value.paymentMethod);
+    const retry = await retryPastDueSubscription(req.user);
+
+    res.json({
+      success: true,
+      data: {
+        paymentMethod,
+        ...(retry && { subscriptionPayment: retry })
+      },
+      message: 'Payment method saved successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/payments
+// @desc    List the user's payments
+// @access  Private
+router.get('/', authenticateToken, async (req, res, next) => {
+  try {
+    const { error, value } = listPaymentsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const query = { user: req.user._id };
+    if (value.status) query.status = value.status;
+
+    const payments = await Payment.paginate(query, {
+      page: value.page,
+      limit: value.limit,
+      select: '-idempotencyKey',
+      sort: { createdAt: -1 }
+    });
+
+    res.json({
+      success: true,
+      data: payments
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/payments/webhooks
+// @desc    Payment gateway events (signed; the raw body is kept for verification)
+// @access  Public
+router.post('/webhooks', async (req, res, next) => {
+  try {
+    if (!Buffer.isBuffer(req.body)) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Webhook body must be JSON' }
+      });
+    }
+
+    const result = await handlePaymentWebhook(req.body, req.headers);
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,366 @@
+import express from 'express';
+import Joi from 'joi';
+import multer from 'multer';
+import Photo, { VARIANTS } from '../models/Photo.js';
+import Pool from '../models/Pool.js';
+import MaintenanceLog from '../models/MaintenanceLog.js';
+import ConsultationRequest from '../models/ConsultationRequest.js';
+import { authenticateToken, authorize, canAccessPool } from '../middleware/auth.js';
+import {
+  ALLOWED_CONTENT_TYPES,
+  MAX_FILE_SIZE,
+  storePhoto,
+  verifyPhotoSignature,
+  getVisibleVariants,
+  canViewPhoto,
+  toPhotoResponse,
+  openPhotoVariant,
+  attachPhoto,
+  deletePhoto
+} from '../services/photoService.js';
+import { canViewRequest } from '../services/consultationService.js';
+
+const router = express.Router();
+
+// Files are kept in memory for processing, one photo per request
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (ALLOWED_CONTENT_TYPES.includes(file.mimetype)) return cb(null, true);
+    const error = new Error(`Unsupported file type: ${file.mimetype}. Allowed: ${ALLOWED_CONTENT_TYPES.join(', ')}`);
+    error.statusCode = 400;
+    cb(error);
+  }
+});
+
+// Validation schemas
+const poolPhotoSchema = Joi.object({
+  caption: Joi.string().max(500)
+});
+
+const maintenancePhotoSchema = Joi.object({
+  target: Joi.string().valid('maintenance', 'task_before', 'task_after', 'issue').default('maintenance'),
+  taskId: Joi.string().when('target', { is: Joi.valid('task_before', 'task_after'), then: Joi.required(), otherwise: Joi.forbidden() }),
+  issueId: Joi.string().when('target', { is: 'issue', then: Joi.required(), otherwise: Joi.forbidden() }),
+  caption: Joi.string().max(500),
+  category: Joi.string().max(100),
+  // Device id for the photo; matches metadata pushed through /api/sync and makes retries safe
+  clientId: Joi.string().max(100)
+});
+
+const consultationPhotoSchema = Joi.object({
+  caption: Joi.string().max(500)
+});
+
+// Photo files load in <img> tags, so a signed link stands in for the bearer token
+function authenticatePhotoRequest(req, res, next) {
+  const { expires, signature } = req.query;
+  if (!signature) return authenticateToken(req, res, next);
+
+  if (!verifyPhotoSignature(req.params.photoId, req.params.variant, expires, signature)) {
+    return res.status(403).json({
+      success: false,
+      error: { message: 'Invalid or expired photo link' }
+    });
+  }
+  next();
+}
+
+// @route   POST /api/photos/pools/:poolId
+// @desc    Upload a photo of a pool
+// @access  Private
+router.post('/pools/:poolId', authenticateToken, canAccessPool, upload.single('photo'), async (req, res, next) => {
+  try {
+    const { error, value } = poolPhotoSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'A photo file is required' }
+      });
+    }
+
+    const pool = await Pool.findById(req.params.poolId).select('_id');
+    if (!pool) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Pool not found' }
+      });
+    }
+
+    const photo = await storePhoto(req.file, {
+      pool: pool._id,
+      target: 'pool',
+      uploadedBy: req.user._id,
+      caption: value.caption
+    });
+    await attachPhoto(photo);
+
+    res.status(201).json({
+      success: true,
+      data: { photo: toPhotoResponse(photo, req.user) },
+      message: 'Photo uploaded successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/photos/maintenance/:maintenanceId
+// @desc    Upload a visit photo, a task's before/after photo or an issue photo
+// @access  Private (assigned technician, consultants, admins)
+router.post('/maintenance/:maintenanceId', authenticateToken, authorize('technician', 'consultant', 'admin'), upload.single('photo'), async (req, res, next) => {
+  try {
+    const { error, value } = maintenancePhotoSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'A photo file is required' }
+      });
+    }
+
+    const maintenance = await MaintenanceLog.findById(req.params.maintenanceId).select('pool technician tasks._id issues._id photos');
+    if (!maintenance) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Maintenance log not found' }
+      });
+    }
+
+    if (req.user.role === 'technician' && !maintenance.technician.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: 'Access denied. You can only add photos to your own maintenance logs' }
+      });
+    }
+
+    if (value.taskId && !maintenance.tasks.id(value.taskId)) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Task not found' }
+      });
+    }
+
+    if (value.issueId && !maintenance.issues.id(value.issueId)) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Issue not found' }
+      });
+    }
+
+    // Retried upload of a photo that is already stored
+    const existing = value.clientId && maintenance.photos.find(entry => entry.clientId === value.clientId && entry.photo);
+    if (existing) {
+      const photo = await Photo.findById(existing.photo);
+      if (photo) {
+        return res.json({
+          success: true,
+          data: { photo: toPhotoResponse(photo, req.user) },
+          message: 'Photo already uploaded'
+        });
+      }
+    }
+
+    const photo = await storePhoto(req.file, {
+      pool: maintenance.pool,
+      maintenanceLog: maintenance._id,
+      target: value.target,
+      task: value.taskId,
+      issue: value.issueId,
+      uploadedBy: req.user._id,
+      caption: value.caption,
+      category: value.category
+    });
+    await attachPhoto(photo, { clientId: value.clientId });
+
+    res.status(201).json({
+      success: true,
+      data: { photo: toPhotoResponse(photo, req.user) },
+      message: 'Photo uploaded successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/photos/consultations/:requestId
+// @desc    Upload a photo to a consultation request
+// @access  Private (the requesting customer, consultants, admins)
+router.post('/consultations/:requestId', authenticateToken, upload.single('photo'), async (req, res, next) => {
+  try {
+    const { error, value } = consultationPhotoSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'A photo file is required' }
+      });
+    }
+
+    const request = await ConsultationRequest.findById(req.params.requestId).select('pool customer requestedBy status');
+    if (!request || !canViewRequest(req.user, request)) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Consultation request not found' }
+      });
+    }
+
+    if (request.status === 'closed') {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Consultation request is closed' }
+      });
+    }
+
+    const photo = await storePhoto(req.file, {
+      pool: request.pool,
+      consultationRequest: request._id,
+      target: 'consultation',
+      uploadedBy: req.user._id,
+      caption: value.caption
+    });
+    await attachPhoto(photo);
+
+    res.status(201).json({
+      success: true,
+      data: { photo: toPhotoResponse(photo, req.user) },
+      message: 'Photo uploaded successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/photos/:photoId
+// @desc    Get photo details with signed links to its files
+// @access  Private
+router.get('/:photoId', authenticateToken, async (req, res, next) => {
+  try {
+    const photo = await Photo.findById(req.params.photoId);
+    if (!photo || !(await canViewPhoto(req.user, photo))) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Photo not found' }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { photo: toPhotoResponse(photo, req.user) }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/photos/:photoId/:variant
+// @desc    Get a photo file (original, web or thumbnail)
+// @access  Private, or public with a signed link
+router.get('/:photoId/:variant', authenticatePhotoRequest, async (req, res, next) => {
+  try {
+    const { variant } = req.params;
+    const photo = await Photo.findById(req.params.photoId);
+    if (!photo || !VARIANTS.includes(variant) || !photo.variants[variant]) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Photo not found' }
+      });
+    }
+
+    // Signed links are only issued for what the user may see
+    if (req.user) {
+      if (!(await canViewPhoto(req.user, photo))) {
+        return res.status(404).json({
+          success: false,
+          error: { message: 'Photo not found' }
+        });
+      }
+      if (!getVisibleVariants(req.user).includes(variant)) {
+        return res.status(403).json({
+          success: false,
+          error: { message: 'Access denied' }
+        });
+      }
+    }
+
+    const stream = openPhotoVariant(photo, variant);
+    stream.on('error', (error) => {
+      if (res.headersSent) return res.destroy(error);
+      if (error.code === 'ENOENT') {
+        return res.status(404).json({
+          success: false,
+          error: { message: 'Photo file not found' }
+        });
+      }
+      next(error);
+    });
+
+    res.set({
+      'Content-Type': photo.variants[variant].contentType,
+      'Cache-Control': 'private, max-age=3600',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/photos/:photoId
+// @desc    Delete a photo and its files
+// @access  Private (uploader, consultants, admins)
+router.delete('/:photoId', authenticateToken, async (req, res, next) => {
+  try {
+    const photo = await Photo.findById(req.params.photoId);
+    if (!photo || !(await canViewPhoto(req.user, photo))) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Photo not found' }
+      });
+    }
+
+    if (!['consultant', 'admin'].includes(req.user.role) && !photo.uploadedBy.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: 'Access denied. You can only delete photos you uploaded' }
+      });
+    }
+
+    await deletePhoto(photo);
+
+    res.json({
+      success: true,
+      message: 'Photo deleted successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
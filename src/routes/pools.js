@@ -2,10 +2,28 @@ import express from 'express';
 import Joi from 'joi';
 import Pool from '../models/Pool.js';
 import { authenticateToken, authorize, canAccessPool } from '../middleware/auth.js';
+import { toChemicalsUsed } from '../services/dosingService.js';
+import { chemistryProfiles, PROFILE_PARAMETERS, listProfiles } from '../services/chemistryProfileService.js';
+import { recordReading, getReadingHistory } from '../services/waterChemistryService.js';
+import { generateVisits, regenerateVisits } from '../services/maintenanceScheduleService.js';
 
 const router = express.Router();
 
 // Validation schemas
+const targetRangeSchema = Joi.object({
+  min: Joi.number(),
+  max: Joi.number(),
+  target: Joi.number()
+});
+
+const chemistryProfileSchema = Joi.object({
+  name: Joi.string().valid(...Object.keys(chemistryProfiles)),
+  overrides: Joi.object(PROFILE_PARAMETERS.reduce((fields, parameter) => {
+    fields[parameter] = targetRangeSchema.allow(null);
+    return fields;
+  }, {}))
+});
+
 const createPoolSchema = Joi.object({
   name: Joi.string().min(2).max(100).required(),
   address: Joi.object({
@@ -32,8 +50,13 @@ const createPoolSchema = Joi.object({
   maintenanceSchedule: Joi.object({
     frequency: Joi.string().valid('daily', 'weekly', 'bi-weekly', 'monthly').default('weekly'),
     preferredDay: Joi.string().valid('monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'),
-    timeSlot: Joi.string()
+    timeSlot: Joi.string(),
+    startDate: Joi.date(),
+    skipDates: Joi.array().items(Joi.date()).max(366),
+    skipHolidays: Joi.boolean()
   }),
+  chemistryProfile: chemistryProfileSchema,
+  assignedTechnician: Joi.string(),
   specialInstructions: Joi.string().max(1000)
 });
 
@@ -47,6 +70,15 @@ const waterChemistrySchema = Joi.object({
   notes: Joi.string().max(500)
 });
 
+const historyQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(500).default(10),
+  days: Joi.number().integer().min(1).default(30),
+  from: Joi.date(),
+  to: Joi.date(),
+  source: Joi.string().valid('manual', 'maintenance', 'migration', 'sensor'),
+  cursor: Joi.string()
+});
+
 const equipmentSchema = Joi.object({
   type: Joi.string().valid('pump', 'filter', 'heater', 'chlorinator', 'vacuum', 'skimmer', 'other').required(),
   brand: Joi.string(),
@@ -128,6 +160,16 @@ router.get('/', authenticateToken, async (req, res, next) => {
   }
 });
 
+// @route   GET /api/pools/chemistry-profiles
+// @desc    List named water chemistry target profiles
+// @access  Private
+router.get('/chemistry-profiles', authenticateToken, (req, res) => {
+  res.json({
+    success: true,
+    data: { profiles: listProfiles() }
+  });
+});
+
 // @route   GET /api/pools/:poolId
 // @desc    Get single pool
 // @access  Private
@@ -136,7 +178,7 @@ router.get('/:poolId', authenticateToken, canAccessPool, async (req, res, next)
     const pool = await Pool.findById(req.params.poolId)
       .populate('owner', 'firstName lastName email phone')
       .populate('createdBy', 'firstName lastName')
-      .populate('waterChemistry.testedBy', 'firstName lastName');
+      .populate('latestWaterChemistry.testedBy', 'firstName lastName');
 
     if (!pool) {
       return res.status(404).json({
@@ -149,7 +191,8 @@ router.get('/:poolId', authenticateToken, canAccessPool, async (req, res, next)
     const poolData = pool.toObject();
     poolData.needsAttention = pool.needsAttention();
     poolData.recommendations = pool.getRecommendations();
-    poolData.latestWaterChemistry = pool.latestWaterChemistry;
+    poolData.waterBalance = pool.getWaterBalance();
+    poolData.targetRanges = pool.getTargetRanges();
 
     res.json({
       success: true,
@@ -188,6 +231,8 @@ router.post('/', authenticateToken, authorize('customer', 'consultant', 'admin')
     });
 
     await pool.save();
+    const { schedule } = await generateVisits(pool);
+    pool.set('maintenanceSchedule.nextMaintenance', schedule.nextMaintenance);
     await pool.populate('owner', 'firstName lastName email phone');
 
     res.status(201).json({
@@ -208,7 +253,8 @@ router.put('/:poolId', authenticateToken, canAccessPool, async (req, res, next)
   try {
     const updateSchema = createPoolSchema.fork(['name', 'poolType'], schema => schema.optional());
     
-    const { error, value } = updateSchema.validate(req.body);
+    // No defaults, so a partial schedule update keeps the stored frequency
+    const { error, value } = updateSchema.validate(req.body, { noDefaults: true });
     if (error) {
       return res.status(400).json({
         success: false,
@@ -216,9 +262,16 @@ router.put('/:poolId', authenticateToken, canAccessPool, async (req, res, next)
       });
     }
 
+    // Set schedule fields individually so lastMaintenance/nextMaintenance survive
+    const { maintenanceSchedule, ...fields } = value;
+    const update = { ...fields };
+    Object.entries(maintenanceSchedule || {}).forEach(([key, scheduleValue]) => {
+      update[`maintenanceSchedule.${key}`] = scheduleValue;
+    });
+
     const pool = await Pool.findByIdAndUpdate(
       req.params.poolId,
-      { $set: value },
+      { $set: update },
       { new: true, runValidators: true }
     ).populate('owner', 'firstName lastName email phone');
 
@@ -229,6 +282,15 @@ router.put('/:poolId', authenticateToken, canAccessPool, async (req, res, next)
       });
     }
 
+    // Rebuild upcoming visits for the new schedule or technician
+    if (maintenanceSchedule || fields.assignedTechnician) {
+      const { schedule } = await regenerateVisits(pool);
+      pool.set({
+        'maintenanceSchedule.lastMaintenance': schedule.lastMaintenance,
+        'maintenanceSchedule.nextMaintenance': schedule.nextMaintenance
+      });
+    }
+
     res.json({
       success: true,
       data: { pool },
@@ -258,6 +320,9 @@ router.delete('/:poolId', authenticateToken, canAccessPool, async (req, res, nex
       });
     }
 
+    // Drop generated visits that have not happened yet
+    await regenerateVisits(pool);
+
     res.json({
       success: true,
       message: 'Pool deactivated successfully'
@@ -268,6 +333,55 @@ router.delete('/:poolId', authenticateToken, canAccessPool, async (req, res, nex
   }
 });
 
+// @route   PUT /api/pools/:poolId/chemistry-profile
+// @desc    Assign a chemistry target profile and per-field overrides
+// @access  Private
+router.put('/:poolId/chemistry-profile', authenticateToken, canAccessPool, async (req, res, next) => {
+  try {
+    const { error, value } = chemistryProfileSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const pool = await Pool.findById(req.params.poolId);
+    if (!pool) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Pool not found' }
+      });
+    }
+
+    if (value.name !== undefined) {
+      pool.chemistryProfile.name = value.name;
+    }
+
+    // A null override removes it and falls back to the profile value
+    if (value.overrides) {
+      Object.entries(value.overrides).forEach(([parameter, range]) => {
+        pool.chemistryProfile.overrides[parameter] = range === null ? undefined : range;
+      });
+    }
+
+    await pool.save();
+
+    res.json({
+      success: true,
+      data: {
+        chemistryProfile: pool.chemistryProfile,
+        profile: pool.getChemistryProfileName(),
+        targetRanges: pool.getTargetRanges()
+      },
+      message: 'Chemistry profile updated successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   POST /api/pools/:poolId/water-chemistry
 // @desc    Add water chemistry reading
 // @access  Private
@@ -289,25 +403,21 @@ router.post('/:poolId/water-chemistry', authenticateToken, canAccessPool, async
       });
     }
 
-    const waterChemistry = {
+    const waterChemistry = await recordReading(pool, {
       ...value,
       testedBy: req.user._id,
-      testedAt: new Date()
-    };
-
-    pool.waterChemistry.push(waterChemistry);
-    await pool.save();
-
-    // Get updated pool with latest chemistry
-    const updatedPool = await Pool.findById(pool._id)
-      .populate('waterChemistry.testedBy', 'firstName lastName');
+      testedAt: new Date(),
+      source: 'manual'
+    });
 
-    const recommendations = updatedPool.getRecommendations();
+    const recommendations = pool.getRecommendations();
+    const waterBalance = waterChemistry.waterBalance;
 
     res.status(201).json({
       success: true,
       data: { 
-        waterChemistry: waterChemistry,
+        waterChemistry,
+        waterBalance,
         recommendations 
       },
       message: 'Water chemistry reading added successfully'
@@ -323,11 +433,15 @@ router.post('/:poolId/water-chemistry', authenticateToken, canAccessPool, async
 // @access  Private
 router.get('/:poolId/water-chemistry', authenticateToken, canAccessPool, async (req, res, next) => {
   try {
-    const { limit = 10, days = 30 } = req.query;
-    
-    const pool = await Pool.findById(req.params.poolId)
-      .populate('waterChemistry.testedBy', 'firstName lastName');
+    const { error, value } = historyQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
 
+    const pool = await Pool.exists({ _id: req.params.poolId });
     if (!pool) {
       return res.status(404).json({
         success: false,
@@ -335,18 +449,11 @@ router.get('/:poolId/water-chemistry', authenticateToken, canAccessPool, async (
       });
     }
 
-    // Filter chemistry readings by date range
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - parseInt(days));
-
-    const readings = pool.waterChemistry
-      .filter(reading => reading.testedAt >= cutoffDate)
-      .sort((a, b) => new Date(b.testedAt) - new Date(a.testedAt))
-      .slice(0, parseInt(limit));
+    const { readings, hasMore, nextCursor } = await getReadingHistory(pool._id, value);
 
     res.json({
       success: true,
-      data: { readings }
+      data: { readings, hasMore, nextCursor }
     });
 
   } catch (error) {
@@ -455,13 +562,19 @@ router.get('/:poolId/recommendations', authenticateToken, canAccessPool, async (
 
     const recommendations = pool.getRecommendations();
     const needsAttention = pool.needsAttention();
+    const dosing = pool.getDosingPlan();
 
     res.json({
       success: true,
       data: { 
         recommendations,
         needsAttention,
-        latestReading: pool.latestWaterChemistry
+        latestReading: pool.latestWaterChemistry,
+        waterBalance: pool.getWaterBalance(),
+        targetRanges: pool.getTargetRanges(),
+        dosing,
+        // Recommended products in MaintenanceLog.chemicalsUsed format
+        suggestedChemicals: toChemicalsUsed(dosing)
       }
     });
 
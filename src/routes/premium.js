@@ -1,6 +1,23 @@
 import express from 'express';
 import Joi from 'joi';
 import { authenticateToken, authorize } from '../middleware/auth.js';
+import Pool from '../models/Pool.js';
+import { resolveTargetRanges, evaluateReading } from '../services/chemistryProfileService.js';
+import { getReadingsSince } from '../services/waterChemistryService.js';
+import { analyzeTrends, getForecastRecommendation, toAssessmentTrends } from '../services/chemistryTrendService.js';
+import { enqueueJob } from '../services/jobQueueService.js';
+import { addBillingPeriod } from '../services/subscriptionService.js';
+import { getZonedParts } from '../services/timeZoneService.js';
+import { startSubscriptionPayment } from '../services/paymentService.js';
+import {
+  canViewConversation,
+  askAIManager,
+  recordFeedback,
+  listReviewQueue,
+  reviewAnswer,
+  toConversationResponse
+} from '../services/aiConversationService.js';
+import AIConversation, { FEEDBACK_RATINGS, REVIEW_STATUSES } from '../models/AIConversation.js';
 import { 
   PremiumSubscription, 
   CustomEbook, 
@@ -12,14 +29,51 @@ import {
 
 const router = express.Router();
 
+// Days of stored readings used to trend weekly assessments
+const TREND_HISTORY_DAYS = 30;
+
 // Validation schemas
 const subscriptionSchema = Joi.object({
   subscriptionTier: Joi.string().valid('basic', 'premium', 'platinum', 'concierge').required(),
   billing: Joi.object({
     frequency: Joi.string().valid('monthly', 'quarterly', 'annually').default('monthly'),
-    paymentMethod: Joi.string(),
+    // Token from the payment gateway's client-side library; the saved card is used without one
+    paymentMethod: Joi.string().max(255),
     autoRenewal: Joi.boolean().default(true)
-  })
+  }).default()
+});
+
+const aiManagerQuerySchema = Joi.object({
+  query: Joi.string().max(2000).required(),
+  // Continue a conversation; a new one is started without it
+  conversationId: Joi.string().hex().length(24),
+  // Pool a new conversation is about; customers default to their own pools
+  poolId: Joi.string().hex().length(24),
+  context: Joi.alternatives().try(Joi.string().max(500), Joi.object())
+});
+
+const listConversationsSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(20),
+  status: Joi.string().valid('active', 'archived').default('active')
+});
+
+const feedbackSchema = Joi.object({
+  rating: Joi.string().valid(...FEEDBACK_RATINGS).required(),
+  comment: Joi.string().max(2000).allow('')
+});
+
+const reviewQueueSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid(...REVIEW_STATUSES).default('pending')
+});
+
+const reviewSchema = Joi.object({
+  decision: Joi.string().valid('train', 'dismiss').required(),
+  correctedResponse: Joi.string().max(5000).when('decision', { is: 'train', then: Joi.required(), otherwise: Joi.forbidden() }),
+  addToKnowledgeBase: Joi.boolean().default(false),
+  notes: Joi.string().max(2000)
 });
 
 const ebookRequestSchema = Joi.object({
@@ -79,25 +133,30 @@ router.post('/subscribe', authenticateToken, async (req, res, next) => {
       });
     }
 
-    // Check if user already has active subscription
+    // Check if user already has active subscription (paused ones resume with a new card)
     const existingSubscription = await PremiumSubscription.findOne({
       client: req.user._id,
-      status: 'active'
+      status: { $in: ['active', 'paused'] }
     });
 
     if (existingSubscription) {
       return res.status(409).json({
         success: false,
-        error: { message: 'User already has an active subscription' }
+        error: {
+          message: existingSubscription.status === 'paused'
+            ? 'User has a paused subscription; update the payment method to resume it'
+            : 'User already has an active subscription'
+        }
       });
     }
 
-    const { subscriptionTier, billing } = value;
+    const { subscriptionTier, billing: { paymentMethod, ...billing } } = value;
 
     // Get pricing based on tier
     const pricing = getPricingForTier(subscriptionTier, billing.frequency);
     
-    // Create subscription
+    // Create subscription; it activates once the first period is paid
+    const now = new Date();
     const subscription = new PremiumSubscription({
       client: req.user._id,
       subscriptionTier,
@@ -105,20 +164,34 @@ router.post('/subscribe', authenticateToken, async (req, res, next) => {
       billing: {
         ...billing,
         amount: pricing.amount,
-        nextBillingDate: calculateNextBillingDate(billing.frequency)
+        anchorDay: getZonedParts(now).day,
+        nextBillingDate: addBillingPeriod(now, billing.frequency)
       }
     });
 
-    await subscription.save();
+    const payment = await startSubscriptionPayment(subscription, req.user, { paymentMethodToken: paymentMethod, now });
+
+    if (payment.status === 'failed') {
+      return res.status(402).json({
+        success: false,
+        error: { message: payment.failureMessage || 'The payment was declined' },
+        data: { payment }
+      });
+    }
 
     // Initialize AI Manager for this client
     await initializeAIManager(req.user._id, subscriptionTier);
 
-    res.status(201).json({
+    const activated = await PremiumSubscription.findById(subscription._id);
+
+    res.status(payment.status === 'pending' ? 202 : 201).json({
       success: true,
       data: {
-        subscription,
-        message: 'Premium subscription activated successfully'
+        subscription: activated,
+        payment,
+        message: payment.status === 'pending'
+          ? 'Payment is processing; the subscription activates once it clears'
+          : 'Premium subscription activated successfully'
       }
     });
 
@@ -212,8 +285,11 @@ router.post('/ebook/request', authenticateToken, async (req, res, next) => {
       await subscription.save();
     }
 
-    // Start ebook generation process
-    generateCustomEbook(ebook._id);
+    // Queue ebook generation; progress is reported in generationStatus
+    await enqueueJob('ebook.generate', { ebookId: ebook._id }, {
+      uniqueKey: `ebook.generate:${ebook._id}`,
+      createdBy: req.user._id
+    });
 
     res.status(201).json({
       success: true,
@@ -325,8 +401,17 @@ router.post('/assessment/weekly', authenticateToken, async (req, res, next) => {
       ...value
     });
 
+    // Score chemistry against the pool's own target profile
+    const pool = await Pool.findById(value.poolId);
+    const targetRanges = pool ? pool.getTargetRanges() : resolveTargetRanges();
+
+    // Recent readings give the trend forecast its history
+    const historyStart = new Date();
+    historyStart.setDate(historyStart.getDate() - TREND_HISTORY_DAYS);
+    const history = pool ? await getReadingsSince(pool._id, historyStart) : [];
+
     // Perform AI analysis
-    const aiAnalysis = await performWeeklyAIAnalysis(value);
+    const aiAnalysis = await performWeeklyAIAnalysis(value, targetRanges, history);
     assessment.aiAnalysis = aiAnalysis;
 
     // Generate follow-up actions if needed
@@ -422,12 +507,20 @@ router.get('/ai-manager', authenticateToken, async (req, res, next) => {
 });
 
 // @route   POST /api/premium/ai-manager/query
-// @desc    Query AI manager
+// @desc    Ask the AI manager, starting or continuing a conversation
 // @access  Private
 router.post('/ai-manager/query', authenticateToken, async (req, res, next) => {
   try {
-    const { query, context } = req.body;
-    
+    const { error, value } = aiManagerQuerySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const { query, context, conversationId, poolId } = value;
+
     const aiManager = await VirtualAiManager.findOne({
       'clientProfiles.client': req.user._id
     });
@@ -439,29 +532,267 @@ router.post('/ai-manager/query', authenticateToken, async (req, res, next) => {
       });
     }
 
-    // Process query and generate response
-    const response = await processAIManagerQuery(query, context, req.user._id);
+    let conversation;
+    if (conversationId) {
+      conversation = await AIConversation.findOne({ _id: conversationId, client: req.user._id });
+      if (!conversation) {
+        return res.status(404).json({
+          success: false,
+          error: { message: 'Conversation not found' }
+        });
+      }
+    }
 
-    // Log interaction
-    const clientProfile = aiManager.clientProfiles.find(
-      profile => profile.client.toString() === req.user._id.toString()
+    // Answer from the pool's records: the one the conversation is about, or the customer's own pools
+    let pool;
+    if (conversation) {
+      pool = conversation.pool && await Pool.findById(conversation.pool);
+    } else if (poolId) {
+      pool = await Pool.findById(poolId);
+      if (!pool || (req.user.role === 'customer' && !pool.owner.equals(req.user._id))) {
+        return res.status(404).json({
+          success: false,
+          error: { message: 'Pool not found' }
+        });
+      }
+    }
+
+    let pools = pool ? [pool] : [];
+    if (!pool && req.user.role === 'customer') {
+      pools = await Pool.find({ owner: req.user._id, isActive: { $ne: false } }).sort({ updatedAt: -1 }).limit(3);
+    }
+
+    const result = await askAIManager({
+      conversation,
+      client: req.user,
+      pool,
+      pools,
+      query,
+      context,
+      user: req.user
+    });
+
+    res.json({
+      success: true,
+      data: {
+        response: result.response,
+        conversationId: result.conversation._id,
+        turnId: result.turn._id
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/premium/ai-manager/conversations
+// @desc    List your AI manager conversations
+// @access  Private
+router.get('/ai-manager/conversations', authenticateToken, async (req, res, next) => {
+  try {
+    const { error, value } = listConversationsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const conversations = await AIConversation.paginate(
+      { client: req.user._id, status: value.status },
+      {
+        page: value.page,
+        limit: value.limit,
+        sort: { lastTurnAt: -1 },
+        select: 'title pool status lastTurnAt createdAt',
+        populate: { path: 'pool', select: 'name' }
+      }
+    );
+
+    res.json({
+      success: true,
+      data: conversations
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/premium/ai-manager/conversations/:conversationId
+// @desc    Get a conversation with its questions, answers and feedback
+// @access  Private (the client, consultants, admins)
+router.get('/ai-manager/conversations/:conversationId', authenticateToken, async (req, res, next) => {
+  try {
+    const conversation = await AIConversation.findById(req.params.conversationId)
+      .populate('pool', 'name');
+
+    if (!conversation || !canViewConversation(req.user, conversation)) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Conversation not found' }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { conversation: toConversationResponse(conversation, req.user) }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/premium/ai-manager/conversations/:conversationId
+// @desc    Archive a conversation
+// @access  Private
+router.delete('/ai-manager/conversations/:conversationId', authenticateToken, async (req, res, next) => {
+  try {
+    const conversation = await AIConversation.findOneAndUpdate(
+      { _id: req.params.conversationId, client: req.user._id },
+      { $set: { status: 'archived' } },
+      { new: true }
     );
 
-    if (clientProfile) {
-      clientProfile.learningData.interactionHistory.push({
-        type: 'query',
-        timestamp: new Date(),
-        context: context || 'general',
-        response: response.text,
-        effectiveness: 0.8 // Would be updated based on user feedback
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Conversation not found' }
       });
-      
-      await aiManager.save();
     }
 
     res.json({
       success: true,
-      data: { response }
+      message: 'Conversation archived successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/premium/ai-manager/conversations/:conversationId/turns/:turnId/feedback
+// @desc    Rate an answer (thumbs up or down) with an optional comment
+// @access  Private (the client)
+router.post('/ai-manager/conversations/:conversationId/turns/:turnId/feedback', authenticateToken, async (req, res, next) => {
+  try {
+    const { error, value } = feedbackSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const conversation = await AIConversation.findOne({ _id: req.params.conversationId, client: req.user._id });
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Conversation not found' }
+      });
+    }
+
+    const { turn, metrics } = await recordFeedback(conversation, req.params.turnId, {
+      rating: value.rating,
+      comment: value.comment || undefined
+    });
+
+    res.json({
+      success: true,
+      data: { feedback: turn.feedback, performanceMetrics: metrics },
+      message: 'Thanks for your feedback'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/premium/ai-manager/reviews
+// @desc    Review queue of thumbs-down answers
+// @access  Private (consultants, admins)
+router.get('/ai-manager/reviews', authenticateToken, authorize('consultant', 'admin'), async (req, res, next) => {
+  try {
+    const { error, value } = reviewQueueSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const queue = await listReviewQueue(value);
+
+    res.json({
+      success: true,
+      data: queue
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/premium/ai-manager/reviews/:conversationId/:turnId
+// @desc    Record the right answer as training data, or dismiss the complaint
+// @access  Private (consultants, admins)
+router.post('/ai-manager/reviews/:conversationId/:turnId', authenticateToken, authorize('consultant', 'admin'), async (req, res, next) => {
+  try {
+    const { error, value } = reviewSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const conversation = await AIConversation.findById(req.params.conversationId);
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Conversation not found' }
+      });
+    }
+
+    const turn = await reviewAnswer(conversation, req.params.turnId, value, req.user);
+
+    res.json({
+      success: true,
+      data: { review: turn.review },
+      message: value.decision === 'train' ? 'Answer added to training data' : 'Review dismissed'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/premium/crm/:integrationId/sync
+// @desc    Queue a CRM sync for an integration
+// @access  Private (Admin only)
+router.post('/crm/:integrationId/sync', authenticateToken, authorize('admin'), async (req, res, next) => {
+  try {
+    const integration = await CrmIntegration.findById(req.params.integrationId);
+
+    if (!integration) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'CRM integration not found' }
+      });
+    }
+
+    // Only one sync per integration may be queued or running at a time
+    const job = await enqueueJob('crm.sync', { integrationId: integration._id }, {
+      uniqueKey: `crm.sync:${integration._id}`,
+      createdBy: req.user._id
+    });
+
+    res.status(202).json({
+      success: true,
+      data: { job: { _id: job._id, status: job.status } },
+      message: 'CRM sync queued'
     });
 
   } catch (error) {
@@ -571,20 +902,6 @@ function getPricingForTier(tier, frequency) {
   };
 }
 
-function calculateNextBillingDate(frequency) {
-  const now = new Date();
-  switch (frequency) {
-    case 'monthly':
-      return new Date(now.setMonth(now.getMonth() + 1));
-    case 'quarterly':
-      return new Date(now.setMonth(now.getMonth() + 3));
-    case 'annually':
-      return new Date(now.setFullYear(now.getFullYear() + 1));
-    default:
-      return new Date(now.setMonth(now.getMonth() + 1));
-  }
-}
-
 async function initializeAIManager(clientId, subscriptionTier) {
   let aiManager = await VirtualAiManager.findOne();
   
@@ -619,110 +936,19 @@ async function initializeAIManager(clientId, subscriptionTier) {
           successfulSolutions: [],
           equipmentHistory: []
         }
-      },
-      performanceMetrics: {
-        accuracyScore: 0.8,
-        responsTime: 2, // seconds
-        clientSatisfaction: 4.0,
-        issueResolutionRate: 0.85
       }
+      // performanceMetrics are computed once the client starts asking (see aiConversationService)
     });
 
     await aiManager.save();
   }
 }
 
-async function generateCustomEbook(ebookId) {
-  try {
-    const ebook = await CustomEbook.findById(ebookId)
-      .populate('client', 'firstName lastName')
-      .populate('pool', 'name poolType dimensions equipment address')
-      .populate('assessment', 'responses aiAnalysis');
-
-    ebook.generationStatus.status = 'generating';
-    ebook.generationStatus.startedAt = new Date();
-    await ebook.save();
-
-    // Simulate ebook generation process
-    setTimeout(async () => {
-      try {
-        // Generate content based on pool data and assessment
-        const content = await generateEbookContent(ebook);
-        
-        ebook.content = content;
-        ebook.ebookDetails.pageCount = estimatePageCount(content);
-        ebook.generationStatus.status = 'completed';
-        ebook.generationStatus.completedAt = new Date();
-        ebook.generationStatus.progress = 100;
-        ebook.generationStatus.deliveryUrl = `/downloads/ebook-${ebookId}.pdf`;
-        
-        await ebook.save();
-        
-        // TODO: Send email notification to client
-        console.log(`Ebook completed for ${ebook.client.firstName}`);
-      } catch (error) {
-        ebook.generationStatus.status = 'error';
-        ebook.generationStatus.errorMessage = error.message;
-        await ebook.save();
-      }
-    }, 30000); // 30 second simulation
-
-  } catch (error) {
-    console.error('Ebook generation error:', error);
-  }
-}
-
-async function generateEbookContent(ebook) {
-  const { client, pool, assessment } = ebook;
-  
-  return {
-    introduction: `Welcome ${client.firstName}! This custom guide is specifically designed for your ${pool.poolType} pool.`,
-    chapters: [
-      {
-        chapterNumber: 1,
-        title: 'Your Pool Profile',
-        content: `Your ${pool.poolType} pool requires specific maintenance based on its unique characteristics...`,
-        characterAdvice: [{
-          character: 'Zeus',
-          advice: 'A well-maintained pool reflects the divine order of nature itself!',
-          context: 'pool_overview'
-        }]
-      },
-      {
-        chapterNumber: 2,
-        title: 'Water Chemistry Management',
-        content: 'Based on your assessment results, here are your specific water chemistry guidelines...',
-        characterAdvice: [{
-          character: 'Cleopatra',
-          advice: 'The secret to perfect water lies in the precise balance of elements, just as I once bathed in perfection.',
-          context: 'water_chemistry'
-        }]
-      }
-    ],
-    appendices: [
-      {
-        title: 'Chemical Reference Chart',
-        content: 'Quick reference for optimal chemical levels...',
-        type: 'chemical_chart'
-      }
-    ]
-  };
-}
-
-function estimatePageCount(content) {
-  // Simple estimation based on content length
-  const totalText = content.introduction.length + 
-    content.chapters.reduce((sum, chapter) => sum + chapter.content.length, 0) +
-    content.appendices.reduce((sum, appendix) => sum + appendix.content.length, 0);
-  
-  return Math.ceil(totalText / 2000); // Roughly 2000 characters per page
-}
-
-async function performWeeklyAIAnalysis(assessmentData) {
+async function performWeeklyAIAnalysis(assessmentData, targetRanges = resolveTargetRanges(), history = []) {
   const { waterSample, visualInspection } = assessmentData;
   
   // Calculate scores
-  const chemistryScore = calculateChemistryScore(waterSample?.testResults);
+  const chemistryScore = calculateChemistryScore(waterSample?.testResults, targetRanges);
   const clarityScore = calculateClarityScore(visualInspection?.waterClarity);
   const equipmentScore = calculateEquipmentScore(visualInspection?.equipmentStatus);
   
@@ -750,6 +976,36 @@ async function performWeeklyAIAnalysis(assessmentData) {
     });
   }
   
+  // Trend the pool's history plus this sample and forecast range exits
+  const readings = [...history];
+  if (waterSample?.testResults) {
+    const { stabilizer, ...testResults } = waterSample.testResults;
+    readings.push({
+      ...testResults,
+      ...(stabilizer !== undefined && { cyanuricAcid: stabilizer }),
+      testedAt: new Date()
+    });
+  }
+  const trendAnalysis = analyzeTrends(readings, targetRanges);
+  
+  const forecast = getForecastRecommendation(trendAnalysis);
+  if (forecast) {
+    recommendations.push({
+      priority: forecast.priority,
+      action: 'Schedule a service visit',
+      reason: forecast.message,
+      timeframe: `${Math.floor(trendAnalysis.nextOutOfRange.daysUntilOutOfRange)} days`,
+      difficulty: 'easy'
+    });
+    
+    alerts.push({
+      type: 'forecast',
+      severity: 'info',
+      message: forecast.message,
+      actionRequired: true
+    });
+  }
+  
   return {
     overallGrade,
     chemistryScore,
@@ -757,23 +1013,23 @@ async function performWeeklyAIAnalysis(assessmentData) {
     equipmentScore,
     recommendations,
     alerts,
-    trends: [] // Would calculate from historical data
+    trends: toAssessmentTrends(trendAnalysis),
+    chlorineDemand: trendAnalysis.chlorineDemand
   };
 }
 
-function calculateChemistryScore(testResults) {
+function calculateChemistryScore(testResults, targetRanges = resolveTargetRanges()) {
   if (!testResults) return 50;
   
   let score = 100;
+  const penalties = { pH: 20, chlorine: 20, alkalinity: 15 };
   
-  // pH scoring
-  if (testResults.pH < 7.2 || testResults.pH > 7.6) score -= 20;
-  
-  // Chlorine scoring
-  if (testResults.chlorine < 1.0 || testResults.chlorine > 3.0) score -= 20;
-  
-  // Alkalinity scoring
-  if (testResults.alkalinity < 80 || testResults.alkalinity > 120) score -= 15;
+  // pH, chlorine and alkalinity scoring against the target profile
+  evaluateReading(testResults, targetRanges)
+    .filter(result => penalties[result.parameter] && result.status !== 'ok')
+    .forEach(result => {
+      score -= penalties[result.parameter];
+    });
   
   return Math.max(0, score);
 }
@@ -822,35 +1078,4 @@ function generateFollowUpActions(alerts) {
   }));
 }
 
-async function processAIManagerQuery(query, context, clientId) {
-  // Simplified AI response - would integrate with actual AI service
-  const responses = {
-    'water chemistry': 'Based on your recent test results, I recommend adjusting your pH levels to the optimal range of 7.2-7.6.',
-    'equipment issues': 'Your pump appears to be running efficiently, but consider cleaning the filter cartridge.',
-    'maintenance schedule': 'Your next maintenance should include skimming, brushing, and testing water chemistry.',
-    'default': 'I\'m here to help with your pool management needs. Could you be more specific about what you\'d like assistance with?'
-  };
-  
-  const lowerQuery = query.toLowerCase();
-  let responseText = responses.default;
-  
-  for (const [key, response] of Object.entries(responses)) {
-    if (lowerQuery.includes(key)) {
-      responseText = response;
-      break;
-    }
-  }
-  
-  return {
-    text: responseText,
-    confidence: 0.8,
-    suggestions: [
-      'Check water chemistry',
-      'Schedule maintenance',
-      'Review equipment status'
-    ],
-    timestamp: new Date()
-  };
-}
-
 export default router;
\ No newline at end of file
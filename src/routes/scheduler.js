@@ -0,0 +1,99 @@
+import express from 'express';
+import Joi from 'joi';
+import TaskRun from '../models/TaskRun.js';
+import { authenticateToken, authorize } from '../middleware/auth.js';
+import { getTaskSummaries, runTask, hasTask } from '../services/schedulerService.js';
+
+const router = express.Router();
+
+// Validation schemas
+const listRunsSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  task: Joi.string(),
+  status: Joi.string().valid('running', 'succeeded', 'failed', 'skipped'),
+  trigger: Joi.string().valid('schedule', 'manual')
+});
+
+// @route   GET /api/scheduler/tasks
+// @desc    List scheduled tasks with their last run
+// @access  Private (Admin only)
+router.get('/tasks', authenticateToken, authorize('admin'), async (req, res, next) => {
+  try {
+    const tasks = await getTaskSummaries();
+
+    res.json({
+      success: true,
+      data: { tasks }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/scheduler/runs
+// @desc    List task runs and their outcomes
+// @access  Private (Admin only)
+router.get('/runs', authenticateToken, authorize('admin'), async (req, res, next) => {
+  try {
+    const { error, value } = listRunsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const { page, limit, task, status, trigger } = value;
+    const query = {};
+    if (task) query.task = task;
+    if (status) query.status = status;
+    if (trigger) query.trigger = trigger;
+
+    const runs = await TaskRun.paginate(query, {
+      page,
+      limit,
+      populate: { path: 'triggeredBy', select: 'firstName lastName' },
+      sort: { startedAt: -1 }
+    });
+
+    res.json({
+      success: true,
+      data: runs
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/scheduler/tasks/:task/run
+// @desc    Run a scheduled task now
+// @access  Private (Admin only)
+router.post('/tasks/:task/run', authenticateToken, authorize('admin'), async (req, res, next) => {
+  try {
+    if (!hasTask(req.params.task)) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Scheduled task not found' }
+      });
+    }
+
+    const run = await runTask(req.params.task, {
+      trigger: 'manual',
+      triggeredBy: req.user._id
+    });
+
+    res.json({
+      success: true,
+      data: { run },
+      message: `Task ${run.status}`
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
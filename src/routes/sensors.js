@@ -0,0 +1,205 @@
+import express from 'express';
+import Joi from 'joi';
+import Pool from '../models/Pool.js';
+import SensorDevice from '../models/SensorDevice.js';
+import { authenticateToken, authenticateDevice, canAccessPool } from '../middleware/auth.js';
+import { SENSOR_PARAMETERS, MAX_BATCH_SIZE, ingestReadings } from '../services/sensorIngestionService.js';
+
+const router = express.Router();
+
+// Validation schemas
+const unitsSchema = Joi.object({
+  temperature: Joi.string().valid('F', 'C'),
+  salt: Joi.string().valid('ppm', 'g/L', 'ppt'),
+  orp: Joi.string().valid('mV', 'V')
+});
+
+const deviceSchema = Joi.object({
+  name: Joi.string().required().trim(),
+  manufacturer: Joi.string(),
+  model: Joi.string(),
+  serialNumber: Joi.string(),
+  parameters: Joi.array().items(Joi.string().valid(...SENSOR_PARAMETERS)).min(1).required(),
+  units: unitsSchema
+});
+
+const updateDeviceSchema = Joi.object({
+  name: Joi.string().trim(),
+  manufacturer: Joi.string(),
+  model: Joi.string(),
+  serialNumber: Joi.string(),
+  parameters: Joi.array().items(Joi.string().valid(...SENSOR_PARAMETERS)).min(1),
+  units: unitsSchema,
+  status: Joi.string().valid('active', 'disabled')
+});
+
+// Individual values are checked by the ingestion service so one bad probe
+// does not fail the whole batch
+const ingestSchema = Joi.object({
+  readings: Joi.array().items(Joi.object({
+    timestamp: Joi.any().required(),
+    pH: Joi.any(),
+    orp: Joi.any(),
+    temperature: Joi.any(),
+    salt: Joi.any(),
+    chlorine: Joi.any(),
+    units: unitsSchema,
+    notes: Joi.string().max(500)
+  })).min(1).max(MAX_BATCH_SIZE).required()
+});
+
+// @route   POST /api/sensors/ingest
+// @desc    Push a batch of timestamped readings from a device
+// @access  Device (X-Device-Key header)
+router.post('/ingest', authenticateDevice, async (req, res, next) => {
+  try {
+    const { error, value } = ingestSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const result = await ingestReadings(req.device, value.readings);
+
+    res.status(result.accepted > 0 ? 201 : 200).json({
+      success: true,
+      data: result,
+      message: `${result.accepted} of ${result.received} readings accepted`
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/sensors/pools/:poolId/devices
+// @desc    List sensor devices bound to a pool
+// @access  Private
+router.get('/pools/:poolId/devices', authenticateToken, canAccessPool, async (req, res, next) => {
+  try {
+    const devices = await SensorDevice.find({ pool: req.params.poolId })
+      .populate('registeredBy', 'firstName lastName')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { devices }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/sensors/pools/:poolId/devices
+// @desc    Register a sensor device and issue its API key
+// @access  Private
+router.post('/pools/:poolId/devices', authenticateToken, canAccessPool, async (req, res, next) => {
+  try {
+    const { error, value } = deviceSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const pool = await Pool.exists({ _id: req.params.poolId });
+    if (!pool) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Pool not found' }
+      });
+    }
+
+    const device = new SensorDevice({
+      ...value,
+      pool: pool._id,
+      registeredBy: req.user._id
+    });
+    const apiKey = device.generateApiKey();
+    await device.save();
+
+    res.status(201).json({
+      success: true,
+      data: {
+        device,
+        // Only shown once; the server keeps a hash
+        apiKey
+      },
+      message: 'Sensor device registered successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/sensors/pools/:poolId/devices/:deviceId
+// @desc    Update a sensor device or disable it
+// @access  Private
+router.put('/pools/:poolId/devices/:deviceId', authenticateToken, canAccessPool, async (req, res, next) => {
+  try {
+    const { error, value } = updateDeviceSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const device = await SensorDevice.findOneAndUpdate(
+      { _id: req.params.deviceId, pool: req.params.poolId },
+      { $set: value },
+      { new: true, runValidators: true }
+    );
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Sensor device not found' }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { device },
+      message: 'Sensor device updated successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/sensors/pools/:poolId/devices/:deviceId/rotate-key
+// @desc    Replace a device's API key; the old key stops working immediately
+// @access  Private
+router.post('/pools/:poolId/devices/:deviceId/rotate-key', authenticateToken, canAccessPool, async (req, res, next) => {
+  try {
+    const device = await SensorDevice.findOne({ _id: req.params.deviceId, pool: req.params.poolId });
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Sensor device not found' }
+      });
+    }
+
+    const apiKey = device.generateApiKey();
+    await device.save();
+
+    res.json({
+      success: true,
+      data: { device, apiKey },
+      message: 'Device API key rotated successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
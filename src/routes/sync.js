@@ -0,0 +1,193 @@
+import express from 'express';
+import Joi from 'joi';
+import { authenticateToken, authorize } from '../middleware/auth.js';
+import { loadProductCatalog } from '../services/dosingService.js';
+import { pullChanges, applyOperation } from '../services/syncService.js';
+
+const router = express.Router();
+
+const MAX_BATCH_OPERATIONS = 100;
+
+// Validation schemas
+const pullQuerySchema = Joi.object({
+  cursor: Joi.string().max(200)
+});
+
+const waterChemistrySchema = Joi.object({
+  pH: Joi.number().min(0).max(14),
+  chlorine: Joi.number().min(0),
+  alkalinity: Joi.number().min(0),
+  hardness: Joi.number().min(0),
+  cyanuricAcid: Joi.number().min(0),
+  temperature: Joi.number()
+});
+
+// Values a device may set, by field. Task fields are "tasks.<taskId>.<field>".
+const fieldValueSchemas = {
+  status: Joi.string().valid('scheduled', 'in_progress', 'completed', 'cancelled', 'no_show'),
+  actualStartTime: Joi.date().allow(null),
+  actualEndTime: Joi.date().allow(null),
+  notes: Joi.string().max(2000).allow('', null),
+  internalNotes: Joi.string().max(2000).allow('', null),
+  'timeSpent.travel': Joi.number().min(0).allow(null),
+  'timeSpent.onSite': Joi.number().min(0).allow(null),
+  waterChemistryBefore: waterChemistrySchema.allow(null),
+  waterChemistryAfter: waterChemistrySchema.allow(null),
+  'tasks.*.status': Joi.string().valid('pending', 'in_progress', 'completed', 'skipped', 'failed'),
+  'tasks.*.notes': Joi.string().max(2000).allow('', null),
+  'tasks.*.actualDuration': Joi.number().min(0).allow(null),
+  'tasks.*.completedAt': Joi.date().allow(null),
+  'tasks.*.photoBefore': Joi.string().allow(null),
+  'tasks.*.photoAfter': Joi.string().allow(null),
+  'tasks.*.skipReason': Joi.string().max(500).allow('', null)
+};
+
+const changeSchema = Joi.object({
+  field: Joi.string().required(),
+  value: Joi.any(),
+  // Value the device last pulled; compared with the server to detect conflicts
+  base: Joi.any()
+});
+
+const maintenanceUpdateSchema = Joi.object({
+  opId: Joi.string().max(100).required(),
+  type: Joi.string().valid('maintenance.update').required(),
+  maintenanceId: Joi.string().required(),
+  changes: Joi.array().items(changeSchema).max(50).default([]),
+  append: Joi.object({
+    chemicalsUsed: Joi.array().items(Joi.object({
+      clientId: Joi.string().max(100).required(),
+      product: Joi.string().valid(...loadProductCatalog().map(product => product.id)),
+      name: Joi.string().when('product', { is: Joi.exist(), otherwise: Joi.required() }),
+      amount: Joi.number().positive().required(),
+      unit: Joi.string().when('product', { is: Joi.exist(), otherwise: Joi.required() }),
+      cost: Joi.number().positive(),
+      notes: Joi.string()
+    })).max(50),
+    issues: Joi.array().items(Joi.object({
+      clientId: Joi.string().max(100).required(),
+      type: Joi.string().valid('equipment', 'water_quality', 'structural', 'safety', 'other').required(),
+      severity: Joi.string().valid('minor', 'moderate', 'major', 'critical').required(),
+      description: Joi.string().required(),
+      resolution: Joi.string(),
+      followUpRequired: Joi.boolean().default(false),
+      followUpDate: Joi.date()
+    })).max(50),
+    photos: Joi.array().items(Joi.object({
+      clientId: Joi.string().max(100).required(),
+      url: Joi.string().uri(),
+      caption: Joi.string().max(500),
+      category: Joi.string().max(100),
+      timestamp: Joi.date()
+    })).max(50)
+  }).default({})
+});
+
+const readingRecordSchema = Joi.object({
+  opId: Joi.string().max(100).required(),
+  type: Joi.string().valid('reading.record').required(),
+  poolId: Joi.string().required(),
+  testedAt: Joi.date().max('now'),
+  reading: waterChemistrySchema.keys({
+    pH: Joi.number().min(0).max(14).required(),
+    notes: Joi.string().max(500)
+  }).required()
+});
+
+const operationSchemas = {
+  'maintenance.update': maintenanceUpdateSchema,
+  'reading.record': readingRecordSchema
+};
+
+const pushSchema = Joi.object({
+  deviceId: Joi.string().max(200).required(),
+  operations: Joi.array().items(Joi.object({
+    opId: Joi.string().max(100).required(),
+    type: Joi.string().required()
+  }).unknown()).min(1).max(MAX_BATCH_OPERATIONS).required()
+});
+
+// Validate one pushed operation; returns the validated operation or an error message
+function validateOperation(operation) {
+  const schema = operationSchemas[operation.type];
+  if (!schema) return { message: `Unknown operation type: ${operation.type}` };
+
+  const { error, value } = schema.validate(operation);
+  if (error) return { message: error.details[0].message };
+
+  for (const change of value.changes || []) {
+    const valueSchema = fieldValueSchemas[change.field.replace(/^tasks\.[^.]+\./, 'tasks.*.')];
+    if (!valueSchema) return { message: `Field cannot be synced: ${change.field}` };
+
+    const result = valueSchema.validate(change.value);
+    if (result.error) return { message: `${change.field}: ${result.error.details[0].message}` };
+    change.value = result.value;
+  }
+
+  return { operation: value };
+}
+
+// @route   GET /api/sync/pull
+// @desc    Get assigned visits, their pools and chemistry targets changed since a cursor
+// @access  Private (technicians)
+router.get('/pull', authenticateToken, authorize('technician'), async (req, res, next) => {
+  try {
+    const { error, value } = pullQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const changes = await pullChanges(req.user, { cursor: value.cursor });
+
+    res.json({
+      success: true,
+      data: changes
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/sync/push
+// @desc    Apply a batch of offline edits; each operation is applied at most once
+// @access  Private (technicians)
+router.post('/push', authenticateToken, authorize('technician'), async (req, res, next) => {
+  try {
+    const { error, value } = pushSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    // Invalid operations are rejected on their own so the rest of the batch still applies
+    const results = [];
+    for (const raw of value.operations) {
+      const { operation, message } = validateOperation(raw);
+      results.push(operation
+        ? await applyOperation(req.user, value.deviceId, operation)
+        : { opId: raw.opId, status: 'rejected', error: message });
+    }
+
+    const summary = results.reduce((counts, result) => {
+      counts[result.status] = (counts[result.status] || 0) + 1;
+      return counts;
+    }, {});
+
+    res.json({
+      success: true,
+      data: { results, summary },
+      message: `${summary.applied || 0} of ${results.length} operations applied`
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,53 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Pool from '../models/Pool.js';
+import WaterChemistryReading from '../models/WaterChemistryReading.js';
+import { migrateEmbeddedReadings } from '../services/waterChemistryService.js';
+
+// Moves readings embedded in Pool.waterChemistry into the
+// waterchemistryreadings collection. Safe to re-run: pools with readings that
+// fail validation keep their embedded readings until those are fixed.
+
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('📦 Connected to MongoDB');
+
+  await WaterChemistryReading.syncIndexes();
+
+  // Read the raw collection: waterChemistry is no longer part of the Pool schema
+  const cursor = Pool.collection.find(
+    { waterChemistry: { $exists: true } },
+    { projection: { waterChemistry: 1 } }
+  );
+
+  let pools = 0;
+  let readings = 0;
+  let incomplete = 0;
+
+  for await (const rawPool of cursor) {
+    const result = await migrateEmbeddedReadings(rawPool);
+    pools++;
+    readings += result.inserted;
+    console.log(`  ${result.pool}: ${result.inserted}/${result.embedded} readings copied` +
+      (result.duplicates ? `, ${result.duplicates} already copied` : ''));
+    for (const reading of result.skipped) {
+      console.warn(`    Skipped reading ${reading._id} (${reading.testedAt}): ${reading.error}`);
+    }
+    if (!result.complete) incomplete++;
+  }
+
+  console.log(`✅ Migrated ${readings} readings from ${pools} pools`);
+  if (incomplete > 0) {
+    console.warn(`⚠️  ${incomplete} pools kept their embedded readings; fix the skipped readings and re-run`);
+    process.exitCode = 1;
+  }
+};
+
+migrate()
+  .catch(error => {
+    console.error('Water chemistry migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,135 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import KnowledgeArticle from '../models/KnowledgeArticle.js';
+
+// Adds the starter knowledge base articles the AI manager cites. Articles
+// that already exist (matched by slug) are left alone so edits made through
+// /api/knowledge survive a re-run.
+
+dotenv.config();
+
+const articles = [
+  {
+    slug: 'why-is-my-pool-cloudy',
+    title: 'Why is my pool water cloudy?',
+    category: 'water_clarity',
+    tags: ['cloudy', 'turbidity', 'filtration', 'chlorine'],
+    summary: 'Cloudy water almost always comes from low free chlorine, high pH or alkalinity, high calcium, or a filter that is not keeping up. Test first, fix the chemistry, then run the filter around the clock until it clears.',
+    body: 'Cloudy water is made of particles too small for the filter to catch, or too many of them for it to keep up. ' +
+      'The usual causes are low free chlorine that lets bacteria and early algae bloom, pH above 7.8 or high total alkalinity that makes calcium fall out of solution, calcium hardness above the target range, and poor filtration from a dirty or undersized filter or too few pump hours. ' +
+      'Heavy bather loads, pollen, dust storms and rain add to it. ' +
+      'Test free chlorine, pH, alkalinity and calcium hardness first. Bring pH into 7.2-7.6, shock to raise free chlorine, and run the pump 24 hours a day until the water clears. Clean or backwash the filter when its pressure rises 8-10 psi above the clean reading. ' +
+      'If the water keeps clouding over after it has been corrected, look for a pattern: chlorine that drops quickly points to high cyanuric acid or an algae problem starting, and repeated high pH often comes from a new plaster finish or a salt cell. ' +
+      'A water clarifier can help the filter catch fine particles once the chemistry is right, and a flocculant drops them to the floor to vacuum to waste.'
+  },
+  {
+    slug: 'green-pool-algae',
+    title: 'Green water and algae',
+    category: 'algae',
+    tags: ['algae', 'green', 'shock', 'brushing'],
+    summary: 'Algae grows when free chlorine drops too low for the stabilizer level. Shock to the right level for your cyanuric acid, brush daily and keep the pump running until the water is clear and chlorine holds overnight.',
+    body: 'Green, yellow (mustard) or black spots are algae, which takes hold whenever free chlorine falls too low for a day or two. ' +
+      'Cyanuric acid (stabilizer) protects chlorine from the sun but also slows it down, so the higher the stabilizer the higher chlorine has to be; a common rule is to keep free chlorine at about 7.5% of the cyanuric acid level and to shock at 40%. ' +
+      'To clear it, brush every surface, shock to the level your stabilizer calls for, keep chlorine there and run the filter continuously, cleaning it as pressure rises. The pool is clear when the water is clear, chlorine holds overnight with less than 1 ppm loss, and there is no combined chlorine. ' +
+      'Algae that comes back after each treatment usually means stabilizer has built up from tablets, the filter is too small, or dead spots are not being brushed.'
+  },
+  {
+    slug: 'chlorine-keeps-dropping',
+    title: 'Chlorine keeps dropping',
+    category: 'water_chemistry',
+    tags: ['chlorine', 'demand', 'stabilizer', 'sunlight'],
+    summary: 'Fast chlorine loss comes from sunlight without enough stabilizer, a growing algae or bacteria load, or heavy use. An overnight chlorine loss test tells you which.',
+    body: 'Outdoor pools lose chlorine to sunlight, swimmers and anything living in the water. ' +
+      'Test free chlorine at dusk and again at dawn: losing more than 1 ppm overnight means something is consuming it, usually algae that is not visible yet, and the pool needs a shock. ' +
+      'If it holds overnight but disappears during the day, cyanuric acid is probably below 30 ppm and the sun is burning it off. ' +
+      'High temperatures, parties, rain and organic debris all raise demand. In the desert heat, pools often need chlorine daily in summer.'
+  },
+  {
+    slug: 'ph-keeps-rising',
+    title: 'pH keeps rising',
+    category: 'water_chemistry',
+    tags: ['ph', 'alkalinity', 'aeration', 'salt', 'plaster'],
+    summary: 'pH drifts up when the water loses carbon dioxide: from spillovers, waterfalls, salt cells and high alkalinity. Lowering total alkalinity slows the climb.',
+    body: 'Rising pH is normal in most pools. Aeration from waterfalls, spa spillovers, bubblers and salt chlorine generators drives carbon dioxide out of the water, and pH rises as it goes. ' +
+      'The higher total alkalinity is, the faster this happens, so lowering alkalinity to the bottom of its range with acid and letting pH rise through aeration slows the drift. ' +
+      'New plaster raises pH for months while it cures. Keep pH between 7.2 and 7.6 (up to 7.8 for saltwater pools); above that, chlorine works poorly and calcium scale forms.'
+  },
+  {
+    slug: 'high-stabilizer',
+    title: 'High stabilizer (cyanuric acid)',
+    category: 'water_chemistry',
+    tags: ['cyanuric', 'stabilizer', 'tablets', 'dilution'],
+    summary: 'Stabilizer only leaves the pool with water. Above about 80 ppm chlorine struggles to keep up and the only fix is partial draining.',
+    body: 'Trichlor tablets and dichlor shock add cyanuric acid every time they are used, and nothing removes it except replacing water. ' +
+      'High stabilizer makes chlorine slow to act, which shows up as cloudy water and recurring algae even when chlorine tests in range. ' +
+      'Drain and refill enough water to bring it back to 30-50 ppm (60-80 ppm for saltwater pools), then switch to liquid chlorine or a salt cell so it does not build up again.'
+  },
+  {
+    slug: 'calcium-scale',
+    title: 'White crust and calcium scale',
+    category: 'water_chemistry',
+    tags: ['hardness', 'calcium', 'scaling', 'lsi', 'tile'],
+    summary: 'Scale forms when the water is oversaturated with calcium: high pH, high alkalinity, high calcium hardness and heat. Keep the LSI between -0.3 and +0.3.',
+    body: 'Hard fill water and evaporation push calcium up over time, especially in hot dry climates. ' +
+      'When pH, alkalinity, calcium hardness and temperature together make the water scaling (a Langelier Saturation Index above +0.3), calcium comes out as a white crust on tile at the waterline, rough plaster, cloudy water and clogged salt cells and heater exchangers. ' +
+      'Lower pH and alkalinity first; if calcium hardness is well above the target, partial draining is the only way to lower it. Corrosive water (LSI below -0.3) does the opposite and etches plaster and metal.'
+  },
+  {
+    slug: 'filter-pressure-and-pump',
+    title: 'Filter pressure and pump problems',
+    category: 'equipment',
+    tags: ['filter', 'pump', 'pressure', 'backwash', 'cartridge'],
+    summary: 'Clean or backwash the filter when pressure is 8-10 psi above its clean reading. Low pressure with weak flow usually means a clogged basket or air in the pump.',
+    body: 'Note the filter pressure right after cleaning; that is the clean reading. ' +
+      'Pressure 8-10 psi above it means the filter is loaded and should be backwashed (sand, DE) or the cartridge cleaned. Pressure that climbs within days after cleaning points to algae, high calcium or a cartridge that needs replacing. ' +
+      'Low pressure with weak return flow means something is starving the pump: a full skimmer or pump basket, low water level, a closed valve or an air leak on the suction side (bubbles in the pump lid). ' +
+      'A pump that hums but does not start, trips the breaker or screeches needs a technician: usually a failed capacitor or worn bearings.'
+  },
+  {
+    slug: 'after-rain-or-dust-storm',
+    title: 'After a storm, rain or dust storm',
+    category: 'seasonal',
+    tags: ['rain', 'storm', 'dust', 'debris', 'monsoon'],
+    summary: 'Storms dilute chemicals and load the pool with debris. Clear debris, clean baskets and filter, test and shock, and expect cloudy water for a day or two.',
+    body: 'Monsoon rain and dust storms add dirt, phosphates and organic debris and dilute chlorine and alkalinity. ' +
+      'Skim and vacuum, empty the skimmer and pump baskets, then clean the filter because it will load quickly. ' +
+      'Test and rebalance, shock to burn off the organic load, and run the pump continuously until the water is clear. Check that the water level is not above the skimmer opening after heavy rain.'
+  },
+  {
+    slug: 'salt-cell-care',
+    title: 'Salt chlorine generator care',
+    category: 'equipment',
+    tags: ['salt', 'chlorinator', 'cell', 'scaling'],
+    summary: 'Keep salt at 2700-3400 ppm and inspect the cell every few months; scale on the plates cuts chlorine output.',
+    body: 'A salt cell makes chlorine from dissolved salt, so low salt or a scaled cell shows up as falling chlorine. ' +
+      'Keep salt in the range on the cell\'s label, usually 2700-3400 ppm, and inspect the cell every three months. White scale on the plates should be removed with a diluted acid soak or the cell\'s cleaning procedure. ' +
+      'Salt cells raise pH, so expect to add acid regularly. Output drops sharply in cold water; most cells stop below 50-60°F.'
+  }
+];
+
+const seed = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('📦 Connected to MongoDB');
+
+  let created = 0;
+  for (const article of articles) {
+    const result = await KnowledgeArticle.updateOne(
+      { slug: article.slug },
+      { $setOnInsert: { ...article, status: 'published', publishedAt: new Date() } },
+      { upsert: true }
+    );
+    if (result.upsertedCount) {
+      created++;
+      console.log(`  Added "${article.title}"`);
+    }
+  }
+
+  console.log(`✅ ${created} articles added, ${articles.length - created} already present`);
+};
+
+seed()
+  .catch(error => {
+    console.error('Knowledge base seeding failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,30 @@
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import { startWorker, stopWorker } from '../services/jobQueueService.js';
+import { registerJobHandlers } from '../services/jobHandlers.js';
+
+// Standalone background job worker. Run alongside API servers started with
+// JOB_WORKER_ENABLED=false to keep job processing out of request handling.
+
+const shutdown = async (signal) => {
+  console.log(`👋 ${signal} received, finishing running jobs`);
+  await stopWorker();
+  await mongoose.connection.close();
+  process.exit(0);
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('📦 Connected to MongoDB');
+
+  registerJobHandlers();
+  startWorker();
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+};
+
+run().catch(error => {
+  console.error('Job worker failed to start:', error);
+  process.exit(1);
+});
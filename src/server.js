@@ -1,8 +1,9 @@
+// Load environment variables before any module reads configuration
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import morgan from 'morgan';
-import dotenv from 'dotenv';
 import mongoose from 'mongoose';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -16,14 +17,31 @@ import legalRoutes from './routes/legal.js';
 import assessmentRoutes from './routes/assessments.js';
 import affiliateRoutes from './routes/affiliates.js';
 import premiumRoutes from './routes/premium.js';
+import sensorRoutes from './routes/sensors.js';
+import alertRoutes from './routes/alerts.js';
+import notificationRoutes from './routes/notifications.js';
+import jobRoutes from './routes/jobs.js';
+import schedulerRoutes from './routes/scheduler.js';
+import dispatchRoutes from './routes/dispatch.js';
+import availabilityRoutes from './routes/availability.js';
+import syncRoutes from './routes/sync.js';
+import checklistRoutes from './routes/checklists.js';
+import photoRoutes from './routes/photos.js';
+import billingRoutes from './routes/billing.js';
+import paymentRoutes from './routes/payments.js';
+import consultationRoutes from './routes/consultations.js';
+import knowledgeRoutes from './routes/knowledge.js';
+
+// Import services
+import { startWorker, stopWorker } from './services/jobQueueService.js';
+import { registerJobHandlers } from './services/jobHandlers.js';
+import { startScheduler, stopScheduler } from './services/schedulerService.js';
+import { registerScheduledTasks } from './services/scheduledTasks.js';
 
 // Import middleware
 import { errorHandler } from './middleware/errorHandler.js';
 import { notFoundHandler } from './middleware/notFoundHandler.js';
 
-// Load environment variables
-dotenv.config();
-
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
@@ -55,6 +73,8 @@ app.use(cors({
 app.use(morgan(process.env.NODE_ENV === 'production' ? 'combined' : 'dev'));
 
 // Body parsing middleware
+// Payment webhooks are verified against the exact bytes that were signed
+app.use('/api/payments/webhooks', express.raw({ type: 'application/json', limit: '1mb' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -90,6 +110,20 @@ app.use('/api/legal', legalRoutes);
 app.use('/api/assessments', assessmentRoutes);
 app.use('/api/affiliates', affiliateRoutes);
 app.use('/api/premium', premiumRoutes);
+app.use('/api/sensors', sensorRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/scheduler', schedulerRoutes);
+app.use('/api/dispatch', dispatchRoutes);
+app.use('/api/availability', availabilityRoutes);
+app.use('/api/sync', syncRoutes);
+app.use('/api/checklists', checklistRoutes);
+app.use('/api/photos', photoRoutes);
+app.use('/api/billing', billingRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/consultations', consultationRoutes);
+app.use('/api/knowledge', knowledgeRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -149,21 +183,33 @@ const startServer = async () => {
         surfaceType: 'concrete',
         dimensions: { length: 32, width: 16, volume: 20000 },
         address: { city: 'Las Vegas', state: 'NV' },
-        waterChemistry: [
-          {
-            pH: 7.4,
-            chlorine: 2.2,
-            alkalinity: 100,
-            temperature: 78,
-            testedAt: new Date()
-          }
-        ],
+        latestWaterChemistry: {
+          pH: 7.4,
+          chlorine: 2.2,
+          alkalinity: 100,
+          temperature: 78,
+          testedAt: new Date()
+        },
         needsAttention: false,
         recommendations: []
       }
     ];
   }
   
+  if (isDbConnected) {
+    // Run background jobs in this process unless a separate worker is used
+    registerJobHandlers();
+    if (process.env.JOB_WORKER_ENABLED !== 'false') {
+      startWorker();
+    }
+
+    // Recurring tasks; each tick runs on one instance only
+    registerScheduledTasks();
+    if (process.env.SCHEDULER_ENABLED !== 'false') {
+      startScheduler();
+    }
+  }
+  
   app.listen(PORT, () => {
     console.log(`🚀 VegasPoolCoaches server running on port ${PORT}`);
     console.log(`📱 Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -193,9 +239,12 @@ process.on('uncaughtException', (err) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('👋 SIGTERM received, shutting down gracefully');
-  mongoose.connection.close(() => {
-    console.log('📦 MongoDB connection closed');
-    process.exit(0);
+  stopScheduler();
+  stopWorker().finally(() => {
+    mongoose.connection.close(() => {
+      console.log('📦 MongoDB connection closed');
+      process.exit(0);
+    });
   });
 });
 
@@ -0,0 +1,52 @@
+import { IndemnityClause } from '../models/LegalDocument.js';
+import { SponsorshipAgreement } from '../models/Affiliate.js';
+
+// Expiry of time-limited agreements
+
+async function expireIndemnityClauses(now = new Date()) {
+  const result = await IndemnityClause.updateMany(
+    { status: 'active', expirationDate: { $lt: now } },
+    { $set: { status: 'expired' } }
+  );
+
+  return { expired: result.modifiedCount };
+}
+
+// Auto-renewing sponsorships start a new term of the same length instead
+// of expiring
+async function expireSponsorshipAgreements(now = new Date()) {
+  const ended = await SponsorshipAgreement.find({
+    status: 'active',
+    'contractDetails.endDate': { $lt: now }
+  });
+
+  let expired = 0;
+  let renewed = 0;
+
+  for (const agreement of ended) {
+    const { startDate, endDate, autoRenewal } = agreement.contractDetails;
+    const termMs = endDate - startDate;
+
+    if (autoRenewal && termMs > 0) {
+      let newStart = endDate;
+      while (newStart.getTime() + termMs < now.getTime()) {
+        newStart = new Date(newStart.getTime() + termMs);
+      }
+      agreement.contractDetails.startDate = newStart;
+      agreement.contractDetails.endDate = new Date(newStart.getTime() + termMs);
+      renewed++;
+    } else {
+      agreement.status = 'expired';
+      expired++;
+    }
+
+    await agreement.save();
+  }
+
+  return { expired, renewed };
+}
+
+export {
+  expireIndemnityClauses,
+  expireSponsorshipAgreements
+};
@@ -0,0 +1,317 @@
+import mongoose from 'mongoose';
+import AIConversation from '../models/AIConversation.js';
+import { VirtualAiManager } from '../models/Premium.js';
+import { answerQuery, invalidateKnowledgeCache } from './aiManagerService.js';
+
+// AI manager conversations: multi-turn threads, client feedback on each
+// answer, performance metrics computed from that feedback, and the consultant
+// review queue that turns thumbs-down answers into training data.
+
+// Earlier turns sent back to the model with each question
+const CONTEXT_TURNS = parseInt(process.env.AI_MANAGER_CONTEXT_TURNS) || 6;
+const MAX_TURNS = 100;
+// Conversations used to compute a client's performance metrics
+const METRICS_CONVERSATIONS = 200;
+// Entries kept in each client profile's interaction history. Every client's
+// profile lives in the one AI manager document, so entries only point at the
+// conversation turn holding the text.
+const MAX_INTERACTION_HISTORY = 50;
+
+const STAFF_ROLES = ['consultant', 'admin'];
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function canViewConversation(user, conversation) {
+  return STAFF_ROLES.includes(user.role) || conversation.client.equals(user._id);
+}
+
+function findTurn(conversation, turnId) {
+  const turn = mongoose.isValidObjectId(turnId) && conversation.turns.id(turnId);
+  if (!turn) throw httpError('Answer not found', 404);
+  return turn;
+}
+
+function toHistory(conversation) {
+  return conversation.turns
+    .filter(turn => turn.response && turn.response.text)
+    .slice(-CONTEXT_TURNS)
+    .map(turn => ({ query: turn.query, text: turn.response.text }));
+}
+
+function conversationTitle(query) {
+  const title = query.replace(/\s+/g, ' ').trim();
+  return title.length > 80 ? `${title.slice(0, 79).trimEnd()}…` : title;
+}
+
+async function logInteraction(clientId, conversation, turn) {
+  await VirtualAiManager.updateOne(
+    { 'clientProfiles.client': clientId },
+    {
+      $push: {
+        'clientProfiles.$.learningData.interactionHistory': {
+          $each: [{
+            type: 'query',
+            timestamp: turn.createdAt,
+            conversation: conversation._id,
+            turn: turn._id
+          }],
+          $slice: -MAX_INTERACTION_HISTORY
+        }
+      }
+    }
+  );
+}
+
+// Ask within a conversation, starting one when none is given. The answer
+// is saved as a new turn and logged to the client's interaction history.
+async function askAIManager({ conversation, client, pool, pools = [], query, context, user }) {
+  if (!conversation) {
+    conversation = new AIConversation({ client: client._id, pool: pool && pool._id, title: conversationTitle(query) });
+  } else if (conversation.status === 'archived') {
+    throw httpError('Conversation is archived', 400);
+  } else if (conversation.turns.length >= MAX_TURNS) {
+    throw httpError('Conversation is too long, please start a new one', 400);
+  }
+
+  const response = await answerQuery({ query, context, pools, user, history: toHistory(conversation) });
+
+  conversation.turns.push({
+    query,
+    context: typeof context === 'string' ? context : undefined,
+    response: {
+      text: response.text,
+      citations: response.citations,
+      confidence: response.confidence,
+      suggestions: response.suggestions,
+      source: response.source,
+      model: response.model,
+      fallbackReason: response.fallbackReason,
+      latencyMs: response.latencyMs
+    }
+  });
+  conversation.lastTurnAt = new Date();
+  await conversation.save();
+
+  const turn = conversation.turns[conversation.turns.length - 1];
+  await logInteraction(conversation.client, conversation, turn);
+  await updatePerformanceMetrics(conversation.client);
+
+  return { conversation, turn, response };
+}
+
+// Metrics over the client's recent conversations:
+//   accuracyScore       share of rated answers rated up
+//   clientSatisfaction  the same on a 1-5 scale
+//   issueResolutionRate share of rated conversations whose last rated answer was up
+//   responsTime         average seconds to answer
+async function computePerformanceMetrics(clientId) {
+  const conversations = await AIConversation.find({ client: clientId })
+    .sort({ lastTurnAt: -1 })
+    .limit(METRICS_CONVERSATIONS)
+    .select('turns.feedback.rating turns.response.latencyMs')
+    .lean();
+
+  let rated = 0;
+  let positive = 0;
+  let ratedConversations = 0;
+  let resolvedConversations = 0;
+  const latencies = [];
+
+  for (const conversation of conversations) {
+    let lastRating;
+    for (const turn of conversation.turns) {
+      if (turn.response && typeof turn.response.latencyMs === 'number') latencies.push(turn.response.latencyMs);
+      const rating = turn.feedback && turn.feedback.rating;
+      if (!rating) continue;
+      rated += 1;
+      if (rating === 'up') positive += 1;
+      lastRating = rating;
+    }
+    if (lastRating) {
+      ratedConversations += 1;
+      if (lastRating === 'up') resolvedConversations += 1;
+    }
+  }
+
+  const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+  const accuracy = rated ? positive / rated : undefined;
+
+  return {
+    accuracyScore: accuracy !== undefined ? round(accuracy, 2) : undefined,
+    clientSatisfaction: accuracy !== undefined ? round(1 + 4 * accuracy, 1) : undefined,
+    issueResolutionRate: ratedConversations ? round(resolvedConversations / ratedConversations, 2) : undefined,
+    responsTime: latencies.length ? round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length / 1000, 1) : undefined,
+    ratedAnswers: rated,
+    calculatedAt: new Date()
+  };
+}
+
+async function updatePerformanceMetrics(clientId) {
+  const metrics = await computePerformanceMetrics(clientId);
+  await VirtualAiManager.updateOne(
+    { 'clientProfiles.client': clientId },
+    { $set: { 'clientProfiles.$.performanceMetrics': metrics } }
+  );
+  return metrics;
+}
+
+// Thumbs up/down and an optional comment. A thumbs-down puts the answer in
+// the review queue; changing it to a thumbs-up takes it out again unless a
+// consultant has already reviewed it.
+async function recordFeedback(conversation, turnId, { rating, comment }) {
+  const turn = findTurn(conversation, turnId);
+
+  turn.feedback = { rating, comment, givenAt: new Date() };
+  const reviewed = turn.review && turn.review.status && turn.review.status !== 'pending';
+  if (!reviewed) {
+    turn.review = rating === 'down' ? { status: 'pending' } : undefined;
+  }
+  await conversation.save();
+
+  await VirtualAiManager.updateOne(
+    { 'clientProfiles.client': conversation.client },
+    {
+      $set: {
+        'clientProfiles.$[profile].learningData.interactionHistory.$[entry].rating': rating,
+        'clientProfiles.$[profile].learningData.interactionHistory.$[entry].effectiveness': rating === 'up' ? 1 : 0
+      }
+    },
+    { arrayFilters: [{ 'profile.client': conversation.client }, { 'entry.turn': turn._id }] }
+  );
+  const metrics = await updatePerformanceMetrics(conversation.client);
+
+  return { turn, metrics };
+}
+
+// Thumbs-down answers (or reviewed ones, by status), newest feedback first
+async function listReviewQueue({ status = 'pending', page = 1, limit = 20 } = {}) {
+  const [result] = await AIConversation.aggregate([
+    { $match: { 'turns.review.status': status } },
+    { $unwind: '$turns' },
+    { $match: { 'turns.review.status': status } },
+    { $sort: { 'turns.feedback.givenAt': -1 } },
+    {
+      $facet: {
+        items: [
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          {
+            $project: {
+              _id: 0,
+              conversation: '$_id',
+              client: 1,
+              pool: 1,
+              title: 1,
+              turn: '$turns'
+            }
+          }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const total = result.total.length ? result.total[0].count : 0;
+  return { items: result.items, total, page, limit, pages: Math.ceil(total / limit) };
+}
+
+// A consultant either dismisses the complaint or records the right answer as
+// training data, optionally adding it to the knowledge base the AI manager
+// retrieves from so the next client asking gets it. The review is claimed
+// before the training data is written so an answer reviewed by two
+// consultants at once is only trained on once.
+async function reviewAnswer(conversation, turnId, { decision, correctedResponse, notes, addToKnowledgeBase = false }, reviewer) {
+  const turn = findTurn(conversation, turnId);
+  if (!turn.review || !turn.review.status) throw httpError('Answer is not awaiting review', 400);
+  if (turn.review.status !== 'pending') throw httpError('Answer has already been reviewed', 409);
+
+  const train = decision === 'train';
+  const aiManager = train
+    ? await VirtualAiManager.exists({ 'clientProfiles.client': conversation.client })
+    : null;
+  if (train && !aiManager) throw httpError('AI Manager not available', 404);
+
+  const reviewedAt = new Date();
+  const review = {
+    status: train ? 'trained' : 'dismissed',
+    reviewedBy: reviewer._id,
+    reviewedAt,
+    correctedResponse: train ? correctedResponse : undefined,
+    notes,
+    addedToKnowledgeBase: train && addToKnowledgeBase
+  };
+
+  const claimed = await AIConversation.updateOne(
+    { _id: conversation._id, turns: { $elemMatch: { _id: turn._id, 'review.status': 'pending' } } },
+    { $set: { 'turns.$.review': review } }
+  );
+  if (claimed.matchedCount === 0) throw httpError('Answer has already been reviewed', 409);
+
+  if (train) {
+    const push = {
+      'learningSystem.trainingData': {
+        scenario: turn.query,
+        correctResponse: correctedResponse,
+        actualResponse: turn.response.text,
+        feedback: turn.feedback && turn.feedback.comment,
+        learned: addToKnowledgeBase,
+        conversation: conversation._id,
+        turn: turn._id,
+        reviewedBy: reviewer._id,
+        reviewedAt
+      }
+    };
+    if (addToKnowledgeBase) {
+      push['learningSystem.knowledgeBase'] = {
+        topic: turn.query,
+        content: correctedResponse,
+        confidence: 1,
+        sources: [`Reviewed answer in conversation ${conversation._id}`],
+        lastUpdated: reviewedAt
+      };
+    }
+
+    try {
+      await VirtualAiManager.updateOne({ _id: aiManager._id }, { $push: push });
+    } catch (error) {
+      // Back to the queue so the review can be retried
+      await AIConversation.updateOne(
+        { _id: conversation._id, 'turns._id': turn._id },
+        { $set: { 'turns.$.review': { status: 'pending' } } }
+      );
+      throw error;
+    }
+    if (addToKnowledgeBase) invalidateKnowledgeCache();
+  }
+
+  turn.review = review;
+  return turn;
+}
+
+// Clients don't see consultant notes on reviews
+function toConversationResponse(conversation, user) {
+  const data = typeof conversation.toObject === 'function' ? conversation.toObject() : conversation;
+  if (STAFF_ROLES.includes(user.role) || !data.turns) return data;
+
+  return {
+    ...data,
+    turns: data.turns.map(turn => (turn.review ? { ...turn, review: { ...turn.review, notes: undefined } } : turn))
+  };
+}
+
+export {
+  CONTEXT_TURNS,
+  MAX_TURNS,
+  canViewConversation,
+  askAIManager,
+  computePerformanceMetrics,
+  updatePerformanceMetrics,
+  recordFeedback,
+  listReviewQueue,
+  reviewAnswer,
+  toConversationResponse
+};
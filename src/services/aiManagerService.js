@@ -0,0 +1,465 @@
+import MaintenanceLog from '../models/MaintenanceLog.js';
+import KnowledgeArticle from '../models/KnowledgeArticle.js';
+import { VirtualAiManager } from '../models/Premium.js';
+import { getReadingsSince } from './waterChemistryService.js';
+import { resolveTargetRanges, evaluateReading, describeRange, getProfileName, chemistryProfiles } from './chemistryProfileService.js';
+import { prepareDocument, createSearchIndex, bestSnippet } from './retrievalService.js';
+import { isAIEnabled, generateText } from './aiService.js';
+
+// The AI manager answers from retrieved context: the client's pool records
+// (profile, equipment, chemistry readings, maintenance visits) and the curated
+// knowledge base. Every answer carries citations back to the records it used:
+//   { text, citations[{ id: 'S1', type, refId, pool?, title, date?, path, snippet }], confidence, suggestions, source, latencyMs }
+
+const HISTORY_DAYS = parseInt(process.env.AI_MANAGER_HISTORY_DAYS) || 90;
+const MAX_SOURCES = parseInt(process.env.AI_MANAGER_MAX_SOURCES) || 6;
+const MAX_READINGS_PER_POOL = 30;
+const MAX_VISITS_PER_POOL = 20;
+const MAX_POOLS = 3;
+// Published articles are re-read at most this often (other instances edit them too)
+const KNOWLEDGE_CACHE_MS = 5 * 60 * 1000;
+// A record's relevance halves every this many days, down to half its score
+const RECENCY_HALF_LIFE_DAYS = 30;
+
+const STAFF_ROLES = ['technician', 'consultant', 'admin'];
+// Article categories that make a question about the water itself
+const CHEMISTRY_CATEGORIES = ['water_chemistry', 'water_clarity', 'algae'];
+
+// Grounded LLM answers that cite their sources, and rule-based answers by how much they found
+const AI_CONFIDENCE = { cited: 0.8, uncited: 0.5 };
+const RULE_CONFIDENCE = { recordsAndArticles: 0.6, partial: 0.45, nothingFound: 0.2 };
+
+const PARAMETER_LABELS = {
+  pH: 'pH',
+  chlorine: 'Free chlorine',
+  alkalinity: 'Total alkalinity',
+  hardness: 'Calcium hardness',
+  cyanuricAcid: 'Cyanuric acid (stabilizer)',
+  salt: 'Salt',
+  temperature: 'Temperature'
+};
+
+const PARAMETER_UNITS = {
+  chlorine: 'ppm',
+  alkalinity: 'ppm',
+  hardness: 'ppm',
+  cyanuricAcid: 'ppm',
+  salt: 'ppm',
+  temperature: '°F'
+};
+
+let knowledgeCache = null;
+
+function formatDate(date) {
+  return date ? new Date(date).toISOString().slice(0, 10) : undefined;
+}
+
+// Articles and the legacy VirtualAiManager knowledge base entries, tokenized once per cache period
+async function getKnowledgeDocuments() {
+  if (knowledgeCache && Date.now() - knowledgeCache.loadedAt < KNOWLEDGE_CACHE_MS) {
+    return knowledgeCache.documents;
+  }
+
+  const [articles, managers] = await Promise.all([
+    KnowledgeArticle.find({ status: 'published' }).select('title summary body category tags').lean(),
+    VirtualAiManager.find({ 'learningSystem.knowledgeBase.0': { $exists: true } })
+      .select('learningSystem.knowledgeBase').lean()
+  ]);
+
+  const documents = articles.map(article => prepareDocument({
+    key: `article:${article._id}`,
+    type: 'article',
+    refId: article._id,
+    title: article.title,
+    text: [article.summary, article.body, (article.tags || []).join(' '), article.category.replace(/_/g, ' ')].join('\n'),
+    summary: article.summary,
+    category: article.category,
+    path: `/api/knowledge/${article._id}`
+  }));
+
+  for (const manager of managers) {
+    for (const entry of manager.learningSystem.knowledgeBase) {
+      if (!entry.content) continue;
+      documents.push(prepareDocument({
+        key: `knowledge:${entry._id}`,
+        type: 'article',
+        refId: entry._id,
+        title: entry.topic || 'Pool care note',
+        text: [entry.content, (entry.sources || []).join(' ')].join('\n'),
+        date: entry.lastUpdated
+      }));
+    }
+  }
+
+  knowledgeCache = { documents, loadedAt: Date.now() };
+  return documents;
+}
+
+function invalidateKnowledgeCache() {
+  knowledgeCache = null;
+}
+
+function describeReading(reading, ranges) {
+  const findings = evaluateReading(reading, ranges).map(({ parameter, value, status, range }) => {
+    const unit = PARAMETER_UNITS[parameter] || '';
+    const label = PARAMETER_LABELS[parameter] || parameter;
+    const verdict = status === 'ok' ? 'in range' : `${status}, out of range`;
+    return `${label} ${value}${unit ? ` ${unit}` : ''} (${verdict}, target ${describeRange(range, unit)})`;
+  });
+
+  const balance = reading.waterBalance && reading.waterBalance.status;
+  if (balance && balance !== 'unknown') {
+    findings.push(`Water balance ${balance}${reading.waterBalance.lsi !== undefined ? ` (LSI ${reading.waterBalance.lsi})` : ''}`);
+  }
+  if (reading.notes) findings.push(`Notes: ${reading.notes}`);
+
+  return `${findings.join('. ')}.`;
+}
+
+function outOfRange(reading, ranges) {
+  return evaluateReading(reading, ranges).filter(result => result.status !== 'ok');
+}
+
+function describeVisit(visit, { includeInternal }) {
+  const parts = [`${visit.type || 'Maintenance'} visit, ${visit.status}.`];
+
+  for (const issue of visit.issues || []) {
+    parts.push(`Issue (${issue.type || 'other'}, ${issue.severity || 'unrated'}): ${issue.description || 'no description'}` +
+      `${issue.resolution ? `. Resolution: ${issue.resolution}` : ''}.`);
+  }
+  const chemicals = (visit.chemicalsUsed || []).filter(chemical => chemical.name || chemical.product);
+  if (chemicals.length) {
+    parts.push(`Chemicals added: ${chemicals.map(chemical =>
+      `${chemical.name || chemical.product}${chemical.amount ? ` ${chemical.amount} ${chemical.unit || ''}`.trimEnd() : ''}`).join(', ')}.`);
+  }
+  for (const check of visit.equipmentChecked || []) {
+    if (check.status && check.status !== 'good') {
+      parts.push(`Equipment ${check.type || ''} ${check.status.replace(/_/g, ' ')}${check.notes ? `: ${check.notes}` : ''}.`);
+    }
+  }
+  for (const recommendation of visit.recommendations || []) {
+    if (recommendation.description) parts.push(`Recommended: ${recommendation.description}.`);
+  }
+  if (visit.followUpRequired && visit.followUpReason) parts.push(`Follow-up needed: ${visit.followUpReason}.`);
+  if (visit.notes) parts.push(`Technician notes: ${visit.notes}`);
+  if (includeInternal && visit.internalNotes) parts.push(`Internal notes: ${visit.internalNotes}`);
+
+  return parts.join(' ');
+}
+
+function describeEquipment(item) {
+  const parts = [`Status: ${(item.status || 'working').replace(/_/g, ' ')}.`];
+  if (item.installDate) parts.push(`Installed ${formatDate(item.installDate)}.`);
+  if (item.lastServiceDate) parts.push(`Last serviced ${formatDate(item.lastServiceDate)}.`);
+  if (item.nextServiceDate) parts.push(`Next service due ${formatDate(item.nextServiceDate)}.`);
+  if (item.warrantyExpiration) parts.push(`Warranty until ${formatDate(item.warrantyExpiration)}.`);
+  if (item.notes) parts.push(item.notes);
+  return parts.join(' ');
+}
+
+function describePool(pool) {
+  const profile = chemistryProfiles[getProfileName(pool)];
+  const parts = [`${pool.poolType.replace(/_/g, ' ')} pool`];
+  if (pool.surfaceType) parts.push(`${pool.surfaceType} surface`);
+  if (pool.dimensions && pool.dimensions.volume) parts.push(`${pool.dimensions.volume} gallons`);
+  parts.push(`chemistry profile: ${profile.label}`);
+
+  const schedule = pool.maintenanceSchedule || {};
+  const sentences = [`${parts.join(', ')}.`];
+  if (schedule.frequency) sentences.push(`Serviced ${schedule.frequency}.`);
+  if (schedule.lastMaintenance) sentences.push(`Last maintenance ${formatDate(schedule.lastMaintenance)}.`);
+  if (schedule.nextMaintenance) sentences.push(`Next maintenance ${formatDate(schedule.nextMaintenance)}.`);
+  if (pool.specialInstructions) sentences.push(`Special instructions: ${pool.specialInstructions}`);
+  return sentences.join(' ');
+}
+
+// Searchable documents for one pool. The profile and latest reading are
+// always given to the model; everything else has to be retrieved.
+async function buildPoolDocuments(pool, { includeInternal = false, now = new Date() } = {}) {
+  const since = new Date(now.getTime() - HISTORY_DAYS * 24 * 60 * 60 * 1000);
+  const ranges = resolveTargetRanges(pool);
+
+  const [readings, visits] = await Promise.all([
+    getReadingsSince(pool, since),
+    MaintenanceLog.find({ pool: pool._id, scheduledDate: { $lte: now } })
+      .sort({ scheduledDate: -1 })
+      .limit(MAX_VISITS_PER_POOL)
+      .lean()
+  ]);
+
+  const poolRef = { pool: pool._id, poolName: pool.name };
+  const documents = [prepareDocument({
+    ...poolRef,
+    key: `pool:${pool._id}`,
+    type: 'pool',
+    refId: pool._id,
+    title: `Pool profile: ${pool.name}`,
+    text: describePool(pool),
+    path: `/api/pools/${pool._id}`,
+    pinned: true
+  })];
+
+  const recentReadings = readings.slice(-MAX_READINGS_PER_POOL).reverse();
+  recentReadings.forEach((reading, i) => {
+    const problems = outOfRange(reading, ranges);
+    documents.push(prepareDocument({
+      ...poolRef,
+      key: `reading:${reading._id}`,
+      type: 'reading',
+      refId: reading._id,
+      title: `Water test on ${formatDate(reading.testedAt)}${i === 0 ? ' (latest)' : ''}`,
+      text: describeReading(reading, ranges),
+      date: reading.testedAt,
+      path: `/api/pools/${pool._id}/water-chemistry`,
+      problems: problems.map(({ parameter, status }) =>
+        `${status} ${parameter === 'pH' ? 'pH' : (PARAMETER_LABELS[parameter] || parameter).toLowerCase()}`),
+      pinned: i === 0
+    }));
+  });
+
+  for (const visit of visits) {
+    documents.push(prepareDocument({
+      ...poolRef,
+      key: `maintenance:${visit._id}`,
+      type: 'maintenance',
+      refId: visit._id,
+      title: `${visit.type === 'routine' ? 'Routine' : (visit.type || 'Maintenance').replace(/^\w/, c => c.toUpperCase())} visit on ${formatDate(visit.scheduledDate)}`,
+      text: describeVisit(visit, { includeInternal }),
+      date: visit.actualEndTime || visit.scheduledDate,
+      path: `/api/maintenance/${visit._id}`
+    }));
+  }
+
+  for (const item of pool.equipment || []) {
+    documents.push(prepareDocument({
+      ...poolRef,
+      key: `equipment:${item._id}`,
+      type: 'equipment',
+      refId: item._id,
+      title: `${[item.brand, item.model].filter(Boolean).join(' ') || 'Pool'} ${item.type}`.trim(),
+      text: describeEquipment(item),
+      date: item.lastServiceDate,
+      path: `/api/pools/${pool._id}`,
+      needsAttention: item.status && item.status !== 'working'
+    }));
+  }
+
+  return documents;
+}
+
+function recencyBoost(now) {
+  return document => {
+    if (!document.date || document.type === 'article') return 1;
+    const ageDays = Math.max((now - new Date(document.date)) / (24 * 60 * 60 * 1000), 0);
+    return 0.5 + 0.5 * Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+  };
+}
+
+// Pinned pool context first, then the best matches, labelled S1, S2, ...
+async function retrieveSources(query, { pools = [], user, now = new Date() } = {}) {
+  const includeInternal = Boolean(user && STAFF_ROLES.includes(user.role));
+  const poolDocuments = (await Promise.all(
+    pools.slice(0, MAX_POOLS).map(pool => buildPoolDocuments(pool, { includeInternal, now }))
+  )).flat();
+  const documents = [...poolDocuments, ...await getKnowledgeDocuments()];
+
+  const index = createSearchIndex(documents);
+  const pinned = documents.filter(document => document.pinned);
+  const matches = index.search(query, { limit: MAX_SOURCES + pinned.length, boost: recencyBoost(now) });
+  const scores = new Map(matches.map(match => [match.document.key, match.score]));
+
+  // Pinned sources keep their score when they matched too
+  const selected = [
+    ...pinned.map(document => ({ document, score: scores.get(document.key) || null })),
+    ...matches.filter(match => !match.document.pinned).slice(0, MAX_SOURCES)
+  ];
+
+  return selected.map(({ document, score }, i) => ({
+    id: `S${i + 1}`,
+    type: document.type,
+    refId: document.refId,
+    pool: document.pool,
+    poolName: document.poolName,
+    title: document.title,
+    date: formatDate(document.date),
+    path: document.path,
+    text: document.text,
+    summary: document.summary,
+    category: document.category,
+    problems: document.problems,
+    needsAttention: document.needsAttention,
+    pinned: Boolean(document.pinned),
+    score,
+    snippet: document.type === 'article' && document.summary ? document.summary : bestSnippet(document.text, query)
+  }));
+}
+
+function toCitation(source) {
+  const { id, type, refId, pool, title, date, path, snippet } = source;
+  return { id, type, refId, pool, title, date, path, snippet };
+}
+
+// Labels the answer actually cites, e.g. "[S2]" or "[S1, S3]"; unknown labels are dropped from the text
+function extractCitations(text, sources) {
+  const known = new Map(sources.map(source => [source.id, source]));
+  const cited = new Set();
+
+  const cleaned = text.replace(/\s*\[((?:S\d+\s*[,;]?\s*)+)\]/g, (match, group) => {
+    const labels = group.split(/[\s,;]+/).filter(Boolean);
+    const valid = labels.filter(label => known.has(label));
+    valid.forEach(label => cited.add(label));
+    return valid.length ? ` [${valid.join(', ')}]` : '';
+  });
+
+  return {
+    text: cleaned.trim(),
+    citations: sources.filter(source => cited.has(source.id)).map(toCitation)
+  };
+}
+
+function suggestionsFor(sources) {
+  const suggestions = [];
+  if (sources.some(source => source.type === 'reading' && source.problems && source.problems.length)) {
+    suggestions.push('Retest water chemistry after treatment');
+  }
+  if (sources.some(source => source.type === 'maintenance')) suggestions.push('Schedule maintenance');
+  if (sources.some(source => source.needsAttention)) suggestions.push('Review equipment status');
+  suggestions.push('Request a consultation');
+  return suggestions;
+}
+
+function formatSourcesForPrompt(sources) {
+  return sources.map(source => {
+    const header = [source.type, source.poolName, source.date].filter(Boolean).join(', ');
+    return `[${source.id}] ${source.title} (${header})\n${source.text}`;
+  }).join('\n\n');
+}
+
+// Earlier answers cite sources by labels that mean something else in this turn
+function stripCitationLabels(text) {
+  return text.replace(/\s*\[(?:S\d+\s*[,;]?\s*)+\]/g, '');
+}
+
+async function generateGroundedAnswer(query, context, sources, user, history) {
+  const system = 'You are a virtual pool manager for a pool care client. Answer from the numbered sources: the ' +
+      'client\'s own pool records and our knowledge base articles. Cite the sources behind every statement with ' +
+      'their labels in square brackets, e.g. [S2]. Point out patterns in the history (recurring problems, ' +
+      'readings drifting out of range). If the sources do not answer the question, say so and suggest a water ' +
+      'test or a consultation. Keep it brief and practical, and recommend a professional visit for anything ' +
+      'unsafe or beyond routine maintenance.';
+  const prompt = `Sources:\n${formatSourcesForPrompt(sources)}\n\n` +
+    (context ? `Context: ${typeof context === 'string' ? context : JSON.stringify(context)}\n\n` : '') +
+    `Question: ${query}`;
+
+  const completion = await generateText('ai_manager', {
+    messages: [
+      { role: 'system', content: system },
+      ...history.flatMap(turn => [
+        { role: 'user', content: turn.query },
+        { role: 'assistant', content: stripCitationLabels(turn.text) }
+      ]),
+      { role: 'user', content: prompt }
+    ],
+    user
+  });
+
+  const { text, citations } = extractCitations(completion.text, sources);
+  return {
+    text,
+    citations,
+    confidence: citations.length ? AI_CONFIDENCE.cited : AI_CONFIDENCE.uncited,
+    suggestions: suggestionsFor(sources),
+    source: completion.provider,
+    model: completion.model
+  };
+}
+
+// Without an LLM: quote what was retrieved, with the same citations
+function buildRuleBasedAnswer(sources) {
+  const lines = [];
+  const cited = [];
+  const cite = source => {
+    cited.push(source);
+    return `[${source.id}]`;
+  };
+
+  const matches = sources.filter(source => !source.pinned);
+  const latest = sources.find(source => source.type === 'reading' && source.pinned);
+  const visits = matches.filter(source => source.type === 'maintenance');
+  const records = matches.filter(source => source.type !== 'article' && source.type !== 'maintenance');
+  const articles = matches.filter(source => source.type === 'article');
+
+  // Lead with the latest test when the question is about the water, otherwise mention it last
+  const aboutWater = (latest && latest.score) || visits.some(source => /water_quality/.test(source.text)) ||
+    articles.some(source => CHEMISTRY_CATEGORIES.includes(source.category));
+  const latestProblems = latest && latest.problems.length ? latest.problems.join(', ') : null;
+
+  if (latestProblems && aboutWater) {
+    lines.push(`Your latest water test (${latest.date}) shows ${latestProblems} ${cite(latest)}.`);
+  }
+  if (visits.length > 1) {
+    lines.push(`This has come up on ${visits.length} service visits, most recently on ${visits[0].date}:`);
+  }
+  for (const source of [...visits, ...records]) {
+    lines.push(`- ${source.title}: ${source.snippet} ${cite(source)}`);
+  }
+  for (const source of articles.slice(0, 2)) {
+    lines.push(`From "${source.title}": ${source.snippet} ${cite(source)}`);
+  }
+
+  if (latestProblems && !aboutWater) {
+    lines.push(`Your latest water test (${latest.date}) also shows ${latestProblems} ${cite(latest)}.`);
+  }
+
+  let confidence = RULE_CONFIDENCE.partial;
+  if (!lines.length) {
+    lines.push('I couldn\'t find anything about that in your pool\'s records or our articles. ' +
+      'A fresh water test or a consultation with one of our experts is the best next step.');
+    confidence = RULE_CONFIDENCE.nothingFound;
+  } else if (articles.length && (visits.length || records.length || (latestProblems && aboutWater))) {
+    confidence = RULE_CONFIDENCE.recordsAndArticles;
+  }
+
+  return {
+    text: lines.join('\n'),
+    citations: cited.map(toCitation),
+    confidence,
+    suggestions: suggestionsFor(sources),
+    source: 'rule-based'
+  };
+}
+
+// history: earlier turns of the conversation, oldest first, as { query, text }
+async function answerQuery({ query, context, pools = [], user, history = [], now = new Date() }) {
+  const startedAt = Date.now();
+  // Follow-ups ("what should I add?") lean on the previous question for retrieval
+  const previous = history[history.length - 1];
+  const retrievalQuery = previous ? `${previous.query} ${query}` : query;
+  const sources = await retrieveSources(retrievalQuery, { pools, user, now });
+
+  let answer;
+  if (isAIEnabled('ai_manager')) {
+    try {
+      answer = await generateGroundedAnswer(query, context, sources, user, history);
+    } catch (error) {
+      // Out of quota or provider down: answer from the retrieved records instead
+      console.error('AI manager query failed:', error.message);
+      answer = { ...buildRuleBasedAnswer(sources), source: 'rule-based-fallback', fallbackReason: error.message };
+    }
+  } else {
+    answer = buildRuleBasedAnswer(sources);
+  }
+
+  return { ...answer, latencyMs: Date.now() - startedAt, timestamp: new Date() };
+}
+
+export {
+  HISTORY_DAYS,
+  MAX_SOURCES,
+  invalidateKnowledgeCache,
+  buildPoolDocuments,
+  retrieveSources,
+  extractCitations,
+  buildRuleBasedAnswer,
+  answerQuery
+};
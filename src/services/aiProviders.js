@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+import OpenAI from 'openai';
+
+// LLM providers. Each exposes `name`, `defaultModel` and
+//   complete({ model, messages, maxTokens, temperature, json }, { signal, timeoutMs })
+//     -> { text, model, finishReason, usage: { promptTokens, completionTokens, totalTokens } }
+// `messages` are chat messages ({ role, content }); `json` asks for a JSON
+// object reply. Errors keep the provider's HTTP `status` so callers can tell
+// rate limits and outages (retried) from bad requests (not retried).
+
+function toUsage(usage) {
+  if (!usage) return null;
+  return {
+    promptTokens: usage.prompt_tokens || 0,
+    completionTokens: usage.completion_tokens || 0,
+    totalTokens: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0)
+  };
+}
+
+// OpenAI's chat completions API, or any server that speaks it (Ollama,
+// vLLM, LM Studio, llama.cpp) when given a baseURL
+function createOpenAIProvider({ name = 'openai', apiKey, baseURL, defaultModel }) {
+  const client = new OpenAI({ apiKey, baseURL, maxRetries: 0 });
+
+  return {
+    name,
+    defaultModel,
+    async complete({ model, messages, maxTokens, temperature, json }, { signal, timeoutMs } = {}) {
+      const completion = await client.chat.completions.create({
+        model,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        ...(json && { response_format: { type: 'json_object' } })
+      }, { signal, timeout: timeoutMs });
+
+      const choice = completion.choices[0] || {};
+      return {
+        text: (choice.message && choice.message.content) || '',
+        model: completion.model || model,
+        finishReason: choice.finish_reason,
+        usage: toUsage(completion.usage)
+      };
+    }
+  };
+}
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+// Deterministic provider for tests and offline development: the same
+// request always gets the same reply. `respond(request)` overrides the reply
+// (a string, or an object sent as JSON).
+function createFakeAIProvider({ respond } = {}) {
+  return {
+    name: 'fake',
+    defaultModel: 'fake-model',
+    async complete(request) {
+      const prompt = request.messages.map(message => `${message.role}: ${message.content}`).join('\n');
+      const hash = crypto.createHash('sha256').update(`${request.model}\n${prompt}`).digest('hex').slice(0, 12);
+      const lastUserMessage = [...request.messages].reverse().find(message => message.role === 'user');
+
+      let reply = respond ? await respond(request) : undefined;
+      if (reply === undefined) {
+        reply = request.json
+          ? { fake: true, hash }
+          : `Fake response ${hash}: ${String(lastUserMessage ? lastUserMessage.content : '').trim().slice(0, 200)}`;
+      }
+      const text = typeof reply === 'string' ? reply : JSON.stringify(reply);
+
+      const promptTokens = estimateTokens(prompt);
+      const completionTokens = estimateTokens(text);
+      return {
+        text,
+        model: request.model,
+        finishReason: 'stop',
+        usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+      };
+    }
+  };
+}
+
+// Providers by name, created on first use (after dotenv has loaded)
+const providers = {};
+
+function getAIProvider(name) {
+  if (!providers[name]) {
+    if (name === 'openai') {
+      providers[name] = createOpenAIProvider({
+        apiKey: process.env.OPENAI_API_KEY,
+        baseURL: process.env.OPENAI_BASE_URL,
+        defaultModel: 'gpt-4o-mini'
+      });
+    } else if (name === 'local') {
+      providers[name] = createOpenAIProvider({
+        name: 'local',
+        apiKey: process.env.AI_LOCAL_API_KEY || 'not-needed',
+        baseURL: process.env.AI_LOCAL_BASE_URL || 'http://localhost:11434/v1',
+        defaultModel: process.env.AI_LOCAL_MODEL || 'llama3.1'
+      });
+    } else if (name === 'fake') {
+      providers[name] = createFakeAIProvider();
+    } else {
+      throw new Error(`AI provider not registered: ${name}`);
+    }
+  }
+  return providers[name];
+}
+
+// Add or replace a provider (e.g. a fake with canned replies in tests)
+function registerAIProvider(name, provider) {
+  providers[name] = provider;
+}
+
+export {
+  estimateTokens,
+  createOpenAIProvider,
+  createFakeAIProvider,
+  getAIProvider,
+  registerAIProvider
+};
@@ -0,0 +1,246 @@
+import mongoose from 'mongoose';
+import AIUsage from '../models/AIUsage.js';
+import { getAIProvider, estimateTokens } from './aiProviders.js';
+
+// Features that call an LLM, with their generation defaults. The provider and
+// model come from AI_PROVIDER / AI_MODEL and can be overridden per feature
+// with AI_<FEATURE>_PROVIDER / AI_<FEATURE>_MODEL (e.g. AI_POOL_ANALYSIS_MODEL).
+const AI_FEATURES = {
+  pool_analysis: { maxTokens: 1000, temperature: 0.7 },
+  ai_manager: { maxTokens: 600, temperature: 0.5 },
+  assessment_analysis: { maxTokens: 800, temperature: 0.3 }
+};
+
+// Provider errors worth another attempt: rate limits, outages and timeouts
+const RETRYABLE_STATUS_CODES = [408, 409, 429, 500, 502, 503, 504];
+const RETRY_BASE_DELAY_MS = 500;
+
+const STAFF_ROLES = ['technician', 'consultant', 'admin'];
+const QUOTA_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function getFeatureConfig(feature) {
+  const defaults = AI_FEATURES[feature];
+  if (!defaults) throw new Error(`Unknown AI feature: ${feature}`);
+
+  const prefix = `AI_${feature.toUpperCase()}`;
+  // Without an explicit provider, OpenAI is used when it has a key; 'none'
+  // turns AI off so the rule-based fallbacks answer instead
+  const provider = process.env[`${prefix}_PROVIDER`] || process.env.AI_PROVIDER ||
+    (process.env.OPENAI_API_KEY ? 'openai' : 'none');
+
+  return {
+    ...defaults,
+    feature,
+    provider: provider === 'none' ? null : provider,
+    model: process.env[`${prefix}_MODEL`] || process.env.AI_MODEL || null,
+    timeoutMs: parseInt(process.env.AI_TIMEOUT_MS) || 30000,
+    maxRetries: parseInt(process.env.AI_MAX_RETRIES) >= 0 ? parseInt(process.env.AI_MAX_RETRIES) : 2
+  };
+}
+
+function isAIEnabled(feature) {
+  return Boolean(getFeatureConfig(feature).provider);
+}
+
+// Daily token allowance for a user; 0 means unlimited
+function getDailyQuota(user) {
+  if (STAFF_ROLES.includes(user.role)) {
+    return parseInt(process.env.AI_STAFF_DAILY_TOKEN_QUOTA) || 0;
+  }
+  return parseInt(process.env.AI_DAILY_TOKEN_QUOTA) || 0;
+}
+
+async function getTokensUsed(userId, since) {
+  const [result] = await AIUsage.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(String(userId)), createdAt: { $gte: since } } },
+    { $group: { _id: null, totalTokens: { $sum: '$totalTokens' }, requests: { $sum: 1 } } }
+  ]);
+  return result || { totalTokens: 0, requests: 0 };
+}
+
+// Usage over the rolling quota window, with a per-feature breakdown
+async function getUsageSummary(user) {
+  const since = new Date(Date.now() - QUOTA_WINDOW_MS);
+  const byFeature = await AIUsage.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(String(user._id)), createdAt: { $gte: since } } },
+    {
+      $group: {
+        _id: '$feature',
+        requests: { $sum: 1 },
+        failed: { $sum: { $cond: [{ $eq: ['$status', 'error'] }, 1, 0] } },
+        promptTokens: { $sum: '$promptTokens' },
+        completionTokens: { $sum: '$completionTokens' },
+        totalTokens: { $sum: '$totalTokens' }
+      }
+    },
+    { $sort: { totalTokens: -1 } }
+  ]);
+
+  const tokensUsed = byFeature.reduce((sum, feature) => sum + feature.totalTokens, 0);
+  const dailyQuota = getDailyQuota(user);
+
+  return {
+    since,
+    tokensUsed,
+    dailyQuota: dailyQuota || null,
+    tokensRemaining: dailyQuota ? Math.max(0, dailyQuota - tokensUsed) : null,
+    features: byFeature.map(({ _id, ...totals }) => ({ feature: _id, ...totals }))
+  };
+}
+
+async function checkQuota(user) {
+  const dailyQuota = getDailyQuota(user);
+  if (!dailyQuota) return;
+
+  const { totalTokens } = await getTokensUsed(user._id, new Date(Date.now() - QUOTA_WINDOW_MS));
+  if (totalTokens >= dailyQuota) {
+    throw httpError('Daily AI usage limit reached; try again later', 429);
+  }
+}
+
+function isRetryable(error) {
+  if (error.name === 'AbortError' || error.code === 'ETIMEDOUT' || error.code === 'ECONNRESET' ||
+      error.code === 'ECONNREFUSED') {
+    return true;
+  }
+  // The OpenAI SDK reports network failures and its own timeouts without a status
+  if (/APIConnection(Timeout)?Error/.test(error.constructor && error.constructor.name)) return true;
+  return RETRYABLE_STATUS_CODES.includes(error.status);
+}
+
+// One provider call, aborted when it runs past timeoutMs
+async function completeWithTimeout(provider, request, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await provider.complete(request, { signal: controller.signal, timeoutMs });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      const timeoutError = new Error(`AI provider timed out after ${timeoutMs}ms`);
+      timeoutError.name = 'AbortError';
+      throw timeoutError;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Models sometimes wrap JSON in a markdown fence despite being asked not to
+function parseJSONReply(text) {
+  const unfenced = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  return JSON.parse(unfenced);
+}
+
+// Run a completion for a feature. Pass either `messages` or `system` and
+// `prompt`; `json: true` asks for a JSON object and returns it as `data`.
+// With `user`, the call counts against that user's daily token quota.
+async function generateText(feature, {
+  messages, system, prompt, json = false, user, maxTokens, temperature
+}) {
+  const config = getFeatureConfig(feature);
+  if (!config.provider) throw httpError('AI is not configured', 503);
+
+  if (user) await checkQuota(user);
+
+  const provider = getAIProvider(config.provider);
+  const request = {
+    model: config.model || provider.defaultModel,
+    messages: messages || [
+      ...(system ? [{ role: 'system', content: system }] : []),
+      { role: 'user', content: prompt }
+    ],
+    maxTokens: maxTokens || config.maxTokens,
+    temperature: temperature !== undefined ? temperature : config.temperature,
+    json
+  };
+
+  const startedAt = Date.now();
+  const usage = {
+    user: user && user._id,
+    feature,
+    provider: provider.name,
+    model: request.model
+  };
+
+  let attempts = 0;
+  let result;
+  try {
+    for (;;) {
+      attempts += 1;
+      try {
+        result = await completeWithTimeout(provider, request, config.timeoutMs);
+        break;
+      } catch (error) {
+        if (attempts > config.maxRetries || !isRetryable(error)) throw error;
+        await new Promise(resolve => setTimeout(resolve, RETRY_BASE_DELAY_MS * 2 ** (attempts - 1)));
+      }
+    }
+  } catch (error) {
+    await AIUsage.create({
+      ...usage,
+      status: 'error',
+      attempts,
+      latencyMs: Date.now() - startedAt,
+      error: error.message
+    }).catch(recordError => console.error('Failed to record AI usage:', recordError.message));
+
+    const providerError = httpError(`AI provider request failed: ${error.message}`, 502);
+    providerError.cause = error;
+    throw providerError;
+  }
+
+  const tokens = result.usage || {
+    promptTokens: estimateTokens(request.messages.map(message => message.content).join('\n')),
+    completionTokens: estimateTokens(result.text)
+  };
+  const totalTokens = tokens.totalTokens || tokens.promptTokens + tokens.completionTokens;
+  const latencyMs = Date.now() - startedAt;
+
+  await AIUsage.create({
+    ...usage,
+    model: result.model || request.model,
+    status: 'success',
+    promptTokens: tokens.promptTokens,
+    completionTokens: tokens.completionTokens,
+    totalTokens,
+    estimated: !result.usage,
+    attempts,
+    latencyMs
+  }).catch(recordError => console.error('Failed to record AI usage:', recordError.message));
+
+  let data;
+  if (json) {
+    try {
+      data = parseJSONReply(result.text);
+    } catch (parseError) {
+      throw httpError('AI provider returned invalid JSON', 502);
+    }
+  }
+
+  return {
+    text: result.text,
+    ...(json && { data }),
+    provider: provider.name,
+    model: result.model || request.model,
+    finishReason: result.finishReason,
+    usage: { promptTokens: tokens.promptTokens, completionTokens: tokens.completionTokens, totalTokens },
+    latencyMs
+  };
+}
+
+export {
+  AI_FEATURES,
+  getFeatureConfig,
+  isAIEnabled,
+  getDailyQuota,
+  getUsageSummary,
+  checkQuota,
+  generateText
+};
@@ -0,0 +1,209 @@
+import MaintenanceLog from '../models/MaintenanceLog.js';
+import TechnicianSchedule, { WEEKDAYS } from '../models/TechnicianSchedule.js';
+import OnCallShift from '../models/OnCallShift.js';
+import { getHoliday } from './holidayService.js';
+import { BUSINESS_TIMEZONE, getZonedParts, addZonedDays } from './timeZoneService.js';
+
+// When technicians can work: weekly shifts, approved time off, company
+// holidays and on-call periods, plus double-booking against open visits.
+// On-call technicians may take emergencies outside their shifts and on
+// holidays, but never during time off. Shift times are wall-clock times in
+// the business time zone (SCHEDULER_TIMEZONE).
+
+const DEFAULT_WEEKLY_SHIFTS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday']
+  .map(day => ({ day, start: '08:00', end: '17:00' }));
+const DEFAULT_VISIT_MINUTES = 60;
+// Longest visit considered when looking back for overlapping bookings
+const MAX_VISIT_HOURS = 12;
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function formatTime(date) {
+  return new Date(date).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short', timeZone: BUSINESS_TIMEZONE });
+}
+
+// Start and expected end of a visit, from its task estimates
+function getVisitWindow(visit) {
+  const start = new Date(visit.scheduledDate);
+  const estimated = (visit.tasks || []).reduce((total, task) => total + (task.estimatedDuration || 0), 0);
+  return { start, end: new Date(start.getTime() + (estimated || DEFAULT_VISIT_MINUTES) * 60 * 1000) };
+}
+
+function overlaps(a, b) {
+  return a.start < b.end && b.start < a.end;
+}
+
+// Shifts, approved time off and on-call periods for each technician
+async function loadAvailability(technicianIds, from, to) {
+  const [schedules, onCallShifts] = await Promise.all([
+    TechnicianSchedule.find({ technician: { $in: technicianIds } }),
+    OnCallShift.find({ technician: { $in: technicianIds }, start: { $lt: to }, end: { $gt: from } })
+  ]);
+
+  return new Map(technicianIds.map(technicianId => {
+    const schedule = schedules.find(entry => entry.technician.equals(technicianId));
+    return [technicianId.toString(), {
+      weeklyShifts: schedule && schedule.weeklyShifts.length > 0 ? schedule.weeklyShifts : DEFAULT_WEEKLY_SHIFTS,
+      worksHolidays: schedule ? schedule.worksHolidays : false,
+      timeOff: schedule
+        ? schedule.timeOff.filter(entry => entry.status === 'approved' && entry.start < to && entry.end > from)
+        : [],
+      onCall: onCallShifts.filter(shift => shift.technician.equals(technicianId))
+    }];
+  }));
+}
+
+function isWithinShift(weeklyShifts, window) {
+  const start = getZonedParts(window.start);
+  const startMinutes = start.hours * 60 + start.minutes;
+  const endMinutes = startMinutes + (window.end - window.start) / (60 * 1000);
+
+  return weeklyShifts.some(shift =>
+    shift.day === WEEKDAYS[start.weekday] &&
+    toMinutes(shift.start) <= startMinutes &&
+    toMinutes(shift.end) >= endMinutes
+  );
+}
+
+// Time off, holiday and shift conflicts for a window, from loadAvailability
+function getScheduleConflicts(availability, window, { emergency = false } = {}) {
+  const conflicts = availability.timeOff
+    .filter(entry => overlaps(entry, window))
+    .map(entry => ({
+      type: 'time_off',
+      message: `On ${entry.type === 'pto' ? 'PTO' : entry.type} until ${formatTime(entry.end)}`,
+      timeOffId: entry._id
+    }));
+
+  const onCall = availability.onCall.some(shift => shift.start <= window.start && shift.end >= window.end);
+  if (emergency && onCall) return conflicts;
+
+  const holiday = availability.worksHolidays ? null : getHoliday(window.start);
+  if (holiday) {
+    conflicts.push({ type: 'holiday', message: `${holiday} is a company holiday` });
+  }
+
+  if (!isWithinShift(availability.weeklyShifts, window)) {
+    conflicts.push({
+      type: 'outside_shift',
+      message: emergency ? 'Outside shift and not on call' : 'Outside scheduled shift'
+    });
+  }
+
+  return conflicts;
+}
+
+// Open visits of the technician that overlap the window
+async function findDoubleBookings(technicianId, window, { excludeVisitId } = {}) {
+  const query = {
+    technician: technicianId,
+    status: { $in: ['scheduled', 'in_progress'] },
+    scheduledDate: {
+      $gt: new Date(window.start.getTime() - MAX_VISIT_HOURS * 60 * 60 * 1000),
+      $lt: window.end
+    }
+  };
+  if (excludeVisitId) query._id = { $ne: excludeVisitId };
+
+  const visits = await MaintenanceLog.find(query)
+    .select('pool scheduledDate tasks type isEmergency status')
+    .populate('pool', 'name');
+
+  return visits.filter(visit => overlaps(getVisitWindow(visit), window));
+}
+
+// Everything that stands in the way of a technician taking a visit
+async function checkAvailability(technicianId, window, { emergency = false, excludeVisitId } = {}) {
+  const availability = await loadAvailability([technicianId], window.start, window.end);
+  const bookings = await findDoubleBookings(technicianId, window, { excludeVisitId });
+
+  const conflicts = [
+    ...getScheduleConflicts(availability.get(technicianId.toString()), window, { emergency }),
+    ...bookings.map(visit => ({
+      type: 'double_booked',
+      message: `Already booked${visit.pool ? ` at ${visit.pool.name}` : ''} at ${formatTime(visit.scheduledDate)}`,
+      maintenanceId: visit._id
+    }))
+  ];
+
+  return { available: conflicts.length === 0, conflicts };
+}
+
+// Check a visit against its technician's (or another technician's) availability
+function checkVisitAvailability(visit, technicianId = visit.technician) {
+  return checkAvailability(technicianId, getVisitWindow(visit), {
+    emergency: Boolean(visit.isEmergency) || visit.type === 'emergency',
+    excludeVisitId: visit._id
+  });
+}
+
+// A technician's open visits in a period that now conflict, e.g. after
+// time off is approved or shifts change
+async function findVisitConflicts(technicianId, from, to) {
+  const visits = await MaintenanceLog.find({
+    technician: technicianId,
+    status: { $in: ['scheduled', 'in_progress'] },
+    scheduledDate: { $gte: from, $lt: to }
+  })
+    .select('pool technician scheduledDate tasks type isEmergency status')
+    .populate('pool', 'name')
+    .sort({ scheduledDate: 1 });
+
+  const results = [];
+  for (const visit of visits) {
+    const { conflicts } = await checkVisitAvailability(visit);
+    if (conflicts.length > 0) {
+      results.push({
+        maintenanceId: visit._id,
+        pool: visit.pool,
+        scheduledDate: visit.scheduledDate,
+        conflicts
+      });
+    }
+  }
+  return results;
+}
+
+// Technicians on call at a moment
+async function getOnCallTechnicians(at = new Date()) {
+  return OnCallShift.find({ start: { $lte: at }, end: { $gt: at } })
+    .populate('technician', 'firstName lastName phone');
+}
+
+// Consecutive on-call periods handed round the technicians in order
+async function createOnCallRotation(technicianIds, start, { periods, periodDays = 7, createdBy } = {}) {
+  const shifts = [];
+  let periodStart = new Date(start);
+
+  for (let i = 0; i < periods; i++) {
+    // Hand-overs stay at the same time of day across DST changes
+    const periodEnd = addZonedDays(periodStart, periodDays);
+    shifts.push({
+      technician: technicianIds[i % technicianIds.length],
+      start: periodStart,
+      end: periodEnd,
+      notes: 'Rotation',
+      createdBy
+    });
+    periodStart = periodEnd;
+  }
+
+  return OnCallShift.insertMany(shifts);
+}
+
+export {
+  DEFAULT_WEEKLY_SHIFTS,
+  getVisitWindow,
+  overlaps,
+  loadAvailability,
+  getScheduleConflicts,
+  findDoubleBookings,
+  checkAvailability,
+  checkVisitAvailability,
+  findVisitConflicts,
+  getOnCallTechnicians,
+  createOnCallRotation
+};
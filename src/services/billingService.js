@@ -0,0 +1,554 @@
+import mongoose from 'mongoose';
+import Counter from '../models/Counter.js';
+import Invoice from '../models/Invoice.js';
+import MaintenanceLog from '../models/MaintenanceLog.js';
+import RateCard from '../models/RateCard.js';
+import TaxRule from '../models/TaxRule.js';
+import { notifyUser } from './notificationService.js';
+import { BUSINESS_TIMEZONE, getZonedParts } from './timeZoneService.js';
+
+// Invoicing for completed visits. Work orders get sequential numbers when
+// a visit is completed; invoices are built from the visits' labor, travel,
+// chemicals and parts priced by the customer's rate card, taxed by the rules
+// matching each pool's address, and numbered when issued. The visits'
+// workOrder.billingStatus follows the invoice: pending, invoiced, then paid
+// or overdue.
+
+const DEFAULT_LABOR_RATE = parseFloat(process.env.BILLING_LABOR_RATE_PER_HOUR) || 85;
+const DEFAULT_PAYMENT_TERMS_DAYS = parseInt(process.env.BILLING_PAYMENT_TERMS_DAYS) || 30;
+
+// Days past due, upper bound inclusive
+const AGING_BUCKETS = [
+  { key: 'current', maxDays: 0 },
+  { key: 'days_1_30', maxDays: 30 },
+  { key: 'days_31_60', maxDays: 60 },
+  { key: 'days_61_90', maxDays: 90 },
+  { key: 'over_90', maxDays: Infinity }
+];
+
+const OPEN_STATUSES = ['issued', 'overdue'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function roundMoney(value) {
+  return Math.round((value + Number.EPSILON) * 100) / 100;
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('en-US', { timeZone: BUSINESS_TIMEZONE });
+}
+
+// "INV-2026-000042": a sequence per prefix and business time zone year
+async function nextDocumentNumber(prefix, date = new Date()) {
+  const { year } = getZonedParts(date);
+  const seq = await Counter.next(`${prefix}-${year}`);
+  return `${prefix}-${year}-${String(seq).padStart(6, '0')}`;
+}
+
+// Give a visit its work order number once
+async function ensureWorkOrderNumber(visit) {
+  if (visit.workOrder && visit.workOrder.number) return visit.workOrder.number;
+
+  const number = await nextDocumentNumber('WO');
+  const billingStatus = (visit.workOrder && visit.workOrder.billingStatus) || 'pending';
+  const result = await MaintenanceLog.updateOne(
+    { _id: visit._id, 'workOrder.number': null },
+    { $set: { 'workOrder.number': number, 'workOrder.billingStatus': billingStatus } }
+  );
+
+  // Numbered concurrently; keep the number that was stored
+  if (result.matchedCount === 0) {
+    const current = await MaintenanceLog.findById(visit._id).select('workOrder');
+    visit.set('workOrder', current.workOrder);
+    return current.workOrder.number;
+  }
+
+  visit.set('workOrder.number', number);
+  visit.set('workOrder.billingStatus', billingStatus);
+  return number;
+}
+
+// The customer's own card, else the default card, else env defaults
+async function getRateCard(customerId) {
+  const card = await RateCard.findOne({ customer: customerId, isActive: true }) ||
+    await RateCard.findOne({ customer: null, isDefault: true, isActive: true });
+
+  return card || {
+    name: 'Standard rates',
+    laborRatePerHour: DEFAULT_LABOR_RATE,
+    minimumLaborMinutes: 0,
+    laborIncrementMinutes: 15,
+    billTravel: false,
+    tripCharge: 0,
+    chemicalMarkupPercent: 0,
+    partsMarkupPercent: 0,
+    emergencySurchargePercent: 0,
+    paymentTermsDays: DEFAULT_PAYMENT_TERMS_DAYS,
+    taxExempt: false
+  };
+}
+
+function sameText(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+function matchesJurisdiction(rule, address = {}) {
+  const jurisdiction = rule.jurisdiction || {};
+  if (jurisdiction.state && !sameText(jurisdiction.state, address.state)) return false;
+  if (jurisdiction.city && !sameText(jurisdiction.city, address.city)) return false;
+  if (jurisdiction.zipCodes && jurisdiction.zipCodes.length > 0 &&
+    !jurisdiction.zipCodes.includes(String(address.zipCode || '').slice(0, 5))) return false;
+  return true;
+}
+
+// Minutes on site: as logged, else from start/end times, else from tasks
+function getOnSiteMinutes(visit) {
+  if (visit.timeSpent && visit.timeSpent.onSite) return visit.timeSpent.onSite;
+  if (visit.actualStartTime && visit.actualEndTime) {
+    return Math.max(0, (visit.actualEndTime - visit.actualStartTime) / 60000);
+  }
+  return visit.tasks.reduce((total, task) => total + (task.actualDuration || 0), 0);
+}
+
+function toHours(minutes) {
+  return Math.round(minutes / 60 * 100) / 100;
+}
+
+// Line items for one visit, with what could not be priced
+function buildVisitLineItems(visit, rateCard) {
+  const items = [];
+  const warnings = [];
+  const reference = { maintenanceLog: visit._id, workOrderNumber: visit.workOrder && visit.workOrder.number };
+  const serviceDate = formatDate(visit.actualEndTime || visit.scheduledDate);
+  const emergency = Boolean(visit.isEmergency) || visit.type === 'emergency';
+
+  const onSite = getOnSiteMinutes(visit);
+  if (onSite > 0 || rateCard.minimumLaborMinutes > 0) {
+    const increment = rateCard.laborIncrementMinutes || 1;
+    const billed = Math.ceil(Math.max(onSite, rateCard.minimumLaborMinutes || 0) / increment) * increment;
+    const hours = toHours(billed);
+    items.push({
+      ...reference,
+      type: 'labor',
+      description: `${visit.type.charAt(0).toUpperCase()}${visit.type.slice(1)} service labor (${serviceDate})`,
+      quantity: hours,
+      unit: 'hour',
+      unitPrice: rateCard.laborRatePerHour,
+      amount: roundMoney(hours * rateCard.laborRatePerHour)
+    });
+  } else {
+    warnings.push(`No time recorded for work order ${reference.workOrderNumber}`);
+  }
+
+  const travel = visit.timeSpent && visit.timeSpent.travel;
+  if (rateCard.billTravel && travel > 0) {
+    const hours = toHours(travel);
+    const rate = rateCard.travelRatePerHour ?? rateCard.laborRatePerHour;
+    items.push({
+      ...reference,
+      type: 'travel',
+      description: `Travel (${serviceDate})`,
+      quantity: hours,
+      unit: 'hour',
+      unitPrice: rate,
+      amount: roundMoney(hours * rate)
+    });
+  }
+
+  if (emergency && rateCard.emergencySurchargePercent > 0) {
+    const base = items.reduce((total, item) => total + item.amount, 0);
+    items.push({
+      ...reference,
+      type: 'surcharge',
+      description: `Emergency surcharge (${rateCard.emergencySurchargePercent}%)`,
+      quantity: 1,
+      unitPrice: roundMoney(base * rateCard.emergencySurchargePercent / 100),
+      amount: roundMoney(base * rateCard.emergencySurchargePercent / 100)
+    });
+  }
+
+  if (rateCard.tripCharge > 0) {
+    items.push({
+      ...reference,
+      type: 'fee',
+      description: 'Trip charge',
+      quantity: 1,
+      unitPrice: rateCard.tripCharge,
+      amount: rateCard.tripCharge
+    });
+  }
+
+  // Chemical costs are totals for the amount used
+  visit.chemicalsUsed.forEach(chemical => {
+    if (chemical.cost === undefined || chemical.cost === null) {
+      warnings.push(`No cost recorded for ${chemical.name || chemical.product}`);
+      return;
+    }
+    const amount = roundMoney(chemical.cost * (1 + (rateCard.chemicalMarkupPercent || 0) / 100));
+    items.push({
+      ...reference,
+      type: 'chemical',
+      description: chemical.name || chemical.product,
+      quantity: chemical.amount,
+      unit: chemical.unit,
+      unitPrice: chemical.amount ? roundMoney(amount / chemical.amount) : amount,
+      amount
+    });
+  });
+
+  (visit.partsUsed || []).forEach(part => {
+    if (part.unitCost === undefined || part.unitCost === null) {
+      warnings.push(`No cost recorded for part ${part.name}`);
+      return;
+    }
+    const unitPrice = roundMoney(part.unitCost * (1 + (rateCard.partsMarkupPercent || 0) / 100));
+    items.push({
+      ...reference,
+      type: 'part',
+      description: part.partNumber ? `${part.name} (${part.partNumber})` : part.name,
+      quantity: part.quantity,
+      unit: 'each',
+      unitPrice,
+      amount: roundMoney(unitPrice * part.quantity)
+    });
+  });
+
+  return { items, warnings };
+}
+
+// Price and tax the visits. Tax is worked out per rule on the sum of the
+// items it covers; each item also shows its own share.
+function buildInvoiceTotals(visits, rateCard, taxRules) {
+  const lineItems = [];
+  const warnings = [];
+  const taxes = new Map();
+
+  visits.forEach(visit => {
+    const built = buildVisitLineItems(visit, rateCard);
+    warnings.push(...built.warnings);
+
+    const address = (visit.pool && visit.pool.address) || {};
+    const rules = rateCard.taxExempt ? [] : taxRules.filter(rule => matchesJurisdiction(rule, address));
+
+    built.items.forEach(item => {
+      const applicable = rules.filter(rule => rule.appliesTo.includes(item.type));
+      item.taxRate = applicable.reduce((total, rule) => total + rule.rate, 0);
+      item.taxAmount = roundMoney(item.amount * item.taxRate / 100);
+
+      applicable.forEach(rule => {
+        const key = rule._id.toString();
+        const tax = taxes.get(key) || { rule: rule._id, name: rule.name, rate: rule.rate, taxableAmount: 0 };
+        tax.taxableAmount = roundMoney(tax.taxableAmount + item.amount);
+        taxes.set(key, tax);
+      });
+
+      lineItems.push(item);
+    });
+  });
+
+  const taxSummary = [...taxes.values()].map(tax => ({ ...tax, amount: roundMoney(tax.taxableAmount * tax.rate / 100) }));
+  const subtotal = roundMoney(lineItems.reduce((total, item) => total + item.amount, 0));
+  const taxTotal = roundMoney(taxSummary.reduce((total, tax) => total + tax.amount, 0));
+
+  return {
+    lineItems,
+    taxes: taxSummary,
+    subtotal,
+    taxTotal,
+    total: roundMoney(subtotal + taxTotal),
+    warnings
+  };
+}
+
+// Completed visits for one customer that are not on an open invoice
+async function loadBillableVisits(maintenanceIds) {
+  const visits = await MaintenanceLog.find({ _id: { $in: maintenanceIds } })
+    .populate('pool', 'name address owner');
+
+  if (visits.length !== new Set(maintenanceIds.map(String)).size) {
+    throw httpError('Maintenance log not found', 404);
+  }
+
+  const notCompleted = visits.filter(visit => visit.status !== 'completed');
+  if (notCompleted.length > 0) {
+    throw httpError(`Only completed visits can be invoiced (${notCompleted.map(visit => visit._id).join(', ')})`, 400);
+  }
+
+  const invoiced = visits.filter(visit => visit.workOrder && visit.workOrder.invoice);
+  if (invoiced.length > 0) {
+    throw httpError(`Already invoiced: ${invoiced.map(visit => visit.workOrder.number || visit._id).join(', ')}`, 409);
+  }
+
+  const owners = new Set(visits.map(visit => visit.pool && visit.pool.owner && visit.pool.owner.toString()));
+  if (owners.size !== 1 || owners.has(undefined)) {
+    throw httpError('All visits on an invoice must belong to the same customer', 400);
+  }
+
+  return { visits, customer: visits[0].pool.owner };
+}
+
+// What an invoice for the visits would contain, without creating it
+async function previewInvoice(maintenanceIds) {
+  const { visits, customer } = await loadBillableVisits(maintenanceIds);
+  const rateCard = await getRateCard(customer);
+  const taxRules = await TaxRule.find({ isActive: true });
+
+  return {
+    customer,
+    rateCard: { _id: rateCard._id, name: rateCard.name },
+    ...buildInvoiceTotals(visits, rateCard, taxRules)
+  };
+}
+
+// Draft an invoice for completed visits, issuing it straight away if asked.
+// Visits are claimed one by one so no visit ends up on two invoices.
+async function createInvoice(maintenanceIds, { createdBy, notes, issue = false } = {}) {
+  const { visits, customer } = await loadBillableVisits(maintenanceIds);
+  const invoiceId = new mongoose.Types.ObjectId();
+
+  const claimed = [];
+  for (const visit of visits) {
+    const result = await MaintenanceLog.updateOne(
+      { _id: visit._id, 'workOrder.invoice': null },
+      { $set: { 'workOrder.invoice': invoiceId } }
+    );
+    if (result.matchedCount === 0) {
+      await MaintenanceLog.updateMany({ _id: { $in: claimed } }, { $unset: { 'workOrder.invoice': '' } });
+      throw httpError(`Work order ${visit.workOrder && visit.workOrder.number ? visit.workOrder.number : visit._id} is already being invoiced`, 409);
+    }
+    claimed.push(visit._id);
+  }
+
+  try {
+    for (const visit of visits) {
+      await ensureWorkOrderNumber(visit);
+    }
+
+    const rateCard = await getRateCard(customer);
+    const taxRules = await TaxRule.find({ isActive: true });
+    const totals = buildInvoiceTotals(visits, rateCard, taxRules);
+
+    const invoice = await Invoice.create({
+      _id: invoiceId,
+      customer,
+      maintenanceLogs: visits.map(visit => visit._id),
+      ...totals,
+      balanceDue: totals.total,
+      rateCard: {
+        _id: rateCard._id,
+        name: rateCard.name,
+        paymentTermsDays: rateCard.paymentTermsDays,
+        taxExempt: rateCard.taxExempt
+      },
+      notes,
+      createdBy
+    });
+
+    // Each work order's billed amount before tax
+    for (const visit of visits) {
+      const actualCost = roundMoney(totals.lineItems
+        .filter(item => item.maintenanceLog.equals(visit._id))
+        .reduce((total, item) => total + item.amount, 0));
+      await MaintenanceLog.updateOne(
+        { _id: visit._id },
+        { $set: { 'workOrder.actualCost': actualCost, 'workOrder.billingStatus': 'pending' } }
+      );
+    }
+
+    return issue ? await issueInvoice(invoice) : invoice;
+  } catch (error) {
+    // Drop the draft and release its work orders; an invoice issued before
+    // the failure stands with its claims
+    if (!(await Invoice.exists({ _id: invoiceId, status: { $ne: 'draft' } }))) {
+      await Invoice.deleteOne({ _id: invoiceId });
+      await MaintenanceLog.updateMany({ _id: { $in: claimed }, 'workOrder.invoice': invoiceId }, { $unset: { 'workOrder.invoice': '' } });
+    }
+    throw error;
+  }
+}
+
+function setBillingStatus(invoice, billingStatus) {
+  return MaintenanceLog.updateMany(
+    { _id: { $in: invoice.maintenanceLogs }, 'workOrder.invoice': invoice._id },
+    { $set: { 'workOrder.billingStatus': billingStatus } }
+  );
+}
+
+// Number, date and send a draft invoice
+async function issueInvoice(invoice, { now = new Date() } = {}) {
+  if (invoice.status !== 'draft') {
+    throw httpError(`Only draft invoices can be issued (invoice is ${invoice.status})`, 400);
+  }
+
+  const terms = invoice.rateCard && invoice.rateCard.paymentTermsDays !== undefined
+    ? invoice.rateCard.paymentTermsDays
+    : DEFAULT_PAYMENT_TERMS_DAYS;
+
+  invoice.number = await nextDocumentNumber('INV', now);
+  invoice.status = 'issued';
+  invoice.issuedAt = now;
+  invoice.dueDate = new Date(now.getTime() + terms * DAY_MS);
+  await invoice.save();
+  await setBillingStatus(invoice, 'invoiced');
+
+  try {
+    await notifyUser(invoice.customer, 'invoice_issued', { invoice }, {
+      data: { invoiceId: invoice._id }
+    });
+  } catch (error) {
+    console.error('Failed to notify customer of invoice:', error.message);
+  }
+
+  return invoice;
+}
+
+// Settle an invoice in full outside any payment gateway (cash, check)
+async function markInvoicePaid(invoice, { paidAt = new Date() } = {}) {
+  if (!OPEN_STATUSES.includes(invoice.status)) {
+    throw httpError(`Only issued or overdue invoices can be marked as paid (invoice is ${invoice.status})`, 400);
+  }
+
+  return recordInvoicePayment(invoice, invoice.balanceDue ?? invoice.total, { paidAt });
+}
+
+// Apply money received against an invoice; paid in full closes it. Gateway
+// charges are recorded whatever the invoice's status, as the money was taken.
+async function recordInvoicePayment(invoice, amount, { paidAt = new Date() } = {}) {
+  invoice.amountPaid = roundMoney((invoice.amountPaid || 0) + amount);
+  if (invoice.status === 'void') {
+    await invoice.save();
+    return invoice;
+  }
+
+  invoice.balanceDue = roundMoney(Math.max(0, invoice.total - invoice.amountPaid));
+  const settled = invoice.balanceDue === 0 && OPEN_STATUSES.includes(invoice.status);
+  if (settled) {
+    invoice.status = 'paid';
+    invoice.paidAt = paidAt;
+  }
+  await invoice.save();
+  if (settled) await setBillingStatus(invoice, 'paid');
+
+  return invoice;
+}
+
+// Take back a refunded amount; a paid invoice with a balance reopens
+async function reverseInvoicePayment(invoice, amount, { now = new Date() } = {}) {
+  invoice.amountPaid = roundMoney(Math.max(0, (invoice.amountPaid || 0) - amount));
+  if (invoice.status === 'void') {
+    await invoice.save();
+    return invoice;
+  }
+
+  invoice.balanceDue = roundMoney(invoice.total - invoice.amountPaid);
+  const reopened = invoice.status === 'paid' && invoice.balanceDue > 0;
+  if (reopened) {
+    invoice.status = invoice.dueDate && invoice.dueDate < now ? 'overdue' : 'issued';
+    invoice.paidAt = undefined;
+  }
+  await invoice.save();
+  if (reopened) await setBillingStatus(invoice, invoice.status === 'overdue' ? 'overdue' : 'invoiced');
+
+  return invoice;
+}
+
+// Cancel an unpaid invoice; its visits can be invoiced again
+async function voidInvoice(invoice, { reason, now = new Date() } = {}) {
+  if (invoice.status === 'paid' || invoice.status === 'void') {
+    throw httpError(`Invoice is ${invoice.status} and cannot be voided`, 400);
+  }
+  if (invoice.amountPaid > 0) {
+    throw httpError('Invoice has payments recorded; refund them before voiding', 400);
+  }
+
+  invoice.status = 'void';
+  invoice.voidedAt = now;
+  invoice.voidReason = reason;
+  invoice.balanceDue = 0;
+  await invoice.save();
+
+  await MaintenanceLog.updateMany(
+    { _id: { $in: invoice.maintenanceLogs }, 'workOrder.invoice': invoice._id },
+    { $set: { 'workOrder.billingStatus': 'pending' }, $unset: { 'workOrder.invoice': '' } }
+  );
+
+  return invoice;
+}
+
+// Issued invoices past their due date become overdue
+async function markOverdueInvoices(now = new Date()) {
+  const invoices = await Invoice.find({ status: 'issued', dueDate: { $lt: now } }).select('maintenanceLogs');
+
+  for (const invoice of invoices) {
+    const result = await Invoice.updateOne({ _id: invoice._id, status: 'issued' }, { $set: { status: 'overdue' } });
+    if (result.modifiedCount > 0) {
+      await setBillingStatus(invoice, 'overdue');
+    }
+  }
+
+  return { overdue: invoices.length };
+}
+
+function getAgingBucket(daysPastDue) {
+  return AGING_BUCKETS.find(bucket => daysPastDue <= bucket.maxDays).key;
+}
+
+// Outstanding balances by days past due, overall and per customer
+async function getAgingReport({ now = new Date(), customer } = {}) {
+  const query = { status: { $in: OPEN_STATUSES } };
+  if (customer) query.customer = customer;
+
+  const invoices = await Invoice.find(query)
+    .select('number customer total balanceDue dueDate status')
+    .populate('customer', 'firstName lastName email');
+
+  const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+  const totals = emptyBuckets();
+  const customers = new Map();
+
+  invoices.forEach(invoice => {
+    const daysPastDue = Math.max(0, Math.floor((now - invoice.dueDate) / DAY_MS));
+    const bucket = getAgingBucket(daysPastDue);
+    const balance = invoice.balanceDue ?? invoice.total;
+
+    totals[bucket] = roundMoney(totals[bucket] + balance);
+
+    const key = invoice.customer ? invoice.customer._id.toString() : 'unknown';
+    const row = customers.get(key) || { customer: invoice.customer, buckets: emptyBuckets(), total: 0, invoices: [] };
+    row.buckets[bucket] = roundMoney(row.buckets[bucket] + balance);
+    row.total = roundMoney(row.total + balance);
+    row.invoices.push({ _id: invoice._id, number: invoice.number, dueDate: invoice.dueDate, daysPastDue, balance, bucket });
+    customers.set(key, row);
+  });
+
+  return {
+    asOf: now,
+    buckets: totals,
+    totalOutstanding: roundMoney(Object.values(totals).reduce((total, value) => total + value, 0)),
+    customers: [...customers.values()].sort((a, b) => b.total - a.total)
+  };
+}
+
+export {
+  AGING_BUCKETS,
+  nextDocumentNumber,
+  ensureWorkOrderNumber,
+  getRateCard,
+  matchesJurisdiction,
+  buildVisitLineItems,
+  buildInvoiceTotals,
+  previewInvoice,
+  createInvoice,
+  issueInvoice,
+  markInvoicePaid,
+  recordInvoicePayment,
+  reverseInvoicePayment,
+  voidInvoice,
+  markOverdueInvoices,
+  getAgingReport
+};
@@ -0,0 +1,78 @@
+import ChecklistTemplate from '../models/ChecklistTemplate.js';
+
+// Checklist templates turn into a visit's tasks when it is created. The
+// template is chosen by visit type and pool type, and items tied to a piece
+// of equipment are only added for pools that have it.
+
+// Most specific active template for a visit type and pool: one listing the
+// pool's type beats one for every pool type, then the most recently edited
+async function findTemplate(visitType, pool) {
+  const templates = await ChecklistTemplate.find({ visitType, isActive: true }).sort({ updatedAt: -1 });
+
+  const poolType = pool && pool.poolType;
+  return templates.find(template => template.poolTypes.includes(poolType)) ||
+    templates.find(template => template.poolTypes.length === 0) ||
+    null;
+}
+
+// Tasks for a pool from a template's items
+function buildTasks(template, pool) {
+  const equipmentTypes = new Set(((pool && pool.equipment) || []).map(equipment => equipment.type));
+
+  return template.items
+    .filter(item => !item.equipmentType || equipmentTypes.has(item.equipmentType))
+    .map(item => ({
+      name: item.name,
+      description: item.description,
+      category: item.category,
+      estimatedDuration: item.estimatedDuration,
+      checklistItem: item._id,
+      required: item.required,
+      evidence: item.evidence
+    }));
+}
+
+// Fill a new visit's tasks from its template unless tasks were given.
+// Works on documents and on plain objects about to be inserted.
+async function applyChecklist(visit, pool, { template } = {}) {
+  if (visit.tasks && visit.tasks.length > 0) return null;
+
+  template = template || await findTemplate(visit.type || 'routine', pool);
+  if (!template) return null;
+
+  visit.tasks = buildTasks(template, pool);
+  visit.checklistTemplate = template._id;
+  return template;
+}
+
+// Checklist progress for a visit, with what still blocks completion
+function getChecklistStatus(visit) {
+  const required = visit.tasks.filter(task => task.required);
+  const blockers = visit.getCompletionBlockers();
+
+  return {
+    template: visit.checklistTemplate,
+    totalItems: visit.tasks.length,
+    requiredItems: required.length,
+    completedItems: visit.tasks.filter(task => task.status === 'completed').length,
+    items: visit.tasks.map(task => ({
+      taskId: task._id,
+      name: task.name,
+      category: task.category,
+      status: task.status,
+      required: task.required,
+      evidence: task.evidence,
+      missingEvidence: visit.getMissingEvidence(task),
+      skipReason: task.skipReason
+    })),
+    blockers,
+    canComplete: blockers.length === 0
+  };
+}
+
+export {
+  findTemplate,
+  buildTasks,
+  applyChecklist,
+  getChecklistStatus
+};
@@ -0,0 +1,400 @@
+import ChemistryAlert, { ESCALATION_LEVELS } from '../models/ChemistryAlert.js';
+import Pool from '../models/Pool.js';
+import User from '../models/User.js';
+import MaintenanceLog from '../models/MaintenanceLog.js';
+import WaterChemistryReading from '../models/WaterChemistryReading.js';
+import { evaluateReading, describeRange } from './chemistryProfileService.js';
+import { notifyUser } from './notificationService.js';
+
+// Rules evaluated against every new reading, plus a periodic sweep for pools
+// that have gone quiet and alerts nobody has acknowledged
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+const PARAMETER_LABELS = {
+  pH: 'pH',
+  chlorine: 'Chlorine',
+  alkalinity: 'Total alkalinity',
+  hardness: 'Calcium hardness',
+  cyanuricAcid: 'Cyanuric acid',
+  salt: 'Salt',
+  temperature: 'Water temperature'
+};
+
+const PARAMETER_UNITS = {
+  chlorine: 'ppm',
+  alkalinity: 'ppm',
+  hardness: 'ppm',
+  cyanuricAcid: 'ppm',
+  salt: 'ppm',
+  temperature: '°F'
+};
+
+// Safety limits that apply whatever the pool's target profile says
+const CRITICAL_THRESHOLDS = [
+  { id: 'chlorine_critical_low', parameter: 'chlorine', below: 0.5 },
+  { id: 'chlorine_critical_high', parameter: 'chlorine', above: 10 },
+  { id: 'ph_critical_low', parameter: 'pH', below: 6.8 },
+  { id: 'ph_critical_high', parameter: 'pH', above: 8.2 },
+  { id: 'temperature_critical_high', parameter: 'temperature', above: 104 }
+];
+
+// Largest change per 24 hours before a swing is flagged
+const RATE_OF_CHANGE_RULES = [
+  { id: 'ph_rapid_change', parameter: 'pH', maxChange: 0.5 },
+  { id: 'chlorine_rapid_drop', parameter: 'chlorine', maxDrop: 2 },
+  { id: 'alkalinity_rapid_change', parameter: 'alkalinity', maxChange: 30 },
+  { id: 'salt_rapid_drop', parameter: 'salt', maxDrop: 500 },
+  { id: 'temperature_rapid_change', parameter: 'temperature', maxChange: 10 }
+];
+
+// Rate of change compares against a reading 12-48 hours older
+const RATE_WINDOW_HOURS = { min: 12, max: 48 };
+
+const STALE_READING_RULE = 'no_recent_reading';
+const STALE_READING_DAYS = parseInt(process.env.ALERT_STALE_READING_DAYS) || 7;
+
+// Hours an alert waits for acknowledgement before moving up a level
+const ACKNOWLEDGE_TIMEOUT_HOURS = {
+  critical: 1,
+  warning: 12,
+  info: 24
+};
+
+function formatValue(parameter, value) {
+  const unit = PARAMETER_UNITS[parameter];
+  return unit ? `${value} ${unit}` : `${value}`;
+}
+
+function rangeRuleId(parameter, status) {
+  return `${parameter}_${status}`;
+}
+
+// Threshold rules: the pool's target ranges plus fixed critical limits
+function evaluateThresholds(reading, ranges) {
+  const triggered = [];
+  const cleared = [];
+
+  CRITICAL_THRESHOLDS.forEach(rule => {
+    const value = reading[rule.parameter];
+    if (typeof value !== 'number') return;
+
+    const breached = (rule.below !== undefined && value < rule.below) || (rule.above !== undefined && value > rule.above);
+    if (!breached) {
+      cleared.push(rule.id);
+      return;
+    }
+
+    const limit = rule.below !== undefined ? rule.below : rule.above;
+    triggered.push({
+      rule: rule.id,
+      type: 'threshold',
+      parameter: rule.parameter,
+      severity: 'critical',
+      value,
+      threshold: limit,
+      message: `${PARAMETER_LABELS[rule.parameter]} is ${formatValue(rule.parameter, value)}, ${rule.below !== undefined ? 'below' : 'above'} the safety limit of ${formatValue(rule.parameter, limit)}`
+    });
+  });
+
+  evaluateReading(reading, ranges).forEach(result => {
+    const { parameter, value, status, range } = result;
+    ['low', 'high']
+      .filter(direction => direction !== status)
+      .forEach(direction => cleared.push(rangeRuleId(parameter, direction)));
+
+    if (status === 'ok') return;
+
+    // A critical alert already covers this parameter
+    if (triggered.some(alert => alert.parameter === parameter)) return;
+
+    triggered.push({
+      rule: rangeRuleId(parameter, status),
+      type: 'threshold',
+      parameter,
+      severity: 'warning',
+      value,
+      threshold: status === 'low' ? range.min : range.max,
+      message: `${PARAMETER_LABELS[parameter] || parameter} is ${status} at ${formatValue(parameter, value)} (target ${describeRange(range, PARAMETER_UNITS[parameter])})`
+    });
+  });
+
+  return { triggered, cleared };
+}
+
+// Rate-of-change rules, normalized to a 24 hour change. A rule is clear when
+// the change since the earlier reading is back within its limit.
+function evaluateRateOfChange(reading, previousReadings) {
+  const triggered = [];
+  const cleared = [];
+
+  RATE_OF_CHANGE_RULES.forEach(rule => {
+    const value = reading[rule.parameter];
+    const previous = previousReadings.find(candidate => typeof candidate[rule.parameter] === 'number');
+    if (typeof value !== 'number' || !previous) return;
+
+    const hours = (new Date(reading.testedAt) - new Date(previous.testedAt)) / MS_PER_HOUR;
+    if (hours <= 0) return;
+
+    const changePerDay = (value - previous[rule.parameter]) * 24 / hours;
+    const limit = rule.maxDrop !== undefined ? rule.maxDrop : rule.maxChange;
+    const breached = rule.maxDrop !== undefined ? -changePerDay > rule.maxDrop : Math.abs(changePerDay) > rule.maxChange;
+    if (!breached) {
+      cleared.push(rule.id);
+      return;
+    }
+
+    const rounded = Math.round(Math.abs(changePerDay) * 100) / 100;
+    triggered.push({
+      rule: rule.id,
+      type: 'rate_of_change',
+      parameter: rule.parameter,
+      severity: 'warning',
+      value,
+      threshold: limit,
+      message: `${PARAMETER_LABELS[rule.parameter]} ${changePerDay < 0 ? 'dropped' : 'rose'} ${formatValue(rule.parameter, rounded)} per day (from ${previous[rule.parameter]} to ${value}), faster than the ${formatValue(rule.parameter, limit)} per day limit`
+    });
+  });
+
+  return { triggered, cleared };
+}
+
+// Evaluate every rule for one reading; returns alerts to raise and rules now clear
+function evaluateRules(reading, ranges, previousReadings = []) {
+  const thresholds = evaluateThresholds(reading, ranges);
+  const rates = evaluateRateOfChange(reading, previousReadings);
+
+  return {
+    triggered: [...thresholds.triggered, ...rates.triggered],
+    // Any reading ends a "no reading" alert
+    cleared: [...thresholds.cleared, ...rates.cleared, STALE_READING_RULE]
+  };
+}
+
+// Who an alert goes to at a level, moving up when nobody is available there
+async function resolveRecipient(pool, startLevel = 'owner') {
+  const levels = ESCALATION_LEVELS.slice(ESCALATION_LEVELS.indexOf(startLevel));
+
+  for (const level of levels) {
+    if (level === 'owner') {
+      const owner = await User.findById(pool.owner).select('preferences.notifications isActive');
+      if (owner && owner.isActive && owner.preferences?.notifications?.chemicalAlerts !== false) {
+        return { level, recipient: owner._id };
+      }
+    }
+
+    if (level === 'technician') {
+      if (pool.assignedTechnician) {
+        return { level, recipient: pool.assignedTechnician };
+      }
+      const lastVisit = await MaintenanceLog.findOne({ pool: pool._id }).sort({ scheduledDate: -1 }).select('technician');
+      if (lastVisit && lastVisit.technician) {
+        return { level, recipient: lastVisit.technician };
+      }
+    }
+
+    // Consultant alerts go to the shared consultant queue
+    if (level === 'consultant') {
+      return { level, recipient: null };
+    }
+  }
+
+  return { level: 'consultant', recipient: null };
+}
+
+// Open a new alert or refresh the one already active for the same rule. Only
+// a new reading that still breaches the rule counts as another occurrence;
+// the stale-reading sweep finding the same quiet pool again does not.
+async function raiseAlert(pool, alert, reading) {
+  const now = new Date();
+  const existing = await ChemistryAlert.findOne({
+    pool: pool._id,
+    rule: alert.rule,
+    status: { $in: ['open', 'acknowledged'] }
+  });
+
+  if (existing) {
+    const retriggered = reading && !(existing.reading && existing.reading.equals(reading._id));
+    if (!retriggered) return existing;
+
+    existing.set({
+      message: alert.message,
+      value: alert.value,
+      threshold: alert.threshold,
+      severity: alert.severity,
+      reading: reading._id,
+      lastTriggeredAt: now
+    });
+    existing.occurrences += 1;
+    return existing.save();
+  }
+
+  const { level, recipient } = await resolveRecipient(pool);
+
+  const created = await ChemistryAlert.create({
+    ...alert,
+    pool: pool._id,
+    reading: reading ? reading._id : undefined,
+    lastTriggeredAt: now,
+    escalation: {
+      level,
+      recipient,
+      escalatedAt: now,
+      history: [{ level, recipient, at: now }]
+    }
+  });
+
+  await notifyRecipients(created, pool);
+  return created;
+}
+
+// Tell the current escalation recipient, or every consultant once it reaches the queue
+async function notifyRecipients(alert, pool) {
+  try {
+    const recipients = alert.escalation.recipient
+      ? [alert.escalation.recipient]
+      : await User.find({ role: 'consultant', isActive: true }).distinct('_id');
+
+    for (const recipient of recipients) {
+      await notifyUser(recipient, 'chemical_alert', { alert, pool }, { data: { alert: alert._id } });
+    }
+  } catch (error) {
+    console.error('Chemistry alert notification failed:', error);
+  }
+}
+
+async function autoResolveAlerts(poolId, rules) {
+  if (rules.length === 0) return;
+
+  await ChemistryAlert.updateMany(
+    { pool: poolId, rule: { $in: rules }, status: { $in: ['open', 'acknowledged'] } },
+    {
+      $set: {
+        status: 'resolved',
+        resolution: 'auto',
+        resolvedAt: new Date(),
+        resolutionNotes: 'Cleared by a later reading'
+      }
+    }
+  );
+}
+
+// Evaluate a newly stored reading for its pool. A backfilled reading older
+// than the pool's latest one says nothing about the water now, so it neither
+// raises nor clears alerts.
+async function processReading(poolOrId, reading) {
+  const pool = poolOrId && poolOrId.getTargetRanges ? poolOrId : await Pool.findById(poolOrId);
+  if (!pool) return [];
+
+  const latest = pool.latestWaterChemistry;
+  if (latest && latest.testedAt && new Date(latest.testedAt) > new Date(reading.testedAt)) return [];
+
+  const testedAt = new Date(reading.testedAt);
+  const previousReadings = await WaterChemistryReading.find({
+    pool: pool._id,
+    _id: { $ne: reading._id },
+    testedAt: {
+      $gte: new Date(testedAt - RATE_WINDOW_HOURS.max * MS_PER_HOUR),
+      $lte: new Date(testedAt - RATE_WINDOW_HOURS.min * MS_PER_HOUR)
+    }
+  }).sort({ testedAt: -1 }).limit(20);
+
+  const { triggered, cleared } = evaluateRules(reading, pool.getTargetRanges(), previousReadings);
+
+  await autoResolveAlerts(pool._id, cleared.filter(rule => !triggered.some(alert => alert.rule === rule)));
+
+  const alerts = [];
+  for (const alert of triggered) {
+    alerts.push(await raiseAlert(pool, alert, reading));
+  }
+  return alerts;
+}
+
+// Raise "no reading in N days" alerts for active pools that have gone quiet
+async function checkStaleReadings(now = new Date(), days = STALE_READING_DAYS) {
+  const cutoff = new Date(now.getTime() - days * 24 * MS_PER_HOUR);
+  const pools = await Pool.find({
+    isActive: true,
+    $or: [
+      { latestWaterChemistry: null },
+      { 'latestWaterChemistry.testedAt': { $lt: cutoff } }
+    ]
+  });
+
+  const alerts = [];
+  for (const pool of pools) {
+    const lastTested = pool.latestWaterChemistry?.testedAt;
+    alerts.push(await raiseAlert(pool, {
+      rule: STALE_READING_RULE,
+      type: 'stale_reading',
+      severity: 'warning',
+      threshold: days,
+      message: lastTested
+        ? `No water chemistry reading since ${new Date(lastTested).toISOString().slice(0, 10)} (more than ${days} days)`
+        : 'No water chemistry reading has ever been recorded for this pool'
+    }));
+  }
+  return alerts;
+}
+
+// Move unacknowledged alerts up the owner -> technician -> consultant chain
+async function escalateAlerts(now = new Date()) {
+  const alerts = await ChemistryAlert.find({
+    status: 'open',
+    'escalation.level': { $ne: 'consultant' }
+  }).populate('pool', 'name owner assignedTechnician');
+
+  const escalated = [];
+  for (const alert of alerts) {
+    const timeoutHours = ACKNOWLEDGE_TIMEOUT_HOURS[alert.severity] || ACKNOWLEDGE_TIMEOUT_HOURS.warning;
+    if (now - alert.escalation.escalatedAt < timeoutHours * MS_PER_HOUR || !alert.pool) continue;
+
+    const nextLevel = ESCALATION_LEVELS[ESCALATION_LEVELS.indexOf(alert.escalation.level) + 1];
+    const { level, recipient } = await resolveRecipient(alert.pool, nextLevel);
+
+    alert.escalation.level = level;
+    alert.escalation.recipient = recipient;
+    alert.escalation.escalatedAt = now;
+    alert.escalation.history.push({ level, recipient, at: now });
+    escalated.push(await alert.save());
+    await notifyRecipients(alert, alert.pool);
+  }
+  return escalated;
+}
+
+// Periodic pass: raise stale-reading alerts, then escalate unacknowledged ones
+async function runAlertSweep(now = new Date()) {
+  const stale = await checkStaleReadings(now);
+  const escalated = await escalateAlerts(now);
+  return { staleAlerts: stale.length, escalated: escalated.length };
+}
+
+async function acknowledgeAlert(alert, user) {
+  alert.status = 'acknowledged';
+  alert.acknowledgedBy = user._id;
+  alert.acknowledgedAt = new Date();
+  return alert.save();
+}
+
+async function resolveAlert(alert, user, notes) {
+  alert.status = 'resolved';
+  alert.resolution = 'manual';
+  alert.resolvedBy = user._id;
+  alert.resolvedAt = new Date();
+  alert.resolutionNotes = notes;
+  return alert.save();
+}
+
+export {
+  CRITICAL_THRESHOLDS,
+  RATE_OF_CHANGE_RULES,
+  STALE_READING_DAYS,
+  ACKNOWLEDGE_TIMEOUT_HOURS,
+  evaluateRules,
+  processReading,
+  checkStaleReadings,
+  escalateAlerts,
+  runAlertSweep,
+  acknowledgeAlert,
+  resolveAlert
+};
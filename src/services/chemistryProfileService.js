@@ -0,0 +1,165 @@
+// Named water chemistry target profiles shared by every evaluator
+
+// Parameters a profile can define ranges for
+const PROFILE_PARAMETERS = ['pH', 'chlorine', 'alkalinity', 'hardness', 'cyanuricAcid', 'salt', 'temperature'];
+
+const chemistryProfiles = {
+  chlorine: {
+    label: 'Residential Chlorine Pool',
+    description: 'Standard targets for a residential pool sanitized with chlorine',
+    ranges: {
+      pH: { min: 7.2, max: 7.6, target: 7.4 },
+      chlorine: { min: 1.0, max: 3.0, target: 3.0 },
+      alkalinity: { min: 80, max: 120, target: 100 },
+      hardness: { min: 200, max: 400, target: 300 },
+      cyanuricAcid: { min: 30, max: 50, target: 40 }
+    }
+  },
+  saltwater: {
+    label: 'Saltwater Pool',
+    description: 'Salt chlorine generator pools run higher stabilizer and lower alkalinity',
+    ranges: {
+      pH: { min: 7.2, max: 7.8, target: 7.5 },
+      chlorine: { min: 2.0, max: 4.0, target: 3.0 },
+      alkalinity: { min: 60, max: 90, target: 70 },
+      hardness: { min: 200, max: 400, target: 300 },
+      cyanuricAcid: { min: 60, max: 80, target: 70 },
+      salt: { min: 2700, max: 3400, target: 3200 }
+    }
+  },
+  spa: {
+    label: 'Spa / Hot Tub',
+    description: 'Hot water and heavy bather load need a higher sanitizer residual',
+    ranges: {
+      pH: { min: 7.2, max: 7.8, target: 7.5 },
+      chlorine: { min: 3.0, max: 5.0, target: 4.0 },
+      alkalinity: { min: 80, max: 120, target: 100 },
+      hardness: { min: 150, max: 250, target: 200 },
+      cyanuricAcid: { min: 0, max: 40, target: 30 },
+      temperature: { min: 80, max: 104, target: 100 }
+    }
+  },
+  commercial_nv: {
+    label: 'Commercial (Nevada Health Code)',
+    description: 'Public bathing place limits under Nevada Administrative Code chapter 444',
+    ranges: {
+      pH: { min: 7.2, max: 7.8, target: 7.5 },
+      chlorine: { min: 1.0, max: 5.0, target: 3.0 },
+      alkalinity: { min: 60, max: 180, target: 100 },
+      hardness: { min: 150, max: 500, target: 300 },
+      cyanuricAcid: { min: 0, max: 90, target: 40 },
+      temperature: { max: 104 }
+    }
+  },
+  plaster: {
+    label: 'Plaster / Pebble Finish',
+    description: 'Higher calcium keeps cementitious surfaces from etching',
+    ranges: {
+      pH: { min: 7.2, max: 7.6, target: 7.5 },
+      chlorine: { min: 1.0, max: 3.0, target: 3.0 },
+      alkalinity: { min: 80, max: 120, target: 90 },
+      hardness: { min: 250, max: 450, target: 350 },
+      cyanuricAcid: { min: 30, max: 50, target: 40 }
+    }
+  },
+  vinyl: {
+    label: 'Vinyl Liner / Fiberglass',
+    description: 'Non-cementitious surfaces tolerate low calcium and stain above pH 7.8',
+    ranges: {
+      pH: { min: 7.2, max: 7.6, target: 7.4 },
+      chlorine: { min: 1.0, max: 3.0, target: 3.0 },
+      alkalinity: { min: 80, max: 120, target: 100 },
+      hardness: { min: 150, max: 250, target: 200 },
+      cyanuricAcid: { min: 30, max: 50, target: 40 }
+    }
+  }
+};
+
+const DEFAULT_PROFILE = 'chlorine';
+
+// Pick a profile from the pool's type and surface when none is assigned
+function getDefaultProfileName(pool) {
+  if (!pool) return DEFAULT_PROFILE;
+  if (pool.poolType === 'spa' || pool.poolType === 'hot_tub') return 'spa';
+  if (pool.poolType === 'commercial') return 'commercial_nv';
+  if (pool.surfaceType === 'vinyl' || pool.surfaceType === 'fiberglass') return 'vinyl';
+  if (pool.surfaceType === 'concrete') return 'plaster';
+  return DEFAULT_PROFILE;
+}
+
+function getProfileName(pool) {
+  const assigned = pool && pool.chemistryProfile && pool.chemistryProfile.name;
+  return assigned && chemistryProfiles[assigned] ? assigned : getDefaultProfileName(pool);
+}
+
+function toPlainOverrides(overrides) {
+  if (!overrides) return {};
+  return typeof overrides.toObject === 'function' ? overrides.toObject() : overrides;
+}
+
+// Merge the named profile with the pool's per-field overrides
+function resolveTargetRanges(pool) {
+  const profileName = getProfileName(pool);
+  const baseRanges = chemistryProfiles[profileName].ranges;
+  const overrides = toPlainOverrides(pool && pool.chemistryProfile && pool.chemistryProfile.overrides);
+
+  const ranges = {};
+  PROFILE_PARAMETERS.forEach(parameter => {
+    const override = overrides[parameter];
+    const hasOverride = override && Object.values(override).some(value => value !== undefined && value !== null);
+    if (!baseRanges[parameter] && !hasOverride) return;
+
+    const range = { ...(baseRanges[parameter] || {}) };
+    if (hasOverride) {
+      Object.entries(override).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) range[key] = value;
+      });
+    }
+    ranges[parameter] = range;
+  });
+
+  return ranges;
+}
+
+function describeRange(range, unit = '') {
+  const suffix = unit ? ` ${unit}` : '';
+  if (range.min !== undefined && range.max !== undefined) return `${range.min}-${range.max}${suffix}`;
+  if (range.max !== undefined) return `at most ${range.max}${suffix}`;
+  return `at least ${range.min}${suffix}`;
+}
+
+// Compare a reading against target ranges, one entry per parameter measured
+function evaluateReading(reading, ranges) {
+  if (!reading) return [];
+
+  return Object.entries(ranges)
+    .filter(([parameter]) => typeof reading[parameter] === 'number')
+    .map(([parameter, range]) => {
+      const value = reading[parameter];
+      let status = 'ok';
+      if (range.min !== undefined && value < range.min) status = 'low';
+      else if (range.max !== undefined && value > range.max) status = 'high';
+      return { parameter, value, status, range };
+    });
+}
+
+function isReadingInRange(reading, ranges) {
+  return evaluateReading(reading, ranges).every(result => result.status === 'ok');
+}
+
+function listProfiles() {
+  return Object.entries(chemistryProfiles).map(([name, profile]) => ({ name, ...profile }));
+}
+
+export {
+  PROFILE_PARAMETERS,
+  DEFAULT_PROFILE,
+  chemistryProfiles,
+  getDefaultProfileName,
+  getProfileName,
+  resolveTargetRanges,
+  describeRange,
+  evaluateReading,
+  isReadingInRange,
+  listProfiles
+};
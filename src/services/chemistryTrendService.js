@@ -0,0 +1,285 @@
+import { PROFILE_PARAMETERS } from './chemistryProfileService.js';
+
+// Per-parameter trend fitting and out-of-range forecasting for chemistry readings
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Smoothing factor for the exponentially smoothed current level
+const SMOOTHING_ALPHA = 0.5;
+
+// A weekly drift smaller than this share of the range width (or value) counts as stable
+const STABLE_WEEKLY_CHANGE = 0.05;
+
+// Projections further out than this are not reported
+const FORECAST_HORIZON_DAYS = 30;
+
+const MIN_TREND_SAMPLES = 3;
+
+// Forecast exits within this many days call for a scheduled visit
+const VISIT_LEAD_DAYS = 7;
+
+function round(value, decimals = 2) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+function addDays(date, days) {
+  return new Date(new Date(date).getTime() + days * MS_PER_DAY);
+}
+
+// Least-squares fit of y = intercept + slope * x
+function linearRegression(points) {
+  const n = points.length;
+  if (n < 2) return null;
+
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  points.forEach(p => {
+    sxx += (p.x - meanX) ** 2;
+    sxy += (p.x - meanX) * (p.y - meanY);
+    syy += (p.y - meanY) ** 2;
+  });
+
+  if (sxx === 0) return null;
+
+  const slope = sxy / sxx;
+  const intercept = meanY - slope * meanX;
+  const r2 = syy === 0 ? 1 : (sxy * sxy) / (sxx * syy);
+
+  return { slope, intercept, r2 };
+}
+
+// Simple exponential smoothing; returns the final smoothed level
+function exponentialSmoothing(values, alpha = SMOOTHING_ALPHA) {
+  if (values.length === 0) return null;
+  return values.slice(1).reduce((level, value) => alpha * value + (1 - alpha) * level, values[0]);
+}
+
+function getStatus(value, range) {
+  if (!range) return 'unknown';
+  if (range.min !== undefined && value < range.min) return 'low';
+  if (range.max !== undefined && value > range.max) return 'high';
+  return 'ok';
+}
+
+function getTarget(range) {
+  if (!range) return undefined;
+  if (range.target !== undefined) return range.target;
+  if (range.min !== undefined && range.max !== undefined) return (range.min + range.max) / 2;
+  return range.min !== undefined ? range.min : range.max;
+}
+
+// Readings sorted oldest first with numeric values for one parameter
+function toSeries(readings, parameter) {
+  return readings
+    .filter(reading => typeof reading[parameter] === 'number' && reading.testedAt)
+    .map(reading => ({ testedAt: new Date(reading.testedAt), value: reading[parameter] }))
+    .sort((a, b) => a.testedAt - b.testedAt);
+}
+
+// Days until a level moving at slopePerDay crosses the nearest bound it is heading for
+function daysUntilExit(level, slopePerDay, range) {
+  if (!range || slopePerDay === 0) return null;
+  if (slopePerDay < 0 && range.min !== undefined) return (level - range.min) / -slopePerDay;
+  if (slopePerDay > 0 && range.max !== undefined) return (range.max - level) / slopePerDay;
+  return null;
+}
+
+// Chlorine consumed per day, measured over intervals with no dose in between.
+// Rises between readings mean chlorine was added, so those intervals are skipped.
+function estimateChlorineDemand(readings) {
+  const series = toSeries(readings, 'chlorine');
+  const rates = [];
+
+  for (let i = 1; i < series.length; i++) {
+    const days = (series[i].testedAt - series[i - 1].testedAt) / MS_PER_DAY;
+    const drop = series[i - 1].value - series[i].value;
+    // Ignore same-day retests and intervals where the residual bottomed out at zero
+    if (days < 0.25 || drop <= 0 || series[i].value === 0) continue;
+    rates.push(drop / days);
+  }
+
+  if (rates.length === 0) {
+    return { ppmPerDay: null, ppmPerWeek: null, samples: 0 };
+  }
+
+  // Median keeps one rainstorm or pool party from skewing the estimate
+  const sorted = [...rates].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+
+  return {
+    ppmPerDay: round(median),
+    ppmPerWeek: round(median * 7, 1),
+    samples: rates.length
+  };
+}
+
+function analyzeParameterTrend(readings, parameter, range, options = {}) {
+  const series = toSeries(readings, parameter);
+  const latest = series[series.length - 1];
+
+  if (series.length < MIN_TREND_SAMPLES) {
+    return {
+      parameter,
+      samples: series.length,
+      current: latest ? latest.value : null,
+      direction: 'insufficient_data',
+      outlook: 'unknown',
+      status: latest ? getStatus(latest.value, range) : 'unknown'
+    };
+  }
+
+  const origin = series[0].testedAt;
+  const fit = linearRegression(series.map(point => ({
+    x: (point.testedAt - origin) / MS_PER_DAY,
+    y: point.value
+  })));
+  const level = exponentialSmoothing(series.map(point => point.value));
+  const slopePerDay = fit ? fit.slope : 0;
+
+  // Classify direction against the range width, or the level when no range is set
+  const scale = range && range.min !== undefined && range.max !== undefined
+    ? range.max - range.min
+    : Math.abs(level) || 1;
+  const weeklyChange = slopePerDay * 7;
+  let direction = 'stable';
+  if (Math.abs(weeklyChange) >= scale * STABLE_WEEKLY_CHANGE) {
+    direction = weeklyChange > 0 ? 'increasing' : 'decreasing';
+  }
+
+  // Improving means moving toward the target, declining means moving away
+  const target = getTarget(range);
+  let outlook = 'stable';
+  if (direction !== 'stable' && target !== undefined) {
+    outlook = (target - level) * slopePerDay > 0 ? 'improving' : 'declining';
+  }
+
+  const status = getStatus(latest.value, range);
+  const trend = {
+    parameter,
+    samples: series.length,
+    current: latest.value,
+    smoothed: round(level),
+    slopePerDay: round(slopePerDay, 3),
+    r2: fit ? round(fit.r2) : null,
+    direction,
+    outlook,
+    status,
+    projected7d: round(level + slopePerDay * 7),
+    projectedOutOfRangeAt: null,
+    daysUntilOutOfRange: null
+  };
+
+  if (status !== 'ok') {
+    return trend;
+  }
+
+  // Chlorine is dosed between readings, so its decay rate forecasts better than the fit
+  const exitSlope = parameter === 'chlorine' && options.chlorineDemand && options.chlorineDemand.ppmPerDay
+    ? -options.chlorineDemand.ppmPerDay
+    : (direction === 'stable' ? 0 : slopePerDay);
+  const startLevel = parameter === 'chlorine' ? latest.value : level;
+  const days = daysUntilExit(startLevel, exitSlope, range);
+
+  if (days !== null && days >= 0 && days <= FORECAST_HORIZON_DAYS) {
+    trend.daysUntilOutOfRange = round(days, 1);
+    trend.projectedOutOfRangeAt = addDays(latest.testedAt, days);
+    trend.projectedStatus = exitSlope < 0 ? 'low' : 'high';
+  }
+
+  return trend;
+}
+
+// Trend every parameter the pool has a target range for
+function analyzeTrends(readings, ranges = {}) {
+  const sorted = [...(readings || [])]
+    .filter(reading => reading && reading.testedAt)
+    .sort((a, b) => new Date(a.testedAt) - new Date(b.testedAt));
+
+  const chlorineDemand = estimateChlorineDemand(sorted);
+  const parameters = {};
+
+  PROFILE_PARAMETERS.forEach(parameter => {
+    if (!sorted.some(reading => typeof reading[parameter] === 'number')) return;
+    parameters[parameter] = analyzeParameterTrend(sorted, parameter, ranges[parameter], { chlorineDemand });
+  });
+
+  const projections = Object.values(parameters)
+    .filter(trend => trend.projectedOutOfRangeAt)
+    .sort((a, b) => a.projectedOutOfRangeAt - b.projectedOutOfRangeAt)
+    .map(trend => ({
+      parameter: trend.parameter,
+      projectedStatus: trend.projectedStatus,
+      projectedOutOfRangeAt: trend.projectedOutOfRangeAt,
+      daysUntilOutOfRange: trend.daysUntilOutOfRange
+    }));
+
+  return {
+    period: {
+      from: sorted.length ? sorted[0].testedAt : null,
+      to: sorted.length ? sorted[sorted.length - 1].testedAt : null,
+      readings: sorted.length
+    },
+    parameters,
+    chlorineDemand,
+    projections,
+    nextOutOfRange: projections[0] || null
+  };
+}
+
+function describePrediction(trend) {
+  if (trend.direction === 'insufficient_data') {
+    return 'Not enough readings to forecast';
+  }
+  if (trend.status !== 'ok') {
+    return `Currently ${trend.status}; ${trend.outlook === 'improving' ? 'moving back toward target' : 'not recovering on its own'}`;
+  }
+  if (trend.projectedOutOfRangeAt) {
+    const date = trend.projectedOutOfRangeAt.toISOString().slice(0, 10);
+    return `Projected to go ${trend.projectedStatus} in ${trend.daysUntilOutOfRange} days (${date})`;
+  }
+  return `Expected to stay in range for the next ${FORECAST_HORIZON_DAYS} days`;
+}
+
+// Suggest a visit when a parameter is projected to leave its range within a week
+function getForecastRecommendation(analysis, withinDays = VISIT_LEAD_DAYS) {
+  const next = analysis && analysis.nextOutOfRange;
+  if (!next || next.daysUntilOutOfRange > withinDays) return null;
+
+  const date = next.projectedOutOfRangeAt.toISOString().slice(0, 10);
+  return {
+    type: 'maintenance',
+    parameter: next.parameter,
+    message: `${next.parameter} is projected to go ${next.projectedStatus} by ${date}. Schedule a service visit before then.`,
+    priority: next.daysUntilOutOfRange <= 2 ? 'high' : 'medium',
+    projectedOutOfRangeAt: next.projectedOutOfRangeAt
+  };
+}
+
+// WeeklyAssessment.aiAnalysis.trends entries
+function toAssessmentTrends(analysis) {
+  return Object.values(analysis.parameters).map(trend => ({
+    parameter: trend.parameter,
+    direction: trend.outlook === 'unknown' ? 'stable' : trend.outlook,
+    prediction: describePrediction(trend),
+    slopePerDay: trend.slopePerDay,
+    projectedOutOfRangeAt: trend.projectedOutOfRangeAt
+  }));
+}
+
+export {
+  FORECAST_HORIZON_DAYS,
+  linearRegression,
+  exponentialSmoothing,
+  estimateChlorineDemand,
+  analyzeParameterTrend,
+  analyzeTrends,
+  describePrediction,
+  getForecastRecommendation,
+  toAssessmentTrends
+};
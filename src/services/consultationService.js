@@ -0,0 +1,372 @@
+import ConsultationRequest, { OPEN_STATUSES } from '../models/ConsultationRequest.js';
+import MaintenanceLog from '../models/MaintenanceLog.js';
+import Photo from '../models/Photo.js';
+import User from '../models/User.js';
+import { AffiliatePartner, ReferralTracking } from '../models/Affiliate.js';
+import { nextDocumentNumber } from './billingService.js';
+import { scheduleVisit } from './maintenanceService.js';
+import { notifyUser } from './notificationService.js';
+import { getPhotoPath } from './photoService.js';
+
+// Consultation request workflow, SLA timers, messages and conversion into
+// visits or affiliate referrals
+
+// Hours to first response (triage or a staff reply) and to resolution, by priority
+const SLA_HOURS = {
+  urgent: { response: 1, resolution: 24 },
+  high: { response: 4, resolution: 72 },
+  medium: { response: 24, resolution: 7 * 24 },
+  low: { response: 72, resolution: 14 * 24 }
+};
+
+// Allowed status moves; closing is allowed from every open status
+const STATUS_TRANSITIONS = {
+  pending: ['triaged', 'assigned', 'closed'],
+  triaged: ['assigned', 'closed'],
+  assigned: ['scheduled', 'resolved', 'closed'],
+  scheduled: ['resolved', 'closed'],
+  resolved: ['closed'],
+  closed: []
+};
+
+// Who works the queue; technicians only see requests they filed
+const CONSULTING_ROLES = ['consultant', 'admin'];
+const STAFF_ROLES = ['technician', 'consultant', 'admin'];
+
+// Consultation priority -> visit priority and referral urgency
+const VISIT_PRIORITIES = { low: 'low', medium: 'normal', high: 'high', urgent: 'urgent' };
+const REFERRAL_URGENCIES = { low: 'low', medium: 'medium', high: 'high', urgent: 'emergency' };
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function isConsultingStaff(user) {
+  return CONSULTING_ROLES.includes(user.role);
+}
+
+function refId(ref) {
+  return ref && ref._id ? ref._id : ref;
+}
+
+function canViewRequest(user, request) {
+  if (isConsultingStaff(user)) return true;
+  return [request.customer, request.requestedBy].some(id => id && refId(id).equals(user._id));
+}
+
+// Customers never see internal notes or triage notes
+function toRequestResponse(request, user) {
+  const data = request.toObject ? request.toObject() : { ...request };
+  if (STAFF_ROLES.includes(user.role)) return data;
+
+  data.messages = (data.messages || []).filter(message => !message.internal);
+  if (data.triage) delete data.triage.notes;
+  data.history = (data.history || []).map(({ note, ...entry }) => entry);
+  return data;
+}
+
+function getSlaDeadlines(priority, from = new Date()) {
+  const hours = SLA_HOURS[priority] || SLA_HOURS.medium;
+  return {
+    responseDueAt: new Date(from.getTime() + hours.response * 60 * 60 * 1000),
+    resolutionDueAt: new Date(from.getTime() + hours.resolution * 60 * 60 * 1000)
+  };
+}
+
+function transition(request, to, user, { action = to, note } = {}) {
+  if (!STATUS_TRANSITIONS[request.status].includes(to)) {
+    throw httpError(`Cannot move a ${request.status} consultation request to ${to}`, 400);
+  }
+  request.status = to;
+  request.history.push({ status: to, action, by: user._id, note });
+}
+
+function markResponded(request, at = new Date()) {
+  if (!request.sla.respondedAt) request.sla.respondedAt = at;
+}
+
+function notify(userId, template, request, data = {}) {
+  return notifyUser(userId, template, { request, ...data }, { data: { consultationRequest: request._id } })
+    .catch(error => console.error(`Consultation notification ${template} failed:`, error.message));
+}
+
+// Photos already uploaded for the pool, referenced by id
+async function loadPoolPhotos(poolId, photoIds = []) {
+  if (photoIds.length === 0) return [];
+  const photos = await Photo.find({ _id: { $in: photoIds }, pool: poolId }).select('_id caption');
+  if (photos.length !== new Set(photoIds.map(String)).size) {
+    throw httpError('Photos must belong to the pool', 400);
+  }
+  return photos;
+}
+
+async function createConsultationRequest({ pool, requestedBy, issues = [], priority = 'medium', description, photos: photoIds = [] }) {
+  const photos = await loadPoolPhotos(pool._id, photoIds);
+  const now = new Date();
+
+  const request = await ConsultationRequest.create({
+    number: await nextDocumentNumber('CR', now),
+    pool: pool._id,
+    customer: pool.owner,
+    requestedBy: requestedBy._id,
+    issues,
+    priority,
+    description,
+    photos: photos.map(photo => ({
+      photo: photo._id,
+      url: getPhotoPath(photo),
+      caption: photo.caption,
+      addedBy: requestedBy._id
+    })),
+    sla: getSlaDeadlines(priority, now),
+    history: [{ status: 'pending', action: 'created', by: requestedBy._id }]
+  });
+
+  // Urgent work should not wait for someone to check the queue
+  if (['high', 'urgent'].includes(priority)) {
+    const consultants = await User.find({ role: 'consultant', isActive: true }).distinct('_id');
+    for (const consultant of consultants) {
+      await notify(consultant, 'consultation_requested', request, { pool });
+    }
+  }
+
+  return request;
+}
+
+async function triageRequest(request, user, { priority, category, notes }) {
+  transition(request, 'triaged', user, { note: notes });
+  request.triage = { triagedBy: user._id, triagedAt: new Date(), category, notes };
+  markResponded(request);
+
+  if (priority && priority !== request.priority) {
+    request.priority = priority;
+    // Deadlines still count from when the request came in
+    Object.assign(request.sla, getSlaDeadlines(priority, request.createdAt));
+    if (request.sla.resolutionDueAt > new Date()) request.sla.resolutionBreachedAt = undefined;
+  }
+
+  return request.save();
+}
+
+async function assignRequest(request, user, consultantId) {
+  const consultant = await User.findOne({ _id: consultantId, role: { $in: CONSULTING_ROLES }, isActive: true })
+    .select('_id firstName lastName');
+  if (!consultant) throw httpError('Consultant not found', 404);
+
+  if (['assigned', 'scheduled'].includes(request.status)) {
+    if (request.assignedTo && request.assignedTo.equals(consultant._id)) return request;
+    request.history.push({ status: request.status, action: 'reassigned', by: user._id, note: `${consultant.firstName} ${consultant.lastName}` });
+  } else {
+    transition(request, 'assigned', user, { note: `${consultant.firstName} ${consultant.lastName}` });
+  }
+
+  request.assignedTo = consultant._id;
+  request.assignedAt = new Date();
+  await request.save();
+
+  if (!consultant._id.equals(user._id)) {
+    await notify(consultant._id, 'consultation_assigned', request);
+  }
+  return request;
+}
+
+async function scheduleRequest(request, user, { scheduledFor, note }) {
+  transition(request, 'scheduled', user, { note });
+  request.scheduledFor = scheduledFor;
+  await request.save();
+
+  await notify(request.customer, 'consultation_updated', request);
+  return request;
+}
+
+async function resolveRequest(request, user, { summary }) {
+  transition(request, 'resolved', user, { note: summary });
+  request.resolution = { summary, resolvedBy: user._id, resolvedAt: new Date() };
+  markResponded(request);
+  await request.save();
+
+  await notify(request.customer, 'consultation_updated', request);
+  return request;
+}
+
+async function closeRequest(request, user, { reason }) {
+  transition(request, 'closed', user, { note: reason });
+  request.closedAt = new Date();
+  request.closedBy = user._id;
+  request.closeReason = reason;
+  await request.save();
+
+  // Customers closing their own request do not need to hear about it
+  if (!request.customer.equals(user._id)) {
+    await notify(request.customer, 'consultation_updated', request);
+  }
+  return request;
+}
+
+// Customers and staff talk on the request; staff can also leave internal notes
+async function addMessage(request, user, { body, internal = false, photos: photoIds = [] }) {
+  if (request.status === 'closed') throw httpError('Consultation request is closed', 400);
+  if (internal && !STAFF_ROLES.includes(user.role)) throw httpError('Only staff can add internal notes', 403);
+
+  const attached = new Set(request.photos.map(entry => String(entry.photo)));
+  if (photoIds.some(photoId => !attached.has(String(photoId)))) {
+    throw httpError('Photos must be uploaded to the consultation request first', 400);
+  }
+
+  const staffReply = STAFF_ROLES.includes(user.role) && !request.customer.equals(user._id);
+  request.messages.push({ author: user._id, authorRole: user.role, body, internal, photos: photoIds });
+  if (staffReply && !internal) markResponded(request);
+  await request.save();
+
+  const message = request.messages[request.messages.length - 1];
+  if (!internal) {
+    if (staffReply) {
+      await notify(request.customer, 'consultation_message', request, { message });
+    } else if (request.assignedTo) {
+      await notify(request.assignedTo, 'consultation_message', request, { message });
+    }
+  }
+  return message;
+}
+
+function assertConvertible(request) {
+  if (!OPEN_STATUSES.includes(request.status)) {
+    throw httpError(`Cannot convert a ${request.status} consultation request`, 400);
+  }
+  if (request.conversion && request.conversion.type) {
+    throw httpError(`Consultation request was already converted to a ${request.conversion.type}`, 409);
+  }
+}
+
+// Whoever converts an unowned request takes it
+function claimIfUnassigned(request, user) {
+  if (request.assignedTo) return;
+  request.assignedTo = user._id;
+  request.assignedAt = new Date();
+}
+
+// Book a visit for the request. Returns { request, maintenance, dispatch,
+// warnings }, or { conflicts } / { candidates } when no technician can take it.
+async function convertToMaintenance(request, user, { pool, scheduledDate, type = 'repair', technicianId, allowConflicts = false, notes }) {
+  assertConvertible(request);
+
+  const maintenance = new MaintenanceLog({
+    pool: pool._id,
+    scheduledDate,
+    type,
+    priority: VISIT_PRIORITIES[request.priority],
+    isEmergency: request.priority === 'urgent',
+    notes: notes || [
+      `Consultation ${request.number}`,
+      request.issues.length > 0 && `Issues: ${request.issues.join(', ')}`,
+      request.description
+    ].filter(Boolean).join('\n')
+  });
+
+  const result = await scheduleVisit(maintenance, pool, { technicianId, allowConflicts, assignedBy: user._id });
+  if (result.conflicts || result.candidates) return result;
+
+  claimIfUnassigned(request, user);
+  request.status = 'scheduled';
+  request.scheduledFor = scheduledDate;
+  request.conversion = { type: 'maintenance', maintenanceLog: maintenance._id, convertedBy: user._id, convertedAt: new Date() };
+  request.history.push({ status: 'scheduled', action: 'converted', by: user._id, note: `Visit scheduled for ${new Date(scheduledDate).toISOString()}` });
+  markResponded(request);
+  await request.save();
+
+  await notify(request.customer, 'consultation_updated', request);
+  return { request, ...result };
+}
+
+// Hand the request to an affiliate partner; this resolves it on our side
+async function convertToReferral(request, user, { affiliateId, serviceCategory, estimatedValue, notes }) {
+  assertConvertible(request);
+
+  const affiliate = await AffiliatePartner.findById(affiliateId);
+  if (!affiliate || affiliate.status !== 'active') {
+    throw httpError('Affiliate not available for referrals', 400);
+  }
+
+  const referral = await ReferralTracking.create({
+    affiliate: affiliate._id,
+    client: request.customer,
+    referralType: 'manual',
+    serviceCategory,
+    urgency: REFERRAL_URGENCIES[request.priority],
+    estimatedValue,
+    notes: notes || [`Consultation ${request.number}`, request.description].filter(Boolean).join('\n')
+  });
+
+  affiliate.performanceMetrics.totalReferrals += 1;
+  affiliate.lastActivityDate = new Date();
+  await affiliate.save();
+
+  const summary = `Referred to ${affiliate.businessName}`;
+  claimIfUnassigned(request, user);
+  request.status = 'resolved';
+  request.resolution = { summary, resolvedBy: user._id, resolvedAt: new Date() };
+  request.conversion = { type: 'referral', referral: referral._id, convertedBy: user._id, convertedAt: new Date() };
+  request.history.push({ status: 'resolved', action: 'converted', by: user._id, note: summary });
+  markResponded(request);
+  await request.save();
+
+  await notify(request.customer, 'consultation_updated', request);
+  return { request, referral };
+}
+
+// Flag requests that missed their response or resolution deadline and tell
+// the assigned consultant, or every consultant while nobody owns it. Each
+// breach is claimed before notifying so overlapping runs report it once.
+async function checkConsultationSla(now = new Date()) {
+  const checks = [
+    { kind: 'response', query: { 'sla.respondedAt': { $exists: false }, 'sla.responseDueAt': { $lt: now }, 'sla.responseBreachedAt': { $exists: false } } },
+    { kind: 'resolution', query: { 'sla.resolutionDueAt': { $lt: now }, 'sla.resolutionBreachedAt': { $exists: false } } }
+  ];
+  const counts = { responseBreaches: 0, resolutionBreaches: 0 };
+
+  for (const { kind, query } of checks) {
+    const candidates = await ConsultationRequest.find({ status: { $in: OPEN_STATUSES }, ...query }).select('_id');
+
+    for (const { _id } of candidates) {
+      const request = await ConsultationRequest.findOneAndUpdate(
+        { _id, status: { $in: OPEN_STATUSES }, ...query },
+        {
+          $set: { [`sla.${kind}BreachedAt`]: now },
+          $push: { history: { action: 'sla_breached', note: `${kind} deadline missed`, at: now } }
+        },
+        { new: true }
+      ).populate('pool', 'name');
+      if (!request) continue;
+
+      counts[`${kind}Breaches`] += 1;
+      const recipients = request.assignedTo
+        ? [request.assignedTo]
+        : await User.find({ role: 'consultant', isActive: true }).distinct('_id');
+      for (const recipient of recipients) {
+        await notify(recipient, 'consultation_sla_breached', request, { pool: request.pool, kind });
+      }
+    }
+  }
+
+  return counts;
+}
+
+export {
+  SLA_HOURS,
+  STATUS_TRANSITIONS,
+  canViewRequest,
+  toRequestResponse,
+  getSlaDeadlines,
+  createConsultationRequest,
+  triageRequest,
+  assignRequest,
+  scheduleRequest,
+  resolveRequest,
+  closeRequest,
+  addMessage,
+  convertToMaintenance,
+  convertToReferral,
+  checkConsultationSla
+};
@@ -0,0 +1,133 @@
+import axios from 'axios';
+import User from '../models/User.js';
+import { CrmIntegration } from '../models/Premium.js';
+
+// Pushes customer records to a CRM webhook ("crm.sync" job). Each sync sends
+// customers changed since the last successful sync, mapped through the
+// integration's field mappings.
+
+const SYNC_BATCH_SIZE = 100;
+
+// Used when an integration has no field mappings configured
+const DEFAULT_FIELD_MAPPINGS = [
+  { localField: 'email', crmField: 'email', required: true },
+  { localField: 'firstName', crmField: 'first_name' },
+  { localField: 'lastName', crmField: 'last_name' },
+  { localField: 'phone', crmField: 'phone' },
+  { localField: 'subscription.plan', crmField: 'plan' },
+  { localField: 'createdAt', crmField: 'created_at' }
+];
+
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+// Returns { record } or { error } when a required field is missing
+function mapRecord(user, fieldMappings) {
+  const record = { external_id: user._id.toString() };
+
+  for (const mapping of fieldMappings) {
+    const value = getPath(user, mapping.localField);
+    if (value == null || value === '') {
+      if (mapping.required) {
+        return { error: `User ${user._id}: missing required field ${mapping.localField}` };
+      }
+      continue;
+    }
+    record[mapping.crmField] = value instanceof Date ? value.toISOString() : value;
+  }
+
+  return { record };
+}
+
+async function syncCrmIntegration(integrationId, { updateProgress = async () => {} } = {}) {
+  const integration = await CrmIntegration.findById(integrationId);
+
+  if (!integration || !integration.configuration?.webhookUrl) {
+    const error = new Error(integration
+      ? 'CRM integration has no webhook URL configured'
+      : `CRM integration ${integrationId} not found`);
+    error.retryable = false;
+    throw error;
+  }
+
+  const startedAt = new Date();
+  const since = integration.syncStatus?.lastSync;
+  integration.syncStatus.status = 'in_progress';
+  await integration.save();
+
+  const query = { role: 'customer', ...(since && { updatedAt: { $gt: since } }) };
+  const users = await User.find(query).sort({ updatedAt: 1 }).lean();
+
+  const fieldMappings = integration.configuration.fieldMappings?.length
+    ? integration.configuration.fieldMappings
+    : DEFAULT_FIELD_MAPPINGS;
+
+  const errors = [];
+  const records = [];
+  for (const user of users) {
+    const { record, error } = mapRecord(user, fieldMappings);
+    if (error) errors.push(error);
+    else records.push(record);
+  }
+
+  let recordsSynced = 0;
+  let failedBatches = 0;
+  const batchCount = Math.ceil(records.length / SYNC_BATCH_SIZE);
+
+  for (let i = 0; i < batchCount; i++) {
+    const batch = records.slice(i * SYNC_BATCH_SIZE, (i + 1) * SYNC_BATCH_SIZE);
+
+    try {
+      await axios.post(integration.configuration.webhookUrl, {
+        crmSystem: integration.crmSystem,
+        records: batch
+      }, {
+        headers: integration.configuration.apiKey
+          ? { Authorization: `Bearer ${integration.configuration.apiKey}` }
+          : {},
+        timeout: 15000
+      });
+      recordsSynced += batch.length;
+    } catch (error) {
+      failedBatches++;
+      errors.push(`Batch ${i + 1}/${batchCount}: ${error.message}`);
+    }
+
+    await updateProgress(((i + 1) / batchCount) * 100, `Sent ${i + 1} of ${batchCount} batches`);
+  }
+
+  const allFailed = batchCount > 0 && failedBatches === batchCount;
+  const status = allFailed ? 'failed' : (errors.length > 0 ? 'partial' : 'success');
+
+  integration.syncStatus.status = status;
+  integration.syncStatus.recordsSynced = recordsSynced;
+  integration.syncStatus.errors = errors.slice(0, 50);
+  // Only move the watermark forward when nothing needs resending
+  if (failedBatches === 0) {
+    integration.syncStatus.lastSync = startedAt;
+  }
+  await integration.save();
+
+  if (allFailed) {
+    throw new Error(`CRM sync failed: ${errors[errors.length - 1]}`);
+  }
+
+  return { status, recordsSynced, skipped: users.length - records.length, errors: errors.length };
+}
+
+// Record a sync the job queue has given up on
+async function markCrmSyncFailed(integrationId, error, { willRetry }) {
+  if (willRetry) return;
+
+  await CrmIntegration.updateOne(
+    { _id: integrationId },
+    { $set: { 'syncStatus.status': 'failed' }, $push: { 'syncStatus.errors': error.message } }
+  );
+}
+
+export {
+  DEFAULT_FIELD_MAPPINGS,
+  syncCrmIntegration,
+  markCrmSyncFailed
+};
@@ -0,0 +1,300 @@
+import MaintenanceLog from '../models/MaintenanceLog.js';
+import Pool from '../models/Pool.js';
+import User from '../models/User.js';
+import { haversineKm } from './routePlanningService.js';
+import { notifyUser } from './notificationService.js';
+import { getVisitWindow, overlaps, loadAvailability, getScheduleConflicts } from './availabilityService.js';
+import { startOfZonedDay, addZonedDays } from './timeZoneService.js';
+
+// Dispatch engine: scores technicians who are available for a visit on
+// skills, proximity, workload and schedule continuity, and records every
+// assignment. Emergencies may take the slot of a technician's routine
+// visits, which are then passed to the next best technician, and may go to
+// on-call technicians outside their shifts.
+
+const MAX_DAILY_VISITS = parseInt(process.env.DISPATCH_MAX_DAILY_VISITS) || 8;
+const MAX_DISTANCE_KM = parseFloat(process.env.DISPATCH_MAX_DISTANCE_KM) || 40;
+
+const SCORE_WEIGHTS = {
+  skills: 0.35,
+  proximity: 0.3,
+  workload: 0.25,
+  continuity: 0.1
+};
+
+// Words in specializations/certifications that cover each skill
+const SKILL_KEYWORDS = {
+  chemical: ['chemical', 'chemistry', 'water'],
+  equipment: ['equipment', 'pump', 'filter', 'heater', 'automation'],
+  repair: ['repair', 'equipment', 'plumbing', 'electrical'],
+  inspection: ['inspection', 'inspector'],
+  cleaning: ['cleaning'],
+  emergency: ['emergency', 'repair'],
+  commercial: ['cpo', 'commercial'],
+  maintenance: ['maintenance', 'cleaning', 'service'],
+  design: ['design', 'construction']
+};
+
+// Assessment specialist types and the skill each one needs
+const SPECIALIST_SKILLS = {
+  water_chemist: 'chemical',
+  equipment_specialist: 'equipment',
+  pool_designer: 'design',
+  maintenance_expert: 'maintenance',
+  problem_solver: 'repair'
+};
+
+function isEmergencyVisit(visit) {
+  return Boolean(visit.isEmergency) || visit.type === 'emergency';
+}
+
+// Skills a visit calls for, from its type, task categories and pool type
+function getVisitSkills(visit, pool) {
+  const skills = new Set(visit.tasks.map(task => task.category).filter(category => SKILL_KEYWORDS[category]));
+  if (SKILL_KEYWORDS[visit.type]) skills.add(visit.type);
+  if (visit.isEmergency) skills.add('emergency');
+  if (pool && pool.poolType === 'commercial') skills.add('commercial');
+  return [...skills];
+}
+
+function hasSkill(technician, skill) {
+  const profile = technician.profile || {};
+  const technicianSkills = [...(profile.specializations || []), ...(profile.certifications || [])]
+    .map(value => value.toLowerCase());
+  const keywords = SKILL_KEYWORDS[skill] || [skill.toLowerCase()];
+  return technicianSkills.some(value => keywords.some(keyword => value.includes(keyword)));
+}
+
+function getCoordinates(place) {
+  const coordinates = place && place.address && place.address.coordinates;
+  return coordinates && Number.isFinite(coordinates.latitude) && Number.isFinite(coordinates.longitude)
+    ? coordinates
+    : null;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Score every active technician for a visit, best eligible first
+async function rankTechnicians(visit, { pool, exclude = [] } = {}) {
+  pool = pool || await Pool.findById(visit.pool).select('name address poolType assignedTechnician');
+
+  const technicians = await User.find({
+    role: 'technician',
+    isActive: true,
+    _id: { $nin: exclude }
+  }).select('firstName lastName phone address profile');
+
+  // Workload counts the visit's day in the business time zone
+  const dayStart = startOfZonedDay(visit.scheduledDate);
+  const dayEnd = addZonedDays(dayStart, 1);
+
+  const dayVisits = await MaintenanceLog.find({
+    _id: { $ne: visit._id },
+    technician: { $in: technicians.map(technician => technician._id) },
+    scheduledDate: { $gte: dayStart, $lt: dayEnd },
+    status: { $in: ['scheduled', 'in_progress'] }
+  }).populate('pool', 'address');
+
+  const emergency = isEmergencyVisit(visit);
+  const window = getVisitWindow(visit);
+  const availability = await loadAvailability(technicians.map(technician => technician._id), window.start, window.end);
+  const skills = getVisitSkills(visit, pool);
+  const poolCoordinates = getCoordinates(pool);
+
+  const candidates = technicians.map(technician => {
+    const reasons = [];
+    const visits = dayVisits.filter(other => other.technician.equals(technician._id));
+
+    const missingSkills = (visit.requiredSkills || []).filter(skill => !hasSkill(technician, skill));
+    if (missingSkills.length > 0) reasons.push(`Missing required skills: ${missingSkills.join(', ')}`);
+
+    getScheduleConflicts(availability.get(technician._id.toString()), window, { emergency })
+      .forEach(conflict => reasons.push(conflict.message));
+
+    // Emergencies can take the place of routine work, never of another emergency
+    const conflicts = visits.filter(other => overlaps(window, getVisitWindow(other)));
+    const preempts = emergency
+      ? conflicts.filter(other => !isEmergencyVisit(other) && other.status === 'scheduled')
+      : [];
+    if (conflicts.length > preempts.length) reasons.push('Already booked at that time');
+
+    if (!emergency && visits.length >= MAX_DAILY_VISITS) reasons.push('Fully booked for the day');
+
+    // Nearest of the technician's home and the day's other pools
+    const origins = [getCoordinates(technician), ...visits.map(other => getCoordinates(other.pool))].filter(Boolean);
+    const distanceKm = poolCoordinates && origins.length > 0
+      ? Math.min(...origins.map(origin => haversineKm(origin, poolCoordinates)))
+      : null;
+
+    const breakdown = {
+      skills: skills.length > 0 ? skills.filter(skill => hasSkill(technician, skill)).length / skills.length : 1,
+      proximity: distanceKm === null ? 0.5 : Math.max(0, 1 - distanceKm / MAX_DISTANCE_KM),
+      workload: Math.max(0, 1 - visits.length / MAX_DAILY_VISITS),
+      continuity: pool && pool.assignedTechnician && pool.assignedTechnician.equals(technician._id) ? 1 : 0
+    };
+
+    const score = Object.entries(SCORE_WEIGHTS)
+      .reduce((total, [factor, weight]) => total + breakdown[factor] * weight, 0);
+
+    return {
+      technician: {
+        _id: technician._id,
+        firstName: technician.firstName,
+        lastName: technician.lastName
+      },
+      eligible: reasons.length === 0,
+      reasons,
+      score: round(score),
+      breakdown: Object.fromEntries(Object.entries(breakdown).map(([factor, value]) => [factor, round(value)])),
+      distanceKm: distanceKm === null ? null : Math.round(distanceKm * 10) / 10,
+      dailyVisits: visits.length,
+      preempts: preempts.map(other => other._id)
+    };
+  });
+
+  return candidates.sort((a, b) => (b.eligible - a.eligible) || (b.score - a.score));
+}
+
+// Set the visit's technician, record the decision and tell the technician
+async function assignTechnician(visit, technicianId, { method, score, reason, assignedBy } = {}) {
+  const previousTechnician = visit.technician;
+
+  visit.technician = technicianId;
+  visit.assignmentHistory.push({
+    technician: technicianId,
+    previousTechnician,
+    method,
+    score,
+    reason,
+    assignedBy
+  });
+  await visit.save();
+
+  if (!previousTechnician || !previousTechnician.equals(technicianId)) {
+    const pool = await Pool.findById(visit.pool).select('name');
+    try {
+      await notifyUser(technicianId, 'maintenance_assigned', { pool, maintenance: visit }, {
+        channels: isEmergencyVisit(visit) ? ['sms', 'in_app'] : ['email', 'in_app'],
+        data: { maintenanceId: visit._id }
+      });
+    } catch (error) {
+      console.error('Failed to notify technician of assignment:', error.message);
+    }
+  }
+
+  return visit;
+}
+
+// Give the visit to the best eligible technician. For emergencies, routine
+// visits in the chosen technician's way are handed to someone else.
+async function autoAssign(visit, { assignedBy, exclude = [], method = 'auto', reason } = {}) {
+  const candidates = await rankTechnicians(visit, { exclude });
+  const best = candidates.find(candidate => candidate.eligible);
+
+  if (!best) {
+    return { assigned: false, candidates };
+  }
+
+  await assignTechnician(visit, best.technician._id, {
+    method,
+    score: best.score,
+    reason: reason || (isEmergencyVisit(visit) ? 'Emergency dispatch' : 'Best available technician'),
+    assignedBy
+  });
+
+  const preempted = [];
+  for (const visitId of best.preempts) {
+    const routineVisit = await MaintenanceLog.findById(visitId);
+    if (!routineVisit) continue;
+
+    const result = await autoAssign(routineVisit, {
+      assignedBy,
+      exclude: [best.technician._id],
+      method: 'preemption',
+      reason: `Preempted by emergency visit ${visit._id}`
+    });
+
+    // Nobody else is free: the visit stays put and dispatch can follow up
+    if (!result.assigned) {
+      routineVisit.assignmentHistory.push({
+        technician: routineVisit.technician,
+        previousTechnician: routineVisit.technician,
+        method: 'preemption',
+        reason: `Preempted by emergency visit ${visit._id}; no other technician available`,
+        assignedBy
+      });
+      await routineVisit.save();
+    }
+
+    preempted.push({
+      maintenanceId: routineVisit._id,
+      reassignedTo: result.assigned ? result.technician : null
+    });
+  }
+
+  return {
+    assigned: true,
+    technician: best.technician,
+    score: best.score,
+    candidates,
+    preempted
+  };
+}
+
+// Dispatcher override. Scoring concerns are returned as warnings rather
+// than blocking the assignment.
+async function manualAssign(visit, technicianId, { assignedBy, reason } = {}) {
+  const candidates = await rankTechnicians(visit);
+  const candidate = candidates.find(entry => entry.technician._id.equals(technicianId));
+  if (!candidate) {
+    const error = new Error('Technician not found or inactive');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  await assignTechnician(visit, candidate.technician._id, {
+    method: 'manual',
+    score: candidate.score,
+    reason,
+    assignedBy
+  });
+
+  return {
+    assigned: true,
+    technician: candidate.technician,
+    score: candidate.score,
+    warnings: candidate.reasons
+  };
+}
+
+// Least busy technicians with the skills an assessment specialist type
+// needs, or the least busy technicians overall when nobody matches
+async function findSpecialists(specialistType, { limit = 1 } = {}) {
+  const technicians = await User.find({ role: 'technician', isActive: true })
+    .select('firstName lastName profile');
+
+  const openVisits = await MaintenanceLog.aggregate([
+    { $match: { technician: { $in: technicians.map(technician => technician._id) }, status: { $in: ['scheduled', 'in_progress'] } } },
+    { $group: { _id: '$technician', count: { $sum: 1 } } }
+  ]);
+  const workload = new Map(openVisits.map(entry => [entry._id.toString(), entry.count]));
+
+  const skill = SPECIALIST_SKILLS[specialistType] || specialistType;
+  const matching = technicians.filter(technician => hasSkill(technician, skill));
+
+  return (matching.length > 0 ? matching : technicians)
+    .sort((a, b) => (workload.get(a._id.toString()) || 0) - (workload.get(b._id.toString()) || 0))
+    .slice(0, limit);
+}
+
+export {
+  isEmergencyVisit,
+  getVisitSkills,
+  rankTechnicians,
+  assignTechnician,
+  autoAssign,
+  manualAssign,
+  findSpecialists
+};
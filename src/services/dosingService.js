@@ -0,0 +1,434 @@
+// Volume-aware chemical dosing calculator
+
+import fs from 'fs';
+import { chemistryProfiles, DEFAULT_PROFILE } from './chemistryProfileService.js';
+
+const LITERS_PER_GALLON = 3.78541;
+const GRAMS_PER_OUNCE = 28.3495;
+const ML_PER_FLUID_OUNCE = 29.5735;
+
+// Equivalent weights (grams per equivalent) used for alkalinity math
+const EQUIVALENT_WEIGHTS = {
+  calciumCarbonate: 50.04,
+  hydrochloricAcid: 36.46,
+  sodiumBisulfate: 120.06,
+  sodiumBicarbonate: 84.01,
+  sodiumCarbonate: 53.0,
+  calciumChloride: 55.49
+};
+
+// Carbonic acid pKa at pool temperatures
+const CARBONIC_PKA = 6.3;
+
+// Trichlor adds roughly 0.6 ppm CYA for every 1 ppm of free chlorine
+const TRICHLOR_CYA_RATIO = 0.6;
+
+// Parameters the calculator can dose for
+const DOSING_PARAMETERS = ['pH', 'chlorine', 'alkalinity', 'hardness', 'cyanuricAcid'];
+
+// Product catalog. `concentration` is the labelled percentage; `basis` says
+// whether it is grams per 100 g ('weight') or grams per 100 mL ('volume').
+// Liquids sold by weight percentage need a density to convert to volume.
+const defaultProductCatalog = [
+  {
+    id: 'liquid_chlorine_10',
+    name: 'Liquid Chlorine 10%',
+    effect: 'chlorine',
+    form: 'liquid',
+    concentration: 10,
+    basis: 'volume',
+    unitCost: 0.04 // per fl oz
+  },
+  {
+    id: 'liquid_chlorine_12_5',
+    name: 'Liquid Chlorine 12.5%',
+    effect: 'chlorine',
+    form: 'liquid',
+    concentration: 12.5,
+    basis: 'volume',
+    unitCost: 0.05
+  },
+  {
+    id: 'cal_hypo_65',
+    name: 'Calcium Hypochlorite 65% (Cal-Hypo)',
+    effect: 'chlorine',
+    form: 'granular',
+    concentration: 65,
+    basis: 'weight',
+    addsHardness: true,
+    unitCost: 0.35 // per oz
+  },
+  {
+    id: 'trichlor_90',
+    name: 'Trichlor Tablets 90%',
+    effect: 'chlorine',
+    form: 'tablet',
+    concentration: 90,
+    basis: 'weight',
+    addsCyanuricAcid: true,
+    unitCost: 0.30
+  },
+  {
+    id: 'muriatic_acid_31_45',
+    name: 'Muriatic Acid 31.45%',
+    effect: 'acid',
+    form: 'liquid',
+    concentration: 31.45,
+    basis: 'weight',
+    density: 1.16,
+    equivalentWeight: EQUIVALENT_WEIGHTS.hydrochloricAcid,
+    unitCost: 0.06
+  },
+  {
+    id: 'dry_acid_93_2',
+    name: 'Dry Acid (Sodium Bisulfate 93.2%)',
+    effect: 'acid',
+    form: 'granular',
+    concentration: 93.2,
+    basis: 'weight',
+    equivalentWeight: EQUIVALENT_WEIGHTS.sodiumBisulfate,
+    unitCost: 0.12
+  },
+  {
+    id: 'soda_ash',
+    name: 'Soda Ash (Sodium Carbonate)',
+    effect: 'ph_up',
+    form: 'granular',
+    concentration: 100,
+    basis: 'weight',
+    equivalentWeight: EQUIVALENT_WEIGHTS.sodiumCarbonate,
+    unitCost: 0.10
+  },
+  {
+    id: 'sodium_bicarbonate',
+    name: 'Sodium Bicarbonate (Baking Soda)',
+    effect: 'alkalinity_up',
+    form: 'granular',
+    concentration: 100,
+    basis: 'weight',
+    equivalentWeight: EQUIVALENT_WEIGHTS.sodiumBicarbonate,
+    unitCost: 0.06
+  },
+  {
+    id: 'cyanuric_acid',
+    name: 'Cyanuric Acid (Stabilizer)',
+    effect: 'cyanuric_acid_up',
+    form: 'granular',
+    concentration: 100,
+    basis: 'weight',
+    unitCost: 0.40
+  },
+  {
+    id: 'calcium_chloride_77',
+    name: 'Calcium Chloride 77%',
+    effect: 'hardness_up',
+    form: 'granular',
+    concentration: 77,
+    basis: 'weight',
+    equivalentWeight: EQUIVALENT_WEIGHTS.calciumChloride,
+    unitCost: 0.08
+  }
+];
+
+// Preferred product per adjustment when several can do the job
+const PREFERRED_PRODUCTS = {
+  chlorine: 'liquid_chlorine_12_5',
+  acid: 'muriatic_acid_31_45',
+  ph_up: 'soda_ash',
+  alkalinity_up: 'sodium_bicarbonate',
+  cyanuric_acid_up: 'cyanuric_acid',
+  hardness_up: 'calcium_chloride_77'
+};
+
+let cachedCatalog = null;
+
+// Load the product catalog, merging any overrides from CHEMICAL_PRODUCT_CATALOG
+// (a JSON array of products keyed by id) over the defaults
+function loadProductCatalog() {
+  if (cachedCatalog) return cachedCatalog;
+
+  const catalog = new Map(defaultProductCatalog.map(product => [product.id, { ...product }]));
+  const catalogPath = process.env.CHEMICAL_PRODUCT_CATALOG;
+
+  if (catalogPath) {
+    try {
+      const overrides = JSON.parse(fs.readFileSync(catalogPath, 'utf8'));
+      overrides.forEach(product => {
+        catalog.set(product.id, { ...(catalog.get(product.id) || {}), ...product });
+      });
+    } catch (error) {
+      console.warn('⚠️  Could not load chemical product catalog:', error.message);
+    }
+  }
+
+  cachedCatalog = Array.from(catalog.values()).filter(product => product.isActive !== false);
+  return cachedCatalog;
+}
+
+function getProduct(productId) {
+  return loadProductCatalog().find(product => product.id === productId) || null;
+}
+
+function getProductsByEffect(effect) {
+  return loadProductCatalog().filter(product => product.effect === effect);
+}
+
+function round(value, decimals = 1) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+// Grams of active ingredient delivered by one base unit (mL or g) of product
+function getActivePerBaseUnit(product) {
+  const fraction = product.concentration / 100;
+  if (product.form === 'liquid') {
+    return product.basis === 'volume' ? fraction : fraction * (product.density || 1);
+  }
+  return fraction;
+}
+
+// Convert grams of active ingredient into a product quantity in field units
+function toProductQuantity(product, activeGrams) {
+  const baseUnits = activeGrams / getActivePerBaseUnit(product);
+
+  if (product.form === 'liquid') {
+    const fluidOunces = baseUnits / ML_PER_FLUID_OUNCE;
+    if (fluidOunces >= 128) {
+      return { amount: round(fluidOunces / 128, 2), unit: 'gal', fluidOunces: round(fluidOunces) };
+    }
+    return { amount: round(fluidOunces), unit: 'fl oz', fluidOunces: round(fluidOunces) };
+  }
+
+  const ounces = baseUnits / GRAMS_PER_OUNCE;
+  if (ounces >= 16) {
+    return { amount: round(ounces / 16, 2), unit: 'lb', ounces: round(ounces) };
+  }
+  return { amount: round(ounces), unit: 'oz', ounces: round(ounces) };
+}
+
+function buildProductDose(product, activeGrams, extra = {}) {
+  const quantity = toProductQuantity(product, activeGrams);
+  const costUnits = quantity.fluidOunces ?? quantity.ounces;
+
+  return {
+    product: product.id,
+    name: product.name,
+    amount: quantity.amount,
+    unit: quantity.unit,
+    estimatedCost: product.unitCost ? round(costUnits * product.unitCost, 2) : undefined,
+    ...extra
+  };
+}
+
+// Fraction of carbonate alkalinity present as bicarbonate at a given pH
+function bicarbonateFraction(pH) {
+  return 1 / (1 + Math.pow(10, CARBONIC_PKA - pH));
+}
+
+// Alkalinity (ppm as CaCO3) that must be neutralized or added to move pH
+function alkalinityShiftForPH(alkalinity, fromPH, toPH) {
+  const totalCarbonate = alkalinity / bicarbonateFraction(fromPH);
+  return Math.abs(totalCarbonate * (bicarbonateFraction(fromPH) - bicarbonateFraction(toPH)));
+}
+
+// Grams of active ingredient for an alkalinity change expressed as ppm CaCO3
+function alkalinityToActiveGrams(ppmCaCO3, liters, equivalentWeight) {
+  const equivalents = (ppmCaCO3 / EQUIVALENT_WEIGHTS.calciumCarbonate) * liters / 1000;
+  return equivalents * equivalentWeight;
+}
+
+function dilutionPercentage(current, target) {
+  if (!current || current <= target) return 0;
+  return Math.round((1 - target / current) * 100);
+}
+
+// Fill any missing parameters from the default profile
+function resolveTargets(targetRanges = {}) {
+  const defaultRanges = chemistryProfiles[DEFAULT_PROFILE].ranges;
+  const targets = {};
+  DOSING_PARAMETERS.forEach(parameter => {
+    const range = { ...defaultRanges[parameter], ...(targetRanges[parameter] || {}) };
+    if (range.target === undefined || range.target < range.min || range.target > range.max) {
+      range.target = (range.min + range.max) / 2;
+    }
+    targets[parameter] = range;
+  });
+  return targets;
+}
+
+function buildAdjustment(parameter, current, target, direction, effect, activeGrams, options = {}) {
+  const products = getProductsByEffect(effect).map(product => {
+    const warnings = [];
+    if (product.addsCyanuricAcid && options.highCyanuricAcid) {
+      warnings.push('Cyanuric acid is already high - trichlor will raise it further');
+    }
+    if (product.addsHardness && options.highHardness) {
+      warnings.push('Calcium hardness is already high - cal-hypo will raise it further');
+    }
+
+    const grams = product.equivalentWeight
+      ? alkalinityToActiveGrams(activeGrams.ppmCaCO3, activeGrams.liters, product.equivalentWeight)
+      : activeGrams.grams;
+
+    return buildProductDose(product, grams, warnings.length > 0 ? { warnings } : {});
+  });
+
+  if (products.length === 0) return null;
+
+  const preferred = products.find(p => p.product === PREFERRED_PRODUCTS[effect] && !p.warnings) ||
+    products.find(p => !p.warnings) ||
+    products[0];
+
+  return {
+    parameter,
+    current,
+    target,
+    direction,
+    recommended: preferred.product,
+    products
+  };
+}
+
+// Calculate chemical doses needed to bring a reading into its target ranges
+function calculateDosing(reading, targetRanges, volumeGallons) {
+  if (!reading) {
+    return { adjustments: [], dilution: [], notes: ['No water chemistry reading available'] };
+  }
+
+  if (!volumeGallons || volumeGallons <= 0) {
+    return { adjustments: [], dilution: [], notes: ['Pool volume is required to calculate chemical doses'] };
+  }
+
+  const liters = volumeGallons * LITERS_PER_GALLON;
+  const ranges = resolveTargets(targetRanges);
+  const adjustments = [];
+  const dilution = [];
+  const notes = [];
+
+  const highCyanuricAcid = reading.cyanuricAcid > ranges.cyanuricAcid.max;
+  const highHardness = reading.hardness > ranges.hardness.max;
+  let projectedPH = reading.pH;
+
+  // Alkalinity first - it buffers pH, and acid lowers both
+  if (typeof reading.alkalinity === 'number') {
+    const { min, max, target } = ranges.alkalinity;
+    if (reading.alkalinity < min) {
+      adjustments.push(buildAdjustment('alkalinity', reading.alkalinity, target, 'raise', 'alkalinity_up',
+        { ppmCaCO3: target - reading.alkalinity, liters }));
+    } else if (reading.alkalinity > max) {
+      adjustments.push(buildAdjustment('alkalinity', reading.alkalinity, target, 'lower', 'acid',
+        { ppmCaCO3: reading.alkalinity - target, liters }));
+      notes.push('Add acid in stages and aerate to raise pH back up while alkalinity drops');
+      projectedPH = null;
+    }
+  }
+
+  // pH - skipped when an alkalinity reduction is already in progress
+  if (typeof reading.pH === 'number' && typeof reading.alkalinity === 'number' && projectedPH !== null) {
+    const { min, max, target } = ranges.pH;
+    if (reading.pH < min) {
+      const shift = alkalinityShiftForPH(reading.alkalinity, reading.pH, target);
+      adjustments.push(buildAdjustment('pH', reading.pH, target, 'raise', 'ph_up', { ppmCaCO3: shift, liters }));
+    } else if (reading.pH > max) {
+      const shift = alkalinityShiftForPH(reading.alkalinity, reading.pH, target);
+      adjustments.push(buildAdjustment('pH', reading.pH, target, 'lower', 'acid', { ppmCaCO3: shift, liters }));
+    }
+  }
+
+  // Free chlorine
+  if (typeof reading.chlorine === 'number' && reading.chlorine < ranges.chlorine.min) {
+    const { target } = ranges.chlorine;
+    const grams = (target - reading.chlorine) * liters / 1000;
+    const adjustment = buildAdjustment('chlorine', reading.chlorine, target, 'raise', 'chlorine',
+      { grams, liters }, { highCyanuricAcid, highHardness });
+    if (adjustment) {
+      const trichlor = adjustment.products.find(p => getProduct(p.product)?.addsCyanuricAcid);
+      if (trichlor) {
+        trichlor.cyanuricAcidIncrease = round((target - reading.chlorine) * TRICHLOR_CYA_RATIO);
+      }
+      adjustments.push(adjustment);
+    }
+  }
+
+  // Cyanuric acid
+  if (typeof reading.cyanuricAcid === 'number') {
+    const { min, max, target } = ranges.cyanuricAcid;
+    if (reading.cyanuricAcid < min) {
+      const grams = (target - reading.cyanuricAcid) * liters / 1000;
+      adjustments.push(buildAdjustment('cyanuricAcid', reading.cyanuricAcid, target, 'raise', 'cyanuric_acid_up',
+        { grams, liters }));
+    } else if (reading.cyanuricAcid > max) {
+      dilution.push({
+        parameter: 'cyanuricAcid',
+        current: reading.cyanuricAcid,
+        target,
+        drainPercentage: dilutionPercentage(reading.cyanuricAcid, target),
+        message: 'Cyanuric acid can only be lowered by partially draining and refilling'
+      });
+    }
+  }
+
+  // Calcium hardness
+  if (typeof reading.hardness === 'number') {
+    const { min, max, target } = ranges.hardness;
+    if (reading.hardness < min) {
+      adjustments.push(buildAdjustment('hardness', reading.hardness, target, 'raise', 'hardness_up',
+        { ppmCaCO3: target - reading.hardness, liters }));
+    } else if (reading.hardness > max) {
+      dilution.push({
+        parameter: 'hardness',
+        current: reading.hardness,
+        target,
+        drainPercentage: dilutionPercentage(reading.hardness, target),
+        message: 'Calcium hardness can only be lowered by partially draining and refilling with softer water'
+      });
+    }
+  }
+
+  return {
+    volume: volumeGallons,
+    adjustments: adjustments.filter(Boolean),
+    dilution,
+    notes
+  };
+}
+
+// Turn a dosing plan into MaintenanceLog.chemicalsUsed entries using the
+// recommended product for each adjustment
+function toChemicalsUsed(dosing) {
+  if (!dosing || !dosing.adjustments) return [];
+
+  return dosing.adjustments.map(adjustment => {
+    const dose = adjustment.products.find(p => p.product === adjustment.recommended);
+    return {
+      product: dose.product,
+      name: dose.name,
+      amount: dose.amount,
+      recommendedAmount: dose.amount,
+      unit: dose.unit,
+      cost: dose.estimatedCost,
+      notes: `${adjustment.direction === 'raise' ? 'Raise' : 'Lower'} ${adjustment.parameter} from ${adjustment.current} to ${adjustment.target}`
+    };
+  });
+}
+
+// Recommended amount of a specific product for a reading, used to fill in
+// chemicalsUsed entries that only name a product
+function getRecommendedDose(dosing, productId) {
+  if (!dosing || !dosing.adjustments) return null;
+
+  for (const adjustment of dosing.adjustments) {
+    const dose = adjustment.products.find(p => p.product === productId);
+    if (dose) return dose;
+  }
+  return null;
+}
+
+export {
+  defaultProductCatalog,
+  loadProductCatalog,
+  getProduct,
+  calculateDosing,
+  toChemicalsUsed,
+  getRecommendedDose
+};
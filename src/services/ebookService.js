@@ -0,0 +1,113 @@
+import { CustomEbook } from '../models/Premium.js';
+import { notifyUser } from './notificationService.js';
+
+// Custom ebook generation, run by the job queue ("ebook.generate")
+
+async function generateCustomEbook(ebookId, { updateProgress = async () => {} } = {}) {
+  const ebook = await CustomEbook.findById(ebookId)
+    .populate('client', 'firstName lastName')
+    .populate('pool', 'name poolType dimensions equipment address')
+    .populate('assessment', 'responses aiAnalysis');
+
+  if (!ebook) {
+    const error = new Error(`Ebook ${ebookId} not found`);
+    error.retryable = false;
+    throw error;
+  }
+
+  // A retried job must not regenerate or re-deliver a finished ebook
+  if (['completed', 'delivered'].includes(ebook.generationStatus.status)) {
+    return { ebook: ebook._id, status: ebook.generationStatus.status };
+  }
+
+  const reportProgress = async (progress, message) => {
+    ebook.generationStatus.progress = progress;
+    await ebook.save();
+    await updateProgress(progress, message);
+  };
+
+  ebook.generationStatus.status = 'generating';
+  ebook.generationStatus.startedAt = new Date();
+  ebook.generationStatus.errorMessage = undefined;
+  await reportProgress(10, 'Collecting pool data');
+
+  // Generate content based on pool data and assessment
+  const content = await generateEbookContent(ebook);
+  await reportProgress(70, 'Content generated');
+
+  ebook.content = content;
+  ebook.ebookDetails.pageCount = estimatePageCount(content);
+  ebook.generationStatus.status = 'completed';
+  ebook.generationStatus.completedAt = new Date();
+  ebook.generationStatus.deliveryUrl = `/downloads/ebook-${ebook._id}.pdf`;
+  await reportProgress(100, 'Completed');
+
+  await notifyUser(ebook.client._id, 'ebook_ready', { ebook }, { data: { ebook: ebook._id } });
+
+  return { ebook: ebook._id, pageCount: ebook.ebookDetails.pageCount };
+}
+
+// Keep the ebook's status in step with the job: queued again while retries
+// remain, error once the job has given up
+async function markEbookFailed(ebookId, error, { willRetry }) {
+  await CustomEbook.updateOne(
+    { _id: ebookId, 'generationStatus.status': { $nin: ['completed', 'delivered'] } },
+    {
+      $set: {
+        'generationStatus.status': willRetry ? 'queued' : 'error',
+        'generationStatus.errorMessage': error.message
+      }
+    }
+  );
+}
+
+async function generateEbookContent(ebook) {
+  const { client, pool, assessment } = ebook;
+
+  return {
+    introduction: `Welcome ${client.firstName}! This custom guide is specifically designed for your ${pool.poolType} pool.`,
+    chapters: [
+      {
+        chapterNumber: 1,
+        title: 'Your Pool Profile',
+        content: `Your ${pool.poolType} pool requires specific maintenance based on its unique characteristics...`,
+        characterAdvice: [{
+          character: 'Zeus',
+          advice: 'A well-maintained pool reflects the divine order of nature itself!',
+          context: 'pool_overview'
+        }]
+      },
+      {
+        chapterNumber: 2,
+        title: 'Water Chemistry Management',
+        content: 'Based on your assessment results, here are your specific water chemistry guidelines...',
+        characterAdvice: [{
+          character: 'Cleopatra',
+          advice: 'The secret to perfect water lies in the precise balance of elements, just as I once bathed in perfection.',
+          context: 'water_chemistry'
+        }]
+      }
+    ],
+    appendices: [
+      {
+        title: 'Chemical Reference Chart',
+        content: 'Quick reference for optimal chemical levels...',
+        type: 'chemical_chart'
+      }
+    ]
+  };
+}
+
+function estimatePageCount(content) {
+  // Simple estimation based on content length
+  const totalText = content.introduction.length +
+    content.chapters.reduce((sum, chapter) => sum + chapter.content.length, 0) +
+    content.appendices.reduce((sum, appendix) => sum + appendix.content.length, 0);
+
+  return Math.ceil(totalText / 2000); // Roughly 2000 characters per page
+}
+
+export {
+  generateCustomEbook,
+  markEbookFailed
+};
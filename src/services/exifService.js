@@ -0,0 +1,122 @@
+// Minimal EXIF reader for the capture details kept with uploaded photos:
+// when and where the photo was taken and on what device. Takes the raw EXIF
+// block sharp reports in metadata().exif.
+
+const TAGS = {
+  make: 0x010f,
+  model: 0x0110,
+  exifIfd: 0x8769,
+  gpsIfd: 0x8825,
+  dateTimeOriginal: 0x9003,
+  offsetTimeOriginal: 0x9011
+};
+
+const GPS_TAGS = {
+  latitudeRef: 0x0001,
+  latitude: 0x0002,
+  longitudeRef: 0x0003,
+  longitude: 0x0004,
+  altitudeRef: 0x0005,
+  altitude: 0x0006
+};
+
+// Bytes per component for each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+function readIfd(tiff, offset, littleEndian) {
+  const readUInt16 = position => littleEndian ? tiff.readUInt16LE(position) : tiff.readUInt16BE(position);
+  const readUInt32 = position => littleEndian ? tiff.readUInt32LE(position) : tiff.readUInt32BE(position);
+  const readInt32 = position => littleEndian ? tiff.readInt32LE(position) : tiff.readInt32BE(position);
+
+  const entries = new Map();
+  const count = readUInt16(offset);
+
+  for (let i = 0; i < count; i++) {
+    const entry = offset + 2 + i * 12;
+    if (entry + 12 > tiff.length) break;
+
+    const tag = readUInt16(entry);
+    const type = readUInt16(entry + 2);
+    const components = readUInt32(entry + 4);
+    const size = (TYPE_SIZES[type] || 1) * components;
+    // Values over four bytes are stored elsewhere in the block
+    const valueOffset = size > 4 ? readUInt32(entry + 8) : entry + 8;
+    if (valueOffset + size > tiff.length) continue;
+
+    let value;
+    if (type === 2) {
+      value = tiff.toString('ascii', valueOffset, valueOffset + size).replace(/\0+$/, '').trim();
+    } else if (type === 3) {
+      value = readUInt16(valueOffset);
+    } else if (type === 4) {
+      value = readUInt32(valueOffset);
+    } else if (type === 5 || type === 10) {
+      value = [];
+      for (let c = 0; c < components; c++) {
+        const position = valueOffset + c * 8;
+        const numerator = type === 5 ? readUInt32(position) : readInt32(position);
+        const denominator = type === 5 ? readUInt32(position + 4) : readInt32(position + 4);
+        value.push(denominator === 0 ? 0 : numerator / denominator);
+      }
+    } else if (type === 1 || type === 7) {
+      value = tiff[valueOffset];
+    }
+
+    entries.set(tag, value);
+  }
+
+  return entries;
+}
+
+function toDegrees(parts, ref) {
+  if (!Array.isArray(parts) || parts.length < 3) return undefined;
+  const degrees = parts[0] + parts[1] / 60 + parts[2] / 3600;
+  return ref === 'S' || ref === 'W' ? -degrees : degrees;
+}
+
+// "2026:06:14 10:32:05" (+ optional "-07:00" offset) to a Date. Without an
+// offset the time is taken as server-local.
+function toDate(value, offset) {
+  const match = typeof value === 'string' && value.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+  if (!match) return undefined;
+  const [, year, month, day, hours, minutes, seconds] = match;
+  const date = new Date(`${year}-${month}-${day}T${hours}:${minutes}:${seconds}${offset || ''}`);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+// Capture details from an EXIF block, or {} when it cannot be read
+function parseExif(exif) {
+  if (!exif || exif.length < 14) return {};
+
+  try {
+    // sharp returns the APP1 payload, which starts with "Exif\0\0"
+    const tiff = exif.toString('ascii', 0, 4) === 'Exif' ? exif.subarray(6) : exif;
+    const byteOrder = tiff.toString('ascii', 0, 2);
+    if (byteOrder !== 'II' && byteOrder !== 'MM') return {};
+    const littleEndian = byteOrder === 'II';
+    const firstIfd = littleEndian ? tiff.readUInt32LE(4) : tiff.readUInt32BE(4);
+
+    const main = readIfd(tiff, firstIfd, littleEndian);
+    const details = main.has(TAGS.exifIfd) ? readIfd(tiff, main.get(TAGS.exifIfd), littleEndian) : new Map();
+    const gps = main.has(TAGS.gpsIfd) ? readIfd(tiff, main.get(TAGS.gpsIfd), littleEndian) : new Map();
+
+    const latitude = toDegrees(gps.get(GPS_TAGS.latitude), gps.get(GPS_TAGS.latitudeRef));
+    const longitude = toDegrees(gps.get(GPS_TAGS.longitude), gps.get(GPS_TAGS.longitudeRef));
+    const altitude = Array.isArray(gps.get(GPS_TAGS.altitude))
+      ? gps.get(GPS_TAGS.altitude)[0] * (gps.get(GPS_TAGS.altitudeRef) === 1 ? -1 : 1)
+      : undefined;
+
+    return {
+      takenAt: toDate(details.get(TAGS.dateTimeOriginal), details.get(TAGS.offsetTimeOriginal)),
+      latitude: Number.isFinite(latitude) ? latitude : undefined,
+      longitude: Number.isFinite(longitude) ? longitude : undefined,
+      altitude,
+      make: main.get(TAGS.make),
+      model: main.get(TAGS.model)
+    };
+  } catch (error) {
+    return {};
+  }
+}
+
+export { parseExif };
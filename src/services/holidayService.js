@@ -0,0 +1,66 @@
+import { zonedDate, toDateKey } from './timeZoneService.js';
+
+// Company holidays: US federal holidays observed by the service team plus
+// extra dates from MAINTENANCE_HOLIDAYS (comma-separated YYYY-MM-DD). Days
+// are those of the business time zone.
+
+function weekdayOf(year, month, day) {
+  return new Date(Date.UTC(year, month, day)).getUTCDay();
+}
+
+// nth weekday of a month (weekday 0 = Sunday); n = -1 for the last one
+function nthWeekday(year, month, weekday, n) {
+  if (n === -1) {
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    return zonedDate(year, month, lastDay - ((weekdayOf(year, month, lastDay) - weekday + 7) % 7));
+  }
+  return zonedDate(year, month, 1 + ((weekday - weekdayOf(year, month, 1) + 7) % 7) + (n - 1) * 7);
+}
+
+// Fixed-date holidays on a weekend are observed on the nearest weekday
+function observed(year, month, day) {
+  const weekday = weekdayOf(year, month, day);
+  return zonedDate(year, month, day + (weekday === 6 ? -1 : weekday === 0 ? 1 : 0));
+}
+
+const holidayCache = new Map();
+
+function getHolidays(year) {
+  if (holidayCache.has(year)) return holidayCache.get(year);
+
+  const holidays = new Map([
+    [toDateKey(observed(year, 0, 1)), "New Year's Day"],
+    // Observed on Dec 31 when the next New Year's Day is a Saturday
+    [toDateKey(observed(year + 1, 0, 1)), "New Year's Day"],
+    [toDateKey(nthWeekday(year, 0, 1, 3)), 'Martin Luther King Jr. Day'],
+    [toDateKey(nthWeekday(year, 1, 1, 3)), "Presidents' Day"],
+    [toDateKey(nthWeekday(year, 4, 1, -1)), 'Memorial Day'],
+    [toDateKey(observed(year, 5, 19)), 'Juneteenth'],
+    [toDateKey(observed(year, 6, 4)), 'Independence Day'],
+    [toDateKey(nthWeekday(year, 8, 1, 1)), 'Labor Day'],
+    [toDateKey(observed(year, 10, 11)), 'Veterans Day'],
+    [toDateKey(nthWeekday(year, 10, 4, 4)), 'Thanksgiving Day'],
+    [toDateKey(observed(year, 11, 25)), 'Christmas Day']
+  ].filter(([key]) => key.startsWith(`${year}-`)));
+
+  (process.env.MAINTENANCE_HOLIDAYS || '')
+    .split(',')
+    .map(date => date.trim())
+    .filter(date => date.startsWith(`${year}-`))
+    .forEach(date => holidays.set(date, 'Company holiday'));
+
+  holidayCache.set(year, holidays);
+  return holidays;
+}
+
+// Holiday name for a date, or null
+function getHoliday(date) {
+  const key = toDateKey(date);
+  return getHolidays(parseInt(key)).get(key) || null;
+}
+
+export {
+  nthWeekday,
+  getHolidays,
+  getHoliday
+};
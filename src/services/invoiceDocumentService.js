@@ -0,0 +1,116 @@
+import PDFDocument from 'pdfkit';
+import Invoice from '../models/Invoice.js';
+
+// Invoice documents: the invoice rendered to PDF with its line items, taxes
+// and totals, and the customer's sign-off on each visit as proof of service
+
+const COMPANY_NAME = 'VegasPoolCoaches';
+
+function formatDate(date) {
+  return date ? new Date(date).toISOString().slice(0, 10) : '-';
+}
+
+function formatMoney(amount) {
+  return `$${(amount || 0).toFixed(2)}`;
+}
+
+function writeHeading(doc, text) {
+  doc.moveDown().font('Helvetica-Bold').fontSize(13).text(text).font('Helvetica').fontSize(10).moveDown(0.3);
+}
+
+// Invoice with what the document shows: customer, visits, pools and signatures
+function loadInvoiceDocument(invoiceId) {
+  return Invoice.findById(invoiceId)
+    .populate('customer', 'firstName lastName email phone address')
+    .populate({
+      path: 'maintenanceLogs',
+      select: 'pool scheduledDate actualEndTime type workOrder signature',
+      populate: { path: 'pool', select: 'name address' }
+    });
+}
+
+function formatAddress(address) {
+  if (!address) return null;
+  const line = [address.street, address.city, [address.state, address.zipCode].filter(Boolean).join(' ')]
+    .filter(Boolean)
+    .join(', ');
+  return line || null;
+}
+
+// Lay out the invoice as a PDF document
+function writeInvoice(doc, invoice) {
+  const customer = invoice.customer || {};
+  const title = invoice.number ? `Invoice ${invoice.number}` : 'Draft Invoice';
+
+  doc.font('Helvetica-Bold').fontSize(18).text(COMPANY_NAME);
+  doc.fontSize(14).text(title);
+  doc.font('Helvetica').fontSize(10)
+    .text(`Status: ${invoice.status}`)
+    .text(`Issued: ${formatDate(invoice.issuedAt)} | Due: ${formatDate(invoice.dueDate)}`);
+  if (invoice.status === 'void') {
+    doc.text(`Voided ${formatDate(invoice.voidedAt)}${invoice.voidReason ? `: ${invoice.voidReason}` : ''}`);
+  }
+
+  writeHeading(doc, 'Bill To');
+  doc.text(`${customer.firstName || ''} ${customer.lastName || ''}`.trim() || 'Customer');
+  if (formatAddress(customer.address)) doc.text(formatAddress(customer.address));
+  if (customer.email) doc.text(customer.email);
+
+  writeHeading(doc, 'Work Orders');
+  invoice.maintenanceLogs.forEach(visit => {
+    const pool = visit.pool || {};
+    doc.text(`${visit.workOrder && visit.workOrder.number ? visit.workOrder.number : visit._id} - ${visit.type} on ${formatDate(visit.actualEndTime || visit.scheduledDate)} - ${pool.name || 'Pool'}${formatAddress(pool.address) ? `, ${formatAddress(pool.address)}` : ''}`);
+  });
+
+  writeHeading(doc, 'Line Items');
+  invoice.lineItems.forEach(item => {
+    const quantity = item.quantity !== undefined && item.quantity !== null
+      ? `${item.quantity}${item.unit ? ` ${item.unit}` : ''} x ${formatMoney(item.unitPrice)}`
+      : '';
+    doc.text(`${item.workOrderNumber ? `[${item.workOrderNumber}] ` : ''}${item.description}${quantity ? ` (${quantity})` : ''}: ${formatMoney(item.amount)}${item.taxRate ? ` +${item.taxRate}% tax` : ''}`);
+  });
+
+  writeHeading(doc, 'Totals');
+  doc.text(`Subtotal: ${formatMoney(invoice.subtotal)}`);
+  invoice.taxes.forEach(tax => {
+    doc.text(`${tax.name} (${tax.rate}% of ${formatMoney(tax.taxableAmount)}): ${formatMoney(tax.amount)}`);
+  });
+  if (invoice.rateCard && invoice.rateCard.taxExempt) {
+    doc.text('Tax exempt');
+  }
+  doc.font('Helvetica-Bold').text(`Total: ${formatMoney(invoice.total)}`).font('Helvetica');
+  if (invoice.amountPaid > 0) {
+    doc.text(`Paid: ${formatMoney(invoice.amountPaid)}`);
+  }
+  doc.text(`Balance due: ${formatMoney(invoice.balanceDue ?? invoice.total)}`);
+
+  writeHeading(doc, 'Proof of Service');
+  invoice.maintenanceLogs.forEach(visit => {
+    const label = visit.workOrder && visit.workOrder.number ? visit.workOrder.number : visit._id;
+    const signature = visit.signature;
+    if (signature && signature.signedAt) {
+      doc.text(`${label}: signed by ${signature.signerName} on ${new Date(signature.signedAt).toISOString()} (record ${signature.payloadHash.slice(0, 16)})`);
+    } else {
+      doc.text(`${label}: not signed by the customer`);
+    }
+  });
+
+  if (invoice.notes) {
+    writeHeading(doc, 'Notes');
+    doc.text(invoice.notes);
+  }
+}
+
+// Render an invoice loaded with loadInvoiceDocument to a writable stream
+function renderInvoicePdf(invoice, stream) {
+  const doc = new PDFDocument({ size: 'LETTER', margin: 50, info: { Title: invoice.number || 'Draft Invoice' } });
+  doc.pipe(stream);
+  writeInvoice(doc, invoice);
+  doc.end();
+  return doc;
+}
+
+export {
+  loadInvoiceDocument,
+  renderInvoicePdf
+};
@@ -0,0 +1,38 @@
+import { defineJob } from './jobQueueService.js';
+import { generateCustomEbook, markEbookFailed } from './ebookService.js';
+import { deliverQueuedNotification } from './notificationService.js';
+import { syncCrmIntegration, markCrmSyncFailed } from './crmSyncService.js';
+import { renderPoolReport } from './poolReportService.js';
+
+// Background job types. Registered once by every process that runs a worker.
+function registerJobHandlers() {
+  defineJob('ebook.generate', ({ ebookId }, { updateProgress }) =>
+    generateCustomEbook(ebookId, { updateProgress }), {
+    maxAttempts: 3,
+    backoff: { type: 'exponential', delay: 60 * 1000 },
+    onFailed: (job, error, options) => markEbookFailed(job.payload.ebookId, error, options)
+  });
+
+  // Retries for undelivered messages are handled by the outbox itself
+  defineJob('notification.deliver', ({ notificationId }) =>
+    deliverQueuedNotification(notificationId), {
+    maxAttempts: 1,
+    priority: 10
+  });
+
+  defineJob('crm.sync', ({ integrationId }, { updateProgress }) =>
+    syncCrmIntegration(integrationId, { updateProgress }), {
+    maxAttempts: 5,
+    backoff: { type: 'exponential', delay: 5 * 60 * 1000 },
+    onFailed: (job, error, options) => markCrmSyncFailed(job.payload.integrationId, error, options)
+  });
+
+  defineJob('report.render', (payload, context) => renderPoolReport(payload, context), {
+    maxAttempts: 2,
+    backoff: { type: 'fixed', delay: 30 * 1000 }
+  });
+}
+
+export {
+  registerJobHandlers
+};
@@ -0,0 +1,314 @@
+import os from 'os';
+import Job from '../models/Job.js';
+
+// Persistent background job queue backed by MongoDB. Handlers are registered
+// by name; workers poll for due jobs, claim them atomically and retry
+// failures with backoff. Jobs whose worker stops heartbeating are re-queued.
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_BACKOFF = { type: 'exponential', delay: 30 * 1000 };
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+const STALLED_AFTER_MS = parseInt(process.env.JOB_STALLED_AFTER_SECONDS) * 1000 || 2 * 60 * 1000;
+const STALLED_SWEEP_INTERVAL_MS = 60 * 1000;
+// Longest a handler may run before the attempt fails; the heartbeat runs on
+// a timer, so without a limit a hung handler would hold its lock forever
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.JOB_TIMEOUT_SECONDS) * 1000 || 10 * 60 * 1000;
+
+// Registered job definitions by name
+const handlers = new Map();
+
+// Register a handler. Options: maxAttempts, backoff { type: 'fixed' | 'exponential', delay },
+// priority, timeout (ms per attempt) and onFailed(job, error, { willRetry }) for
+// keeping domain records in sync.
+function defineJob(name, handler, options = {}) {
+  handlers.set(name, {
+    handler,
+    maxAttempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+    backoff: { ...DEFAULT_BACKOFF, ...options.backoff },
+    priority: options.priority || 0,
+    timeout: options.timeout || DEFAULT_TIMEOUT_MS,
+    onFailed: options.onFailed
+  });
+}
+
+// Queue a job. With `uniqueKey`, an existing queued or active job with the
+// same key is returned instead of creating a duplicate.
+async function enqueueJob(name, payload = {}, options = {}) {
+  const definition = handlers.get(name);
+
+  const job = new Job({
+    name,
+    payload,
+    priority: options.priority ?? definition?.priority ?? 0,
+    runAt: options.runAt || (options.delay ? new Date(Date.now() + options.delay) : new Date()),
+    maxAttempts: options.maxAttempts || definition?.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+    uniqueKey: options.uniqueKey,
+    createdBy: options.createdBy
+  });
+
+  try {
+    return await job.save();
+  } catch (error) {
+    if (error.code === 11000 && options.uniqueKey) {
+      return Job.findOne({ uniqueKey: options.uniqueKey });
+    }
+    throw error;
+  }
+}
+
+function getBackoffDelay(backoff, attempts) {
+  if (backoff.type === 'fixed') return backoff.delay;
+  return Math.min(backoff.delay * Math.pow(2, attempts - 1), MAX_BACKOFF_MS);
+}
+
+// Atomically take the next due job this worker has a handler for
+function claimNextJob(workerId) {
+  const now = new Date();
+
+  return Job.findOneAndUpdate(
+    { status: 'queued', runAt: { $lte: now }, name: { $in: [...handlers.keys()] } },
+    {
+      $set: { status: 'active', lockedBy: workerId, lockedAt: now, heartbeatAt: now, startedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { priority: -1, runAt: 1 } }
+  );
+}
+
+// Only the worker holding the lock for this attempt may write the outcome
+function updateLockedJob(job, update) {
+  return Job.updateOne({ _id: job._id, status: 'active', lockedBy: job.lockedBy, attempts: job.attempts }, update);
+}
+
+async function completeJob(job, result) {
+  await updateLockedJob(job, {
+    $set: {
+      status: 'completed',
+      result,
+      completedAt: new Date(),
+      'progress.percent': 100
+    },
+    $unset: { uniqueKey: '', lockedBy: '', lockedAt: '', heartbeatAt: '' }
+  });
+}
+
+async function failJob(job, error, definition) {
+  const willRetry = error.retryable !== false && job.attempts < job.maxAttempts;
+  const update = {
+    $set: { lastError: error.message },
+    $push: { errorHistory: { $each: [{ attempt: job.attempts, message: error.message }], $slice: -20 } },
+    $unset: { lockedBy: '', lockedAt: '', heartbeatAt: '' }
+  };
+
+  if (willRetry) {
+    update.$set.status = 'queued';
+    update.$set.runAt = new Date(Date.now() + getBackoffDelay(definition.backoff, job.attempts));
+  } else {
+    update.$set.status = 'failed';
+    update.$set.failedAt = new Date();
+    update.$unset.uniqueKey = '';
+  }
+
+  await updateLockedJob(job, update);
+
+  if (definition.onFailed) {
+    try {
+      await definition.onFailed(job, error, { willRetry });
+    } catch (hookError) {
+      console.error(`Job ${job.name} failure hook error:`, hookError);
+    }
+  }
+}
+
+// Run a claimed job, keeping its heartbeat fresh until the handler settles or
+// runs past its timeout. A timed-out attempt fails (and may be retried) and
+// releases the lock; its handler is told through `context.signal` and can no
+// longer write progress or an outcome.
+async function runJob(job) {
+  const definition = handlers.get(job.name);
+  const controller = new AbortController();
+  let timer;
+
+  const heartbeat = setInterval(() => {
+    updateLockedJob(job, { $set: { heartbeatAt: new Date() } })
+      .catch(error => console.error(`Job ${job._id} heartbeat failed:`, error));
+  }, HEARTBEAT_INTERVAL_MS);
+
+  const context = {
+    job,
+    attempt: job.attempts,
+    signal: controller.signal,
+    updateProgress: (percent, message) => updateLockedJob(job, {
+      $set: {
+        'progress.percent': Math.max(0, Math.min(100, Math.round(percent))),
+        'progress.message': message,
+        heartbeatAt: new Date()
+      }
+    })
+  };
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`Job timed out after ${Math.round(definition.timeout / 1000)}s`));
+    }, definition.timeout);
+  });
+
+  try {
+    const result = await Promise.race([definition.handler(job.payload, context), timeout]);
+    await completeJob(job, result);
+  } catch (error) {
+    console.error(`Job ${job.name} (${job._id}) attempt ${job.attempts} failed:`, error.message);
+    await failJob(job, error, definition);
+  } finally {
+    clearTimeout(timer);
+    clearInterval(heartbeat);
+  }
+}
+
+// Re-queue active jobs whose worker died, or fail them when out of attempts
+async function recoverStalledJobs() {
+  const cutoff = new Date(Date.now() - STALLED_AFTER_MS);
+  const stalled = await Job.find({ status: 'active', heartbeatAt: { $lt: cutoff } });
+  let recovered = 0;
+
+  for (const job of stalled) {
+    const exhausted = job.attempts >= job.maxAttempts;
+    const message = `Job stalled: no heartbeat from worker ${job.lockedBy}`;
+
+    const update = {
+      $set: exhausted
+        ? { status: 'failed', failedAt: new Date(), lastError: message }
+        : { status: 'queued', runAt: new Date(), lastError: message },
+      $push: { errorHistory: { $each: [{ attempt: job.attempts, message, stalled: true }], $slice: -20 } },
+      $unset: { lockedBy: '', lockedAt: '', heartbeatAt: '', ...(exhausted && { uniqueKey: '' }) }
+    };
+
+    // Guard against the worker finishing between the find and this update
+    const result = await Job.updateOne(
+      { _id: job._id, status: 'active', heartbeatAt: job.heartbeatAt },
+      update
+    );
+    if (result.modifiedCount === 0) continue;
+    recovered++;
+
+    const definition = handlers.get(job.name);
+    if (definition?.onFailed) {
+      try {
+        await definition.onFailed(job, new Error(message), { willRetry: !exhausted });
+      } catch (hookError) {
+        console.error(`Job ${job.name} failure hook error:`, hookError);
+      }
+    }
+  }
+
+  return recovered;
+}
+
+// Worker state; one worker per process running up to `concurrency` jobs
+const worker = {
+  id: null,
+  running: false,
+  polling: false,
+  active: new Set(),
+  pollTimer: null,
+  sweepTimer: null
+};
+
+async function poll(concurrency) {
+  if (!worker.running || worker.polling) return;
+  worker.polling = true;
+
+  try {
+    while (worker.running && worker.active.size < concurrency) {
+      const job = await claimNextJob(worker.id);
+      if (!job) break;
+
+      const run = runJob(job).finally(() => {
+        worker.active.delete(run);
+        // Pick up the next job straight away instead of waiting for the poll
+        setImmediate(() => poll(concurrency));
+      });
+      worker.active.add(run);
+    }
+  } catch (error) {
+    console.error('Job queue poll failed:', error);
+  } finally {
+    worker.polling = false;
+  }
+}
+
+function startWorker({
+  concurrency = parseInt(process.env.JOB_CONCURRENCY) || 2,
+  pollInterval = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000
+} = {}) {
+  if (worker.running) return worker.id;
+
+  worker.id = `${os.hostname()}:${process.pid}`;
+  worker.running = true;
+
+  worker.pollTimer = setInterval(() => poll(concurrency), pollInterval);
+  worker.sweepTimer = setInterval(() => {
+    recoverStalledJobs().catch(error => console.error('Stalled job recovery failed:', error));
+  }, STALLED_SWEEP_INTERVAL_MS);
+
+  poll(concurrency);
+  console.log(`⚙️  Job worker ${worker.id} started (${[...handlers.keys()].length} job types, concurrency ${concurrency})`);
+  return worker.id;
+}
+
+// Stop claiming new jobs and wait for running ones to finish
+async function stopWorker() {
+  if (!worker.running) return;
+
+  worker.running = false;
+  clearInterval(worker.pollTimer);
+  clearInterval(worker.sweepTimer);
+  await Promise.allSettled([...worker.active]);
+}
+
+// Job counts by name and status
+async function getJobStats() {
+  const counts = await Job.aggregate([
+    { $group: { _id: { name: '$name', status: '$status' }, count: { $sum: 1 } } }
+  ]);
+
+  return counts.reduce((acc, { _id, count }) => {
+    acc[_id.name] = acc[_id.name] || {};
+    acc[_id.name][_id.status] = count;
+    return acc;
+  }, {});
+}
+
+// Re-queue a failed or cancelled job with a fresh set of attempts; returns
+// null if the job is not in a retryable state
+function retryJob(jobId) {
+  return Job.findOneAndUpdate(
+    { _id: jobId, status: { $in: ['failed', 'cancelled'] } },
+    { $set: { status: 'queued', runAt: new Date(), attempts: 0 }, $unset: { failedAt: '' } },
+    { new: true }
+  );
+}
+
+// Cancel a job that has not been claimed yet; returns null otherwise
+function cancelJob(jobId) {
+  return Job.findOneAndUpdate(
+    { _id: jobId, status: 'queued' },
+    { $set: { status: 'cancelled' }, $unset: { uniqueKey: '' } },
+    { new: true }
+  );
+}
+
+export {
+  defineJob,
+  enqueueJob,
+  runJob,
+  recoverStalledJobs,
+  startWorker,
+  stopWorker,
+  getJobStats,
+  retryJob,
+  cancelJob
+};
@@ -0,0 +1,245 @@
+import Pool from '../models/Pool.js';
+import MaintenanceLog from '../models/MaintenanceLog.js';
+import { getHoliday, nthWeekday } from './holidayService.js';
+import {
+  getZonedParts,
+  zonedDate,
+  startOfZonedDay,
+  addZonedDays,
+  setZonedTime,
+  toCalendarDay,
+  zonedDaysBetween,
+  toDateKey
+} from './timeZoneService.js';
+import { findTemplate, buildTasks } from './checklistService.js';
+
+// Recurrence engine: turns Pool.maintenanceSchedule into scheduled
+// MaintenanceLog visits over a rolling horizon. Days and time slots are those
+// of the business time zone (SCHEDULER_TIMEZONE).
+
+const HORIZON_DAYS = parseInt(process.env.MAINTENANCE_HORIZON_DAYS) || 28;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const INTERVAL_DAYS = { daily: 1, weekly: 7, 'bi-weekly': 14 };
+
+// Start times for named time slots; anything else is parsed as "HH:MM"
+const TIME_SLOTS = {
+  morning: [8, 0],
+  afternoon: [13, 0],
+  evening: [17, 0]
+};
+const DEFAULT_START_TIME = [9, 0];
+
+function parseTimeSlot(timeSlot) {
+  if (!timeSlot) return DEFAULT_START_TIME;
+
+  const slot = timeSlot.trim().toLowerCase();
+  if (TIME_SLOTS[slot]) return TIME_SLOTS[slot];
+
+  const match = slot.match(/^(\d{1,2}):(\d{2})\s*(am|pm)?/);
+  if (!match) return DEFAULT_START_TIME;
+
+  let hours = parseInt(match[1]);
+  if (match[3] === 'pm' && hours < 12) hours += 12;
+  if (match[3] === 'am' && hours === 12) hours = 0;
+  return [hours, parseInt(match[2])];
+}
+
+// Nominal visit days in [from, to), before holidays and skip dates.
+// Weekly and bi-weekly visits fall on the preferred day (bi-weekly counted
+// from startDate); monthly visits fall on the first preferred weekday of the
+// month, or on startDate's day of the month.
+function getNominalOccurrences(schedule, from, to) {
+  const anchor = schedule.startDate ? toCalendarDay(schedule.startDate) : startOfZonedDay(from);
+  const anchorParts = getZonedParts(anchor);
+  const frequency = schedule.frequency || 'weekly';
+  const weekday = schedule.preferredDay ? WEEKDAYS.indexOf(schedule.preferredDay) : anchorParts.weekday;
+  const start = startOfZonedDay(from) > anchor ? startOfZonedDay(from) : anchor;
+  const days = [];
+
+  if (frequency === 'monthly') {
+    const startParts = getZonedParts(start);
+    for (let i = 0; ; i++) {
+      const month = new Date(Date.UTC(startParts.year, startParts.month + i, 1));
+      const year = month.getUTCFullYear();
+      const monthIndex = month.getUTCMonth();
+      if (zonedDate(year, monthIndex, 1) >= to) break;
+
+      const lastDay = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+      const day = schedule.preferredDay
+        ? nthWeekday(year, monthIndex, weekday, 1)
+        : zonedDate(year, monthIndex, Math.min(anchorParts.day, lastDay));
+      if (day >= start && day < to) days.push(day);
+    }
+    return days;
+  }
+
+  const interval = INTERVAL_DAYS[frequency] || 7;
+  let day = frequency === 'daily' ? anchor : addZonedDays(anchor, (weekday - anchorParts.weekday + 7) % 7);
+
+  // Jump to the first occurrence on or after `start`, keeping the cadence
+  if (day < start) {
+    day = addZonedDays(day, Math.ceil(zonedDaysBetween(day, start) / interval) * interval);
+  }
+
+  for (; day < to; day = addZonedDays(day, interval)) {
+    days.push(day);
+  }
+  return days;
+}
+
+// Visit days in [from, to) after applying skip dates and holidays. A visit
+// on a holiday moves to the next free day unless that reaches the next visit.
+function planVisits(schedule, from, to) {
+  const skipDates = new Set((schedule.skipDates || []).map(date => toDateKey(toCalendarDay(date))));
+  // One extra month of occurrences to know where the next visit falls
+  const nominal = getNominalOccurrences(schedule, from, addZonedDays(to, 31));
+  const visits = [];
+
+  nominal.forEach((occurrence, index) => {
+    if (occurrence >= to || skipDates.has(toDateKey(occurrence))) return;
+
+    const holiday = schedule.skipHolidays !== false ? getHoliday(occurrence) : null;
+    let date = occurrence;
+    if (holiday) {
+      do {
+        date = addZonedDays(date, 1);
+      } while (getHoliday(date) || skipDates.has(toDateKey(date)));
+
+      const next = nominal[index + 1];
+      if (next && date >= next) return;
+    }
+
+    visits.push({ occurrenceDate: occurrence, date, holiday });
+  });
+
+  return visits;
+}
+
+// Keep the schedule's last/next visit dates in line with the visits
+async function syncScheduleDates(poolId, now = new Date()) {
+  const [lastVisit, nextVisit] = await Promise.all([
+    MaintenanceLog.findOne({ pool: poolId, status: 'completed' })
+      .sort({ scheduledDate: -1 })
+      .select('scheduledDate actualEndTime'),
+    MaintenanceLog.findOne({ pool: poolId, status: 'scheduled', scheduledDate: { $gte: now } })
+      .sort({ scheduledDate: 1 })
+      .select('scheduledDate')
+  ]);
+
+  const dates = {
+    lastMaintenance: lastVisit ? lastVisit.actualEndTime || lastVisit.scheduledDate : null,
+    nextMaintenance: nextVisit ? nextVisit.scheduledDate : null
+  };
+
+  await Pool.updateOne({ _id: poolId }, {
+    $set: {
+      'maintenanceSchedule.lastMaintenance': dates.lastMaintenance,
+      'maintenanceSchedule.nextMaintenance': dates.nextMaintenance
+    }
+  });
+
+  return dates;
+}
+
+// Create the scheduled visits missing from the horizon. Safe to re-run:
+// days that already have a visit are left alone, and a generated visit that
+// was cancelled is not recreated.
+async function generateVisits(pool, { horizonDays = HORIZON_DAYS, now = new Date() } = {}) {
+  const skipped = !pool.isActive ? 'inactive' : !pool.assignedTechnician ? 'no_technician' : null;
+  if (skipped) {
+    return { created: 0, skipped, schedule: await syncScheduleDates(pool._id, now) };
+  }
+
+  const schedule = pool.maintenanceSchedule || {};
+  const from = startOfZonedDay(now);
+  const to = addZonedDays(from, horizonDays + 1);
+  const [hours, minutes] = parseTimeSlot(schedule.timeSlot);
+
+  const existing = await MaintenanceLog.find({
+    pool: pool._id,
+    status: { $ne: 'cancelled' },
+    scheduledDate: { $gte: from, $lt: addZonedDays(to, 1) }
+  }).select('scheduledDate');
+  const busyDays = new Set(existing.map(visit => toDateKey(visit.scheduledDate)));
+  const checklist = await findTemplate('routine', pool);
+
+  const visits = planVisits(schedule, from, to)
+    .map(visit => ({ ...visit, scheduledDate: setZonedTime(visit.date, hours, minutes) }))
+    .filter(visit => visit.scheduledDate > now && !busyDays.has(toDateKey(visit.date)))
+    .map(visit => ({
+      pool: pool._id,
+      technician: pool.assignedTechnician._id || pool.assignedTechnician,
+      scheduledDate: visit.scheduledDate,
+      type: 'routine',
+      status: 'scheduled',
+      tasks: checklist ? buildTasks(checklist, pool) : [],
+      checklistTemplate: checklist ? checklist._id : undefined,
+      recurrence: {
+        occurrenceDate: visit.occurrenceDate,
+        scheduledDate: visit.scheduledDate,
+        shiftedFrom: visit.holiday ? visit.occurrenceDate : undefined,
+        holiday: visit.holiday || undefined,
+        generatedAt: now
+      }
+    }));
+
+  let created = 0;
+  if (visits.length > 0) {
+    try {
+      created = (await MaintenanceLog.insertMany(visits, { ordered: false })).length;
+    } catch (error) {
+      // Occurrences generated concurrently or cancelled earlier
+      if (!error.writeErrors || error.writeErrors.some(writeError => writeError.code !== 11000)) throw error;
+      created = error.insertedDocs ? error.insertedDocs.length : 0;
+    }
+  }
+
+  return { created, schedule: await syncScheduleDates(pool._id, now) };
+}
+
+// Replace future generated visits that have not started, e.g. after the
+// schedule, skip dates or assigned technician changed. Visits moved or
+// dispatched by hand are kept, and their occurrences are not generated again.
+async function regenerateVisits(pool, options = {}) {
+  const now = options.now || new Date();
+
+  const removed = await MaintenanceLog.deleteMany({
+    pool: pool._id,
+    'recurrence.occurrenceDate': { $exists: true },
+    status: 'scheduled',
+    actualStartTime: { $exists: false },
+    scheduledDate: { $gte: now },
+    'assignmentHistory.0': { $exists: false },
+    $expr: { $eq: [{ $ifNull: ['$recurrence.scheduledDate', '$scheduledDate'] }, '$scheduledDate'] }
+  });
+
+  const result = await generateVisits(pool, { ...options, now });
+  return { removed: removed.deletedCount, ...result };
+}
+
+// Extend every active pool's visits to the end of the horizon
+async function generateAllVisits(options = {}) {
+  const cursor = Pool.find({ isActive: true, assignedTechnician: { $ne: null } }).cursor();
+  let pools = 0;
+  let created = 0;
+
+  for await (const pool of cursor) {
+    const result = await generateVisits(pool, options);
+    pools++;
+    created += result.created;
+  }
+
+  return { pools, created };
+}
+
+export {
+  HORIZON_DAYS,
+  parseTimeSlot,
+  getNominalOccurrences,
+  planVisits,
+  syncScheduleDates,
+  generateVisits,
+  regenerateVisits,
+  generateAllVisits
+};
@@ -0,0 +1,98 @@
+import MaintenanceLog from '../models/MaintenanceLog.js';
+import { notifyUser } from './notificationService.js';
+import { applyChecklist } from './checklistService.js';
+import { checkVisitAvailability } from './availabilityService.js';
+import { autoAssign, manualAssign } from './dispatchService.js';
+import { syncScheduleDates } from './maintenanceScheduleService.js';
+
+// Visit scheduling and maintenance housekeeping: overdue visits and customer reminders
+
+const REMINDER_LEAD_HOURS = parseInt(process.env.MAINTENANCE_REMINDER_HOURS) || 24;
+
+// Save a new visit: give it the checklist for its type and pool (unless it
+// has tasks), then assign it to the technician scheduling it (selfScheduled),
+// a chosen technician, or whoever dispatch picks. Returns { maintenance,
+// dispatch, warnings }; when the chosen technician is unavailable it returns
+// { conflicts } and when nobody is it returns { candidates }, without saving.
+async function scheduleVisit(maintenance, pool, { technicianId, selfScheduled = false, allowConflicts = false, assignedBy }) {
+  await applyChecklist(maintenance, pool);
+  let dispatch;
+  let warnings = [];
+
+  if (technicianId) {
+    const { conflicts } = await checkVisitAvailability(maintenance, technicianId);
+    if (conflicts.length > 0 && !allowConflicts) return { conflicts };
+    warnings = conflicts;
+  }
+
+  if (selfScheduled) {
+    maintenance.technician = technicianId;
+    maintenance.assignmentHistory.push({
+      technician: technicianId,
+      method: 'manual',
+      reason: 'Scheduled by technician',
+      assignedBy
+    });
+    await maintenance.save();
+  } else if (technicianId) {
+    dispatch = await manualAssign(maintenance, technicianId, { assignedBy });
+  } else {
+    dispatch = await autoAssign(maintenance, { assignedBy });
+    if (!dispatch.assigned) return { candidates: dispatch.candidates };
+  }
+
+  await syncScheduleDates(pool._id);
+  return { maintenance, dispatch, warnings };
+}
+
+// Flag scheduled visits whose date has passed without being started
+async function markOverdueMaintenance(now = new Date()) {
+  const result = await MaintenanceLog.updateMany(
+    { status: 'scheduled', scheduledDate: { $lt: now }, overdueAt: { $exists: false } },
+    { $set: { overdueAt: now } }
+  );
+
+  return { markedOverdue: result.modifiedCount };
+}
+
+// Remind pool owners about visits coming up within the lead time. Each visit
+// is claimed before sending so overlapping runs never remind twice.
+async function sendMaintenanceReminders(now = new Date()) {
+  const windowEnd = new Date(now.getTime() + REMINDER_LEAD_HOURS * 60 * 60 * 1000);
+  const candidates = await MaintenanceLog.find({
+    status: 'scheduled',
+    scheduledDate: { $gt: now, $lte: windowEnd },
+    reminderSentAt: { $exists: false }
+  }).select('_id');
+
+  let sent = 0;
+  for (const { _id } of candidates) {
+    const maintenance = await MaintenanceLog.findOneAndUpdate(
+      { _id, reminderSentAt: { $exists: false } },
+      { $set: { reminderSentAt: new Date() } },
+      { new: true }
+    ).populate('pool', 'name owner');
+
+    if (!maintenance || !maintenance.pool) continue;
+
+    try {
+      await notifyUser(maintenance.pool.owner, 'maintenance_reminder', {
+        pool: maintenance.pool,
+        maintenance
+      }, { data: { maintenance: maintenance._id, pool: maintenance.pool._id } });
+      sent++;
+    } catch (error) {
+      // Release the claim so the next run tries again
+      await MaintenanceLog.updateOne({ _id }, { $unset: { reminderSentAt: '' } });
+      console.error(`Maintenance reminder for ${_id} failed:`, error);
+    }
+  }
+
+  return { remindersSent: sent };
+}
+
+export {
+  scheduleVisit,
+  markOverdueMaintenance,
+  sendMaintenanceReminders
+};
@@ -0,0 +1,265 @@
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { getTransport } from './notificationTransports.js';
+import { enqueueJob } from './jobQueueService.js';
+
+// Templated notifications over email, SMS and in-app channels, delivered
+// through a persistent outbox with retries
+
+const APP_URL = process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+// Retry backoff: 1, 2, 4, 8... minutes, capped at an hour
+const BASE_RETRY_DELAY_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// A message stuck in "sending" this long is assumed lost and retried
+const STALLED_SENDING_MS = 10 * 60 * 1000;
+
+// Each template renders a subject, a plain text body and a short SMS body.
+// Account messages are transactional and always go by email.
+const notificationTemplates = {
+  email_verification: {
+    category: 'account',
+    channels: ['email'],
+    subject: () => 'Verify your VegasPoolCoaches email address',
+    body: ({ user, token }) => `Hi ${user.firstName},\n\nPlease confirm your email address by opening the link below:\n${APP_URL}/verify-email?token=${token}\n\nThe link expires in 24 hours.`
+  },
+  password_reset: {
+    category: 'account',
+    channels: ['email'],
+    subject: () => 'Reset your VegasPoolCoaches password',
+    body: ({ user, token }) => `Hi ${user.firstName},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n${APP_URL}/reset-password?token=${token}\n\nThe link expires in 1 hour. If you did not ask for this, you can ignore this email.`
+  },
+  ebook_ready: {
+    category: 'ebook',
+    channels: ['email', 'in_app'],
+    subject: ({ ebook }) => `Your custom pool guide "${ebook.ebookDetails?.title || 'Pool Care Guide'}" is ready`,
+    body: ({ user, ebook }) => `Hi ${user.firstName},\n\nYour custom pool care guide is ready to download:\n${APP_URL}${ebook.generationStatus.deliveryUrl}`,
+    sms: ({ ebook }) => `Your VegasPoolCoaches pool guide is ready: ${APP_URL}${ebook.generationStatus.deliveryUrl}`
+  },
+  chemical_alert: {
+    category: 'chemical_alert',
+    channels: ['email', 'sms', 'in_app'],
+    subject: ({ alert, pool }) => `${alert.severity === 'critical' ? 'URGENT: ' : ''}Water chemistry alert for ${pool.name}`,
+    body: ({ user, alert, pool }) => `Hi ${user.firstName},\n\n${alert.message} at ${pool.name}.\n\nPlease acknowledge the alert in your dashboard:\n${APP_URL}/alerts/${alert._id}`,
+    sms: ({ alert, pool }) => `${pool.name}: ${alert.message}`
+  },
+  maintenance_reminder: {
+    category: 'maintenance_reminder',
+    channels: ['email', 'sms', 'in_app'],
+    subject: ({ pool }) => `Upcoming pool service for ${pool.name}`,
+    body: ({ user, pool, maintenance }) => `Hi ${user.firstName},\n\nYour ${maintenance.type} pool service for ${pool.name} is scheduled for ${new Date(maintenance.scheduledDate).toLocaleString('en-US')}.`,
+    sms: ({ pool, maintenance }) => `Reminder: pool service for ${pool.name} on ${new Date(maintenance.scheduledDate).toLocaleDateString('en-US')}`
+  },
+  maintenance_assigned: {
+    category: 'general',
+    channels: ['email', 'sms', 'in_app'],
+    subject: ({ maintenance }) => `${maintenance.isEmergency ? 'Emergency' : 'New'} visit assigned`,
+    body: ({ user, pool, maintenance }) => `Hi ${user.firstName},\n\nYou have been assigned ${maintenance.isEmergency ? 'an emergency' : `a ${maintenance.type}`} visit at ${pool.name} on ${new Date(maintenance.scheduledDate).toLocaleString('en-US')}.\n${APP_URL}/maintenance/${maintenance._id}`,
+    sms: ({ pool, maintenance }) => `${maintenance.isEmergency ? 'EMERGENCY: ' : ''}Visit at ${pool.name} assigned to you for ${new Date(maintenance.scheduledDate).toLocaleString('en-US')}`
+  },
+  agreement_sent: {
+    category: 'agreement',
+    channels: ['email', 'in_app'],
+    subject: () => 'A document is ready for your signature',
+    body: ({ user, agreement }) => `Hi ${user.firstName},\n\nA ${String(agreement.documentType).replace(/_/g, ' ')} is ready for your review and signature:\n${APP_URL}/agreements/${agreement._id}`
+  },
+  invoice_issued: {
+    category: 'billing',
+    channels: ['email', 'in_app'],
+    subject: ({ invoice }) => `Invoice ${invoice.number} from VegasPoolCoaches`,
+    body: ({ user, invoice }) => `Hi ${user.firstName},\n\nInvoice ${invoice.number} for $${invoice.total.toFixed(2)} is due on ${new Date(invoice.dueDate).toLocaleDateString('en-US')}:\n${APP_URL}/invoices/${invoice._id}`
+  },
+  payment_failed: {
+    category: 'billing',
+    channels: ['email', 'sms', 'in_app'],
+    subject: ({ suspended }) => suspended ? 'Your VegasPoolCoaches subscription is paused' : 'Your VegasPoolCoaches payment failed',
+    body: ({ user, payment, invoice, nextRetryAt, suspended }) => `Hi ${user.firstName},\n\nWe could not charge $${payment.amount.toFixed(2)} ${invoice ? `for invoice ${invoice.number}` : 'for your subscription'}${payment.failureMessage ? `: ${payment.failureMessage}` : '.'}\n\n${suspended
+      ? 'Your subscription is paused. Update your payment method to resume it'
+      : nextRetryAt ? `We will try again on ${new Date(nextRetryAt).toLocaleDateString('en-US')}. You can update your payment method` : 'You can update your payment method'}:\n${APP_URL}/account/billing`,
+    sms: ({ payment, suspended }) => `VegasPoolCoaches: payment of $${payment.amount.toFixed(2)} failed.${suspended ? ' Your subscription is paused.' : ''} Update your card at ${APP_URL}/account/billing`
+  },
+  consultation_requested: {
+    category: 'consultation',
+    channels: ['email', 'sms', 'in_app'],
+    subject: ({ request }) => `${request.priority === 'urgent' ? 'URGENT: ' : ''}Consultation request ${request.number}`,
+    body: ({ user, request, pool }) => `Hi ${user.firstName},\n\nA new ${request.priority} priority consultation request for ${pool.name} is waiting for triage${request.issues.length > 0 ? ` (${request.issues.join(', ')})` : ''}:\n${APP_URL}/consultations/${request._id}`,
+    sms: ({ request, pool }) => `${request.priority === 'urgent' ? 'URGENT: ' : ''}Consultation ${request.number} for ${pool.name} needs triage`
+  },
+  consultation_assigned: {
+    category: 'consultation',
+    channels: ['email', 'in_app'],
+    subject: ({ request }) => `Consultation request ${request.number} assigned to you`,
+    body: ({ user, request }) => `Hi ${user.firstName},\n\nYou have been assigned ${request.priority} priority consultation request ${request.number}. A response is due by ${new Date(request.sla.responseDueAt).toLocaleString('en-US')}:\n${APP_URL}/consultations/${request._id}`
+  },
+  consultation_updated: {
+    category: 'consultation',
+    channels: ['email', 'in_app'],
+    subject: ({ request }) => `Your consultation request ${request.number} is ${request.status}`,
+    body: ({ user, request }) => `Hi ${user.firstName},\n\n${{
+      scheduled: `Your consultation is scheduled for ${new Date(request.scheduledFor).toLocaleString('en-US')}.`,
+      resolved: `Your consultation request has been resolved${request.resolution && request.resolution.summary ? `: ${request.resolution.summary}` : '.'}`,
+      closed: `Your consultation request has been closed${request.closeReason ? `: ${request.closeReason}` : '.'}`
+    }[request.status] || `Your consultation request is now ${request.status}.`}\n${APP_URL}/consultations/${request._id}`
+  },
+  consultation_message: {
+    category: 'consultation',
+    channels: ['email', 'in_app'],
+    subject: ({ request }) => `New message on consultation request ${request.number}`,
+    body: ({ user, request, message }) => `Hi ${user.firstName},\n\n${message.body.length > 500 ? `${message.body.slice(0, 500)}...` : message.body}\n\nReply here:\n${APP_URL}/consultations/${request._id}`
+  },
+  consultation_sla_breached: {
+    category: 'consultation',
+    channels: ['email', 'sms', 'in_app'],
+    subject: ({ request, kind }) => `Consultation ${request.number} missed its ${kind} deadline`,
+    body: ({ user, request, pool, kind }) => `Hi ${user.firstName},\n\nThe ${request.priority} priority consultation request ${request.number}${pool ? ` for ${pool.name}` : ''} is past its ${kind} deadline of ${new Date(kind === 'response' ? request.sla.responseDueAt : request.sla.resolutionDueAt).toLocaleString('en-US')}:\n${APP_URL}/consultations/${request._id}`,
+    sms: ({ request, kind }) => `Consultation ${request.number} missed its ${kind} deadline`
+  }
+};
+
+// Channel preferences from User.preferences.notifications
+function getAllowedChannels(user, template) {
+  const preferences = user.preferences?.notifications || {};
+
+  if (template.category === 'account') return ['email'];
+  if (template.category === 'chemical_alert' && preferences.chemicalAlerts === false) return ['in_app'];
+  if (template.category === 'maintenance_reminder' && preferences.maintenanceReminders === false) return ['in_app'];
+
+  return template.channels.filter(channel => {
+    if (channel === 'email') return preferences.email !== false && Boolean(user.email);
+    if (channel === 'sms') return preferences.sms === true && Boolean(user.phone);
+    return true;
+  });
+}
+
+function getAddress(user, channel) {
+  if (channel === 'email') return user.email;
+  if (channel === 'sms') return user.phone;
+  return undefined;
+}
+
+function getRetryDelay(attempts) {
+  return Math.min(BASE_RETRY_DELAY_MS * Math.pow(2, attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+// Send one claimed outbox entry and record the outcome
+async function deliverNotification(notification) {
+  const transport = getTransport(notification.channel);
+
+  try {
+    const result = await transport.send({
+      to: notification.to,
+      subject: notification.subject,
+      body: notification.body,
+      html: notification.html
+    });
+
+    notification.status = 'sent';
+    notification.sentAt = new Date();
+    notification.transport = transport.name;
+    notification.providerMessageId = result && result.messageId;
+    notification.lastError = undefined;
+  } catch (error) {
+    notification.lastError = error.message;
+    notification.transport = transport.name;
+
+    if (notification.attempts >= notification.maxAttempts) {
+      notification.status = 'failed';
+    } else {
+      notification.status = 'pending';
+      notification.nextAttemptAt = new Date(Date.now() + getRetryDelay(notification.attempts));
+    }
+  }
+
+  return notification.save();
+}
+
+// Atomically take a due entry so two workers never send the same message
+function claimNotification(filter = {}) {
+  return Notification.findOneAndUpdate(
+    { ...filter, status: 'pending', nextAttemptAt: { $lte: new Date() } },
+    { $set: { status: 'sending' }, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+}
+
+// Deliver due outbox entries; returns how many were processed
+async function processOutbox({ limit = 50 } = {}) {
+  await Notification.updateMany(
+    { status: 'sending', updatedAt: { $lt: new Date(Date.now() - STALLED_SENDING_MS) } },
+    { $set: { status: 'pending', nextAttemptAt: new Date() } }
+  );
+
+  let processed = 0;
+  while (processed < limit) {
+    const notification = await claimNotification();
+    if (!notification) break;
+    await deliverNotification(notification);
+    processed++;
+  }
+  return processed;
+}
+
+// Deliver one outbox entry ("notification.deliver" job). Failed sends stay
+// in the outbox with their own backoff and are picked up by processOutbox.
+async function deliverQueuedNotification(notificationId) {
+  const claimed = await claimNotification({ _id: notificationId });
+  if (!claimed) return { status: 'skipped' };
+
+  const notification = await deliverNotification(claimed);
+  return { status: notification.status, attempts: notification.attempts };
+}
+
+// Render a template for a user and queue it on each allowed channel
+async function notifyUser(userOrId, templateName, data = {}, options = {}) {
+  const template = notificationTemplates[templateName];
+  if (!template) {
+    throw new Error(`Unknown notification template: ${templateName}`);
+  }
+
+  const user = userOrId && userOrId.email ? userOrId : await User.findById(userOrId);
+  if (!user) return [];
+
+  const channels = options.channels
+    ? getAllowedChannels(user, template).filter(channel => options.channels.includes(channel))
+    : getAllowedChannels(user, template);
+
+  const context = { ...data, user };
+  const notifications = [];
+
+  for (const channel of channels) {
+    const inApp = channel === 'in_app';
+    const body = channel === 'sms' && template.sms ? template.sms(context) : template.body(context);
+
+    const notification = await Notification.create({
+      recipient: user._id,
+      channel,
+      template: templateName,
+      category: template.category,
+      to: getAddress(user, channel),
+      subject: channel === 'sms' ? undefined : template.subject(context),
+      body,
+      data: options.data,
+      // In-app messages are delivered by being stored
+      status: inApp ? 'sent' : 'pending',
+      sentAt: inApp ? new Date() : undefined,
+      transport: inApp ? 'in_app' : undefined
+    });
+
+    if (!inApp) {
+      await enqueueJob('notification.deliver', { notificationId: notification._id }, { priority: 10 });
+    }
+    notifications.push(notification);
+  }
+
+  return notifications;
+}
+
+export {
+  notificationTemplates,
+  getAllowedChannels,
+  deliverNotification,
+  deliverQueuedNotification,
+  processOutbox,
+  notifyUser
+};
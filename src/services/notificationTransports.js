@@ -0,0 +1,122 @@
+import fs from 'fs/promises';
+import path from 'path';
+import axios from 'axios';
+import nodemailer from 'nodemailer';
+
+// Delivery transports. Each exposes `name` and `send(message)`, where message is
+// { to, subject, body, html } and send resolves to { messageId }.
+
+function createSmtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.EMAIL_HOST,
+    port: parseInt(process.env.EMAIL_PORT) || 587,
+    secure: parseInt(process.env.EMAIL_PORT) === 465,
+    auth: process.env.EMAIL_USER ? {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS
+    } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail({
+        from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+        to: message.to,
+        subject: message.subject,
+        text: message.body,
+        html: message.html
+      });
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+// Twilio-compatible REST API; other SMS providers implement the same send()
+function createTwilioSmsTransport() {
+  const accountSid = process.env.SMS_ACCOUNT_SID;
+  const baseUrl = process.env.SMS_API_URL || 'https://api.twilio.com/2010-04-01';
+
+  return {
+    name: 'twilio',
+    async send(message) {
+      const response = await axios.post(
+        `${baseUrl}/Accounts/${accountSid}/Messages.json`,
+        new URLSearchParams({
+          From: process.env.SMS_FROM,
+          To: message.to,
+          Body: message.body
+        }),
+        {
+          auth: { username: accountSid, password: process.env.SMS_AUTH_TOKEN },
+          timeout: 10000
+        }
+      );
+      return { messageId: response.data.sid };
+    }
+  };
+}
+
+function createConsoleTransport(channel) {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log(`📨 [${channel}] to ${message.to}${message.subject ? ` - ${message.subject}` : ''}\n${message.body}`);
+      return { messageId: `console-${Date.now()}` };
+    }
+  };
+}
+
+// Appends one JSON line per message, for local testing and inspection
+function createFileTransport(channel) {
+  const filePath = process.env.NOTIFICATION_FILE_PATH || './logs/notifications.jsonl';
+
+  return {
+    name: 'file',
+    async send(message) {
+      const messageId = `file-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.appendFile(filePath, JSON.stringify({ messageId, channel, ...message, sentAt: new Date() }) + '\n');
+      return { messageId };
+    }
+  };
+}
+
+function createEmailTransport() {
+  const type = process.env.EMAIL_TRANSPORT || (process.env.EMAIL_HOST ? 'smtp' : 'console');
+  if (type === 'smtp') return createSmtpTransport();
+  if (type === 'file') return createFileTransport('email');
+  return createConsoleTransport('email');
+}
+
+function createSmsTransport() {
+  const type = process.env.SMS_TRANSPORT || (process.env.SMS_ACCOUNT_SID ? 'twilio' : 'console');
+  if (type === 'twilio') return createTwilioSmsTransport();
+  if (type === 'file') return createFileTransport('sms');
+  return createConsoleTransport('sms');
+}
+
+// Transports by channel, created on first use (after dotenv has loaded)
+const transports = {};
+
+function getTransport(channel) {
+  if (!transports[channel]) {
+    if (channel === 'email') transports[channel] = createEmailTransport();
+    else if (channel === 'sms') transports[channel] = createSmsTransport();
+  }
+  return transports[channel];
+}
+
+// Replace the transport for a channel (e.g. a different SMS provider)
+function registerTransport(channel, transport) {
+  transports[channel] = transport;
+}
+
+export {
+  createSmtpTransport,
+  createTwilioSmsTransport,
+  createConsoleTransport,
+  createFileTransport,
+  getTransport,
+  registerTransport
+};
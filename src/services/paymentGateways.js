@@ -0,0 +1,282 @@
+import crypto from 'crypto';
+import axios from 'axios';
+
+// Payment gateways. Each exposes `name` and, with amounts in cents:
+//   createCustomer({ email, name, metadata }) -> { id }
+//   attachPaymentMethod(customerId, token) -> { id, brand, last4, expMonth, expYear }
+//   charge({ customerId, paymentMethodId, amount, currency, description, metadata, idempotencyKey })
+//     -> { id, status: 'succeeded' | 'pending' | 'failed', failureCode, failureMessage }
+//   parseWebhook(rawBody, headers) -> { id, type, paymentId, reference, amountRefunded, failureCode, failureMessage }
+// charge throws with statusCode 400 when the gateway rejects the request;
+// any other error (timeout, 5xx) leaves the outcome unknown. `reference` is
+// the metadata.paymentId sent with the charge, so webhooks can be matched to
+// payments whose charge response never arrived.
+// Webhook types are normalized to payment.succeeded, payment.failed and
+// payment.refunded; anything else comes back with its gateway type and is
+// ignored. parseWebhook throws (statusCode 400) when the signature is invalid.
+
+// Signed webhooks older than this are refused, so captured requests cannot be replayed
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Stripe's scheme: header "t=<unix time>,v1=<HMAC-SHA256 of `${t}.${body}`>"
+function signWebhookPayload(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+function verifyWebhookSignature(payload, header, secret, now = Date.now()) {
+  if (!secret) throw new Error('Payment webhook secret is not configured');
+
+  const parts = String(header || '').split(',').map(part => part.split('='));
+  const timestamp = (parts.find(([key]) => key === 't') || [])[1];
+  const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+  if (!timestamp || signatures.length === 0) throw httpError('Missing webhook signature', 400);
+
+  if (Math.abs(now / 1000 - Number(timestamp)) > WEBHOOK_TOLERANCE_SECONDS) {
+    throw httpError('Webhook timestamp outside the tolerance window', 400);
+  }
+
+  const expected = Buffer.from(signWebhookPayload(payload, secret, timestamp).split('v1=')[1]);
+  const valid = signatures.some(signature => {
+    const received = Buffer.from(signature);
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  });
+  if (!valid) throw httpError('Invalid webhook signature', 400);
+}
+
+// Stripe's event types mapped to ours
+function normalizeStripeEvent(event) {
+  const object = (event.data && event.data.object) || {};
+  const normalized = { id: event.id, type: event.type, reference: object.metadata && object.metadata.paymentId };
+
+  if (event.type === 'payment_intent.succeeded') {
+    return { ...normalized, type: 'payment.succeeded', paymentId: object.id };
+  }
+  if (event.type === 'payment_intent.payment_failed') {
+    const lastError = object.last_payment_error || {};
+    return {
+      ...normalized,
+      type: 'payment.failed',
+      paymentId: object.id,
+      failureCode: lastError.decline_code || lastError.code,
+      failureMessage: lastError.message
+    };
+  }
+  if (event.type === 'charge.refunded') {
+    return { ...normalized, type: 'payment.refunded', paymentId: object.payment_intent, amountRefunded: object.amount_refunded };
+  }
+  return normalized;
+}
+
+// Form-encode nested objects the way Stripe expects (metadata[userId]=...)
+function toForm(params, prefix, form = new URLSearchParams()) {
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (typeof value === 'object') toForm(value, name, form);
+    else form.append(name, String(value));
+  });
+  return form;
+}
+
+function toCard(paymentMethod) {
+  const card = paymentMethod.card || {};
+  return { id: paymentMethod.id, brand: card.brand, last4: card.last4, expMonth: card.exp_month, expYear: card.exp_year };
+}
+
+// Stripe-compatible REST API (PaymentIntents). Payment method tokens come
+// from the gateway's client-side library, so card numbers never reach us.
+function createStripeGateway({
+  secretKey = process.env.STRIPE_SECRET_KEY,
+  webhookSecret = process.env.STRIPE_WEBHOOK_SECRET,
+  baseUrl = process.env.STRIPE_API_URL || 'https://api.stripe.com/v1'
+} = {}) {
+  async function request(path, params = {}, { idempotencyKey } = {}) {
+    const response = await axios.post(`${baseUrl}${path}`, toForm(params), {
+      auth: { username: secretKey, password: '' },
+      headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {},
+      timeout: 20000
+    });
+    return response.data;
+  }
+
+  return {
+    name: 'stripe',
+    async createCustomer({ email, name, metadata }) {
+      const customer = await request('/customers', { email, name, metadata });
+      return { id: customer.id };
+    },
+    async attachPaymentMethod(customerId, token) {
+      try {
+        const paymentMethod = await request(`/payment_methods/${encodeURIComponent(token)}/attach`, { customer: customerId });
+        await request(`/customers/${customerId}`, { invoice_settings: { default_payment_method: paymentMethod.id } });
+        return toCard(paymentMethod);
+      } catch (error) {
+        const gatewayError = error.response && error.response.data && error.response.data.error;
+        if (gatewayError && error.response.status < 500) throw httpError(gatewayError.message, 400);
+        throw error;
+      }
+    },
+    async charge({ customerId, paymentMethodId, amount, currency, description, metadata, idempotencyKey }) {
+      try {
+        const intent = await request('/payment_intents', {
+          amount,
+          currency: currency.toLowerCase(),
+          customer: customerId,
+          payment_method: paymentMethodId,
+          confirm: true,
+          off_session: true,
+          description,
+          metadata
+        }, { idempotencyKey });
+
+        if (intent.status === 'succeeded') return { id: intent.id, status: 'succeeded' };
+        if (intent.status === 'processing') return { id: intent.id, status: 'pending' };
+        return {
+          id: intent.id,
+          status: 'failed',
+          failureCode: intent.status === 'requires_action' ? 'authentication_required' : intent.status,
+          failureMessage: intent.status === 'requires_action'
+            ? 'The card needs the cardholder to authenticate the payment'
+            : 'The payment was not completed'
+        };
+      } catch (error) {
+        // Declines come back as 402 card errors with the failed intent attached
+        const gatewayError = error.response && error.response.data && error.response.data.error;
+        if (gatewayError && gatewayError.type === 'card_error') {
+          return {
+            id: gatewayError.payment_intent && gatewayError.payment_intent.id,
+            status: 'failed',
+            failureCode: gatewayError.decline_code || gatewayError.code,
+            failureMessage: gatewayError.message
+          };
+        }
+        if (gatewayError && error.response.status < 500 && error.response.status !== 409 && error.response.status !== 429) {
+          throw httpError(gatewayError.message, 400);
+        }
+        throw error;
+      }
+    },
+    parseWebhook(rawBody, headers) {
+      const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+      verifyWebhookSignature(payload, headers['stripe-signature'], webhookSecret);
+      return normalizeStripeEvent(JSON.parse(payload));
+    }
+  };
+}
+
+// In-memory gateway for development and tests. Test tokens control the
+// outcome: tok_chargeDeclined and tok_insufficientFunds attach but are
+// declined when charged, tok_processing leaves charges pending (settle them
+// with createEvent), tok_timeout charges the card but loses the response the
+// way a timed-out request does, and tok_invalid cannot be attached; any other
+// token is a working Visa. Webhooks use the Stripe signature scheme with webhookSecret.
+function createFakePaymentGateway({ webhookSecret = process.env.STRIPE_WEBHOOK_SECRET || 'whsec_fake' } = {}) {
+  const customers = new Map();
+  const paymentMethods = new Map();
+  const charges = new Map();
+  const byIdempotencyKey = new Map();
+  let sequence = 0;
+
+  const nextId = prefix => `${prefix}_fake_${Date.now().toString(36)}${(++sequence).toString(36)}`;
+
+  return {
+    name: 'fake',
+    charges,
+    async createCustomer({ email, name, metadata }) {
+      const customer = { id: nextId('cus'), email, name, metadata };
+      customers.set(customer.id, customer);
+      return { id: customer.id };
+    },
+    async attachPaymentMethod(customerId, token) {
+      if (!customers.has(customerId)) throw httpError(`No such customer: ${customerId}`, 400);
+      if (token === 'tok_invalid') throw httpError('Your card number is incorrect', 400);
+
+      const paymentMethod = { id: nextId('pm'), customerId, token, brand: 'visa', last4: '4242', expMonth: 12, expYear: new Date().getFullYear() + 3 };
+      paymentMethods.set(paymentMethod.id, paymentMethod);
+      const { id, brand, last4, expMonth, expYear } = paymentMethod;
+      return { id, brand, last4, expMonth, expYear };
+    },
+    async charge({ customerId, paymentMethodId, amount, currency, description, metadata, idempotencyKey }) {
+      if (idempotencyKey && byIdempotencyKey.has(idempotencyKey)) {
+        return byIdempotencyKey.get(idempotencyKey);
+      }
+
+      const paymentMethod = paymentMethods.get(paymentMethodId);
+      if (!paymentMethod || paymentMethod.customerId !== customerId) {
+        throw httpError(`No such payment method: ${paymentMethodId}`, 400);
+      }
+
+      const declines = {
+        tok_chargeDeclined: ['card_declined', 'Your card was declined'],
+        tok_insufficientFunds: ['insufficient_funds', 'Your card has insufficient funds']
+      };
+      const decline = declines[paymentMethod.token];
+      const result = {
+        id: nextId('pi'),
+        status: decline ? 'failed' : paymentMethod.token === 'tok_processing' ? 'pending' : 'succeeded',
+        ...(decline && { failureCode: decline[0], failureMessage: decline[1] })
+      };
+
+      charges.set(result.id, { ...result, customerId, amount, currency, description, metadata });
+      if (idempotencyKey) byIdempotencyKey.set(idempotencyKey, result);
+      if (paymentMethod.token === 'tok_timeout') {
+        const timeout = new Error('timeout of 20000ms exceeded');
+        timeout.code = 'ECONNABORTED';
+        throw timeout;
+      }
+      return result;
+    },
+    parseWebhook(rawBody, headers) {
+      const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+      verifyWebhookSignature(payload, headers['stripe-signature'], webhookSecret);
+      return normalizeStripeEvent(JSON.parse(payload));
+    },
+    // A signed webhook request as the gateway would send it, e.g.
+    // createEvent('payment_intent.succeeded', { id: 'pi_...' })
+    createEvent(type, object) {
+      const body = JSON.stringify({ id: nextId('evt'), type, data: { object } });
+      return { body, headers: { 'content-type': 'application/json', 'stripe-signature': signWebhookPayload(body, webhookSecret) } };
+    }
+  };
+}
+
+// Gateways by name, created on first use (after dotenv has loaded)
+const gateways = {};
+
+function getPaymentGateway(name = process.env.PAYMENT_GATEWAY || (process.env.STRIPE_SECRET_KEY ? 'stripe' : 'fake')) {
+  if (!gateways[name]) {
+    if (name === 'stripe') {
+      gateways[name] = createStripeGateway();
+    } else if (name === 'fake') {
+      // Anyone could sign webhooks with the fake's default secret
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('The fake payment gateway cannot be used in production; set STRIPE_SECRET_KEY');
+      }
+      gateways[name] = createFakePaymentGateway();
+    } else {
+      throw new Error(`Payment gateway not registered: ${name}`);
+    }
+  }
+  return gateways[name];
+}
+
+// Add or replace a gateway (e.g. another Stripe-compatible provider)
+function registerPaymentGateway(name, gateway) {
+  gateways[name] = gateway;
+}
+
+export {
+  signWebhookPayload,
+  verifyWebhookSignature,
+  createStripeGateway,
+  createFakePaymentGateway,
+  getPaymentGateway,
+  registerPaymentGateway
+};
@@ -0,0 +1,498 @@
+import mongoose from 'mongoose';
+import Invoice from '../models/Invoice.js';
+import Payment from '../models/Payment.js';
+import User from '../models/User.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import { PremiumSubscription } from '../models/Premium.js';
+import { getPaymentGateway } from './paymentGateways.js';
+import { addBillingPeriod, getBillingAnchorDay } from './subscriptionService.js';
+import { recordInvoicePayment, reverseInvoicePayment } from './billingService.js';
+import { notifyUser } from './notificationService.js';
+
+// Payments through the configured gateway: saved cards, the first charge
+// when a premium subscription starts, renewals on billing.nextBillingDate,
+// invoice payments and webhook updates. A failed renewal puts the
+// subscription past due and is retried after each of PAYMENT_RETRY_DAYS;
+// when the retries run out the subscription is paused until the customer
+// saves a new card.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days after each failed renewal before the next attempt
+const RETRY_SCHEDULE_DAYS = (process.env.PAYMENT_RETRY_DAYS || '1,3,7')
+  .split(',')
+  .map(days => parseInt(days))
+  .filter(days => days > 0);
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function toCents(amount) {
+  return Math.round(amount * 100);
+}
+
+// The user's customer record at the gateway, created on first use
+async function ensureGatewayCustomer(user, gateway = getPaymentGateway()) {
+  if (user.subscription && user.subscription.stripeCustomerId) {
+    return user.subscription.stripeCustomerId;
+  }
+
+  const customer = await gateway.createCustomer({
+    email: user.email,
+    name: `${user.firstName} ${user.lastName}`,
+    metadata: { userId: user._id.toString() }
+  });
+  await User.updateOne({ _id: user._id }, { $set: { 'subscription.stripeCustomerId': customer.id } });
+  user.set('subscription.stripeCustomerId', customer.id);
+
+  return customer.id;
+}
+
+// Attach a card token from the gateway's client library and make it the default
+async function savePaymentMethod(user, token) {
+  const gateway = getPaymentGateway();
+  const customerId = await ensureGatewayCustomer(user, gateway);
+  const card = await gateway.attachPaymentMethod(customerId, token);
+
+  await User.updateOne({ _id: user._id }, { $set: { 'subscription.paymentMethod': card } });
+  user.set('subscription.paymentMethod', card);
+  await PremiumSubscription.updateMany(
+    { client: user._id, status: { $in: ['active', 'paused'] } },
+    { $set: { 'billing.paymentMethod': card.id } }
+  );
+
+  return card;
+}
+
+function getSavedPaymentMethod(user, subscription) {
+  const saved = user.subscription && user.subscription.paymentMethod;
+  const id = (subscription && subscription.billing.paymentMethod) || (saved && saved.id);
+  if (!id) return null;
+  return saved && saved.id === id ? saved : { id };
+}
+
+// Record the attempt first, so its idempotency key guards the charge
+async function createPayment(fields) {
+  try {
+    return { payment: await Payment.create(fields), duplicate: false };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return { payment: await Payment.findOne({ idempotencyKey: fields.idempotencyKey }), duplicate: true };
+  }
+}
+
+// Move a payment to its outcome and apply it once. Webhooks settle payments
+// left pending after a gateway timeout, and may confirm one recorded as failed.
+async function settlePayment(payment, status, fields = {}, { now = new Date() } = {}) {
+  const from = status === 'succeeded' ? ['pending', 'failed'] : ['pending'];
+  const update = { status, ...fields, gatewayErrorAt: null, gatewayErrorMessage: null };
+  if (status === 'succeeded') {
+    update.paidAt = now;
+    update.failureCode = null;
+    update.failureMessage = null;
+  }
+
+  const settled = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: { $in: from } },
+    { $set: update },
+    { new: true }
+  );
+  if (!settled) return { payment: await Payment.findById(payment._id), applied: false };
+
+  await applyPaymentOutcome(settled, { now });
+  return { payment: settled, applied: true };
+}
+
+// Record the total refunded so far on a paid payment. Gateways report the
+// cumulative amount, so each partial refund applies only what is new and a
+// repeated or out-of-order report changes nothing.
+async function refundPayment(payment, amountRefunded, { now = new Date() } = {}) {
+  const total = Math.min(amountRefunded, payment.amount);
+  const previous = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      status: { $in: ['succeeded', 'partially_refunded', 'refunded'] },
+      $or: [{ amountRefunded: null }, { amountRefunded: { $lt: total } }]
+    },
+    {
+      $set: {
+        status: toCents(total) >= toCents(payment.amount) ? 'refunded' : 'partially_refunded',
+        amountRefunded: total,
+        refundedAt: now
+      }
+    }
+  );
+  if (!previous) return { payment: await Payment.findById(payment._id), applied: false };
+
+  const refunded = await Payment.findById(payment._id);
+  await applyRefund(refunded, (toCents(total) - toCents(previous.amountRefunded || 0)) / 100, { now });
+  return { payment: refunded, applied: true };
+}
+
+async function chargePayment(payment, { customerId, description, now = new Date() }) {
+  const gateway = getPaymentGateway(payment.gateway);
+
+  let result;
+  try {
+    result = await gateway.charge({
+      customerId,
+      paymentMethodId: payment.paymentMethod.id,
+      amount: toCents(payment.amount),
+      currency: payment.currency,
+      description,
+      metadata: { paymentId: payment._id.toString() },
+      idempotencyKey: payment.idempotencyKey
+    });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return (await settlePayment(payment, 'failed', { failureCode: 'invalid_request', failureMessage: error.message }, { now })).payment;
+    }
+    // The card may have been charged: keep the payment pending for the
+    // webhook, and retry with the same idempotency key so it is charged once
+    console.error('Payment gateway error:', error.message);
+    const pending = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: 'pending' },
+      { $set: { gatewayErrorAt: now, gatewayErrorMessage: error.message } },
+      { new: true }
+    );
+    return pending || Payment.findById(payment._id);
+  }
+
+  if (result.id) {
+    await Payment.updateOne({ _id: payment._id }, { $set: { gatewayPaymentId: result.id } });
+    payment.gatewayPaymentId = result.id;
+  }
+  if (result.status === 'pending') return payment;
+
+  return (await settlePayment(payment, result.status, {
+    failureCode: result.failureCode,
+    failureMessage: result.failureMessage
+  }, { now })).payment;
+}
+
+// Take the first period's payment for a new subscription (saved as paused
+// until it is paid). A token saves a new card first.
+async function startSubscriptionPayment(subscription, user, { paymentMethodToken, now = new Date() } = {}) {
+  if (paymentMethodToken) await savePaymentMethod(user, paymentMethodToken);
+
+  const paymentMethod = getSavedPaymentMethod(user);
+  if (!paymentMethod) throw httpError('A payment method is required', 400);
+
+  subscription.billing.paymentMethod = paymentMethod.id;
+  subscription.billing.paymentStatus = 'pending';
+  subscription.status = 'paused';
+  await subscription.save();
+
+  const { payment } = await createPayment({
+    user: user._id,
+    gateway: getPaymentGateway().name,
+    purpose: 'subscription_start',
+    subscription: subscription._id,
+    period: { start: now, end: subscription.billing.nextBillingDate },
+    amount: subscription.billing.amount,
+    idempotencyKey: `subscription:${subscription._id}:start`,
+    paymentMethod: { id: paymentMethod.id, brand: paymentMethod.brand, last4: paymentMethod.last4 }
+  });
+
+  return chargePayment(payment, {
+    customerId: user.subscription.stripeCustomerId,
+    description: `${subscription.subscriptionTier} subscription`,
+    now
+  });
+}
+
+// Charge the period starting at billing.nextBillingDate. Periods missed while
+// the task was not running are skipped rather than charged.
+async function chargeSubscriptionRenewal(subscription, { now = new Date() } = {}) {
+  const user = await User.findById(subscription.client);
+  if (!user) throw new Error(`Subscription ${subscription._id} has no client`);
+
+  const start = subscription.billing.nextBillingDate;
+  const anchorDay = getBillingAnchorDay(subscription);
+  let end = addBillingPeriod(start, subscription.billing.frequency, anchorDay);
+  while (end <= now) {
+    end = addBillingPeriod(end, subscription.billing.frequency, anchorDay);
+  }
+
+  const attempt = subscription.billing.dunning.failedAttempts + 1;
+  const paymentMethod = getSavedPaymentMethod(user, subscription);
+  const { payment, duplicate } = await createPayment({
+    user: user._id,
+    gateway: getPaymentGateway().name,
+    purpose: 'subscription_renewal',
+    subscription: subscription._id,
+    period: { start, end },
+    attempt,
+    amount: subscription.billing.amount,
+    idempotencyKey: `subscription:${subscription._id}:${start.toISOString()}:${attempt}`,
+    paymentMethod: paymentMethod ? { id: paymentMethod.id, brand: paymentMethod.brand, last4: paymentMethod.last4 } : undefined
+  });
+  // A charge whose outcome is unknown is retried as the same charge
+  if (duplicate && !(payment.status === 'pending' && payment.gatewayErrorAt)) return payment;
+
+  if (toCents(payment.amount) === 0) {
+    return (await settlePayment(payment, 'succeeded', {}, { now })).payment;
+  }
+  if (!paymentMethod || !user.subscription.stripeCustomerId) {
+    return (await settlePayment(payment, 'failed', {
+      failureCode: 'no_payment_method',
+      failureMessage: 'No payment method on file'
+    }, { now })).payment;
+  }
+
+  return chargePayment(payment, {
+    customerId: user.subscription.stripeCustomerId,
+    description: `${subscription.subscriptionTier} subscription renewal`,
+    now
+  });
+}
+
+// "subscriptions.charge_renewals" task: renewals that are due and retries of failed ones
+async function chargeDueSubscriptions(now = new Date()) {
+  const due = await PremiumSubscription.find({
+    status: 'active',
+    'billing.autoRenewal': { $ne: false },
+    $or: [
+      { 'billing.dunning.nextRetryAt': { $lte: now } },
+      { 'billing.dunning.nextRetryAt': null, 'billing.nextBillingDate': { $lte: now } }
+    ]
+  });
+
+  const summary = { succeeded: 0, failed: 0, pending: 0, errors: 0 };
+  for (const subscription of due) {
+    try {
+      const payment = await chargeSubscriptionRenewal(subscription, { now });
+      summary[payment.status] = (summary[payment.status] || 0) + 1;
+    } catch (error) {
+      console.error(`Failed to renew subscription ${subscription._id}:`, error.message);
+      summary.errors++;
+    }
+  }
+
+  return summary;
+}
+
+// A new card settles a past due or paused subscription straight away
+async function retryPastDueSubscription(user, { now = new Date() } = {}) {
+  const subscription = await PremiumSubscription.findOne({
+    client: user._id,
+    'billing.paymentStatus': { $in: ['past_due', 'unpaid'] },
+    status: { $in: ['active', 'paused'] }
+  });
+  if (!subscription) return null;
+
+  return chargeSubscriptionRenewal(subscription, { now });
+}
+
+// Pay an issued invoice's balance with a saved card, or a new token
+async function payInvoice(invoice, user, { paymentMethodToken, now = new Date() } = {}) {
+  if (!['issued', 'overdue'].includes(invoice.status)) {
+    throw httpError(`Only issued or overdue invoices can be paid (invoice is ${invoice.status})`, 400);
+  }
+  const amount = invoice.balanceDue ?? invoice.total;
+  if (amount <= 0) throw httpError('Invoice has no balance due', 400);
+
+  const pending = await Payment.findOne({ invoice: invoice._id, status: 'pending' });
+  if (pending && !pending.gatewayErrorAt) {
+    throw httpError('A payment for this invoice is already processing', 409);
+  }
+  // The last attempt's outcome is unknown: retry that charge, not a new one
+  if (pending) {
+    return chargePayment(pending, {
+      customerId: user.subscription.stripeCustomerId,
+      description: `Invoice ${invoice.number}`,
+      now
+    });
+  }
+
+  if (paymentMethodToken) await savePaymentMethod(user, paymentMethodToken);
+  const paymentMethod = getSavedPaymentMethod(user);
+  if (!paymentMethod) throw httpError('A payment method is required', 400);
+
+  const attempt = await Payment.countDocuments({ invoice: invoice._id }) + 1;
+  const { payment } = await createPayment({
+    user: user._id,
+    gateway: getPaymentGateway().name,
+    purpose: 'invoice',
+    invoice: invoice._id,
+    attempt,
+    amount,
+    currency: invoice.currency,
+    idempotencyKey: `invoice:${invoice._id}:${attempt}`,
+    paymentMethod: { id: paymentMethod.id, brand: paymentMethod.brand, last4: paymentMethod.last4 }
+  });
+
+  return chargePayment(payment, {
+    customerId: user.subscription.stripeCustomerId,
+    description: `Invoice ${invoice.number}`,
+    now
+  });
+}
+
+async function notifyPaymentFailed(payment, extra = {}) {
+  try {
+    await notifyUser(payment.user, 'payment_failed', { payment, ...extra }, {
+      data: { paymentId: payment._id }
+    });
+  } catch (error) {
+    console.error('Failed to send payment failure notification:', error.message);
+  }
+}
+
+// What a settled payment changes on the subscription or invoice it pays for
+async function applyPaymentOutcome(payment, { now = new Date() } = {}) {
+  if (payment.purpose === 'invoice') {
+    const invoice = await Invoice.findById(payment.invoice);
+    if (!invoice) return;
+    if (payment.status === 'succeeded') await recordInvoicePayment(invoice, payment.amount, { paidAt: now });
+    if (payment.status === 'failed') await notifyPaymentFailed(payment, { invoice });
+    return;
+  }
+
+  const subscription = await PremiumSubscription.findById(payment.subscription);
+  if (!subscription) return;
+
+  if (payment.status === 'succeeded') {
+    const update = {
+      $set: {
+        status: 'active',
+        'billing.paymentStatus': 'current',
+        'billing.dunning.failedAttempts': 0
+      },
+      $unset: {
+        'billing.dunning.nextRetryAt': '',
+        'billing.dunning.lastFailureAt': '',
+        'billing.dunning.lastFailureMessage': '',
+        endDate: ''
+      },
+      $inc: { totalPaid: payment.amount }
+    };
+    // A renewal starts the new period with fresh feature usage
+    if (payment.purpose === 'subscription_renewal') {
+      update.$set['billing.nextBillingDate'] = payment.period.end;
+      update.$set['features.$[].usageCount'] = 0;
+    }
+    await PremiumSubscription.updateOne({ _id: subscription._id }, update);
+    return;
+  }
+
+  // Failed
+  if (payment.purpose === 'subscription_start') {
+    await PremiumSubscription.updateOne(
+      { _id: subscription._id, status: 'paused', 'billing.paymentStatus': 'pending' },
+      { $set: { status: 'cancelled', endDate: now, 'billing.paymentStatus': 'unpaid' } }
+    );
+    return;
+  }
+
+  const failedAttempts = subscription.billing.dunning.failedAttempts + 1;
+  const retryDays = RETRY_SCHEDULE_DAYS[failedAttempts - 1];
+  const dunning = {
+    'billing.dunning.failedAttempts': failedAttempts,
+    'billing.dunning.lastFailureAt': now,
+    'billing.dunning.lastFailureMessage': payment.failureMessage
+  };
+
+  if (retryDays !== undefined) {
+    const nextRetryAt = new Date(now.getTime() + retryDays * DAY_MS);
+    await PremiumSubscription.updateOne({ _id: subscription._id }, {
+      $set: { ...dunning, 'billing.paymentStatus': 'past_due', 'billing.dunning.nextRetryAt': nextRetryAt }
+    });
+    await notifyPaymentFailed(payment, { subscription, nextRetryAt });
+  } else {
+    await PremiumSubscription.updateOne({ _id: subscription._id }, {
+      $set: { ...dunning, status: 'paused', 'billing.paymentStatus': 'unpaid' },
+      $unset: { 'billing.dunning.nextRetryAt': '' }
+    });
+    await notifyPaymentFailed(payment, { subscription, suspended: true });
+  }
+}
+
+// Take a newly refunded amount back from the invoice or subscription total
+async function applyRefund(payment, amount, { now = new Date() } = {}) {
+  if (amount <= 0) return;
+
+  if (payment.purpose === 'invoice') {
+    const invoice = await Invoice.findById(payment.invoice);
+    if (invoice) await reverseInvoicePayment(invoice, amount, { now });
+    return;
+  }
+
+  await PremiumSubscription.updateOne({ _id: payment.subscription }, { $inc: { totalPaid: -amount } });
+}
+
+// By gateway id, or by the payment id sent in the charge's metadata when the
+// charge response (and with it the gateway id) never arrived
+async function findWebhookPayment(gatewayName, event) {
+  let payment = event.paymentId
+    ? await Payment.findOne({ gateway: gatewayName, gatewayPaymentId: event.paymentId })
+    : null;
+
+  if (!payment && event.reference && mongoose.isValidObjectId(event.reference)) {
+    payment = await Payment.findOne({ _id: event.reference, gateway: gatewayName });
+    if (payment && event.paymentId && !payment.gatewayPaymentId) {
+      await Payment.updateOne({ _id: payment._id }, { $set: { gatewayPaymentId: event.paymentId } });
+      payment.gatewayPaymentId = event.paymentId;
+    }
+  }
+
+  return payment;
+}
+
+// Verify and apply a gateway webhook. Each event is handled once; a failure
+// releases the event so the gateway's retry is processed.
+async function handlePaymentWebhook(rawBody, headers, { now = new Date() } = {}) {
+  const gateway = getPaymentGateway();
+  const event = gateway.parseWebhook(rawBody, headers);
+
+  let record;
+  try {
+    record = await WebhookEvent.create({ gateway: gateway.name, eventId: event.id, type: event.type });
+  } catch (error) {
+    if (error.code === 11000) return { eventId: event.id, duplicate: true };
+    throw error;
+  }
+
+  try {
+    const handled = ['payment.succeeded', 'payment.failed', 'payment.refunded'].includes(event.type);
+    const payment = handled ? await findWebhookPayment(gateway.name, event) : null;
+
+    let result = { eventId: event.id, type: event.type, status: 'ignored' };
+    if (payment) {
+      let settled;
+      if (event.type === 'payment.succeeded') {
+        settled = await settlePayment(payment, 'succeeded', {}, { now });
+      } else if (event.type === 'payment.failed') {
+        settled = await settlePayment(payment, 'failed', {
+          failureCode: event.failureCode,
+          failureMessage: event.failureMessage
+        }, { now });
+      } else {
+        const amountRefunded = event.amountRefunded !== undefined ? event.amountRefunded / 100 : payment.amount;
+        settled = await refundPayment(payment, amountRefunded, { now });
+      }
+      result = { eventId: event.id, type: event.type, status: 'processed', paymentId: payment._id, applied: settled.applied };
+    }
+
+    await WebhookEvent.updateOne({ _id: record._id }, { $set: { status: result.status, result } });
+    return result;
+  } catch (error) {
+    await WebhookEvent.deleteOne({ _id: record._id });
+    throw error;
+  }
+}
+
+export {
+  RETRY_SCHEDULE_DAYS,
+  ensureGatewayCustomer,
+  savePaymentMethod,
+  startSubscriptionPayment,
+  chargeSubscriptionRenewal,
+  chargeDueSubscriptions,
+  retryPastDueSubscription,
+  payInvoice,
+  handlePaymentWebhook
+};
@@ -0,0 +1,288 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import sharp from 'sharp';
+import Photo, { VARIANTS } from '../models/Photo.js';
+import Pool from '../models/Pool.js';
+import MaintenanceLog from '../models/MaintenanceLog.js';
+import ConsultationRequest from '../models/ConsultationRequest.js';
+import { getStorageDriver } from './storageDrivers.js';
+import { parseExif } from './exifService.js';
+
+// Photo uploads: each image is checked, stored as the original plus web and
+// thumbnail copies, and attached to a pool, visit, task, issue or consultation
+// request. Records hold a stable /api/photos URL; files are served to
+// signed-in users who may see the pool, or through short-lived signed links
+// for <img> tags.
+
+const ALLOWED_CONTENT_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp'];
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024;
+// Refuse images that would decode to more pixels than this
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+const WEB_MAX_DIMENSION = parseInt(process.env.PHOTO_WEB_MAX_DIMENSION) || 1600;
+const THUMBNAIL_SIZE = parseInt(process.env.PHOTO_THUMBNAIL_SIZE) || 320;
+const URL_TTL_MINUTES = parseInt(process.env.PHOTO_URL_TTL_MINUTES) || 60;
+
+const STAFF_ROLES = ['technician', 'consultant', 'admin'];
+// Customers never get the original, which carries GPS in its EXIF
+const CUSTOMER_VARIANTS = ['web', 'thumbnail'];
+
+const EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp' };
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function isStaff(user) {
+  return STAFF_ROLES.includes(user.role);
+}
+
+// Web and thumbnail copies: rotated upright, resized, re-encoded as JPEG.
+// sharp writes no metadata unless asked, so EXIF and GPS are dropped.
+async function processImage(buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (error) {
+    throw httpError('File is not a readable image', 400);
+  }
+  if (!ALLOWED_FORMATS.includes(metadata.format)) {
+    throw httpError(`Unsupported image format: ${metadata.format}`, 400);
+  }
+
+  const web = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+    .rotate()
+    .resize({ width: WEB_MAX_DIMENSION, height: WEB_MAX_DIMENSION, fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 82, mozjpeg: true })
+    .toBuffer({ resolveWithObject: true });
+
+  const thumbnail = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
+    .jpeg({ quality: 70 })
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    format: metadata.format,
+    capture: parseExif(metadata.exif),
+    original: { data: buffer, width: metadata.width, height: metadata.height },
+    web: { data: web.data, width: web.info.width, height: web.info.height },
+    thumbnail: { data: thumbnail.data, width: thumbnail.info.width, height: thumbnail.info.height }
+  };
+}
+
+// Process and store an uploaded file (from multer) and create its record
+async function storePhoto(file, { pool, maintenanceLog, consultationRequest, target, task, issue, uploadedBy, caption, category }) {
+  const image = await processImage(file.buffer);
+  const driver = getStorageDriver();
+  const photoId = new mongoose.Types.ObjectId();
+  const prefix = `photos/${pool}/${photoId}`;
+
+  const variants = {};
+  try {
+    for (const variant of VARIANTS) {
+      const isOriginal = variant === 'original';
+      const key = `${prefix}/${variant}.${isOriginal ? EXTENSIONS[image.format] : 'jpg'}`;
+      const contentType = isOriginal ? `image/${image.format}` : 'image/jpeg';
+      await driver.put(key, image[variant].data, { contentType });
+      variants[variant] = {
+        key,
+        contentType,
+        size: image[variant].data.length,
+        width: image[variant].width,
+        height: image[variant].height
+      };
+    }
+
+    return await Photo.create({
+      _id: photoId,
+      pool,
+      maintenanceLog,
+      consultationRequest,
+      target,
+      task,
+      issue,
+      uploadedBy,
+      storageDriver: driver.name,
+      originalName: file.originalname,
+      caption,
+      category,
+      variants,
+      capture: image.capture
+    });
+  } catch (error) {
+    await Promise.all(Object.values(variants).map(stored => driver.delete(stored.key).catch(() => {})));
+    throw error;
+  }
+}
+
+// Stable URL stored on pools and visits
+function getPhotoPath(photo, variant = 'web') {
+  return `/api/photos/${photo._id}/${variant}`;
+}
+
+function getSigningSecret() {
+  return process.env.PHOTO_URL_SECRET || process.env.JWT_SECRET;
+}
+
+function computeSignature(photoId, variant, expires) {
+  return crypto.createHmac('sha256', getSigningSecret())
+    .update(`${photoId}:${variant}:${expires}`)
+    .digest('hex');
+}
+
+// Link to a file that works without a bearer token until it expires
+function signPhotoUrl(photo, variant, { ttlMinutes = URL_TTL_MINUTES } = {}) {
+  const expires = Math.floor(Date.now() / 1000) + ttlMinutes * 60;
+  return `${getPhotoPath(photo, variant)}?expires=${expires}&signature=${computeSignature(photo._id, variant, expires)}`;
+}
+
+function verifyPhotoSignature(photoId, variant, expires, signature) {
+  if (!expires || !signature || Number(expires) < Date.now() / 1000) return false;
+
+  const expected = Buffer.from(computeSignature(photoId, variant, expires));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+function getVisibleVariants(user) {
+  return isStaff(user) ? VARIANTS : CUSTOMER_VARIANTS;
+}
+
+// Staff may see every pool's photos (as with canAccessPool); customers their own pools'
+async function canViewPhoto(user, photo) {
+  if (isStaff(user)) return true;
+  return Boolean(await Pool.exists({ _id: photo.pool, owner: user._id }));
+}
+
+// Photo details for a user, with signed links to the variants they may see.
+// Capture location and device are audit data for staff only.
+function toPhotoResponse(photo, user) {
+  const variants = getVisibleVariants(user).filter(variant => photo.variants[variant]);
+
+  return {
+    _id: photo._id,
+    pool: photo.pool,
+    maintenanceLog: photo.maintenanceLog,
+    target: photo.target,
+    task: photo.task,
+    issue: photo.issue,
+    caption: photo.caption,
+    category: photo.category,
+    uploadedBy: photo.uploadedBy,
+    createdAt: photo.createdAt,
+    takenAt: photo.capture && photo.capture.takenAt,
+    urls: Object.fromEntries(variants.map(variant => [variant, signPhotoUrl(photo, variant)])),
+    dimensions: Object.fromEntries(variants.map(variant => [variant, {
+      width: photo.variants[variant].width,
+      height: photo.variants[variant].height
+    }])),
+    ...(isStaff(user) && { capture: photo.capture, originalName: photo.originalName })
+  };
+}
+
+function openPhotoVariant(photo, variant) {
+  return getStorageDriver(photo.storageDriver).createReadStream(photo.variants[variant].key);
+}
+
+// Reference the photo from the record it belongs to. A visit photo whose
+// metadata already arrived through offline sync is matched on clientId.
+async function attachPhoto(photo, { clientId } = {}) {
+  const url = getPhotoPath(photo);
+
+  if (photo.target === 'pool') {
+    await Pool.updateOne(
+      { _id: photo.pool },
+      { $push: { photos: { photo: photo._id, url, caption: photo.caption } } }
+    );
+  } else if (photo.target === 'maintenance') {
+    const synced = clientId && await MaintenanceLog.updateOne(
+      { _id: photo.maintenanceLog, photos: { $elemMatch: { clientId, photo: { $exists: false } } } },
+      { $set: { 'photos.$.photo': photo._id, 'photos.$.url': url } }
+    );
+    if (!synced || synced.matchedCount === 0) {
+      await MaintenanceLog.updateOne(
+        { _id: photo.maintenanceLog },
+        {
+          $push: {
+            photos: {
+              photo: photo._id,
+              clientId,
+              url,
+              caption: photo.caption,
+              category: photo.category,
+              timestamp: (photo.capture && photo.capture.takenAt) || photo.createdAt
+            }
+          }
+        }
+      );
+    }
+  } else if (photo.target === 'task_before' || photo.target === 'task_after') {
+    const field = photo.target === 'task_before' ? 'photoBefore' : 'photoAfter';
+    await MaintenanceLog.updateOne(
+      { _id: photo.maintenanceLog, 'tasks._id': photo.task },
+      { $set: { [`tasks.$.${field}`]: url } }
+    );
+  } else if (photo.target === 'issue') {
+    await MaintenanceLog.updateOne(
+      { _id: photo.maintenanceLog, 'issues._id': photo.issue },
+      { $push: { 'issues.$.photos': url } }
+    );
+  } else if (photo.target === 'consultation') {
+    await ConsultationRequest.updateOne(
+      { _id: photo.consultationRequest },
+      { $push: { photos: { photo: photo._id, url, caption: photo.caption, addedBy: photo.uploadedBy } } }
+    );
+  }
+
+  return url;
+}
+
+// Remove the files, the record and every reference to the photo
+async function deletePhoto(photo) {
+  const url = getPhotoPath(photo);
+
+  if (photo.target === 'pool') {
+    await Pool.updateOne({ _id: photo.pool }, { $pull: { photos: { photo: photo._id } } });
+  } else if (photo.target === 'maintenance') {
+    await MaintenanceLog.updateOne({ _id: photo.maintenanceLog }, { $pull: { photos: { photo: photo._id } } });
+  } else if (photo.target === 'task_before' || photo.target === 'task_after') {
+    const field = photo.target === 'task_before' ? 'photoBefore' : 'photoAfter';
+    await MaintenanceLog.updateOne(
+      { _id: photo.maintenanceLog, [`tasks.${field}`]: url },
+      { $unset: { [`tasks.$.${field}`]: '' } }
+    );
+  } else if (photo.target === 'issue') {
+    await MaintenanceLog.updateOne(
+      { _id: photo.maintenanceLog, 'issues._id': photo.issue },
+      { $pull: { 'issues.$.photos': url } }
+    );
+  } else if (photo.target === 'consultation') {
+    await ConsultationRequest.updateOne(
+      { _id: photo.consultationRequest },
+      { $pull: { photos: { photo: photo._id }, 'messages.$[].photos': photo._id } }
+    );
+  }
+
+  const driver = getStorageDriver(photo.storageDriver);
+  await Promise.all(Object.values(photo.toObject().variants).map(stored => driver.delete(stored.key)));
+  await Photo.deleteOne({ _id: photo._id });
+}
+
+export {
+  ALLOWED_CONTENT_TYPES,
+  MAX_FILE_SIZE,
+  processImage,
+  storePhoto,
+  getPhotoPath,
+  signPhotoUrl,
+  verifyPhotoSignature,
+  getVisibleVariants,
+  canViewPhoto,
+  toPhotoResponse,
+  openPhotoVariant,
+  attachPhoto,
+  deletePhoto
+};
@@ -0,0 +1,428 @@
+import Joi from 'joi';
+import { evaluateReading, describeRange, resolveTargetRanges } from './chemistryProfileService.js';
+import { analyzeWaterBalance, getBalanceRecommendation } from './waterBalanceService.js';
+import { calculateDosing, getProduct, getRecommendedDose } from './dosingService.js';
+import { isAIEnabled, generateText } from './aiService.js';
+
+// One analysis shape for both the rule-based engine and the LLM:
+//   { summary, issues[], actions[], causes[], prevention[], source, model?, confidence }
+const ANALYSIS_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const ACTION_PRIORITIES = ['immediate', 'soon', 'routine'];
+
+const issueSchema = Joi.object({
+  parameter: Joi.string().max(50),
+  title: Joi.string().max(200).required(),
+  severity: Joi.string().valid(...ANALYSIS_SEVERITIES).required(),
+  detail: Joi.string().max(1000)
+});
+
+const actionSchema = Joi.object({
+  description: Joi.string().max(500).required(),
+  priority: Joi.string().valid(...ACTION_PRIORITIES).required(),
+  parameter: Joi.string().max(50),
+  product: Joi.string().max(100), // Product catalog id
+  productName: Joi.string().max(200),
+  dose: Joi.object({
+    amount: Joi.number().min(0).required(),
+    unit: Joi.string().max(20).required()
+  })
+});
+
+const analysisSchema = Joi.object({
+  summary: Joi.string().max(2000).required(),
+  issues: Joi.array().items(issueSchema).max(20).required(),
+  actions: Joi.array().items(actionSchema).max(20).required(),
+  causes: Joi.array().items(Joi.string().max(500)).max(20).required(),
+  prevention: Joi.array().items(Joi.string().max(500)).max(20).required(),
+  confidence: Joi.number().min(0).max(1)
+});
+
+// Rule-based confidence: lower when only symptoms were reported
+const RULE_CONFIDENCE = { withChemistry: 0.7, symptomsOnly: 0.4 };
+// LLM answers never claim more than this, and lose some when they needed repair
+const MAX_AI_CONFIDENCE = 0.95;
+const DEFAULT_AI_CONFIDENCE = 0.75;
+const REPAIR_PENALTY = 0.15;
+
+const PREVENTION_TIPS = [
+  'Test water chemistry 2-3 times per week',
+  'Clean skimmer and pump baskets weekly',
+  'Brush walls and vacuum weekly',
+  'Maintain proper water level',
+  'Run filtration system 8-12 hours daily'
+];
+
+const PARAMETER_LABELS = {
+  hardness: 'Calcium hardness',
+  cyanuricAcid: 'Cyanuric acid',
+  salt: 'Salt',
+  temperature: 'Temperature'
+};
+
+// Rule findings per parameter and status
+const PARAMETER_RULES = {
+  pH: {
+    low: {
+      title: 'pH is too low (acidic)',
+      severity: 'medium',
+      action: range => `Add sodium carbonate (soda ash) to raise pH to ${range} range`,
+      cause: 'Acidic rain, trichlor tablets or too much acid lowering pH'
+    },
+    high: {
+      title: 'pH is too high (basic)',
+      severity: 'medium',
+      action: range => `Add muriatic acid or sodium bisulfate to lower pH to ${range} range`,
+      cause: 'Aeration, fresh plaster or high alkalinity pushing pH up'
+    }
+  },
+  chlorine: {
+    low: {
+      title: 'Free chlorine is too low',
+      severity: 'high',
+      priority: 'immediate',
+      action: range => `Add chlorine shock or liquid chlorine to reach ${range}`,
+      cause: 'High bather load, sunlight without enough stabilizer, or algae consuming chlorine'
+    },
+    high: {
+      title: 'Free chlorine is too high',
+      severity: 'medium',
+      action: () => 'Allow chlorine to naturally decrease before swimming, or add neutralizer',
+      cause: 'Over-chlorination or a feeder set too high'
+    }
+  },
+  alkalinity: {
+    low: {
+      title: 'Total alkalinity is low',
+      severity: 'low',
+      action: range => `Add sodium bicarbonate to increase alkalinity to ${range}`,
+      cause: 'Acid additions or dilution from rain and refills'
+    },
+    high: {
+      title: 'Total alkalinity is high',
+      severity: 'low',
+      action: () => 'Add muriatic acid carefully to decrease alkalinity',
+      cause: 'Repeated sodium bicarbonate additions or high-alkalinity fill water'
+    }
+  }
+};
+
+const SYMPTOM_RULES = [
+  {
+    match: 'algae',
+    issue: { title: 'Algae growth reported', severity: 'high' },
+    action: { description: 'Shock treatment with chlorine, brush walls, and run filtration 24/7 until clear', priority: 'immediate' },
+    cause: 'Lapses in chlorine level and poor circulation'
+  },
+  {
+    match: 'cloudy',
+    issue: { title: 'Cloudy water reported', severity: 'medium' },
+    action: { description: 'Check and clean filter, test water chemistry, consider clarifier treatment', priority: 'soon' },
+    cause: 'Poor filtration or unbalanced water'
+  },
+  {
+    match: 'smell',
+    issue: { title: 'Chemical odor reported', severity: 'medium' },
+    action: { description: 'Test chlorine levels, shock if needed, check pH balance', priority: 'soon' },
+    cause: 'Chloramines building up when free chlorine is too low'
+  }
+];
+
+// Recommended product and dose for a parameter from the dosing plan
+function doseFor(dosing, parameter) {
+  const adjustment = dosing.adjustments.find(a => a.parameter === parameter);
+  if (!adjustment) return {};
+  const dose = adjustment.products.find(p => p.product === adjustment.recommended);
+  return {
+    product: dose.product,
+    productName: dose.name,
+    dose: { amount: dose.amount, unit: dose.unit }
+  };
+}
+
+function buildRuleBasedAnalysis({ waterChemistry, symptoms = [], targetRanges = resolveTargetRanges(), volumeGallons }) {
+  const issues = [];
+  const actions = [];
+  const causes = [];
+  const inRange = [];
+  const dosing = calculateDosing(waterChemistry, targetRanges, volumeGallons);
+
+  if (waterChemistry) {
+    evaluateReading(waterChemistry, targetRanges).forEach(({ parameter, value, status, range }) => {
+      const rule = PARAMETER_RULES[parameter] && PARAMETER_RULES[parameter][status];
+      const unit = { pH: '', temperature: '°F' }[parameter] ?? 'ppm';
+      if (status === 'ok') {
+        if (PARAMETER_RULES[parameter]) inRange.push(parameter);
+        return;
+      }
+
+      if (rule) {
+        issues.push({ parameter, title: rule.title, severity: rule.severity, detail: `${parameter} is ${value}, target ${describeRange(range, unit)}` });
+        actions.push({
+          description: rule.action(describeRange(range, unit)),
+          priority: rule.priority || 'soon',
+          parameter,
+          ...doseFor(dosing, parameter)
+        });
+        causes.push(rule.cause);
+        return;
+      }
+
+      // Other parameters: report them, with a dose or dilution when the plan has one
+      issues.push({ parameter, title: `${PARAMETER_LABELS[parameter] || parameter} is ${status}`, severity: 'low', detail: `${parameter} is ${value}, target ${describeRange(range, unit)}` });
+      const dilution = dosing.dilution.find(d => d.parameter === parameter);
+      if (dilution) {
+        actions.push({ description: `${dilution.message} (about ${dilution.drainPercentage}%)`, priority: 'routine', parameter });
+      } else if (dosing.adjustments.some(a => a.parameter === parameter)) {
+        actions.push({ description: `Adjust ${PARAMETER_LABELS[parameter] || parameter} to ${describeRange(range, unit)}`, priority: 'routine', parameter, ...doseFor(dosing, parameter) });
+      }
+    });
+
+    // Water balance (LSI/CSI)
+    const balance = analyzeWaterBalance(waterChemistry);
+    if (balance) {
+      const balanceRecommendation = getBalanceRecommendation(balance, waterChemistry);
+      if (balanceRecommendation) {
+        issues.push({ parameter: 'balance', title: `Water is ${balance.status}`, severity: 'medium', detail: `LSI ${balance.lsi}, CSI ${balance.csi}` });
+        actions.push({ description: balanceRecommendation.message, priority: 'soon', parameter: 'balance' });
+        causes.push(balance.status === 'corrosive'
+          ? 'Low pH, alkalinity or calcium leaving the water aggressive to plaster and metal'
+          : 'High pH, alkalinity or calcium driving scale formation');
+      }
+    }
+  }
+
+  symptoms.forEach(symptom => {
+    SYMPTOM_RULES.filter(rule => symptom.toLowerCase().includes(rule.match)).forEach(rule => {
+      issues.push({ ...rule.issue, detail: symptom });
+      actions.push({ ...rule.action });
+      causes.push(rule.cause);
+    });
+  });
+
+  const summary = issues.length > 0
+    ? `Found ${issues.length} issue${issues.length === 1 ? '' : 's'}: ${issues.map(issue => issue.title).join('; ')}.`
+    : waterChemistry
+      ? `Water chemistry is within range${inRange.length > 0 ? ` (${inRange.join(', ')})` : ''}.`
+      : 'No water chemistry reading or recognized symptoms to analyze.';
+
+  return {
+    summary,
+    issues,
+    actions,
+    causes: [...new Set(causes)],
+    prevention: [...PREVENTION_TIPS],
+    source: 'rule-based',
+    confidence: waterChemistry ? RULE_CONFIDENCE.withChemistry : RULE_CONFIDENCE.symptomsOnly
+  };
+}
+
+// Common near-misses in model output mapped onto the schema's values
+const SEVERITY_ALIASES = { minor: 'low', moderate: 'medium', major: 'high', severe: 'high', urgent: 'critical' };
+const PRIORITY_ALIASES = {
+  urgent: 'immediate', critical: 'immediate', high: 'immediate', now: 'immediate',
+  medium: 'soon', moderate: 'soon', low: 'routine', ongoing: 'routine'
+};
+
+function toText(value) {
+  if (typeof value === 'string') return value.trim();
+  if (value && typeof value === 'object') {
+    return String(value.description || value.title || value.text || '').trim();
+  }
+  return '';
+}
+
+function normalizeEnum(value, allowed, aliases, repair) {
+  const lower = String(value || '').trim().toLowerCase();
+  if (allowed.includes(value)) return value;
+  repair();
+  if (allowed.includes(lower)) return lower;
+  return aliases[lower];
+}
+
+// "2.5 lb" or { amount, unit } -> { amount, unit }
+function normalizeDose(dose, repair) {
+  if (dose && typeof dose === 'object') {
+    return { amount: Number(dose.amount), unit: String(dose.unit || '').trim() };
+  }
+  repair();
+  const match = /^\s*([\d.]+)\s*([a-zA-Z ]+?)\s*$/.exec(String(dose || ''));
+  return match ? { amount: Number(match[1]), unit: match[2] } : undefined;
+}
+
+// Validate each item on its own so one bad entry does not sink the analysis.
+// `normalize(item, repair)` calls repair() for every fix it makes; the count
+// of fixes and dropped entries comes back with the valid items.
+function repairList(items, schema, normalize) {
+  let repairs = 0;
+  const repair = () => { repairs += 1; };
+  const valid = [];
+
+  if (items !== undefined && !Array.isArray(items)) repair();
+  (Array.isArray(items) ? items : []).forEach(item => {
+    const { error, value } = schema.validate(normalize(item, repair), { stripUnknown: true, convert: true });
+    if (error) {
+      repair();
+      return;
+    }
+    valid.push(value);
+  });
+
+  if (valid.length > 20) repairs += valid.length - 20;
+  return { valid: valid.slice(0, 20), repairs };
+}
+
+// Coerce model output into the analysis schema: fix casing and aliases,
+// turn bare strings into objects, drop entries that still fail, and replace
+// doses with the calculator's figures (or drop them for unknown products).
+// Returns null when nothing usable is left.
+function repairAnalysis(raw, dosing) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+
+  const issues = repairList(raw.issues, issueSchema, (item, repair) => {
+    if (typeof item === 'string') repair();
+    const issue = typeof item === 'string' ? { title: item } : { ...item };
+    issue.title = toText(issue.title || issue.issue || issue.description);
+    issue.severity = normalizeEnum(issue.severity, ANALYSIS_SEVERITIES, SEVERITY_ALIASES, repair) || 'medium';
+    if (issue.detail !== undefined) issue.detail = toText(issue.detail) || undefined;
+    return issue;
+  });
+
+  const actions = repairList(raw.actions, actionSchema, (item, repair) => {
+    if (typeof item === 'string') repair();
+    const action = typeof item === 'string' ? { description: item } : { ...item };
+    action.description = toText(action.description || action.action || action.title);
+    action.priority = normalizeEnum(action.priority, ACTION_PRIORITIES, PRIORITY_ALIASES, repair) || 'soon';
+    if (action.dose !== undefined) action.dose = normalizeDose(action.dose, repair);
+    if (action.dose === undefined) delete action.dose;
+
+    if (action.product) {
+      const product = getProduct(action.product);
+      if (!product) {
+        action.productName = action.productName || String(action.product);
+        delete action.product;
+        if (action.dose) repair();
+        delete action.dose;
+      } else {
+        action.productName = product.name;
+        // The calculator knows the pool's volume; the model only guesses
+        const calculated = getRecommendedDose(dosing, product.id);
+        if (calculated) {
+          if (!action.dose || action.dose.amount !== calculated.amount || action.dose.unit !== calculated.unit) repair();
+          action.dose = { amount: calculated.amount, unit: calculated.unit };
+        }
+      }
+    } else if (action.dose) {
+      // A dose without a product cannot be followed safely
+      repair();
+      delete action.dose;
+    }
+    return action;
+  });
+
+  const toStrings = list => repairList(list, Joi.string().max(500).required(), (item, repair) => {
+    if (typeof item !== 'string') repair();
+    return toText(item) || undefined;
+  });
+  const causes = toStrings(raw.causes);
+  const prevention = toStrings(raw.prevention);
+
+  if (issues.valid.length === 0 && actions.valid.length === 0) return null;
+
+  const summary = toText(raw.summary);
+  const analysis = {
+    summary: summary || `Found ${issues.valid.length} issue${issues.valid.length === 1 ? '' : 's'}.`,
+    issues: issues.valid,
+    actions: actions.valid,
+    causes: causes.valid,
+    prevention: prevention.valid
+  };
+  if (typeof raw.confidence === 'number') analysis.confidence = Math.max(0, Math.min(1, raw.confidence));
+
+  const { error, value } = analysisSchema.validate(analysis);
+  if (error) return null;
+
+  return {
+    analysis: value,
+    repairs: issues.repairs + actions.repairs + causes.repairs + prevention.repairs + (summary ? 0 : 1)
+  };
+}
+
+function buildAnalysisPrompt({ waterChemistry, symptoms, urgency, targetRanges, profileLabel, dosing }) {
+  return `Analyze this pool and reply with a single JSON object, no prose, in exactly this shape:
+{
+  "summary": "one or two sentences",
+  "issues": [{ "parameter": "pH|chlorine|alkalinity|...", "title": "...", "severity": "${ANALYSIS_SEVERITIES.join('|')}", "detail": "..." }],
+  "actions": [{ "description": "...", "priority": "${ACTION_PRIORITIES.join('|')}", "parameter": "...", "product": "<product id from the dosing plan>", "dose": { "amount": 0, "unit": "..." } }],
+  "causes": ["..."],
+  "prevention": ["..."],
+  "confidence": 0.0
+}
+Only include "product" and "dose" for products listed in the dosing plan, and use its amounts.
+
+Water Chemistry:
+${waterChemistry ? JSON.stringify(waterChemistry, null, 2) : 'No recent data available'}
+
+Target Ranges (${profileLabel}):
+${JSON.stringify(targetRanges, null, 2)}
+
+Dosing Plan:
+${dosing.adjustments.length > 0 || dosing.dilution.length > 0
+    ? JSON.stringify({ adjustments: dosing.adjustments, dilution: dosing.dilution }, null, 2)
+    : (dosing.notes[0] || 'No adjustments needed')}
+
+Reported Symptoms/Issues:
+${symptoms && symptoms.length > 0 ? symptoms.join(', ') : 'None reported'}
+
+Urgency Level: ${urgency}`;
+}
+
+// Analyze a pool with the configured LLM, falling back to the rules when AI
+// is off, the call fails, the user is out of quota or the reply is unusable
+async function analyzePool({
+  waterChemistry, symptoms = [], urgency = 'medium', targetRanges = resolveTargetRanges(),
+  profileLabel, volumeGallons, user
+}) {
+  const ruleInput = { waterChemistry, symptoms, targetRanges, volumeGallons };
+  if (!isAIEnabled('pool_analysis')) return buildRuleBasedAnalysis(ruleInput);
+
+  const dosing = calculateDosing(waterChemistry, targetRanges, volumeGallons);
+  let fallbackReason;
+
+  try {
+    const completion = await generateText('pool_analysis', {
+      system: 'You are a professional pool maintenance expert with 20+ years of experience. Provide practical, safe, and effective recommendations.',
+      prompt: buildAnalysisPrompt({ waterChemistry, symptoms, urgency, targetRanges, profileLabel, dosing }),
+      json: true,
+      user
+    });
+
+    const repaired = repairAnalysis(completion.data, dosing);
+    if (repaired) {
+      const reported = repaired.analysis.confidence !== undefined ? repaired.analysis.confidence : DEFAULT_AI_CONFIDENCE;
+      const confidence = Math.min(reported, MAX_AI_CONFIDENCE) - (repaired.repairs > 0 ? REPAIR_PENALTY : 0);
+
+      return {
+        ...repaired.analysis,
+        source: completion.provider,
+        model: completion.model,
+        confidence: Math.round(Math.max(0, confidence) * 100) / 100,
+        ...(repaired.repairs > 0 && { repairs: repaired.repairs })
+      };
+    }
+    fallbackReason = 'AI response did not match the analysis schema';
+  } catch (error) {
+    console.error('AI pool analysis failed:', error.message);
+    fallbackReason = error.statusCode === 429 ? error.message : 'AI service temporarily unavailable';
+  }
+
+  return { ...buildRuleBasedAnalysis(ruleInput), source: 'rule-based-fallback', fallbackReason };
+}
+
+export {
+  ANALYSIS_SEVERITIES,
+  ACTION_PRIORITIES,
+  analysisSchema,
+  buildRuleBasedAnalysis,
+  repairAnalysis,
+  analyzePool
+};
@@ -0,0 +1,223 @@
+import fs from 'fs';
+import path from 'path';
+import PDFDocument from 'pdfkit';
+import Pool from '../models/Pool.js';
+import MaintenanceLog from '../models/MaintenanceLog.js';
+import { getReadingHistory, getReadingsSince, countReadingsSince } from './waterChemistryService.js';
+import { analyzeTrends, getForecastRecommendation, describePrediction } from './chemistryTrendService.js';
+
+// Comprehensive pool reports, returned as JSON by the consulting API and
+// rendered to PDF in the background ("report.render" job)
+
+const REPORT_OUTPUT_PATH = process.env.REPORT_OUTPUT_PATH || './reports';
+
+// Returns null when the pool does not exist
+async function buildPoolReport(poolId, { days = 30 } = {}) {
+  const pool = await Pool.findById(poolId)
+    .populate('owner', 'firstName lastName email phone')
+    .populate('latestWaterChemistry.testedBy', 'firstName lastName');
+
+  if (!pool) return null;
+
+  // Get maintenance history
+  const cutoffDate = new Date();
+  cutoffDate.setDate(cutoffDate.getDate() - parseInt(days));
+
+  const maintenanceHistory = await MaintenanceLog.find({
+    pool: pool._id,
+    createdAt: { $gte: cutoffDate }
+  })
+  .populate('technician', 'firstName lastName')
+  .sort({ scheduledDate: -1 });
+
+  // Calculate statistics
+  const stats = {
+    totalMaintenance: maintenanceHistory.length,
+    completedMaintenance: maintenanceHistory.filter(m => m.status === 'completed').length,
+    avgQualityScore: maintenanceHistory.length > 0
+      ? maintenanceHistory.reduce((sum, m) => sum + (m.calculateQualityScore() || 0), 0) / maintenanceHistory.length
+      : 0,
+    issuesFound: maintenanceHistory.reduce((sum, m) => sum + m.issues.length, 0),
+    chemicalReadings: await countReadingsSince(pool._id, cutoffDate)
+  };
+
+  // Get water chemistry trends
+  const { readings: recentChemistry } = await getReadingHistory(pool._id, { from: cutoffDate, limit: 10 });
+  const trendReadings = await getReadingsSince(pool._id, cutoffDate);
+
+  // Generate recommendations
+  const recommendations = pool.getRecommendations();
+  const needsAttention = pool.needsAttention();
+
+  // Forecast when each parameter will leave its target range
+  const trends = analyzeTrends(trendReadings, pool.getTargetRanges());
+  const forecastRecommendation = getForecastRecommendation(trends);
+  if (forecastRecommendation) {
+    recommendations.push(forecastRecommendation);
+  }
+
+  // Equipment status summary
+  const equipmentSummary = pool.equipment.reduce((acc, eq) => {
+    acc[eq.status] = (acc[eq.status] || 0) + 1;
+    return acc;
+  }, {});
+
+  return {
+    pool: {
+      _id: pool._id,
+      name: pool.name,
+      type: pool.poolType,
+      owner: pool.owner,
+      address: pool.address,
+      dimensions: pool.dimensions,
+      chemistryProfile: pool.getChemistryProfileName(),
+      targetRanges: pool.getTargetRanges()
+    },
+    period: {
+      days: parseInt(days),
+      startDate: cutoffDate,
+      endDate: new Date()
+    },
+    statistics: stats,
+    currentStatus: {
+      needsAttention,
+      recommendations,
+      latestChemistry: pool.latestWaterChemistry,
+      waterBalance: pool.getWaterBalance(),
+      forecast: trends.nextOutOfRange,
+      equipmentSummary
+    },
+    history: {
+      maintenance: maintenanceHistory.map(m => ({
+        date: m.scheduledDate,
+        type: m.type,
+        status: m.status,
+        technician: m.technician,
+        qualityScore: m.calculateQualityScore(),
+        issuesFound: m.issues.length,
+        summary: m.generateSummary()
+      })),
+      waterChemistry: recentChemistry,
+      waterBalance: recentChemistry.map(reading => ({
+        testedAt: reading.testedAt,
+        ...pool.getWaterBalance(reading)
+      }))
+    },
+    trends
+  };
+}
+
+function formatDate(date) {
+  return date ? new Date(date).toISOString().slice(0, 10) : '-';
+}
+
+function writeHeading(doc, text) {
+  doc.moveDown().font('Helvetica-Bold').fontSize(13).text(text).font('Helvetica').fontSize(10).moveDown(0.3);
+}
+
+// Lay out the report as a PDF document
+function writeReport(doc, report) {
+  const { pool, period, statistics, currentStatus, history, trends } = report;
+
+  doc.font('Helvetica-Bold').fontSize(18).text(`Pool Report: ${pool.name}`);
+  doc.font('Helvetica').fontSize(10)
+    .text(`${formatDate(period.startDate)} to ${formatDate(period.endDate)} (${period.days} days)`)
+    .text(`Type: ${pool.type} | Chemistry profile: ${pool.chemistryProfile}`);
+  if (pool.owner) {
+    doc.text(`Owner: ${pool.owner.firstName} ${pool.owner.lastName}`);
+  }
+
+  writeHeading(doc, 'Summary');
+  doc.text(`Maintenance visits: ${statistics.completedMaintenance} completed of ${statistics.totalMaintenance}`)
+    .text(`Average quality score: ${Math.round(statistics.avgQualityScore)}`)
+    .text(`Issues found: ${statistics.issuesFound}`)
+    .text(`Chemistry readings: ${statistics.chemicalReadings}`)
+    .text(`Needs attention: ${currentStatus.needsAttention ? 'Yes' : 'No'}`);
+
+  writeHeading(doc, 'Latest Water Chemistry');
+  const latest = currentStatus.latestChemistry;
+  if (latest) {
+    doc.text(`Tested ${formatDate(latest.testedAt)}`);
+    Object.entries(pool.targetRanges).forEach(([parameter, range]) => {
+      if (typeof latest[parameter] !== 'number') return;
+      doc.text(`${parameter}: ${latest[parameter]} (target ${range.min}-${range.max})`);
+    });
+    if (currentStatus.waterBalance) {
+      doc.text(`Water balance: ${currentStatus.waterBalance.status} (LSI ${currentStatus.waterBalance.lsi})`);
+    }
+  } else {
+    doc.text('No readings recorded');
+  }
+
+  writeHeading(doc, 'Trends & Forecast');
+  const trendEntries = Object.values(trends.parameters);
+  if (trendEntries.length === 0) {
+    doc.text('Not enough readings to forecast');
+  }
+  trendEntries.forEach(trend => {
+    doc.text(`${trend.parameter}: ${trend.direction} - ${describePrediction(trend)}`);
+  });
+  if (trends.chlorineDemand.ppmPerDay !== null) {
+    doc.text(`Chlorine demand: ${trends.chlorineDemand.ppmPerDay} ppm/day`);
+  }
+
+  writeHeading(doc, 'Recommendations');
+  if (currentStatus.recommendations.length === 0) {
+    doc.text('No action needed');
+  }
+  currentStatus.recommendations.forEach(recommendation => {
+    doc.text(`• ${recommendation.message}${recommendation.priority ? ` (${recommendation.priority})` : ''}`);
+  });
+
+  writeHeading(doc, 'Maintenance History');
+  if (history.maintenance.length === 0) {
+    doc.text('No maintenance in this period');
+  }
+  history.maintenance.forEach(visit => {
+    const technician = visit.technician ? `${visit.technician.firstName} ${visit.technician.lastName}` : 'Unassigned';
+    doc.text(`${formatDate(visit.date)} - ${visit.type} (${visit.status}) - ${technician} - ${visit.issuesFound} issues`);
+  });
+}
+
+// Render a report to a PDF file and return where it was written
+async function renderPoolReportPdf(report, fileName) {
+  await fs.promises.mkdir(REPORT_OUTPUT_PATH, { recursive: true });
+  const filePath = path.join(REPORT_OUTPUT_PATH, fileName);
+
+  await new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+    const stream = fs.createWriteStream(filePath);
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+    doc.on('error', reject);
+
+    doc.pipe(stream);
+    writeReport(doc, report);
+    doc.end();
+  });
+
+  return filePath;
+}
+
+// "report.render" job: build the report and write it to a PDF
+async function renderPoolReport({ poolId, days = 30 }, { job, updateProgress = async () => {} } = {}) {
+  const report = await buildPoolReport(poolId, { days });
+
+  if (!report) {
+    const error = new Error(`Pool ${poolId} not found`);
+    error.retryable = false;
+    throw error;
+  }
+  await updateProgress(50, 'Report data collected');
+
+  const fileName = `pool-report-${poolId}-${job ? job._id : Date.now()}.pdf`;
+  const filePath = await renderPoolReportPdf(report, fileName);
+
+  return { poolId, fileName, filePath, generatedAt: new Date() };
+}
+
+export {
+  buildPoolReport,
+  renderPoolReportPdf,
+  renderPoolReport
+};
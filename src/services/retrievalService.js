@@ -0,0 +1,209 @@
+// Local search over small document sets: one pool's records plus the knowledge
+// base. Nothing leaves the server: each document becomes a feature-hashed
+// vector of its stemmed terms and term pairs (a cheap local embedding), and
+// results are ranked by a blend of BM25 keyword relevance and cosine similarity.
+
+const EMBEDDING_DIMENSIONS = 512;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// Share of the blended score that comes from BM25; the rest is vector similarity
+const KEYWORD_WEIGHT = 0.6;
+const PAIR_WEIGHT = 0.5;
+const DEFAULT_MIN_SCORE = 0.08;
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'again', 'all', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'before',
+  'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'doing', 'for', 'from', 'get', 'getting', 'got',
+  'had', 'has', 'have', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'keep', 'keeps', 'me', 'my',
+  'no', 'not', 'of', 'on', 'or', 'our', 'out', 'should', 'so', 'still', 'than', 'that', 'the', 'their', 'them',
+  'then', 'there', 'these', 'this', 'to', 'too', 'up', 'was', 'we', 'were', 'what', 'when', 'where', 'which',
+  'while', 'who', 'why', 'will', 'with', 'would', 'you', 'your'
+]);
+
+// Owners, technicians and articles use different words for the same thing;
+// each maps to one canonical term (matched on the raw word or its stem)
+const SYNONYMS = {
+  cloudy: 'turbid', cloudiness: 'turbid', murky: 'turbid', hazy: 'turbid', haze: 'turbid', milky: 'turbid',
+  turbidity: 'turbid', clarity: 'turbid',
+  green: 'algae', slime: 'algae', slimy: 'algae', mustard: 'algae',
+  fc: 'chlorine', sanitizer: 'chlorine', chlorinator: 'chlorine', shock: 'chlorine', bleach: 'chlorine',
+  cya: 'cyanuric', stabilizer: 'cyanuric', conditioner: 'cyanuric',
+  calcium: 'hardness', scale: 'scaling', scal: 'scaling', crust: 'scaling', etch: 'corrosive', etching: 'corrosive',
+  ta: 'alkalinity', alkaline: 'alkalinity',
+  acidic: 'ph', acid: 'ph',
+  motor: 'pump', impeller: 'pump', cartridge: 'filter', backwash: 'filter',
+  leak: 'leaking', leaking: 'leaking', dripping: 'leaking', losing: 'leaking',
+  heat: 'heater', heating: 'heater'
+};
+
+function stem(word) {
+  if (word.length <= 4) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('ing')) return word.slice(0, -3);
+  if (word.endsWith('ed')) return word.slice(0, -2);
+  if (word.endsWith('ly')) return word.slice(0, -2);
+  if (word.endsWith('es') && !word.endsWith('ses')) return word.slice(0, -2);
+  if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+function tokenize(text) {
+  if (!text) return [];
+
+  return String(text)
+    .toLowerCase()
+    .split(/[^a-z0-9.]+/)
+    .map(word => word.replace(/^\.+|\.+$/g, ''))
+    .filter(word => word && !STOP_WORDS.has(word) && !/^\d+(\.\d+)?$/.test(word))
+    .map(word => {
+      const stemmed = stem(word);
+      return SYNONYMS[word] || SYNONYMS[stemmed] || stemmed;
+    });
+}
+
+// 32-bit FNV-1a
+function hashTerm(term) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < term.length; i++) {
+    hash ^= term.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Feature-hashed term and term-pair vector, L2 normalized. The hash's top bit
+// picks the sign so collisions cancel out instead of piling up.
+function embedTerms(terms) {
+  const vector = new Float64Array(EMBEDDING_DIMENSIONS);
+  const features = new Map();
+
+  terms.forEach((term, i) => {
+    features.set(term, (features.get(term) || 0) + 1);
+    if (i > 0) {
+      const pair = `${terms[i - 1]}_${term}`;
+      features.set(pair, (features.get(pair) || 0) + PAIR_WEIGHT);
+    }
+  });
+
+  for (const [feature, count] of features) {
+    const hash = hashTerm(feature);
+    vector[hash % EMBEDDING_DIMENSIONS] += (hash & 0x80000000 ? -1 : 1) * (1 + Math.log(count));
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  if (norm > 0) {
+    for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+  }
+  return vector;
+}
+
+function embed(text) {
+  return embedTerms(tokenize(text));
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot;
+}
+
+// Tokenize and embed a document once so it can join any number of indexes.
+// The title counts twice towards its terms.
+function prepareDocument(document) {
+  const terms = tokenize(`${document.title || ''} ${document.title || ''} ${document.text || ''}`);
+  const termCounts = new Map();
+  for (const term of terms) termCounts.set(term, (termCounts.get(term) || 0) + 1);
+
+  return { ...document, terms: termCounts, length: terms.length, vector: embedTerms(terms) };
+}
+
+function createSearchIndex(documents) {
+  const prepared = documents.map(document => (document.vector ? document : prepareDocument(document)));
+  const documentFrequency = new Map();
+  for (const document of prepared) {
+    for (const term of document.terms.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+  const averageLength = prepared.reduce((sum, document) => sum + document.length, 0) / (prepared.length || 1);
+
+  function bm25(document, queryTerms) {
+    let score = 0;
+    for (const term of queryTerms) {
+      const frequency = document.terms.get(term);
+      if (!frequency) continue;
+      const df = documentFrequency.get(term);
+      const idf = Math.log(1 + (prepared.length - df + 0.5) / (df + 0.5));
+      score += idf * (frequency * (BM25_K1 + 1)) /
+        (frequency + BM25_K1 * (1 - BM25_B + BM25_B * document.length / (averageLength || 1)));
+    }
+    return score;
+  }
+
+  // boost(document) scales a result, e.g. to favor recent records
+  function search(query, { limit = 5, minScore = DEFAULT_MIN_SCORE, filter, boost } = {}) {
+    const queryTermList = tokenize(query);
+    if (!queryTermList.length) return [];
+
+    const queryTerms = [...new Set(queryTermList)];
+    const queryVector = embedTerms(queryTermList);
+    const candidates = filter ? prepared.filter(filter) : prepared;
+
+    const keywordScores = candidates.map(document => bm25(document, queryTerms));
+    const maxKeywordScore = Math.max(...keywordScores, 0);
+
+    return candidates
+      .map((document, i) => {
+        const keyword = maxKeywordScore > 0 ? keywordScores[i] / maxKeywordScore : 0;
+        const similarity = Math.max(cosineSimilarity(queryVector, document.vector), 0);
+        // Vector similarity alone only reorders; a result needs a shared term
+        if (keywordScores[i] === 0) return { document, score: 0 };
+        const score = (KEYWORD_WEIGHT * keyword + (1 - KEYWORD_WEIGHT) * similarity) *
+          (boost ? boost(document) : 1);
+        return { document, score: Math.round(score * 1000) / 1000 };
+      })
+      .filter(result => result.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  return { size: prepared.length, search };
+}
+
+// The whole text when short, otherwise the sentence (and those after it that
+// fit) sharing the most terms with the query
+function bestSnippet(text, query, maxLength = 280) {
+  if (!text) return '';
+
+  const normalized = String(text).replace(/\s+/g, ' ').trim();
+  if (normalized.length <= maxLength) return normalized;
+
+  const sentences = normalized.split(/(?<=[.!?])\s+/);
+  const queryTerms = new Set(tokenize(query));
+
+  let best = 0;
+  let bestScore = -1;
+  sentences.forEach((sentence, i) => {
+    const score = tokenize(sentence).filter(term => queryTerms.has(term)).length;
+    if (score > bestScore) {
+      best = i;
+      bestScore = score;
+    }
+  });
+
+  let snippet = sentences[best];
+  for (let i = best + 1; i < sentences.length && snippet.length + sentences[i].length < maxLength; i++) {
+    snippet += ` ${sentences[i]}`;
+  }
+  return snippet.length > maxLength ? `${snippet.slice(0, maxLength - 1).trimEnd()}…` : snippet;
+}
+
+export {
+  EMBEDDING_DIMENSIONS,
+  tokenize,
+  embed,
+  cosineSimilarity,
+  prepareDocument,
+  createSearchIndex,
+  bestSnippet
+};
@@ -0,0 +1,357 @@
+import axios from 'axios';
+import MaintenanceLog from '../models/MaintenanceLog.js';
+import User from '../models/User.js';
+import { parseTimeSlot } from './maintenanceScheduleService.js';
+import { startOfZonedDay, addZonedDays, setZonedTime } from './timeZoneService.js';
+
+// Daily route planning for technicians: orders a day's visits by drive time,
+// time windows from maintenanceSchedule.timeSlot and visit priority.
+// Drive times come from an OSRM-compatible table service when
+// ROUTING_SERVICE_URL is set, otherwise from straight-line distances. Clock
+// times are those of the business time zone (SCHEDULER_TIMEZONE).
+
+const ROUTING_SERVICE_URL = process.env.ROUTING_SERVICE_URL;
+const AVERAGE_SPEED_KMH = parseFloat(process.env.ROUTING_AVERAGE_SPEED_KMH) || 40;
+// Roads are longer than the straight line between two points
+const DETOUR_FACTOR = parseFloat(process.env.ROUTING_DETOUR_FACTOR) || 1.3;
+
+const EARTH_RADIUS_KM = 6371;
+const WORKDAY_START = 8 * 60;
+const WORKDAY_END = 18 * 60;
+const DEFAULT_SERVICE_MINUTES = 45;
+
+// How long after its start a time slot stays open, in minutes
+const SLOT_WINDOW_MINUTES = {
+  morning: 4 * 60,
+  afternoon: 4 * 60,
+  evening: 3 * 60
+};
+const TIME_WINDOW_MINUTES = 60;
+
+// Cost of each minute a stop waits to be served, so urgent visits go early
+const PRIORITY_WEIGHTS = {
+  low: 0,
+  normal: 0.05,
+  high: 0.5,
+  urgent: 2
+};
+// Idle minutes before a window opens count for half a drive minute
+const WAIT_COST = 0.5;
+const LATE_PENALTY = 10;
+
+function haversineKm(from, to) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+function hasCoordinates(point) {
+  return Boolean(point) && Number.isFinite(point.latitude) && Number.isFinite(point.longitude);
+}
+
+function getHaversineMatrix(points) {
+  const distances = points.map(from => points.map(to => haversineKm(from, to) * DETOUR_FACTOR));
+  return {
+    source: 'haversine',
+    distances,
+    durations: distances.map(row => row.map(km => km / AVERAGE_SPEED_KMH * 60))
+  };
+}
+
+async function getRoutingServiceMatrix(points) {
+  const coordinates = points.map(point => `${point.longitude},${point.latitude}`).join(';');
+  const response = await axios.get(
+    `${ROUTING_SERVICE_URL.replace(/\/$/, '')}/table/v1/driving/${coordinates}`,
+    { params: { annotations: 'duration,distance' }, timeout: 10000 }
+  );
+
+  if (response.data.code !== 'Ok') {
+    throw new Error(`Routing service returned ${response.data.code}`);
+  }
+
+  // Pairs the service cannot route between come back as null; those fall
+  // back to the straight-line estimate
+  const fallback = getHaversineMatrix(points);
+  return {
+    source: 'routing_service',
+    distances: response.data.distances.map((row, i) => row.map((meters, j) => (
+      meters == null ? fallback.distances[i][j] : meters / 1000
+    ))),
+    durations: response.data.durations.map((row, i) => row.map((seconds, j) => (
+      seconds == null ? fallback.durations[i][j] : seconds / 60
+    )))
+  };
+}
+
+// Drive distance (km) and time (minutes) between every pair of points
+async function getDistanceMatrix(points) {
+  if (ROUTING_SERVICE_URL && points.length > 1) {
+    try {
+      return await getRoutingServiceMatrix(points);
+    } catch (error) {
+      console.error('Routing service unavailable, using straight-line distances:', error.message);
+    }
+  }
+  return getHaversineMatrix(points);
+}
+
+// Arrival window in minutes after midnight for a pool's time slot
+function getTimeWindow(timeSlot) {
+  if (!timeSlot) return { start: WORKDAY_START, end: WORKDAY_END };
+
+  const [hours, minutes] = parseTimeSlot(timeSlot);
+  const start = hours * 60 + minutes;
+  const length = SLOT_WINDOW_MINUTES[timeSlot.trim().toLowerCase()] || TIME_WINDOW_MINUTES;
+  return { start, end: start + length };
+}
+
+// Expected time on site: task estimates, else the pool's recent average
+function getServiceMinutes(visit, averages) {
+  const estimated = visit.tasks.reduce((total, task) => total + (task.estimatedDuration || 0), 0);
+  if (estimated > 0) return estimated;
+  return averages.get(visit.pool._id.toString()) || DEFAULT_SERVICE_MINUTES;
+}
+
+// Walk a stop order from the depot (index 0 in the matrix), waiting for
+// windows to open and counting late arrivals
+function simulateRoute(order, stops, matrix, startMinutes, returnToStart) {
+  let clock = startMinutes;
+  let position = 0;
+  let cost = 0;
+  let distanceKm = 0;
+  let driveMinutes = 0;
+  const legs = [];
+
+  for (const index of order) {
+    const stop = stops[index];
+    const travelMinutes = matrix.durations[position][index + 1];
+    const arrival = clock + travelMinutes;
+    const serviceStart = Math.max(arrival, stop.window.start);
+    const late = Math.max(0, serviceStart - stop.window.end);
+
+    cost += travelMinutes +
+      (serviceStart - arrival) * WAIT_COST +
+      late * LATE_PENALTY +
+      (serviceStart - startMinutes) * PRIORITY_WEIGHTS[stop.priority];
+    distanceKm += matrix.distances[position][index + 1];
+    driveMinutes += travelMinutes;
+    legs.push({
+      travelMinutes,
+      distanceKm: matrix.distances[position][index + 1],
+      arrival,
+      serviceStart,
+      departure: serviceStart + stop.serviceMinutes,
+      late
+    });
+
+    clock = serviceStart + stop.serviceMinutes;
+    position = index + 1;
+  }
+
+  if (returnToStart && order.length > 0) {
+    cost += matrix.durations[position][0];
+    distanceKm += matrix.distances[position][0];
+    driveMinutes += matrix.durations[position][0];
+    clock += matrix.durations[position][0];
+  }
+
+  return { order, legs, cost, distanceKm, driveMinutes, end: clock };
+}
+
+// Greedy construction followed by 2-opt and single-stop relocation moves.
+// Days have a few dozen stops at most, so the cubic passes are cheap.
+function optimizeOrder(stops, matrix, startMinutes, returnToStart) {
+  const simulate = order => simulateRoute(order, stops, matrix, startMinutes, returnToStart);
+  const remaining = stops.map((stop, index) => index);
+  const order = [];
+
+  while (remaining.length > 0) {
+    let best = null;
+    for (const index of remaining) {
+      const candidate = simulateRoute([...order, index], stops, matrix, startMinutes, false);
+      if (!best || candidate.cost < best.cost) best = { index, cost: candidate.cost };
+    }
+    order.push(best.index);
+    remaining.splice(remaining.indexOf(best.index), 1);
+  }
+
+  let best = simulate(order);
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 0; i < order.length - 1; i++) {
+      for (let j = i + 1; j < order.length; j++) {
+        const candidate = simulate([
+          ...best.order.slice(0, i),
+          ...best.order.slice(i, j + 1).reverse(),
+          ...best.order.slice(j + 1)
+        ]);
+        if (candidate.cost < best.cost - 1e-6) {
+          best = candidate;
+          improved = true;
+        }
+      }
+    }
+
+    for (let i = 0; i < order.length; i++) {
+      for (let j = 0; j < order.length; j++) {
+        if (i === j) continue;
+        const moved = [...best.order];
+        moved.splice(j, 0, moved.splice(i, 1)[0]);
+        const candidate = simulate(moved);
+        if (candidate.cost < best.cost - 1e-6) {
+          best = candidate;
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return best;
+}
+
+// Instant `minutes` after the day's midnight on the local clock
+function toClockTime(date, minutes) {
+  return setZonedTime(date, 0, Math.round(minutes));
+}
+
+function round(value, decimals = 1) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+// Average minutes on site for each pool over its recent completed visits
+async function getAverageServiceMinutes(poolIds) {
+  const averages = await MaintenanceLog.aggregate([
+    { $match: { pool: { $in: poolIds }, status: 'completed', 'timeSpent.onSite': { $gt: 0 } } },
+    { $sort: { scheduledDate: -1 } },
+    { $group: { _id: '$pool', minutes: { $push: '$timeSpent.onSite' } } },
+    { $project: { average: { $avg: { $slice: ['$minutes', 5] } } } }
+  ]);
+  return new Map(averages.map(entry => [entry._id.toString(), Math.round(entry.average)]));
+}
+
+// Ordered stop list for a technician's day. The route starts from `start`
+// (coordinates) or the technician's address, at `startTime` ("HH:MM").
+async function planTechnicianRoute(technicianId, date, { start, startTime, returnToStart = true } = {}) {
+  const technician = await User.findById(technicianId).select('firstName lastName address');
+  if (!technician) return null;
+
+  const dayStart = startOfZonedDay(date);
+  const dayEnd = addZonedDays(dayStart, 1);
+
+  const visits = await MaintenanceLog.find({
+    technician: technicianId,
+    scheduledDate: { $gte: dayStart, $lt: dayEnd },
+    status: { $in: ['scheduled', 'in_progress'] }
+  })
+    .populate('pool', 'name address maintenanceSchedule')
+    .sort({ scheduledDate: 1 });
+
+  const averages = await getAverageServiceMinutes(visits.filter(visit => visit.pool).map(visit => visit.pool._id));
+  const unrouted = [];
+  const stops = [];
+
+  for (const visit of visits) {
+    // The pool was deleted after the visit was booked
+    if (!visit.pool) {
+      unrouted.push({ maintenanceId: visit._id, pool: null, reason: 'Pool no longer exists' });
+      continue;
+    }
+
+    const coordinates = visit.pool.address && visit.pool.address.coordinates;
+    if (!hasCoordinates(coordinates)) {
+      unrouted.push({ maintenanceId: visit._id, pool: { _id: visit.pool._id, name: visit.pool.name }, reason: 'Pool has no coordinates' });
+      continue;
+    }
+
+    stops.push({
+      visit,
+      coordinates,
+      priority: visit.type === 'emergency' ? 'urgent' : visit.priority,
+      window: getTimeWindow(visit.pool.maintenanceSchedule && visit.pool.maintenanceSchedule.timeSlot),
+      serviceMinutes: getServiceMinutes(visit, averages)
+    });
+  }
+
+  const depot = hasCoordinates(start)
+    ? start
+    : technician.address && hasCoordinates(technician.address.coordinates)
+      ? technician.address.coordinates
+      : stops.length > 0 ? stops[0].coordinates : null;
+
+  const [startHours, startMins] = startTime ? parseTimeSlot(startTime) : [WORKDAY_START / 60, 0];
+  const startMinutes = startHours * 60 + startMins;
+
+  const plan = {
+    technician,
+    date: dayStart,
+    source: null,
+    startLocation: depot,
+    startTime: toClockTime(dayStart, startMinutes),
+    stops: [],
+    unrouted,
+    totals: { stops: 0, distanceKm: 0, driveMinutes: 0, serviceMinutes: 0, lateStops: 0 }
+  };
+
+  if (stops.length === 0) return plan;
+
+  const matrix = await getDistanceMatrix([depot, ...stops.map(stop => stop.coordinates)]);
+  const route = optimizeOrder(stops, matrix, startMinutes, returnToStart);
+  // Visiting in booked order, for comparison
+  const booked = simulateRoute(stops.map((stop, index) => index), stops, matrix, startMinutes, returnToStart);
+
+  plan.source = matrix.source;
+  plan.stops = route.order.map((index, position) => {
+    const stop = stops[index];
+    const leg = route.legs[position];
+    return {
+      order: position + 1,
+      maintenanceId: stop.visit._id,
+      pool: {
+        _id: stop.visit.pool._id,
+        name: stop.visit.pool.name,
+        address: stop.visit.pool.address
+      },
+      type: stop.visit.type,
+      priority: stop.visit.priority,
+      timeWindow: {
+        start: toClockTime(dayStart, stop.window.start),
+        end: toClockTime(dayStart, stop.window.end)
+      },
+      travel: {
+        distanceKm: round(leg.distanceKm),
+        minutes: Math.round(leg.travelMinutes)
+      },
+      estimatedArrival: toClockTime(dayStart, leg.arrival),
+      waitMinutes: Math.round(leg.serviceStart - leg.arrival),
+      serviceMinutes: stop.serviceMinutes,
+      estimatedDeparture: toClockTime(dayStart, leg.departure),
+      lateMinutes: Math.round(leg.late)
+    };
+  });
+
+  plan.totals = {
+    stops: plan.stops.length,
+    distanceKm: round(route.distanceKm),
+    driveMinutes: Math.round(route.driveMinutes),
+    serviceMinutes: stops.reduce((total, stop) => total + stop.serviceMinutes, 0),
+    lateStops: plan.stops.filter(stop => stop.lateMinutes > 0).length,
+    estimatedFinish: toClockTime(dayStart, route.end),
+    bookedOrderDriveMinutes: Math.round(booked.driveMinutes)
+  };
+
+  return plan;
+}
+
+export {
+  haversineKm,
+  getDistanceMatrix,
+  getTimeWindow,
+  simulateRoute,
+  optimizeOrder,
+  planTechnicianRoute
+};
@@ -0,0 +1,67 @@
+import { defineTask } from './schedulerService.js';
+import { markOverdueMaintenance, sendMaintenanceReminders } from './maintenanceService.js';
+import { generateAllVisits } from './maintenanceScheduleService.js';
+import { expireIndemnityClauses, expireSponsorshipAgreements } from './agreementService.js';
+import { rollBillingDates } from './subscriptionService.js';
+import { runAlertSweep } from './chemistryAlertService.js';
+import { processOutbox } from './notificationService.js';
+import { markOverdueInvoices } from './billingService.js';
+import { chargeDueSubscriptions } from './paymentService.js';
+import { checkConsultationSla } from './consultationService.js';
+
+// Recurring tasks. Schedules are cron expressions in SCHEDULER_TIMEZONE.
+function registerScheduledTasks() {
+  const sweepMinutes = Math.min(parseInt(process.env.ALERT_SWEEP_INTERVAL_MINUTES) || 15, 59);
+
+  defineTask('maintenance.mark_overdue', '*/15 * * * *', () => markOverdueMaintenance(), {
+    description: 'Flag scheduled maintenance visits whose date has passed'
+  });
+
+  defineTask('maintenance.send_reminders', '0 * * * *', () => sendMaintenanceReminders(), {
+    description: 'Remind pool owners about upcoming maintenance visits'
+  });
+
+  defineTask('maintenance.generate_visits', '0 1 * * *', () => generateAllVisits(), {
+    description: 'Extend recurring maintenance visits over the scheduling horizon',
+    timeoutMinutes: 30
+  });
+
+  defineTask('agreements.expire', '15 0 * * *', async () => ({
+    indemnityClauses: await expireIndemnityClauses(),
+    sponsorshipAgreements: await expireSponsorshipAgreements()
+  }), {
+    description: 'Expire indemnity clauses and sponsorship agreements past their end dates'
+  });
+
+  defineTask('subscriptions.roll_billing', '30 0 * * *', () => rollBillingDates(), {
+    description: 'Expire premium subscriptions without auto-renewal at the end of their period'
+  });
+
+  defineTask('subscriptions.charge_renewals', '0 * * * *', () => chargeDueSubscriptions(), {
+    description: 'Charge premium subscriptions that are due and retry failed renewals',
+    timeoutMinutes: 30
+  });
+
+  defineTask('invoices.mark_overdue', '45 0 * * *', () => markOverdueInvoices(), {
+    description: 'Mark issued invoices past their due date as overdue'
+  });
+
+  defineTask('consultations.check_sla', '*/10 * * * *', () => checkConsultationSla(), {
+    description: 'Flag consultation requests past their response or resolution deadline and notify consultants'
+  });
+
+  defineTask('alerts.sweep', `*/${sweepMinutes} * * * *`, () => runAlertSweep(), {
+    description: 'Raise stale-reading alerts and escalate unacknowledged alerts'
+  });
+
+  defineTask('notifications.process_outbox', '* * * * *', async () => ({
+    processed: await processOutbox()
+  }), {
+    description: 'Retry outbox messages that could not be delivered immediately',
+    timeoutMinutes: 10
+  });
+}
+
+export {
+  registerScheduledTasks
+};
@@ -0,0 +1,151 @@
+import os from 'os';
+import cron from 'node-cron';
+import TaskRun from '../models/TaskRun.js';
+import { BUSINESS_TIMEZONE } from './timeZoneService.js';
+
+// Recurring tasks on cron schedules. Every instance runs the same schedule;
+// the TaskRun record created for each tick acts as a distributed lock so a
+// tick is executed by exactly one instance.
+
+const DEFAULT_TIMEOUT_MINUTES = 30;
+
+// Registered tasks by name
+const tasks = new Map();
+const cronJobs = [];
+
+const instanceId = `${os.hostname()}:${process.pid}`;
+
+function defineTask(name, schedule, handler, options = {}) {
+  if (!cron.validate(schedule)) {
+    throw new Error(`Invalid cron schedule for task ${name}: ${schedule}`);
+  }
+
+  tasks.set(name, {
+    name,
+    schedule,
+    handler,
+    description: options.description,
+    timeoutMinutes: options.timeoutMinutes || DEFAULT_TIMEOUT_MINUTES
+  });
+}
+
+// Cron ticks fire at most once a minute; all instances agree on the minute
+function getTickTime(date = new Date()) {
+  const tick = new Date(date);
+  tick.setSeconds(0, 0);
+  return tick;
+}
+
+// Runs left "running" by an instance that died are marked failed
+async function failInterruptedRuns(task) {
+  const cutoff = new Date(Date.now() - task.timeoutMinutes * 60 * 1000);
+
+  await TaskRun.updateMany(
+    { task: task.name, status: 'running', startedAt: { $lt: cutoff } },
+    { $set: { status: 'failed', finishedAt: new Date(), error: 'Run did not finish before its timeout' } }
+  );
+}
+
+// Record and execute one run of a task. Returns the TaskRun, or null when
+// another instance already claimed this tick.
+async function runTask(name, { trigger = 'schedule', scheduledFor, triggeredBy } = {}) {
+  const task = tasks.get(name);
+  if (!task) {
+    throw new Error(`Unknown scheduled task: ${name}`);
+  }
+
+  await failInterruptedRuns(task);
+
+  let run;
+  try {
+    run = await TaskRun.create({
+      task: name,
+      scheduledFor: scheduledFor || (trigger === 'manual' ? new Date() : getTickTime()),
+      trigger,
+      triggeredBy,
+      instance: instanceId
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  // Don't start while an earlier run of the same task is still going
+  const overlapping = await TaskRun.exists({
+    task: name,
+    status: 'running',
+    _id: { $ne: run._id },
+    startedAt: { $lte: run.startedAt }
+  });
+
+  if (overlapping) {
+    run.status = 'skipped';
+    run.finishedAt = new Date();
+    run.error = 'Previous run still in progress';
+    return run.save();
+  }
+
+  try {
+    run.result = await task.handler();
+    run.status = 'succeeded';
+  } catch (error) {
+    console.error(`Scheduled task ${name} failed:`, error);
+    run.status = 'failed';
+    run.error = error.message;
+  }
+
+  run.finishedAt = new Date();
+  run.durationMs = run.finishedAt - run.startedAt;
+  return run.save();
+}
+
+function startScheduler({ timezone = BUSINESS_TIMEZONE } = {}) {
+  if (cronJobs.length > 0) return;
+
+  for (const task of tasks.values()) {
+    cronJobs.push(cron.schedule(task.schedule, () => {
+      runTask(task.name).catch(error => console.error(`Scheduled task ${task.name} could not start:`, error));
+    }, { timezone }));
+  }
+
+  console.log(`⏰ Scheduler started with ${tasks.size} tasks`);
+}
+
+function stopScheduler() {
+  cronJobs.splice(0).forEach(job => job.stop());
+}
+
+// Registered tasks with their most recent run
+async function getTaskSummaries() {
+  const summaries = [];
+
+  for (const task of tasks.values()) {
+    const lastRun = await TaskRun.findOne({ task: task.name, status: { $ne: 'running' } })
+      .sort({ startedAt: -1 })
+      .select('status startedAt finishedAt durationMs error trigger');
+    const running = await TaskRun.exists({ task: task.name, status: 'running' });
+
+    summaries.push({
+      name: task.name,
+      schedule: task.schedule,
+      description: task.description,
+      running: Boolean(running),
+      lastRun
+    });
+  }
+
+  return summaries;
+}
+
+function hasTask(name) {
+  return tasks.has(name);
+}
+
+export {
+  defineTask,
+  runTask,
+  startScheduler,
+  stopScheduler,
+  getTaskSummaries,
+  hasTask
+};
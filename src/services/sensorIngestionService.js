@@ -0,0 +1,203 @@
+import Pool from '../models/Pool.js';
+import SensorDevice from '../models/SensorDevice.js';
+import WaterChemistryReading from '../models/WaterChemistryReading.js';
+import { updateLatestSnapshot, evaluateAlerts } from './waterChemistryService.js';
+
+// Batch ingestion of readings pushed by pool controllers and smart sensors
+
+const SENSOR_PARAMETERS = ['pH', 'orp', 'temperature', 'salt', 'chlorine'];
+
+const MAX_BATCH_SIZE = 500;
+
+// Readings stamped further in the future than this are rejected (device clock drift)
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Controllers that were offline may backfill up to this far
+const MAX_READING_AGE_DAYS = 30;
+
+// Values outside these limits (after normalization) are treated as probe faults
+const PLAUSIBLE_RANGES = {
+  pH: { min: 5, max: 10 },
+  orp: { min: 0, max: 1200 }, // mV
+  temperature: { min: 32, max: 115 }, // °F
+  salt: { min: 0, max: 10000 }, // ppm
+  chlorine: { min: 0, max: 20 } // ppm
+};
+
+// Conversions into the units readings are stored in
+const UNIT_CONVERSIONS = {
+  temperature: {
+    F: value => value,
+    C: value => value * 9 / 5 + 32
+  },
+  salt: {
+    'ppm': value => value,
+    'g/L': value => value * 1000,
+    'ppt': value => value * 1000
+  },
+  orp: {
+    mV: value => value,
+    V: value => value * 1000
+  }
+};
+
+function round(value, decimals = 2) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+function normalizeValue(parameter, value, unit) {
+  const conversions = UNIT_CONVERSIONS[parameter];
+  if (!conversions) return value;
+
+  const convert = conversions[unit];
+  if (!convert) return null;
+  return round(convert(value));
+}
+
+// Validate one raw reading; returns the normalized values or a rejection reason
+function normalizeReading(raw, defaultUnits = {}, now = new Date()) {
+  const testedAt = new Date(raw && raw.timestamp);
+  if (!raw || Number.isNaN(testedAt.getTime())) {
+    return { error: 'Missing or invalid timestamp' };
+  }
+  if (testedAt - now > MAX_CLOCK_SKEW_MS) {
+    return { error: 'Timestamp is in the future' };
+  }
+  if (now - testedAt > MAX_READING_AGE_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `Timestamp is older than ${MAX_READING_AGE_DAYS} days` };
+  }
+
+  const units = { ...defaultUnits, ...raw.units };
+  const values = {};
+  const filtered = [];
+
+  SENSOR_PARAMETERS.forEach(parameter => {
+    const value = raw[parameter];
+    if (value === undefined || value === null) return;
+
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      filtered.push({ parameter, value, reason: 'Not a number' });
+      return;
+    }
+
+    const normalized = normalizeValue(parameter, value, units[parameter]);
+    if (normalized === null) {
+      filtered.push({ parameter, value, reason: `Unsupported unit ${units[parameter]}` });
+      return;
+    }
+
+    const range = PLAUSIBLE_RANGES[parameter];
+    if (normalized < range.min || normalized > range.max) {
+      filtered.push({ parameter, value: normalized, reason: 'Outside plausible range' });
+      return;
+    }
+
+    values[parameter] = normalized;
+  });
+
+  if (Object.keys(values).length === 0) {
+    return { error: 'No plausible values in reading', filtered };
+  }
+
+  return { testedAt, values, filtered };
+}
+
+// Store a batch of readings from one device into its pool's chemistry history
+async function ingestReadings(device, rawReadings) {
+  const now = new Date();
+  const defaultUnits = device.toObject().units;
+  const rejected = [];
+  const filtered = [];
+  const seen = new Set();
+  const documents = [];
+  let duplicates = 0;
+
+  rawReadings.forEach((raw, index) => {
+    const result = normalizeReading(raw, defaultUnits, now);
+    (result.filtered || []).forEach(entry => filtered.push({ index, ...entry }));
+
+    if (result.error) {
+      rejected.push({ index, reason: result.error });
+      return;
+    }
+
+    // Same timestamp twice in one batch
+    const key = result.testedAt.getTime();
+    if (seen.has(key)) {
+      duplicates++;
+      return;
+    }
+    seen.add(key);
+
+    documents.push({
+      pool: device.pool,
+      device: device._id,
+      source: 'sensor',
+      testedAt: result.testedAt,
+      notes: raw.notes,
+      ...result.values
+    });
+  });
+
+  // Readings already stored from an earlier upload hit the device/timestamp unique index
+  let inserted = [];
+  if (documents.length > 0) {
+    try {
+      inserted = await WaterChemistryReading.insertMany(documents, { ordered: false });
+    } catch (error) {
+      const writeErrors = error.writeErrors || [];
+      if (writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== 11000)) {
+        throw error;
+      }
+      inserted = error.insertedDocs || [];
+      duplicates += writeErrors.length;
+    }
+  }
+
+  const ordered = [...inserted].sort((a, b) => a.testedAt - b.testedAt);
+  const newest = ordered[ordered.length - 1];
+
+  // Alert rules run on every reading in the order they were taken, so a
+  // spike in the middle of the batch is not hidden by later readings. The
+  // pool is loaded before its snapshot moves to the batch's newest reading;
+  // readings older than the snapshot it had are backfill and are skipped.
+  if (newest) {
+    const pool = await Pool.findById(device.pool);
+    await updateLatestSnapshot(device.pool, newest);
+    if (pool) {
+      for (const reading of ordered) {
+        await evaluateAlerts(pool, reading);
+      }
+    }
+  }
+
+  const update = {
+    $set: { lastSeenAt: now },
+    $inc: {
+      'stats.accepted': inserted.length,
+      'stats.duplicates': duplicates,
+      'stats.rejected': rejected.length
+    }
+  };
+  if (newest && (!device.lastReadingAt || newest.testedAt > device.lastReadingAt)) {
+    update.$set.lastReadingAt = newest.testedAt;
+  }
+  await SensorDevice.updateOne({ _id: device._id }, update);
+
+  return {
+    received: rawReadings.length,
+    accepted: inserted.length,
+    duplicates,
+    rejected,
+    filtered
+  };
+}
+
+export {
+  SENSOR_PARAMETERS,
+  MAX_BATCH_SIZE,
+  PLAUSIBLE_RANGES,
+  normalizeReading,
+  ingestReadings
+};
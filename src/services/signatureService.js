@@ -0,0 +1,221 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { getStorageDriver } from './storageDrivers.js';
+
+// Customer sign-off on completed visits. The signature image is stored with
+// a snapshot of what was signed (summary, chemicals, readings), the SHA-256
+// of both, and an HMAC over those hashes and the signing time. Changing the
+// stored image, the snapshot or the hashes breaks the HMAC, and comparing
+// the snapshot with the visit shows whether the visit was edited afterwards.
+
+const ALGORITHM = 'HMAC-SHA256';
+// Decoded signature images larger than this are refused
+const MAX_IMAGE_BYTES = 512 * 1024;
+const MAX_IMAGE_DIMENSION = 2000;
+
+// Fields a customer-signed visit may still change
+const EDITABLE_AFTER_SIGNING = ['customerFeedback', 'internalNotes'];
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function getSigningSecret() {
+  return process.env.SIGNATURE_SECRET || process.env.JWT_SECRET;
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// JSON with sorted keys and no undefined values, so equal records hash equally
+function canonicalize(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value.toHexString === 'function') return value.toHexString();
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value)
+      .filter(key => value[key] !== undefined && key !== '_id')
+      .sort()
+      .map(key => [key, canonicalize(value[key])]));
+  }
+  return value;
+}
+
+function toReading(reading) {
+  if (!reading || reading.pH === undefined) return null;
+  const { pH, chlorine, alkalinity, hardness, cyanuricAcid, temperature } = reading;
+  return { pH, chlorine, alkalinity, hardness, cyanuricAcid, temperature };
+}
+
+// What the customer signs off on
+function buildSignedPayload(visit) {
+  const data = visit.toObject();
+  // The quality score moves with customer feedback, which may follow signing
+  const { qualityScore, ...summary } = visit.generateSummary();
+
+  return canonicalize({
+    maintenanceId: visit._id,
+    pool: visit.pool._id || visit.pool,
+    technician: visit.technician._id || visit.technician,
+    scheduledDate: visit.scheduledDate,
+    completedAt: visit.actualEndTime,
+    summary,
+    chemicalsUsed: data.chemicalsUsed.map(({ product, name, amount, unit }) => ({ product, name, amount, unit })),
+    readings: {
+      before: toReading(data.waterChemistryBefore),
+      after: toReading(data.waterChemistryAfter)
+    }
+  });
+}
+
+function hashPayload(payload) {
+  return sha256(JSON.stringify(canonicalize(payload)));
+}
+
+function computeHmac({ payloadHash, imageHash, signedAt }) {
+  return crypto.createHmac('sha256', getSigningSecret())
+    .update(`${payloadHash}:${imageHash}:${new Date(signedAt).toISOString()}`)
+    .digest('hex');
+}
+
+// Decode a base64 data URL from a signature pad and normalize it to PNG
+async function decodeSignatureImage(dataUrl) {
+  const match = typeof dataUrl === 'string' && dataUrl.match(/^data:image\/(png|jpeg|webp);base64,([A-Za-z0-9+/=]+)$/);
+  if (!match) throw httpError('Signature must be a base64 PNG, JPEG or WebP data URL', 400);
+
+  const buffer = Buffer.from(match[2], 'base64');
+  if (buffer.length > MAX_IMAGE_BYTES) throw httpError('Signature image is too large', 400);
+
+  try {
+    const image = sharp(buffer, { limitInputPixels: MAX_IMAGE_DIMENSION * MAX_IMAGE_DIMENSION });
+    const { width, height } = await image.metadata();
+    if (width > MAX_IMAGE_DIMENSION || height > MAX_IMAGE_DIMENSION) throw new Error('Too large');
+    return await image.png().toBuffer();
+  } catch (error) {
+    throw httpError('Signature is not a readable image', 400);
+  }
+}
+
+// Record the customer's signature on a completed visit. The visit is saved.
+async function signVisit(visit, { image, signerName, capturedBy, location, ipAddress, userAgent }) {
+  if (visit.status !== 'completed') {
+    throw httpError('Only completed visits can be signed', 400);
+  }
+  if (visit.signature && visit.signature.signedAt) {
+    throw httpError('This visit has already been signed', 409);
+  }
+
+  const png = await decodeSignatureImage(image);
+  const driver = getStorageDriver();
+  const imageKey = `signatures/${visit.pool._id || visit.pool}/${visit._id}.png`;
+  await driver.put(imageKey, png, { contentType: 'image/png' });
+
+  const payload = buildSignedPayload(visit);
+  const signedAt = new Date();
+  const imageHash = sha256(png);
+  const payloadHash = hashPayload(payload);
+
+  visit.signature = {
+    signerName,
+    signedAt,
+    capturedBy,
+    storageDriver: driver.name,
+    imageKey,
+    imageHash,
+    payload,
+    payloadHash,
+    hmac: computeHmac({ payloadHash, imageHash, signedAt }),
+    algorithm: ALGORITHM,
+    location,
+    ipAddress,
+    userAgent
+  };
+  visit.signatureUrl = `/api/maintenance/${visit._id}/signature/image`;
+  await visit.save();
+
+  return visit.signature;
+}
+
+function openSignatureImage(visit) {
+  return getStorageDriver(visit.signature.storageDriver).createReadStream(visit.signature.imageKey);
+}
+
+async function readSignatureImage(visit) {
+  const chunks = [];
+  for await (const chunk of openSignatureImage(visit)) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+// Check a signed visit: the HMAC, the stored snapshot and image against
+// their hashes, and the snapshot against the visit as it is now
+async function verifySignature(visit) {
+  const signature = visit.signature;
+  if (!signature || !signature.signedAt) return { signed: false };
+
+  const expectedHmac = computeHmac(signature);
+  const hmacValid = expectedHmac.length === (signature.hmac || '').length &&
+    crypto.timingSafeEqual(Buffer.from(expectedHmac), Buffer.from(signature.hmac));
+  const payloadIntact = hashPayload(signature.payload) === signature.payloadHash;
+
+  let imageIntact = false;
+  try {
+    imageIntact = sha256(await readSignatureImage(visit)) === signature.imageHash;
+  } catch (error) {
+    // Missing image file counts as tampered
+  }
+
+  const current = buildSignedPayload(visit);
+  const changedSections = Object.keys(current)
+    .filter(key => JSON.stringify(current[key]) !== JSON.stringify(canonicalize(signature.payload)[key]));
+
+  return {
+    signed: true,
+    valid: hmacValid && payloadIntact && imageIntact,
+    hmacValid,
+    payloadIntact,
+    imageIntact,
+    matchesCurrentVisit: changedSections.length === 0,
+    changedSections
+  };
+}
+
+// Signature record for invoices and disputes
+async function getProofOfService(visit) {
+  const signature = visit.signature;
+  if (!signature || !signature.signedAt) return null;
+
+  return {
+    maintenanceId: visit._id,
+    signerName: signature.signerName,
+    signedAt: signature.signedAt,
+    capturedBy: signature.capturedBy,
+    location: signature.location,
+    signatureUrl: visit.signatureUrl,
+    payload: signature.payload,
+    payloadHash: signature.payloadHash,
+    imageHash: signature.imageHash,
+    hmac: signature.hmac,
+    algorithm: signature.algorithm,
+    verification: await verifySignature(visit)
+  };
+}
+
+function isSigned(visit) {
+  return Boolean(visit.signature && visit.signature.signedAt);
+}
+
+export {
+  EDITABLE_AFTER_SIGNING,
+  canonicalize,
+  buildSignedPayload,
+  hashPayload,
+  signVisit,
+  openSignatureImage,
+  verifySignature,
+  getProofOfService,
+  isSigned
+};
@@ -0,0 +1,59 @@
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+
+// File storage drivers. Each exposes `name`, `put(key, buffer, { contentType })`,
+// `createReadStream(key)` and `delete(key)`. Keys are relative paths such as
+// "photos/<poolId>/<photoId>/web.jpg"; an S3-compatible driver maps them to
+// object keys and is registered with registerStorageDriver().
+
+function createLocalStorageDriver(root = process.env.UPLOAD_PATH || './uploads') {
+  const baseDir = path.resolve(root);
+
+  // Keys never leave the upload directory
+  function resolveKey(key) {
+    const filePath = path.resolve(baseDir, key);
+    if (!filePath.startsWith(baseDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  return {
+    name: 'local',
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+      await fsPromises.writeFile(filePath, buffer);
+      return { key, size: buffer.length };
+    },
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+    async delete(key) {
+      await fsPromises.rm(resolveKey(key), { force: true });
+    }
+  };
+}
+
+// Drivers by name, created on first use (after dotenv has loaded)
+const drivers = {};
+
+function getStorageDriver(name = process.env.STORAGE_DRIVER || 'local') {
+  if (!drivers[name]) {
+    if (name !== 'local') throw new Error(`Storage driver not registered: ${name}`);
+    drivers[name] = createLocalStorageDriver();
+  }
+  return drivers[name];
+}
+
+// Add or replace a driver (e.g. S3-compatible object storage)
+function registerStorageDriver(name, driver) {
+  drivers[name] = driver;
+}
+
+export {
+  createLocalStorageDriver,
+  getStorageDriver,
+  registerStorageDriver
+};
@@ -0,0 +1,52 @@
+import { PremiumSubscription } from '../models/Premium.js';
+import { getZonedParts, zonedDate } from './timeZoneService.js';
+
+// Premium subscription billing periods
+
+const BILLING_PERIOD_MONTHS = {
+  monthly: 1,
+  quarterly: 3,
+  annually: 12
+};
+
+// Add one billing period, landing on the anchor day of the month (the date's
+// own day by default) or the month's last day when it is shorter. Anchoring
+// keeps Jan 31 -> Feb 28 -> Mar 31 instead of drifting to the 28th.
+function addBillingPeriod(date, frequency, anchorDay) {
+  const months = BILLING_PERIOD_MONTHS[frequency] || 1;
+  const { year, month, day, hours, minutes } = getZonedParts(date);
+  const lastDay = new Date(Date.UTC(year, month + months + 1, 0)).getUTCDate();
+
+  return zonedDate(year, month + months, Math.min(anchorDay || day, lastDay), hours, minutes);
+}
+
+// The day of month a subscription renews on: stored when it is created, or
+// its start date's day for subscriptions created before anchoring
+function getBillingAnchorDay(subscription) {
+  return subscription.billing.anchorDay || getZonedParts(subscription.startDate || subscription.createdAt || new Date()).day;
+}
+
+// Expire subscriptions without auto-renewal at the end of the period they
+// paid for. Auto-renewing subscriptions are charged for their next period
+// by chargeDueSubscriptions (paymentService).
+async function rollBillingDates(now = new Date()) {
+  const due = await PremiumSubscription.find({
+    status: 'active',
+    'billing.autoRenewal': false,
+    'billing.nextBillingDate': { $lte: now }
+  });
+
+  for (const subscription of due) {
+    subscription.status = 'expired';
+    subscription.endDate = subscription.billing.nextBillingDate;
+    await subscription.save();
+  }
+
+  return { expired: due.length };
+}
+
+export {
+  addBillingPeriod,
+  getBillingAnchorDay,
+  rollBillingDates
+};
@@ -0,0 +1,409 @@
+import MaintenanceLog from '../models/MaintenanceLog.js';
+import Pool from '../models/Pool.js';
+import SyncOperation from '../models/SyncOperation.js';
+import { getProduct } from './dosingService.js';
+import { recordReading } from './waterChemistryService.js';
+import { syncScheduleDates } from './maintenanceScheduleService.js';
+import { isSigned } from './signatureService.js';
+import { ensureWorkOrderNumber } from './billingService.js';
+
+// Offline sync for technician devices. Devices pull their visits, pools and
+// chemistry targets as a delta since a cursor, then push batches of edits.
+// Each edited field carries the value the device started from (`base`), so
+// a field the server has not touched is applied as is and a field edited on
+// both sides is resolved by the field's policy. Every operation has a
+// device-generated opId and is applied at most once.
+
+// Days of past and future visits kept on a device
+const SYNC_PAST_DAYS = parseInt(process.env.SYNC_PAST_DAYS) || 7;
+const SYNC_FUTURE_DAYS = parseInt(process.env.SYNC_FUTURE_DAYS) || 28;
+const MAX_WRITE_ATTEMPTS = 3;
+// An operation still processing after this long was abandoned (the server
+// stopped mid-request) and is applied again by the next retry
+const PROCESSING_TIMEOUT_SECONDS = parseInt(process.env.SYNC_PROCESSING_TIMEOUT_SECONDS) || 120;
+
+const POOL_FIELDS = 'name address poolType surfaceType dimensions specialInstructions maintenanceSchedule chemistryProfile latestWaterChemistry equipment updatedAt';
+
+// How a field edited both on the device and on the server is settled:
+// client - the technician on site wins (readings, times, task progress)
+// lifecycle - the further-along status wins; cancellations made in the office stand
+// append - both texts are kept
+const FIELD_POLICIES = {
+  status: 'lifecycle',
+  notes: 'append',
+  internalNotes: 'append',
+  'tasks.*.notes': 'append'
+};
+const DEFAULT_POLICY = 'client';
+
+const STATUS_RANK = { scheduled: 0, in_progress: 1, completed: 2 };
+
+// Arrays devices append to; entries are matched on clientId
+const APPENDABLE_ARRAYS = ['chemicalsUsed', 'issues', 'photos'];
+
+function encodeCursor(date) {
+  return Buffer.from(JSON.stringify({ t: date.toISOString() })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { t } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    const date = new Date(t);
+    if (Number.isNaN(date.getTime())) throw new Error('Invalid date');
+    return date;
+  } catch (error) {
+    const invalid = new Error('Invalid sync cursor');
+    invalid.statusCode = 400;
+    throw invalid;
+  }
+}
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Comparable form of a field value: dates as ISO strings, objects without
+// ids and with sorted keys, empty values as null
+function normalize(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value.toObject === 'function') return normalize(value.toObject());
+  if (Array.isArray(value)) return value.map(normalize);
+  if (typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => key !== '_id' && normalize(value[key]) !== null)
+      .sort()
+      .map(key => [key, normalize(value[key])]);
+    return entries.length > 0 ? Object.fromEntries(entries) : null;
+  }
+  if (typeof value === 'string' && !Number.isNaN(Date.parse(value)) && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    return new Date(value).toISOString();
+  }
+  return value;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+}
+
+// Policy for a field path, with task ids replaced by *
+function getPolicy(field) {
+  return FIELD_POLICIES[field.replace(/^tasks\.[^.]+\./, 'tasks.*.')] || DEFAULT_POLICY;
+}
+
+// Resolve a field path against a visit. Task fields are addressed by task id
+// ("tasks.<taskId>.status") and stored by array index.
+function resolveField(visit, field) {
+  const taskMatch = field.match(/^tasks\.([^.]+)\.(\w+)$/);
+  if (taskMatch) {
+    const index = visit.tasks.findIndex(task => task._id.toString() === taskMatch[1]);
+    if (index === -1) return null;
+    return { path: `tasks.${index}.${taskMatch[2]}`, current: visit.tasks[index][taskMatch[2]] };
+  }
+  return { path: field, current: visit.get(field) };
+}
+
+function resolveConflict(field, serverValue, clientValue) {
+  const policy = getPolicy(field);
+
+  if (policy === 'lifecycle') {
+    if (!(serverValue in STATUS_RANK)) return { resolution: 'server_wins', value: serverValue };
+    return STATUS_RANK[clientValue] > STATUS_RANK[serverValue]
+      ? { resolution: 'client_wins', value: clientValue }
+      : { resolution: 'server_wins', value: serverValue };
+  }
+
+  if (policy === 'append') {
+    if (!serverValue) return { resolution: 'client_wins', value: clientValue };
+    if (!clientValue) return { resolution: 'server_wins', value: serverValue };
+    return { resolution: 'merged', value: `${serverValue}\n\n${clientValue}` };
+  }
+
+  return { resolution: 'client_wins', value: clientValue };
+}
+
+// Fill catalog names and units for chemicals logged by product id
+function prepareAppendedItem(arrayName, item) {
+  if (arrayName !== 'chemicalsUsed' || !item.product) return item;
+  const product = getProduct(item.product);
+  return {
+    ...item,
+    name: item.name || (product ? product.name : undefined),
+    unit: item.unit || (product ? product.unit : undefined)
+  };
+}
+
+// Merge one device edit of a visit. The write is conditional on the visit's
+// updatedAt, so an edit that lands in between is merged on the next attempt.
+async function applyMaintenanceUpdate(user, operation) {
+  for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+    const visit = await MaintenanceLog.findById(operation.maintenanceId);
+    if (!visit) throw httpError('Maintenance log not found', 404);
+    if (!visit.technician.equals(user._id)) {
+      throw httpError('Access denied. You can only sync your own maintenance logs', 403);
+    }
+    if (isSigned(visit)) {
+      throw httpError('Visit has been signed by the customer and can no longer be changed', 423);
+    }
+    if (visit.workOrder && visit.workOrder.invoice) {
+      throw httpError('Visit has been invoiced and can no longer be changed', 423);
+    }
+
+    const set = {};
+    const applied = [];
+    const conflicts = [];
+
+    for (const change of operation.changes || []) {
+      const field = resolveField(visit, change.field);
+      if (!field) {
+        conflicts.push({ field: change.field, resolution: 'rejected', reason: 'Task no longer exists' });
+        continue;
+      }
+
+      // Already in place, e.g. a retry after a lost response
+      if (sameValue(field.current, change.value)) continue;
+
+      if (sameValue(field.current, change.base)) {
+        set[field.path] = change.value;
+        applied.push(change.field);
+        continue;
+      }
+
+      const { resolution, value } = resolveConflict(change.field, field.current, change.value);
+      if (resolution !== 'server_wins') set[field.path] = value;
+      conflicts.push({
+        field: change.field,
+        resolution,
+        serverValue: field.current,
+        clientValue: change.value,
+        value
+      });
+    }
+
+    const push = {};
+    const appended = {};
+    for (const arrayName of APPENDABLE_ARRAYS) {
+      const existing = new Set(visit[arrayName].map(item => item.clientId).filter(Boolean));
+      const items = ((operation.append || {})[arrayName] || [])
+        .filter(item => !existing.has(item.clientId))
+        .map(item => prepareAppendedItem(arrayName, item));
+      if (items.length > 0) {
+        push[arrayName] = { $each: items };
+        appended[arrayName] = items.length;
+      }
+    }
+
+    // Completion waits for required checklist items, as through the API
+    if (set.status === 'completed') {
+      const preview = MaintenanceLog.hydrate(visit.toObject());
+      Object.entries(set).forEach(([path, value]) => preview.set(path, value));
+      const blockers = preview.getCompletionBlockers();
+      if (blockers.length > 0) {
+        delete set.status;
+        const index = applied.indexOf('status');
+        if (index !== -1) applied.splice(index, 1);
+        conflicts.push({ field: 'status', resolution: 'rejected', reason: 'Checklist incomplete', blockers });
+      }
+    }
+
+    const completed = set.status === 'completed';
+
+    // Same derived fields as the model's save hook
+    const startedAt = set.actualStartTime || visit.actualStartTime;
+    if (completed && startedAt && !visit.actualEndTime && !set.actualEndTime) {
+      set.actualEndTime = new Date();
+    }
+    if ('timeSpent.travel' in set || 'timeSpent.onSite' in set) {
+      const travel = set['timeSpent.travel'] ?? visit.get('timeSpent.travel') ?? 0;
+      const onSite = set['timeSpent.onSite'] ?? visit.get('timeSpent.onSite') ?? 0;
+      set['timeSpent.total'] = travel + onSite;
+    }
+
+    if (Object.keys(set).length === 0 && Object.keys(push).length === 0) {
+      return { maintenanceId: visit._id, applied, conflicts, appended, maintenance: visit };
+    }
+
+    const update = {};
+    if (Object.keys(set).length > 0) update.$set = set;
+    if (Object.keys(push).length > 0) update.$push = push;
+
+    const result = await MaintenanceLog.updateOne(
+      { _id: visit._id, updatedAt: visit.updatedAt },
+      update,
+      { runValidators: true }
+    );
+    if (result.matchedCount === 0) continue;
+
+    const saved = await MaintenanceLog.findById(visit._id);
+
+    // Closing reading, as when a visit is completed through the API
+    if (completed && saved.waterChemistryAfter && normalize(saved.waterChemistryAfter) !== null) {
+      await recordReading(saved.pool, {
+        ...saved.toObject().waterChemistryAfter,
+        testedBy: user._id,
+        testedAt: saved.actualEndTime || new Date(),
+        notes: 'Recorded during maintenance',
+        source: 'maintenance',
+        maintenanceLog: saved._id
+      });
+    }
+    if (set.status) {
+      await syncScheduleDates(saved.pool);
+    }
+    if (completed) {
+      await ensureWorkOrderNumber(saved);
+    }
+
+    return { maintenanceId: saved._id, applied, conflicts, appended, maintenance: saved };
+  }
+
+  throw httpError('Maintenance log is being edited elsewhere; retry the operation', 409);
+}
+
+// A reading taken outside a visit, for a pool the technician services
+async function applyReading(user, operation) {
+  const servicesPool = await MaintenanceLog.exists({ pool: operation.poolId, technician: user._id }) ||
+    await Pool.exists({ _id: operation.poolId, assignedTechnician: user._id });
+  if (!servicesPool) throw httpError('Access denied. You do not service this pool', 403);
+
+  const reading = await recordReading(operation.poolId, {
+    ...operation.reading,
+    testedBy: user._id,
+    testedAt: operation.testedAt || new Date(),
+    source: 'manual'
+  });
+
+  return { readingId: reading._id };
+}
+
+const OPERATION_HANDLERS = {
+  'maintenance.update': applyMaintenanceUpdate,
+  'reading.record': applyReading
+};
+
+// Apply one operation at most once per opId
+async function applyOperation(user, deviceId, operation) {
+  let record;
+  try {
+    record = await SyncOperation.create({
+      user: user._id,
+      deviceId,
+      opId: operation.opId,
+      type: operation.type
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    const previous = await SyncOperation.findOne({ user: user._id, opId: operation.opId });
+    if (previous.status !== 'processing') {
+      return { opId: operation.opId, ...previous.result, status: previous.status, duplicate: true };
+    }
+
+    // Claim an abandoned operation; only one retry can win it
+    record = await SyncOperation.findOneAndUpdate(
+      {
+        _id: previous._id,
+        status: 'processing',
+        updatedAt: { $lt: new Date(Date.now() - PROCESSING_TIMEOUT_SECONDS * 1000) }
+      },
+      { $set: { deviceId }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!record) {
+      return { opId: operation.opId, status: 'pending', error: 'Operation is still being applied' };
+    }
+  }
+
+  try {
+    const result = await OPERATION_HANDLERS[operation.type](user, operation);
+    // The full document goes back to the device but is not kept
+    const { maintenance, ...stored } = result;
+
+    record.status = 'applied';
+    record.result = stored;
+    await record.save();
+
+    return { opId: operation.opId, ...result, status: 'applied' };
+  } catch (error) {
+    // Rejections are final; anything else may succeed on retry
+    const rejected = (error.statusCode && error.statusCode !== 409) ||
+      ['CastError', 'ValidationError'].includes(error.name);
+    if (rejected) {
+      record.status = 'rejected';
+      record.result = { error: error.message };
+      await record.save();
+      return { opId: operation.opId, status: 'rejected', error: error.message };
+    }
+
+    await SyncOperation.deleteOne({ _id: record._id });
+    return { opId: operation.opId, status: 'failed', error: error.message };
+  }
+}
+
+function toSyncPool(pool) {
+  return {
+    ...pool.toObject(),
+    chemistryProfileName: pool.getChemistryProfileName(),
+    targetRanges: pool.getTargetRanges()
+  };
+}
+
+// Visits, pools and chemistry targets changed since the cursor (everything
+// in the sync window when there is no cursor)
+async function pullChanges(user, { cursor } = {}) {
+  const since = cursor ? decodeCursor(cursor) : null;
+  // Taken before reading so nothing written during the pull is skipped
+  const serverTime = new Date();
+
+  const windowStart = new Date(serverTime);
+  windowStart.setDate(windowStart.getDate() - SYNC_PAST_DAYS);
+  const windowEnd = new Date(serverTime);
+  windowEnd.setDate(windowEnd.getDate() + SYNC_FUTURE_DAYS);
+
+  const visitQuery = {
+    technician: user._id,
+    scheduledDate: { $gte: windowStart, $lte: windowEnd }
+  };
+  if (since) visitQuery.updatedAt = { $gt: since };
+
+  const visits = await MaintenanceLog.find(visitQuery).sort({ scheduledDate: 1 });
+
+  // Pools of changed visits, plus pools edited since the cursor
+  const windowPoolIds = since
+    ? await MaintenanceLog.distinct('pool', { technician: user._id, scheduledDate: { $gte: windowStart, $lte: windowEnd } })
+    : [];
+  const poolQuery = since
+    ? { $or: [{ _id: { $in: visits.map(visit => visit.pool) } }, { _id: { $in: windowPoolIds }, updatedAt: { $gt: since } }] }
+    : { _id: { $in: visits.map(visit => visit.pool) } };
+  const pools = await Pool.find(poolQuery).select(POOL_FIELDS);
+
+  // Visits handed to another technician since the last pull
+  const removed = since
+    ? await MaintenanceLog.find({
+      technician: { $ne: user._id },
+      'assignmentHistory.previousTechnician': user._id,
+      updatedAt: { $gt: since }
+    }).distinct('_id')
+    : [];
+
+  return {
+    cursor: encodeCursor(serverTime),
+    full: !since,
+    window: { start: windowStart, end: windowEnd },
+    maintenance: visits,
+    pools: pools.map(toSyncPool),
+    removed: { maintenance: removed }
+  };
+}
+
+export {
+  FIELD_POLICIES,
+  encodeCursor,
+  decodeCursor,
+  resolveConflict,
+  applyMaintenanceUpdate,
+  applyOperation,
+  pullChanges
+};
@@ -0,0 +1,116 @@
+// Calendar math in the business time zone (SCHEDULER_TIMEZONE), whatever
+// the server's own zone is. Days are represented by the instant they start
+// in that zone; month is 0-based and weekday 0 = Sunday, as with Date.
+
+const BUSINESS_TIMEZONE = process.env.SCHEDULER_TIMEZONE || 'America/Los_Angeles';
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+// Wall-clock fields of an instant in the zone
+function getZonedParts(date, timeZone = BUSINESS_TIMEZONE) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(date))) {
+    parts[type] = value;
+  }
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month) - 1,
+    day: parseInt(parts.day),
+    hours: parseInt(parts.hour),
+    minutes: parseInt(parts.minute),
+    seconds: parseInt(parts.second),
+    weekday: WEEKDAY_INDEX[parts.weekday]
+  };
+}
+
+// How far the zone's wall clock is ahead of UTC at an instant
+function getTimeZoneOffset(date, timeZone = BUSINESS_TIMEZONE) {
+  const time = Math.floor(new Date(date).getTime() / 1000) * 1000;
+  const parts = getZonedParts(time, timeZone);
+  return Date.UTC(parts.year, parts.month, parts.day, parts.hours, parts.minutes, parts.seconds) - time;
+}
+
+// The instant a wall-clock time occurs in the zone. Out-of-range fields roll
+// over like the Date constructor's (day 0 is the previous month's last day).
+// A time skipped by a DST change lands just after it; one that occurs twice
+// is the first.
+function zonedDate(year, month, day = 1, hours = 0, minutes = 0, timeZone = BUSINESS_TIMEZONE) {
+  const wallTime = Date.UTC(year, month, day, hours, minutes);
+  const first = wallTime - getTimeZoneOffset(wallTime, timeZone);
+  const second = wallTime - getTimeZoneOffset(first, timeZone);
+  return new Date(getTimeZoneOffset(second, timeZone) === wallTime - second ? second : Math.max(first, second));
+}
+
+function startOfZonedDay(date, timeZone = BUSINESS_TIMEZONE) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return zonedDate(year, month, day, 0, 0, timeZone);
+}
+
+// Same wall-clock time `days` calendar days later (not always 24h apart)
+function addZonedDays(date, days, timeZone = BUSINESS_TIMEZONE) {
+  const { year, month, day, hours, minutes } = getZonedParts(date, timeZone);
+  return zonedDate(year, month, day + days, hours, minutes, timeZone);
+}
+
+// The day's instant at a wall-clock time
+function setZonedTime(date, hours, minutes, timeZone = BUSINESS_TIMEZONE) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return zonedDate(year, month, day, hours, minutes, timeZone);
+}
+
+// The day a user-entered date means. Dates given without a time
+// (YYYY-MM-DD) arrive as UTC midnight, which is the evening before in the
+// Americas, so those keep the day as written.
+function toCalendarDay(date, timeZone = BUSINESS_TIMEZONE) {
+  const d = new Date(date);
+  if (d.getUTCHours() === 0 && d.getUTCMinutes() === 0 && d.getUTCSeconds() === 0 && d.getUTCMilliseconds() === 0) {
+    return zonedDate(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), 0, 0, timeZone);
+  }
+  return startOfZonedDay(d, timeZone);
+}
+
+// Calendar days from one date to another
+function zonedDaysBetween(from, to, timeZone = BUSINESS_TIMEZONE) {
+  const a = getZonedParts(from, timeZone);
+  const b = getZonedParts(to, timeZone);
+  return Math.round((Date.UTC(b.year, b.month, b.day) - Date.UTC(a.year, a.month, a.day)) / MS_PER_DAY);
+}
+
+// Calendar day as YYYY-MM-DD
+function toDateKey(date, timeZone = BUSINESS_TIMEZONE) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+export {
+  BUSINESS_TIMEZONE,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedDate,
+  startOfZonedDay,
+  addZonedDays,
+  setZonedTime,
+  toCalendarDay,
+  zonedDaysBetween,
+  toDateKey
+};
@@ -0,0 +1,183 @@
+// Water balance engine - Langelier (LSI) and Calcite (CSI) saturation indices
+
+// Saturation index bands used to classify a reading
+const BALANCE_THRESHOLDS = {
+  corrosive: -0.3,
+  scaling: 0.3,
+  severe: 0.6
+};
+
+// LSI temperature factor table (degrees Fahrenheit -> factor)
+const TEMPERATURE_FACTORS = [
+  [32, 0.0],
+  [37, 0.1],
+  [46, 0.2],
+  [53, 0.3],
+  [60, 0.4],
+  [66, 0.5],
+  [76, 0.6],
+  [84, 0.7],
+  [94, 0.8],
+  [105, 0.9],
+  [128, 1.0]
+];
+
+// Typical fill-water TDS when no measurement is available; salt adds on top
+const DEFAULT_TDS = 500;
+
+function fahrenheitToCelsius(temperature) {
+  return (temperature - 32) * 5 / 9;
+}
+
+// Linear interpolation over the temperature factor table
+function getTemperatureFactor(temperature) {
+  const first = TEMPERATURE_FACTORS[0];
+  const last = TEMPERATURE_FACTORS[TEMPERATURE_FACTORS.length - 1];
+
+  if (temperature <= first[0]) return first[1];
+  if (temperature >= last[0]) return last[1];
+
+  for (let i = 1; i < TEMPERATURE_FACTORS.length; i++) {
+    const [upperTemp, upperFactor] = TEMPERATURE_FACTORS[i];
+    if (temperature <= upperTemp) {
+      const [lowerTemp, lowerFactor] = TEMPERATURE_FACTORS[i - 1];
+      const ratio = (temperature - lowerTemp) / (upperTemp - lowerTemp);
+      return lowerFactor + ratio * (upperFactor - lowerFactor);
+    }
+  }
+
+  return last[1];
+}
+
+// Cyanuric acid contributes to total alkalinity but not to carbonate buffering
+function getCarbonateAlkalinity(alkalinity, cyanuricAcid = 0, pH) {
+  const cyaAlkalinity = 0.38772 * cyanuricAcid / (1 + Math.pow(10, 6.83 - pH));
+  return Math.max(alkalinity - cyaAlkalinity, 1);
+}
+
+function round(value, decimals = 2) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+function hasBalanceInputs(reading) {
+  if (!reading) return false;
+  return ['pH', 'alkalinity', 'hardness', 'temperature'].every(field =>
+    typeof reading[field] === 'number' && !Number.isNaN(reading[field])
+  );
+}
+
+// Classic Langelier Saturation Index
+function calculateLSI(reading) {
+  if (!hasBalanceInputs(reading) || reading.hardness <= 0) return null;
+
+  const { pH, alkalinity, hardness, temperature, cyanuricAcid = 0 } = reading;
+  const tds = reading.tds || (reading.salt ? reading.salt + DEFAULT_TDS : DEFAULT_TDS);
+
+  const carbonateAlkalinity = getCarbonateAlkalinity(alkalinity, cyanuricAcid, pH);
+  const temperatureFactor = getTemperatureFactor(temperature);
+  const calciumFactor = Math.log10(hardness) - 0.4;
+  const alkalinityFactor = Math.log10(carbonateAlkalinity);
+  const tdsConstant = tds > 1000 ? 12.2 : 12.1;
+
+  return round(pH + temperatureFactor + calciumFactor + alkalinityFactor - tdsConstant);
+}
+
+// Calcite Saturation Index - accounts for ionic strength, so it stays
+// accurate for salt pools and very hard water where LSI drifts
+function calculateCSI(reading) {
+  if (!hasBalanceInputs(reading) || reading.hardness <= 0) return null;
+
+  const { pH, alkalinity, hardness, temperature, cyanuricAcid = 0, salt = 0 } = reading;
+
+  const carbonateAlkalinity = getCarbonateAlkalinity(alkalinity, cyanuricAcid, pH);
+  const extraSalt = Math.max(salt - 1.1678 * hardness, 0);
+  const ionicStrength = (1.5 * hardness + alkalinity) / 50045 + extraSalt / 58440;
+  const sqrtIonic = Math.sqrt(ionicStrength);
+  const temperatureKelvin = fahrenheitToCelsius(temperature) + 273.15;
+
+  return round(
+    pH - 11.677 +
+    Math.log10(hardness) +
+    Math.log10(carbonateAlkalinity) -
+    2.56 * sqrtIonic / (1 + 1.65 * sqrtIonic) -
+    1412.5 / temperatureKelvin +
+    4.7375
+  );
+}
+
+function classifySaturationIndex(index) {
+  if (index === null || index === undefined) return 'unknown';
+  if (index < BALANCE_THRESHOLDS.corrosive) return 'corrosive';
+  if (index > BALANCE_THRESHOLDS.scaling) return 'scaling';
+  return 'balanced';
+}
+
+function getBalanceSeverity(index) {
+  if (index === null || index === undefined) return null;
+  const magnitude = Math.abs(index);
+  if (magnitude > BALANCE_THRESHOLDS.severe) return 'high';
+  if (magnitude > BALANCE_THRESHOLDS.scaling) return 'medium';
+  return 'low';
+}
+
+// Full water balance analysis for a single reading
+function analyzeWaterBalance(reading) {
+  const lsi = calculateLSI(reading);
+  if (lsi === null) return null;
+
+  const csi = calculateCSI(reading);
+  // CSI is the more accurate index, so it drives the classification
+  const index = csi !== null ? csi : lsi;
+
+  return {
+    lsi,
+    csi,
+    status: classifySaturationIndex(index),
+    severity: getBalanceSeverity(index),
+    carbonateAlkalinity: round(
+      getCarbonateAlkalinity(reading.alkalinity, reading.cyanuricAcid || 0, reading.pH),
+      0
+    ),
+    calculatedAt: new Date()
+  };
+}
+
+// Human-readable recommendation for an out-of-balance reading
+function getBalanceRecommendation(balance, reading) {
+  if (!balance || balance.status === 'balanced' || balance.status === 'unknown') {
+    return null;
+  }
+
+  const priority = balance.severity === 'high' ? 'high' : 'medium';
+
+  if (balance.status === 'scaling') {
+    const hardWater = reading && reading.hardness > 400;
+    return {
+      type: 'chemical',
+      category: 'water_balance',
+      message: `Water is scale-forming (LSI ${balance.lsi}, CSI ${balance.csi}). ` +
+        (hardWater
+          ? 'Calcium hardness is high - lower pH toward 7.2-7.4 and alkalinity toward 80 ppm, and consider a partial drain and refill.'
+          : 'Lower pH and total alkalinity with muriatic acid to prevent scale on tile and equipment.'),
+      priority
+    };
+  }
+
+  return {
+    type: 'chemical',
+    category: 'water_balance',
+    message: `Water is corrosive (LSI ${balance.lsi}, CSI ${balance.csi}). ` +
+      'Raise pH, total alkalinity or calcium hardness to protect plaster, grout and metal equipment.',
+    priority
+  };
+}
+
+export {
+  BALANCE_THRESHOLDS,
+  calculateLSI,
+  calculateCSI,
+  classifySaturationIndex,
+  analyzeWaterBalance,
+  getBalanceRecommendation
+};
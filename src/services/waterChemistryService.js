@@ -0,0 +1,195 @@
+import mongoose from 'mongoose';
+import Pool from '../models/Pool.js';
+import WaterChemistryReading, { CHEMISTRY_PARAMETERS } from '../models/WaterChemistryReading.js';
+import { analyzeWaterBalance } from './waterBalanceService.js';
+import { processReading } from './chemistryAlertService.js';
+
+// Water chemistry readings live in their own collection; the pool keeps a
+// snapshot of the newest one so its evaluators stay synchronous
+
+const DEFAULT_HISTORY_DAYS = 30;
+const MAX_PAGE_SIZE = 500;
+
+function getPoolId(pool) {
+  return pool && pool._id ? pool._id : pool;
+}
+
+// Build the pool snapshot for a new reading. Values the reading lacks (a
+// sensor reporting only ORP or temperature) are kept from the previous
+// snapshot with the time they were measured, so pH and chlorine checks keep
+// working. Only tests that are not sensor readings move lastManualTestAt.
+function mergeSnapshot(previous, snapshot) {
+  const merged = { ...snapshot, measuredAt: {} };
+
+  CHEMISTRY_PARAMETERS.forEach(parameter => {
+    if (merged[parameter] !== undefined && merged[parameter] !== null) {
+      merged.measuredAt[parameter] = merged.testedAt;
+    } else if (previous && previous[parameter] !== undefined && previous[parameter] !== null) {
+      merged[parameter] = previous[parameter];
+      merged.measuredAt[parameter] = (previous.measuredAt && previous.measuredAt[parameter]) || previous.testedAt;
+    }
+  });
+
+  if (merged.source !== 'sensor') {
+    merged.lastManualTestAt = merged.testedAt;
+  } else if (previous) {
+    merged.lastManualTestAt = previous.lastManualTestAt || (previous.source !== 'sensor' ? previous.testedAt : undefined);
+  }
+
+  merged.waterBalance = analyzeWaterBalance(merged) || undefined;
+  return merged;
+}
+
+// Point the pool snapshot at a reading unless a newer one is already stored
+async function updateLatestSnapshot(poolId, reading) {
+  const current = await Pool.findById(poolId).select('latestWaterChemistry').lean();
+  const snapshot = mergeSnapshot(current && current.latestWaterChemistry, reading.toSnapshot());
+
+  await Pool.updateOne(
+    {
+      _id: poolId,
+      $or: [
+        { latestWaterChemistry: null },
+        { 'latestWaterChemistry.testedAt': { $lte: reading.testedAt } }
+      ]
+    },
+    { $set: { latestWaterChemistry: snapshot } }
+  );
+
+  return snapshot;
+}
+
+// Run the alert rules for a stored reading. The reading is already saved, so a
+// rules failure is logged rather than failing the request and inviting a retry.
+async function evaluateAlerts(pool, reading) {
+  try {
+    return await processReading(pool, reading);
+  } catch (error) {
+    console.error('Chemistry alert evaluation failed:', error);
+    return [];
+  }
+}
+
+// Store a reading, refresh the pool's latest snapshot and evaluate alert rules
+async function recordReading(pool, data) {
+  const poolId = getPoolId(pool);
+  const reading = await WaterChemistryReading.create({
+    testedAt: new Date(),
+    ...data,
+    pool: poolId
+  });
+
+  const snapshot = await updateLatestSnapshot(poolId, reading);
+  await evaluateAlerts(pool, reading);
+
+  // Keep an in-memory pool document in step with the stored snapshot
+  if (pool instanceof mongoose.Document) {
+    const current = pool.latestWaterChemistry;
+    if (!current || new Date(current.testedAt) <= reading.testedAt) {
+      pool.latestWaterChemistry = snapshot;
+    }
+  }
+
+  return reading;
+}
+
+// Resolve from/to/days query options into a date range
+function resolveDateRange({ from, to, days } = {}) {
+  if (from || to) {
+    return { from: from ? new Date(from) : undefined, to: to ? new Date(to) : undefined };
+  }
+
+  const cutoffDate = new Date();
+  cutoffDate.setDate(cutoffDate.getDate() - (parseInt(days) || DEFAULT_HISTORY_DAYS));
+  return { from: cutoffDate };
+}
+
+function getReadingHistory(pool, options = {}) {
+  const { source, cursor, limit = 10, populate } = options;
+  const pageSize = Math.min(Math.max(parseInt(limit) || 10, 1), MAX_PAGE_SIZE);
+
+  return WaterChemistryReading.findHistory(getPoolId(pool), {
+    ...resolveDateRange(options),
+    source,
+    cursor,
+    limit: pageSize,
+    populate
+  });
+}
+
+// All readings in a window, oldest first, for trend and report calculations
+function getReadingsSince(pool, since, options = {}) {
+  let query = WaterChemistryReading.find({ pool: getPoolId(pool), testedAt: { $gte: since } })
+    .sort({ testedAt: 1 });
+
+  if (options.populate) {
+    query = query.populate('testedBy', 'firstName lastName');
+  }
+
+  return query;
+}
+
+function countReadingsSince(pool, since) {
+  return WaterChemistryReading.countDocuments({ pool: getPoolId(pool), testedAt: { $gte: since } });
+}
+
+// Move readings still embedded in a pool document into the readings collection.
+// Embedded _ids are kept so re-running after a partial failure is safe. The
+// embedded copy is only removed once every reading is in the collection;
+// readings that fail validation are reported and left in place to fix by hand.
+async function migrateEmbeddedReadings(rawPool) {
+  const embedded = rawPool.waterChemistry || [];
+  const documents = [];
+  const skipped = [];
+  let inserted = 0;
+  let duplicates = 0;
+
+  for (const reading of embedded) {
+    const document = new WaterChemistryReading({
+      ...reading,
+      pool: rawPool._id,
+      source: reading.source || 'migration'
+    });
+    const validationError = document.validateSync();
+    if (validationError) {
+      skipped.push({ _id: reading._id, testedAt: reading.testedAt, error: validationError.message });
+    } else {
+      documents.push(document);
+    }
+  }
+
+  if (documents.length > 0) {
+    try {
+      const result = await WaterChemistryReading.insertMany(documents, { ordered: false, throwOnValidationError: true });
+      inserted = result.length;
+    } catch (error) {
+      // Duplicate keys mean the reading was copied by an earlier run
+      const writeErrors = error.writeErrors || [];
+      if (writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== 11000)) {
+        throw error;
+      }
+      duplicates = writeErrors.length;
+      inserted = error.insertedDocs ? error.insertedDocs.length : documents.length - duplicates;
+    }
+  }
+
+  const complete = inserted + duplicates === embedded.length;
+  const latest = await WaterChemistryReading.findOne({ pool: rawPool._id }).sort({ testedAt: -1, _id: -1 });
+  const update = { $set: { latestWaterChemistry: latest ? mergeSnapshot(null, latest.toSnapshot()) : null } };
+  if (complete) update.$unset = { waterChemistry: '' };
+
+  await Pool.collection.updateOne({ _id: rawPool._id }, update);
+
+  return { pool: rawPool._id, embedded: embedded.length, inserted, duplicates, skipped, complete };
+}
+
+export {
+  DEFAULT_HISTORY_DAYS,
+  updateLatestSnapshot,
+  evaluateAlerts,
+  recordReading,
+  getReadingHistory,
+  getReadingsSince,
+  countReadingsSince,
+  migrateEmbeddedReadings
+};
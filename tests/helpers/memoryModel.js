@@ -0,0 +1,286 @@
+import { jest } from '@jest/globals';
+
+// In-memory stand-ins for the Mongoose model statics services use, so service
+// tests run without a database. Documents are kept as plain objects. Queries
+// support equality, $in, $nin, $ne, $lt, $lte, $gt, $gte, $exists, $or and
+// simple $expr on dotted paths; updates support $set (including `$[]`),
+// $unset, $inc and $push (with $each and $slice).
+
+function isObjectId(value) {
+  return value && value._bsontype === 'ObjectId';
+}
+
+function clone(value) {
+  if (value instanceof Date) return new Date(value);
+  if (isObjectId(value)) return value;
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, clone(entry)]));
+  }
+  return value;
+}
+
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function setPath(object, path, value) {
+  const [key, ...rest] = path.split('.');
+  if (key === '$[]') {
+    (object || []).forEach(entry => setPath(entry, rest.join('.'), value));
+    return;
+  }
+  if (rest.length === 0) {
+    object[key] = clone(value);
+    return;
+  }
+  if (object[key] == null || typeof object[key] !== 'object') object[key] = {};
+  setPath(object[key], rest.join('.'), value);
+}
+
+function unsetPath(object, path) {
+  const keys = path.split('.');
+  const parent = keys.length === 1 ? object : getPath(object, keys.slice(0, -1).join('.'));
+  if (parent) delete parent[keys[keys.length - 1]];
+}
+
+function comparable(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+function same(a, b) {
+  if (a == null || b == null) return a == null && b == null;
+  if (a instanceof Date || b instanceof Date) return new Date(a).getTime() === new Date(b).getTime();
+  return String(a) === String(b);
+}
+
+const OPERATORS = {
+  $in: (value, list) => list.some(entry => same(value, entry)),
+  $nin: (value, list) => !list.some(entry => same(value, entry)),
+  $ne: (value, other) => !same(value, other),
+  $lt: (value, limit) => value != null && comparable(value) < comparable(limit),
+  $lte: (value, limit) => value != null && comparable(value) <= comparable(limit),
+  $gt: (value, limit) => value != null && comparable(value) > comparable(limit),
+  $gte: (value, limit) => value != null && comparable(value) >= comparable(limit),
+  $exists: (value, exists) => (value !== undefined) === exists
+};
+
+function matchesValue(value, condition) {
+  const isOperator = condition && typeof condition === 'object' && !Array.isArray(condition) &&
+    !(condition instanceof Date) && !isObjectId(condition) &&
+    Object.keys(condition).some(key => key.startsWith('$'));
+
+  if (isOperator) {
+    return Object.entries(condition).every(([operator, operand]) => {
+      if (!OPERATORS[operator]) throw new Error(`memoryModel does not support ${operator}`);
+      return OPERATORS[operator](value, operand);
+    });
+  }
+  if (Array.isArray(value)) return value.some(entry => same(entry, condition));
+  return same(value, condition);
+}
+
+// Aggregation expressions as used in $expr: field paths, $eq and $ifNull
+function evaluate(document, expression) {
+  if (typeof expression === 'string' && expression.startsWith('$')) return getPath(document, expression.slice(1));
+  if (!expression || typeof expression !== 'object' || expression instanceof Date || isObjectId(expression)) return expression;
+
+  const [[operator, operands]] = Object.entries(expression);
+  const values = operands.map(operand => evaluate(document, operand));
+  if (operator === '$eq') return same(values[0], values[1]);
+  if (operator === '$ifNull') return values.find(value => value != null) ?? null;
+  throw new Error(`memoryModel does not support ${operator}`);
+}
+
+function matches(document, query = {}) {
+  return Object.entries(query).every(([key, condition]) => {
+    if (key === '$or') return condition.some(branch => matches(document, branch));
+    if (key === '$expr') return Boolean(evaluate(document, condition));
+    return matchesValue(getPath(document, key), condition);
+  });
+}
+
+function applyUpdate(document, update) {
+  const operations = Object.keys(update).some(key => key.startsWith('$')) ? update : { $set: update };
+
+  Object.entries(operations.$set || {}).forEach(([path, value]) => setPath(document, path, value));
+  Object.keys(operations.$unset || {}).forEach(path => unsetPath(document, path));
+  Object.entries(operations.$inc || {}).forEach(([path, amount]) => {
+    setPath(document, path, (getPath(document, path) || 0) + amount);
+  });
+  Object.entries(operations.$push || {}).forEach(([path, value]) => {
+    const each = value && value.$each ? value.$each : [value];
+    let list = [...(getPath(document, path) || []), ...each];
+    if (value && value.$slice !== undefined) {
+      list = value.$slice < 0 ? list.slice(value.$slice) : list.slice(0, value.$slice);
+    }
+    setPath(document, path, list);
+  });
+}
+
+function duplicateKeyError(fields) {
+  const error = new Error(`E11000 duplicate key error (${fields.join(', ')})`);
+  error.code = 11000;
+  return error;
+}
+
+// A chainable, awaitable stand-in for a Mongoose query
+function createQuery(Model, run, { single = false } = {}) {
+  let sortSpec;
+  let limitCount;
+  let lean = false;
+
+  const query = {
+    sort(spec) {
+      sortSpec = spec;
+      return query;
+    },
+    limit(count) {
+      limitCount = count;
+      return query;
+    },
+    lean() {
+      lean = true;
+      return query;
+    },
+    select: () => query,
+    populate: () => query,
+    exec: () => query.then(),
+    then(resolve, reject) {
+      return Promise.resolve().then(() => {
+        let documents = run();
+        if (sortSpec) {
+          const keys = Object.entries(sortSpec);
+          documents = [...documents].sort((a, b) => {
+            for (const [key, direction] of keys) {
+              const x = comparable(getPath(a, key));
+              const y = comparable(getPath(b, key));
+              if (x < y) return -direction;
+              if (x > y) return direction;
+            }
+            return 0;
+          });
+        }
+        if (limitCount) documents = documents.slice(0, limitCount);
+
+        const results = documents.map(document => (lean ? clone(document) : Model.hydrate(clone(document))));
+        return single ? results[0] || null : results;
+      }).then(resolve, reject);
+    }
+  };
+  return query;
+}
+
+// Replace a model's statics (and document save) with an in-memory store.
+// `unique` lists field groups that raise duplicate key errors, like unique
+// indexes. Restored by jest.restoreAllMocks().
+function installMemoryModel(Model, { unique = [] } = {}) {
+  const documents = [];
+
+  const find = query => documents.filter(document => matches(document, query));
+  const findById = id => documents.find(document => same(document._id, id));
+
+  function checkUnique(candidate, ignoreId) {
+    for (const fields of unique) {
+      if (fields.some(field => getPath(candidate, field) == null)) continue;
+      const clash = documents.find(document => !same(document._id, ignoreId) &&
+        fields.every(field => same(getPath(document, field), getPath(candidate, field))));
+      if (clash) throw duplicateKeyError(fields);
+    }
+  }
+
+  async function insert(fields) {
+    const document = fields instanceof Model ? fields : new Model(fields);
+    await document.validate();
+    const stored = document.toObject({ depopulate: true });
+    checkUnique(stored);
+    const now = new Date();
+    if (Model.schema.options.timestamps) {
+      stored.createdAt = stored.createdAt || now;
+      stored.updatedAt = now;
+    }
+    documents.push(stored);
+    return Model.hydrate(clone(stored));
+  }
+
+  function update(document, changes) {
+    const updated = clone(document);
+    applyUpdate(updated, changes);
+    if (Model.schema.options.timestamps) updated.updatedAt = new Date();
+    checkUnique(updated, document._id);
+    Object.keys(document).forEach(key => delete document[key]);
+    Object.assign(document, updated);
+  }
+
+  jest.spyOn(Model, 'create').mockImplementation(async fields => (
+    Array.isArray(fields) ? Promise.all(fields.map(insert)) : insert(fields)
+  ));
+  // Like an unordered insertMany: duplicates are reported after the rest are stored
+  jest.spyOn(Model, 'insertMany').mockImplementation(async list => {
+    const insertedDocs = [];
+    const writeErrors = [];
+    for (const [index, fields] of list.entries()) {
+      try {
+        insertedDocs.push(await insert(fields));
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        writeErrors.push({ index, code: 11000, errmsg: error.message });
+      }
+    }
+    if (writeErrors.length === 0) return insertedDocs;
+
+    const error = duplicateKeyError(['insertMany']);
+    Object.assign(error, { writeErrors, insertedDocs });
+    throw error;
+  });
+  jest.spyOn(Model, 'find').mockImplementation(query => createQuery(Model, () => find(query)));
+  jest.spyOn(Model, 'findOne').mockImplementation(query => createQuery(Model, () => find(query), { single: true }));
+  jest.spyOn(Model, 'findById').mockImplementation(id => createQuery(Model, () => [findById(id)].filter(Boolean), { single: true }));
+  jest.spyOn(Model, 'exists').mockImplementation(async query => {
+    const document = find(query)[0];
+    return document ? { _id: document._id } : null;
+  });
+  jest.spyOn(Model, 'countDocuments').mockImplementation(async query => find(query).length);
+  jest.spyOn(Model, 'findOneAndUpdate').mockImplementation((query, changes, options = {}) => createQuery(Model, () => {
+    const document = find(query)[0];
+    if (!document) return [];
+    const before = clone(document);
+    update(document, changes);
+    return [options.new ? document : before];
+  }, { single: true }));
+  jest.spyOn(Model, 'updateOne').mockImplementation(async (query, changes) => {
+    const document = find(query)[0];
+    if (document) update(document, changes);
+    return { matchedCount: document ? 1 : 0, modifiedCount: document ? 1 : 0 };
+  });
+  jest.spyOn(Model, 'updateMany').mockImplementation(async (query, changes) => {
+    const matched = find(query);
+    matched.forEach(document => update(document, changes));
+    return { matchedCount: matched.length, modifiedCount: matched.length };
+  });
+  jest.spyOn(Model, 'deleteOne').mockImplementation(async query => {
+    const index = documents.findIndex(document => matches(document, query));
+    if (index !== -1) documents.splice(index, 1);
+    return { deletedCount: index !== -1 ? 1 : 0 };
+  });
+  jest.spyOn(Model, 'deleteMany').mockImplementation(async query => {
+    const matched = find(query);
+    matched.forEach(document => documents.splice(documents.indexOf(document), 1));
+    return { deletedCount: matched.length };
+  });
+  jest.spyOn(Model.prototype, 'save').mockImplementation(async function() {
+    const stored = findById(this._id);
+    if (!stored) return insert(this);
+    update(stored, { $set: this.toObject({ depopulate: true }) });
+    return this;
+  });
+
+  return {
+    documents,
+    find: query => find(query).map(clone),
+    get: id => clone(findById(id)),
+    insert
+  };
+}
+
+export { installMemoryModel };
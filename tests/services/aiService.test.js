@@ -0,0 +1,159 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import AIUsage from '../../src/models/AIUsage.js';
+import { createFakeAIProvider, registerAIProvider } from '../../src/services/aiProviders.js';
+import { generateText } from '../../src/services/aiService.js';
+import { analyzePool } from '../../src/services/poolAnalysisService.js';
+import { installMemoryModel } from '../helpers/memoryModel.js';
+
+// Fail fast if a query slips past the in-memory model
+mongoose.set('bufferCommands', false);
+
+const ENV_KEYS = ['AI_PROVIDER', 'AI_MAX_RETRIES', 'AI_DAILY_TOKEN_QUOTA', 'AI_STAFF_DAILY_TOKEN_QUOTA'];
+const savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+
+const customer = { _id: new mongoose.Types.ObjectId(), role: 'customer' };
+const waterChemistry = { pH: 8.1, freeChlorine: 0.4, totalAlkalinity: 70 };
+
+let usage;
+let respond;
+
+function providerError(status) {
+  const error = new Error(`Provider responded ${status}`);
+  error.status = status;
+  return error;
+}
+
+beforeEach(() => {
+  process.env.AI_PROVIDER = 'fake';
+  delete process.env.AI_MAX_RETRIES;
+  delete process.env.AI_DAILY_TOKEN_QUOTA;
+  delete process.env.AI_STAFF_DAILY_TOKEN_QUOTA;
+
+  respond = jest.fn();
+  registerAIProvider('fake', createFakeAIProvider({ respond }));
+
+  usage = installMemoryModel(AIUsage);
+  // The quota check sums the user's tokens with an aggregation
+  jest.spyOn(AIUsage, 'aggregate').mockImplementation(async () => {
+    const rows = usage.find({ user: customer._id });
+    if (rows.length === 0) return [];
+    return [{ _id: null, totalTokens: rows.reduce((sum, row) => sum + row.totalTokens, 0), requests: rows.length }];
+  });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  ENV_KEYS.forEach(key => {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  });
+});
+
+describe('generateText', () => {
+  test('retries a retryable provider error', async () => {
+    respond.mockRejectedValueOnce(providerError(503)).mockResolvedValueOnce('Shock the pool tonight.');
+
+    const result = await generateText('ai_manager', { prompt: 'Cloudy water?', user: customer });
+
+    expect(result.text).toBe('Shock the pool tonight.');
+    expect(respond).toHaveBeenCalledTimes(2);
+    expect(usage.documents).toHaveLength(1);
+    expect(usage.documents[0]).toMatchObject({ status: 'success', attempts: 2, provider: 'fake' });
+  });
+
+  test('gives up after AI_MAX_RETRIES and records the failure', async () => {
+    process.env.AI_MAX_RETRIES = '1';
+    respond.mockRejectedValue(providerError(429));
+
+    await expect(generateText('ai_manager', { prompt: 'Cloudy water?', user: customer }))
+      .rejects.toMatchObject({ statusCode: 502 });
+
+    expect(respond).toHaveBeenCalledTimes(2);
+    expect(usage.documents).toHaveLength(1);
+    expect(usage.documents[0]).toMatchObject({ status: 'error', attempts: 2, error: 'Provider responded 429' });
+  });
+
+  test('does not retry a request the provider rejected', async () => {
+    respond.mockRejectedValue(providerError(400));
+
+    await expect(generateText('ai_manager', { prompt: 'Cloudy water?', user: customer }))
+      .rejects.toMatchObject({ statusCode: 502 });
+
+    expect(respond).toHaveBeenCalledTimes(1);
+    expect(usage.documents[0]).toMatchObject({ status: 'error', attempts: 1 });
+  });
+
+  test('refuses calls once the daily token quota is used', async () => {
+    process.env.AI_DAILY_TOKEN_QUOTA = '10';
+    respond.mockResolvedValue('A reply long enough to use up the whole daily allowance of tokens.');
+
+    await generateText('ai_manager', { prompt: 'Cloudy water?', user: customer });
+    await expect(generateText('ai_manager', { prompt: 'And now?', user: customer }))
+      .rejects.toMatchObject({ statusCode: 429 });
+
+    expect(respond).toHaveBeenCalledTimes(1);
+    expect(usage.documents).toHaveLength(1);
+  });
+
+  test('rejects a JSON request answered with invalid JSON', async () => {
+    respond.mockResolvedValue('Sure! Here is your analysis: {issues: [');
+
+    await expect(generateText('pool_analysis', { prompt: 'Analyze', json: true, user: customer }))
+      .rejects.toMatchObject({ statusCode: 502, message: 'AI provider returned invalid JSON' });
+    expect(usage.documents[0]).toMatchObject({ status: 'success' });
+  });
+});
+
+describe('analyzePool fallback', () => {
+  test('uses the provider analysis when it matches the schema', async () => {
+    respond.mockResolvedValue({
+      summary: 'pH is high and chlorine is low.',
+      issues: [{ parameter: 'pH', title: 'High pH', severity: 'medium' }],
+      actions: [{ description: 'Lower pH with muriatic acid', priority: 'soon' }],
+      causes: [],
+      prevention: [],
+      confidence: 0.8
+    });
+
+    const analysis = await analyzePool({ waterChemistry, user: customer });
+
+    expect(analysis.source).toBe('fake');
+    expect(analysis.fallbackReason).toBeUndefined();
+    expect(analysis.issues).toEqual([expect.objectContaining({ title: 'High pH' })]);
+  });
+
+  test('falls back to the rules on invalid JSON', async () => {
+    respond.mockResolvedValue('not json');
+
+    const analysis = await analyzePool({ waterChemistry, user: customer });
+
+    expect(analysis).toMatchObject({ source: 'rule-based-fallback', fallbackReason: 'AI service temporarily unavailable' });
+    expect(analysis.issues.length).toBeGreaterThan(0);
+  });
+
+  test('falls back to the rules when the reply does not match the schema', async () => {
+    respond.mockResolvedValue({ verdict: 'looks fine' });
+
+    const analysis = await analyzePool({ waterChemistry, user: customer });
+
+    expect(analysis).toMatchObject({
+      source: 'rule-based-fallback',
+      fallbackReason: 'AI response did not match the analysis schema'
+    });
+  });
+
+  test('falls back to the rules with the quota message once the quota is used', async () => {
+    process.env.AI_DAILY_TOKEN_QUOTA = '1';
+    await usage.insert({ user: customer._id, feature: 'pool_analysis', provider: 'fake', status: 'success', totalTokens: 5 });
+
+    const analysis = await analyzePool({ waterChemistry, user: customer });
+
+    expect(analysis).toMatchObject({
+      source: 'rule-based-fallback',
+      fallbackReason: 'Daily AI usage limit reached; try again later'
+    });
+    expect(respond).not.toHaveBeenCalled();
+  });
+});
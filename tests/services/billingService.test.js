@@ -0,0 +1,129 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import Counter from '../../src/models/Counter.js';
+import { nextDocumentNumber, buildInvoiceTotals } from '../../src/services/billingService.js';
+
+const rateCard = {
+  laborRatePerHour: 85,
+  laborIncrementMinutes: 15,
+  minimumLaborMinutes: 30,
+  billTravel: true,
+  travelRatePerHour: 60,
+  tripCharge: 25,
+  emergencySurchargePercent: 50,
+  chemicalMarkupPercent: 20,
+  partsMarkupPercent: 10
+};
+
+const stateTax = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Nevada sales tax',
+  rate: 8.375,
+  appliesTo: ['chemical', 'part'],
+  jurisdiction: { state: 'NV' }
+};
+const cityTax = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Henderson service tax',
+  rate: 1,
+  appliesTo: ['labor'],
+  jurisdiction: { state: 'NV', city: 'Henderson' }
+};
+
+function visit(fields) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    type: 'routine',
+    scheduledDate: new Date('2026-09-08T15:00:00Z'),
+    tasks: [],
+    chemicalsUsed: [],
+    partsUsed: [],
+    ...fields
+  };
+}
+
+const byType = (totals, type) => totals.lineItems.filter(item => item.type === type);
+
+describe('buildInvoiceTotals', () => {
+  const routine = visit({
+    workOrder: { number: 'WO-2026-000001' },
+    pool: { address: { state: 'NV', city: 'Las Vegas', zipCode: '89101' } },
+    timeSpent: { onSite: 50, travel: 20 },
+    chemicalsUsed: [{ product: 'liquid_chlorine_12_5', name: 'Liquid Chlorine 12.5%', amount: 64, unit: 'fl oz', cost: 10 }],
+    partsUsed: [{ name: 'Skimmer basket', partNumber: 'SB-1', quantity: 2, unitCost: 20 }]
+  });
+  const emergency = visit({
+    type: 'emergency',
+    workOrder: { number: 'WO-2026-000002' },
+    pool: { address: { state: 'CA', city: 'Needles' } },
+    timeSpent: { onSite: 10 },
+    chemicalsUsed: [{ product: 'soda_ash', name: 'Soda Ash' }]
+  });
+
+  test('prices labor, travel, fees, chemicals and parts from the rate card', () => {
+    const totals = buildInvoiceTotals([routine], rateCard, []);
+
+    // 50 minutes on site bill as an hour in 15 minute increments
+    expect(byType(totals, 'labor')).toEqual([expect.objectContaining({ quantity: 1, unitPrice: 85, amount: 85 })]);
+    expect(byType(totals, 'travel')).toEqual([expect.objectContaining({ quantity: 0.33, unitPrice: 60, amount: 19.8 })]);
+    expect(byType(totals, 'fee')).toEqual([expect.objectContaining({ amount: 25 })]);
+    expect(byType(totals, 'chemical')).toEqual([expect.objectContaining({ quantity: 64, amount: 12, unitPrice: 0.19 })]);
+    expect(byType(totals, 'part')).toEqual([expect.objectContaining({ description: 'Skimmer basket (SB-1)', unitPrice: 22, amount: 44 })]);
+    expect(totals).toMatchObject({ subtotal: 185.8, taxTotal: 0, total: 185.8, warnings: [] });
+    expect(totals.lineItems.every(item => item.workOrderNumber === 'WO-2026-000001')).toBe(true);
+  });
+
+  test('bills the minimum labor, surcharges emergencies and lists unpriced items', () => {
+    const totals = buildInvoiceTotals([emergency], rateCard, []);
+
+    expect(byType(totals, 'labor')).toEqual([expect.objectContaining({ quantity: 0.5, amount: 42.5 })]);
+    expect(byType(totals, 'surcharge')).toEqual([expect.objectContaining({ amount: 21.25 })]);
+    expect(byType(totals, 'chemical')).toEqual([]);
+    expect(totals).toMatchObject({ subtotal: 88.75, total: 88.75, warnings: ['No cost recorded for Soda Ash'] });
+  });
+
+  test('taxes the item types each matching rule covers', () => {
+    const totals = buildInvoiceTotals([routine, emergency], rateCard, [stateTax, cityTax]);
+
+    expect(totals.taxes).toEqual([{ rule: stateTax._id, name: 'Nevada sales tax', rate: 8.375, taxableAmount: 56, amount: 4.69 }]);
+    expect(byType(totals, 'part')[0].taxRate).toBe(8.375);
+    expect(byType(totals, 'labor').map(item => item.taxRate)).toEqual([0, 0]);
+    expect(totals).toMatchObject({ subtotal: 274.55, taxTotal: 4.69, total: 279.24 });
+  });
+
+  test('does not tax customers with a tax-exempt rate card', () => {
+    const totals = buildInvoiceTotals([routine], { ...rateCard, taxExempt: true }, [stateTax]);
+
+    expect(totals).toMatchObject({ taxes: [], taxTotal: 0, total: 185.8 });
+  });
+});
+
+describe('nextDocumentNumber', () => {
+  let sequences;
+
+  beforeEach(() => {
+    sequences = new Map();
+    jest.spyOn(Counter, 'next').mockImplementation(async name => {
+      sequences.set(name, (sequences.get(name) || 0) + 1);
+      return sequences.get(name);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('numbers each prefix in sequence', async () => {
+    const date = new Date('2026-09-08T15:00:00Z');
+
+    expect(await nextDocumentNumber('INV', date)).toBe('INV-2026-000001');
+    expect(await nextDocumentNumber('INV', date)).toBe('INV-2026-000002');
+    expect(await nextDocumentNumber('WO', date)).toBe('WO-2026-000001');
+  });
+
+  test('takes the year from the business time zone', async () => {
+    // 9pm on Dec 31 in Las Vegas, already New Year's Day in UTC
+    expect(await nextDocumentNumber('INV', new Date('2027-01-01T05:00:00Z'))).toBe('INV-2026-000001');
+    expect(await nextDocumentNumber('INV', new Date('2027-01-01T08:00:00Z'))).toBe('INV-2027-000001');
+  });
+});
@@ -0,0 +1,104 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { installMemoryModel } from '../helpers/memoryModel.js';
+
+jest.unstable_mockModule('../../src/services/notificationService.js', () => ({
+  notifyUser: jest.fn(async () => {})
+}));
+
+const { default: mongoose } = await import('mongoose');
+const { default: Pool } = await import('../../src/models/Pool.js');
+const { default: User } = await import('../../src/models/User.js');
+const { default: ChemistryAlert } = await import('../../src/models/ChemistryAlert.js');
+const { default: WaterChemistryReading } = await import('../../src/models/WaterChemistryReading.js');
+const { recordReading } = await import('../../src/services/waterChemistryService.js');
+
+// Fail fast if a query slips past the in-memory models
+mongoose.set('bufferCommands', false);
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = new Date('2026-06-01T16:00:00Z');
+
+let alerts;
+let pool;
+
+const at = hours => new Date(START.getTime() + hours * HOUR_MS);
+const alertFor = rule => alerts.find({ rule })[0];
+
+function record(hours, values = {}) {
+  return recordReading(pool, {
+    pH: 7.4,
+    chlorine: 2,
+    alkalinity: 100,
+    hardness: 300,
+    cyanuricAcid: 40,
+    temperature: 84,
+    testedAt: at(hours),
+    ...values
+  });
+}
+
+beforeEach(async () => {
+  alerts = installMemoryModel(ChemistryAlert);
+  installMemoryModel(WaterChemistryReading);
+  installMemoryModel(Pool);
+  installMemoryModel(User);
+
+  const owner = await User.create({ firstName: 'Pat', lastName: 'Owner', email: 'pat@example.com', password: 'secret123' });
+  pool = await Pool.create({ name: 'Backyard', owner: owner._id, poolType: 'inground' });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('rate of change alerts', () => {
+  test('resolve once the next reading is back within the allowed change', async () => {
+    await record(0);
+    await record(24, { pH: 8.0 });
+
+    expect(alertFor('ph_rapid_change')).toMatchObject({ status: 'open', type: 'rate_of_change' });
+    expect(alertFor('pH_high')).toMatchObject({ status: 'open' });
+
+    await record(48, { pH: 7.9 });
+
+    expect(alertFor('ph_rapid_change')).toMatchObject({ status: 'resolved', resolution: 'auto' });
+    // Still out of range
+    expect(alertFor('pH_high')).toMatchObject({ status: 'open', occurrences: 2 });
+  });
+
+  test('stay open while the swing continues', async () => {
+    await record(0, { chlorine: 5 });
+    await record(24, { chlorine: 2.5 });
+    await record(48, { chlorine: 0.2 });
+
+    expect(alertFor('chlorine_rapid_drop')).toMatchObject({ status: 'open', occurrences: 2 });
+  });
+});
+
+describe('backfilled readings', () => {
+  test('do not reopen, escalate or clear alerts', async () => {
+    await record(0);
+    await record(24, { chlorine: 0.8 });
+    expect(alertFor('chlorine_low')).toMatchObject({ status: 'open', occurrences: 1 });
+
+    // Older than the latest reading: an in-range value does not clear it,
+    // and out-of-range values raise nothing
+    await record(12, { chlorine: 2 });
+    await record(6, { chlorine: 0.7, pH: 8.4 });
+
+    expect(alertFor('chlorine_low')).toMatchObject({ status: 'open', occurrences: 1 });
+    expect(alertFor('ph_critical_high')).toBeUndefined();
+    expect(alerts.documents).toHaveLength(1);
+  });
+
+  test('a resolved alert is not reopened by an older reading', async () => {
+    await record(0, { pH: 8.4 });
+    await record(24);
+    expect(alertFor('ph_critical_high')).toMatchObject({ status: 'resolved' });
+
+    await record(12, { pH: 8.5 });
+
+    expect(alerts.find({ rule: 'ph_critical_high' })).toHaveLength(1);
+    expect(alertFor('ph_critical_high').status).toBe('resolved');
+  });
+});
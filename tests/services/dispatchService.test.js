@@ -0,0 +1,71 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import User from '../../src/models/User.js';
+import MaintenanceLog from '../../src/models/MaintenanceLog.js';
+import TechnicianSchedule from '../../src/models/TechnicianSchedule.js';
+import OnCallShift from '../../src/models/OnCallShift.js';
+import { rankTechnicians } from '../../src/services/dispatchService.js';
+import { installMemoryModel } from '../helpers/memoryModel.js';
+
+// Fail fast if a query slips past the in-memory models
+mongoose.set('bufferCommands', false);
+
+const pool = { _id: new mongoose.Types.ObjectId(), poolType: 'inground' };
+
+let technician;
+
+function visitAt(scheduledDate, fields = {}) {
+  return MaintenanceLog.create({
+    pool: pool._id,
+    technician: technician._id,
+    scheduledDate,
+    type: 'routine',
+    status: 'scheduled',
+    ...fields
+  });
+}
+
+beforeEach(async () => {
+  installMemoryModel(User);
+  installMemoryModel(MaintenanceLog);
+  installMemoryModel(TechnicianSchedule);
+  installMemoryModel(OnCallShift);
+
+  technician = await User.create({
+    firstName: 'Sam',
+    lastName: 'Tech',
+    email: 'sam@example.com',
+    password: 'secret123',
+    role: 'technician'
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('rankTechnicians', () => {
+  test('counts the workload of the visit\'s day in the business time zone', async () => {
+    // Tuesday, Sep 8 2026 at 8:30am in Las Vegas
+    const visit = new MaintenanceLog({ pool: pool._id, scheduledDate: new Date('2026-09-08T15:30:00Z'), type: 'routine' });
+
+    // Monday evening locally, though Sep 8 in UTC
+    await visitAt(new Date('2026-09-08T02:00:00Z'));
+    // Tuesday evening locally, though Sep 9 in UTC
+    await visitAt(new Date('2026-09-09T03:00:00Z'));
+    await visitAt(new Date('2026-09-09T04:00:00Z'));
+    // Closed visits are not workload
+    await visitAt(new Date('2026-09-08T20:00:00Z'), { status: 'completed' });
+
+    const [candidate] = await rankTechnicians(visit, { pool });
+
+    expect(candidate).toMatchObject({ eligible: true, dailyVisits: 2 });
+    expect(candidate.breakdown.workload).toBe(0.75);
+  });
+
+  test('leaves out excluded technicians', async () => {
+    const visit = new MaintenanceLog({ pool: pool._id, scheduledDate: new Date('2026-09-08T15:30:00Z'), type: 'routine' });
+
+    expect(await rankTechnicians(visit, { pool, exclude: [technician._id] })).toEqual([]);
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, test, expect } from '@jest/globals';
+import { calculateDosing, toChemicalsUsed, getRecommendedDose } from '../../src/services/dosingService.js';
+
+const dose = (dosing, parameter) => dosing.adjustments.find(adjustment => adjustment.parameter === parameter);
+const amounts = adjustment => adjustment.products.map(({ product, amount, unit }) => [product, amount, unit]);
+
+describe('calculateDosing', () => {
+  test('needs a reading and a pool volume', () => {
+    expect(calculateDosing(null, {}, 10000).notes).toEqual(['No water chemistry reading available']);
+    expect(calculateDosing({ pH: 7.0 }, {}, 0).notes).toEqual(['Pool volume is required to calculate chemical doses']);
+  });
+
+  test('doses chlorine by volume for every chlorine product', () => {
+    // 2.5 ppm in 20,000 gal is 189 g of chlorine: 1.5 L of 12.5% liquid
+    const dosing = calculateDosing({ chlorine: 0.5 }, {}, 20000);
+    const chlorine = dose(dosing, 'chlorine');
+
+    expect(chlorine).toMatchObject({ current: 0.5, target: 3, direction: 'raise', recommended: 'liquid_chlorine_12_5' });
+    expect(amounts(chlorine)).toEqual([
+      ['liquid_chlorine_10', 64, 'fl oz'],
+      ['liquid_chlorine_12_5', 51.2, 'fl oz'],
+      ['cal_hypo_65', 10.3, 'oz'],
+      ['trichlor_90', 7.4, 'oz']
+    ]);
+  });
+
+  test('scales doses with the target range', () => {
+    const chlorine = dose(calculateDosing({ chlorine: 0.5 }, { chlorine: { min: 2, max: 6, target: 4 } }, 20000), 'chlorine');
+    expect(chlorine.target).toBe(4);
+    expect(chlorine.products.find(product => product.product === 'liquid_chlorine_12_5').amount).toBe(71.7);
+  });
+
+  test('warns against products that raise already high cyanuric acid or hardness', () => {
+    const chlorine = dose(calculateDosing({ chlorine: 0.5, cyanuricAcid: 90, hardness: 500 }, {}, 20000), 'chlorine');
+    const byProduct = Object.fromEntries(chlorine.products.map(product => [product.product, product]));
+
+    expect(byProduct.trichlor_90).toMatchObject({ cyanuricAcidIncrease: 1.5, warnings: [expect.stringMatching(/Cyanuric acid/)] });
+    expect(byProduct.cal_hypo_65.warnings).toEqual([expect.stringMatching(/Calcium hardness/)]);
+    expect(byProduct.liquid_chlorine_12_5.warnings).toBeUndefined();
+  });
+
+  test('raises alkalinity before pH and hardness, and drains for high cyanuric acid', () => {
+    const dosing = calculateDosing({ pH: 7.0, alkalinity: 60, chlorine: 1, cyanuricAcid: 120, hardness: 150 }, {}, 10000);
+
+    expect(dosing.adjustments.map(adjustment => adjustment.parameter)).toEqual(['alkalinity', 'pH', 'hardness']);
+    expect(amounts(dose(dosing, 'alkalinity'))).toEqual([['sodium_bicarbonate', 5.6, 'lb']]);
+    expect(amounts(dose(dosing, 'pH'))).toEqual([['soda_ash', 9.4, 'oz']]);
+    expect(amounts(dose(dosing, 'hardness'))).toEqual([['calcium_chloride_77', 18.03, 'lb']]);
+    expect(dosing.dilution).toEqual([expect.objectContaining({ parameter: 'cyanuricAcid', target: 40, drainPercentage: 67 })]);
+  });
+
+  test('lowers high alkalinity with acid and leaves pH until it settles', () => {
+    const dosing = calculateDosing({ pH: 7.9, alkalinity: 160, chlorine: 3 }, {}, 10000);
+
+    expect(dosing.adjustments).toHaveLength(1);
+    expect(amounts(dose(dosing, 'alkalinity'))).toEqual([
+      ['muriatic_acid_31_45', 1.2, 'gal'],
+      ['dry_acid_93_2', 12.89, 'lb']
+    ]);
+    expect(dosing.notes).toEqual([expect.stringMatching(/Add acid in stages/)]);
+  });
+});
+
+describe('toChemicalsUsed', () => {
+  test('records the recommended product for each adjustment', () => {
+    const dosing = calculateDosing({ chlorine: 0.5 }, {}, 20000);
+
+    expect(toChemicalsUsed(dosing)).toEqual([{
+      product: 'liquid_chlorine_12_5',
+      name: 'Liquid Chlorine 12.5%',
+      amount: 51.2,
+      recommendedAmount: 51.2,
+      unit: 'fl oz',
+      cost: 2.56,
+      notes: 'Raise chlorine from 0.5 to 3'
+    }]);
+    expect(getRecommendedDose(dosing, 'cal_hypo_65')).toMatchObject({ amount: 10.3, unit: 'oz' });
+    expect(getRecommendedDose(dosing, 'soda_ash')).toBeNull();
+  });
+});
@@ -0,0 +1,78 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import Job from '../../src/models/Job.js';
+import { defineJob, runJob } from '../../src/services/jobQueueService.js';
+import { installMemoryModel } from '../helpers/memoryModel.js';
+
+// Fail fast if a query slips past the in-memory model
+mongoose.set('bufferCommands', false);
+
+let jobs;
+
+// A job as claimNextJob hands it to the worker
+function claimed(name) {
+  const now = new Date();
+  return jobs.insert({
+    name,
+    status: 'active',
+    attempts: 1,
+    maxAttempts: 2,
+    lockedBy: 'worker-1',
+    lockedAt: now,
+    heartbeatAt: now,
+    startedAt: now
+  });
+}
+
+beforeEach(() => {
+  jobs = installMemoryModel(Job);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('runJob', () => {
+  test('completes a job and releases its lock', async () => {
+    defineJob('test.quick', async () => ({ done: true }), { timeout: 1000 });
+    const job = await claimed('test.quick');
+
+    await runJob(job);
+
+    expect(jobs.get(job._id)).toMatchObject({ status: 'completed', result: { done: true } });
+    expect(jobs.get(job._id).lockedBy).toBeUndefined();
+  });
+
+  test('fails a hung handler after its timeout and releases the lock', async () => {
+    let context;
+    defineJob('test.hang', (payload, jobContext) => {
+      context = jobContext;
+      return new Promise(() => {});
+    }, { timeout: 1000 });
+    const job = await claimed('test.hang');
+
+    await runJob(job);
+
+    const stored = jobs.get(job._id);
+    expect(stored).toMatchObject({ status: 'queued', lastError: 'Job timed out after 1s' });
+    expect(stored.lockedBy).toBeUndefined();
+    expect(stored.errorHistory).toEqual([expect.objectContaining({ attempt: 1, message: 'Job timed out after 1s' })]);
+    expect(context.signal.aborted).toBe(true);
+
+    // The abandoned handler can no longer write to the job
+    await context.updateProgress(50, 'still going');
+    expect(jobs.get(job._id).progress.percent).not.toBe(50);
+  });
+
+  test('fails the job for good once attempts run out', async () => {
+    defineJob('test.hang-last', () => new Promise(() => {}), { timeout: 1000 });
+    const job = await claimed('test.hang-last');
+    job.attempts = 2;
+    await Job.updateOne({ _id: job._id }, { $set: { attempts: 2 } });
+
+    await runJob(job);
+
+    expect(jobs.get(job._id)).toMatchObject({ status: 'failed', lastError: 'Job timed out after 1s' });
+  });
+});
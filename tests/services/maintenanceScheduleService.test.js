@@ -0,0 +1,190 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import Pool from '../../src/models/Pool.js';
+import MaintenanceLog from '../../src/models/MaintenanceLog.js';
+import ChecklistTemplate from '../../src/models/ChecklistTemplate.js';
+import {
+  parseTimeSlot,
+  getNominalOccurrences,
+  planVisits,
+  generateVisits,
+  regenerateVisits
+} from '../../src/services/maintenanceScheduleService.js';
+import { toDateKey } from '../../src/services/timeZoneService.js';
+import { installMemoryModel } from '../helpers/memoryModel.js';
+
+// Fail fast if a query slips past the in-memory models
+mongoose.set('bufferCommands', false);
+
+// Days are those of the business time zone (America/Los_Angeles)
+const keys = dates => dates.map(date => toDateKey(date));
+
+describe('parseTimeSlot', () => {
+  test('reads named slots and clock times', () => {
+    expect(parseTimeSlot('Morning')).toEqual([8, 0]);
+    expect(parseTimeSlot('afternoon')).toEqual([13, 0]);
+    expect(parseTimeSlot('2:30 pm')).toEqual([14, 30]);
+    expect(parseTimeSlot('12:15am')).toEqual([0, 15]);
+    expect(parseTimeSlot('07:45')).toEqual([7, 45]);
+  });
+
+  test('falls back to 9am', () => {
+    expect(parseTimeSlot()).toEqual([9, 0]);
+    expect(parseTimeSlot('whenever')).toEqual([9, 0]);
+  });
+});
+
+describe('getNominalOccurrences', () => {
+  const from = new Date('2026-08-01T07:00:00Z');
+
+  test('weekly visits fall on the preferred day from the start date', () => {
+    const schedule = { frequency: 'weekly', preferredDay: 'monday', startDate: new Date('2026-08-05') };
+
+    expect(keys(getNominalOccurrences(schedule, from, new Date('2026-09-01T07:00:00Z'))))
+      .toEqual(['2026-08-10', '2026-08-17', '2026-08-24', '2026-08-31']);
+  });
+
+  test('bi-weekly visits keep the cadence counted from the start date', () => {
+    const schedule = { frequency: 'bi-weekly', preferredDay: 'tuesday', startDate: new Date('2026-07-07') };
+
+    expect(keys(getNominalOccurrences(schedule, from, new Date('2026-09-10T07:00:00Z'))))
+      .toEqual(['2026-08-04', '2026-08-18', '2026-09-01']);
+  });
+
+  test('monthly visits keep the start day through shorter months', () => {
+    const schedule = { frequency: 'monthly', startDate: new Date('2026-01-31') };
+
+    expect(keys(getNominalOccurrences(schedule, new Date('2026-02-01T08:00:00Z'), new Date('2026-05-01T07:00:00Z'))))
+      .toEqual(['2026-02-28', '2026-03-31', '2026-04-30']);
+  });
+
+  test('monthly visits with a preferred day fall on its first of the month', () => {
+    const schedule = { frequency: 'monthly', preferredDay: 'monday', startDate: new Date('2026-08-01') };
+
+    expect(keys(getNominalOccurrences(schedule, from, new Date('2026-11-01T07:00:00Z'))))
+      .toEqual(['2026-08-03', '2026-09-07', '2026-10-05']);
+  });
+});
+
+describe('planVisits', () => {
+  const schedule = {
+    frequency: 'weekly',
+    preferredDay: 'monday',
+    startDate: new Date('2026-08-03'),
+    skipDates: [new Date('2026-09-14')]
+  };
+  const from = new Date('2026-08-30T07:00:00Z');
+  const to = new Date('2026-09-22T07:00:00Z');
+
+  test('moves holiday visits to the next day and drops skip dates', () => {
+    const visits = planVisits(schedule, from, to);
+
+    expect(keys(visits.map(visit => visit.date))).toEqual(['2026-08-31', '2026-09-08', '2026-09-21']);
+    expect(toDateKey(visits[1].occurrenceDate)).toBe('2026-09-07');
+    expect(visits[1].holiday).toBe('Labor Day');
+  });
+
+  test('keeps holiday visits when holidays are not skipped', () => {
+    const visits = planVisits({ ...schedule, skipHolidays: false }, from, to);
+
+    expect(keys(visits.map(visit => visit.date))).toEqual(['2026-08-31', '2026-09-07', '2026-09-21']);
+    expect(visits[1].holiday).toBeNull();
+  });
+
+  test('drops a holiday visit whose next free day reaches the next visit', () => {
+    const daily = { frequency: 'daily', startDate: new Date('2026-09-01') };
+
+    expect(keys(planVisits(daily, new Date('2026-09-05T07:00:00Z'), new Date('2026-09-10T07:00:00Z')).map(visit => visit.date)))
+      .toEqual(['2026-09-05', '2026-09-06', '2026-09-08', '2026-09-09']);
+  });
+});
+
+describe('generating visits', () => {
+  // Sunday, Aug 30 2026; the horizon runs to Sunday, Sep 20
+  const now = new Date('2026-08-30T19:00:00Z');
+  const horizonDays = 21;
+
+  let pools;
+  let visits;
+  let pool;
+
+  const visitOn = day => visits.documents.find(visit => toDateKey(visit.recurrence.occurrenceDate) === day);
+
+  beforeEach(async () => {
+    pools = installMemoryModel(Pool);
+    visits = installMemoryModel(MaintenanceLog, { unique: [['pool', 'recurrence.occurrenceDate']] });
+    installMemoryModel(ChecklistTemplate);
+
+    pool = await Pool.create({
+      name: 'Backyard',
+      owner: new mongoose.Types.ObjectId(),
+      poolType: 'inground',
+      assignedTechnician: new mongoose.Types.ObjectId(),
+      maintenanceSchedule: {
+        frequency: 'weekly',
+        preferredDay: 'monday',
+        timeSlot: 'morning',
+        startDate: new Date('2026-08-03')
+      }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('creates the horizon\'s visits once, at the slot\'s local time', async () => {
+    const result = await generateVisits(pool, { horizonDays, now });
+
+    expect(result.created).toBe(3);
+    expect(visits.documents.map(visit => visit.scheduledDate)).toEqual([
+      new Date('2026-08-31T15:00:00Z'),
+      new Date('2026-09-08T15:00:00Z'),
+      new Date('2026-09-14T15:00:00Z')
+    ]);
+    expect(visitOn('2026-09-07').recurrence).toMatchObject({
+      shiftedFrom: new Date('2026-09-07T07:00:00Z'),
+      holiday: 'Labor Day'
+    });
+    expect(pools.get(pool._id).maintenanceSchedule.nextMaintenance).toEqual(new Date('2026-08-31T15:00:00Z'));
+
+    expect((await generateVisits(pool, { horizonDays, now })).created).toBe(0);
+    expect(visits.documents).toHaveLength(3);
+  });
+
+  test('does not recreate a cancelled visit', async () => {
+    await generateVisits(pool, { horizonDays, now });
+    await MaintenanceLog.updateOne({ _id: visitOn('2026-08-31')._id }, { $set: { status: 'cancelled' } });
+
+    expect((await generateVisits(pool, { horizonDays, now })).created).toBe(0);
+    expect(visits.documents).toHaveLength(3);
+  });
+
+  test('regenerating replaces untouched visits and keeps rescheduled and dispatched ones', async () => {
+    await generateVisits(pool, { horizonDays, now });
+
+    const dispatched = visitOn('2026-08-31');
+    await MaintenanceLog.updateOne({ _id: dispatched._id }, {
+      $set: { technician: new mongoose.Types.ObjectId() },
+      $push: { assignmentHistory: { technician: new mongoose.Types.ObjectId(), previousTechnician: pool.assignedTechnician } }
+    });
+    const rescheduled = visitOn('2026-09-14');
+    await MaintenanceLog.updateOne({ _id: rescheduled._id }, { $set: { scheduledDate: new Date('2026-09-15T16:00:00Z') } });
+
+    pool.maintenanceSchedule.timeSlot = 'afternoon';
+    const result = await regenerateVisits(pool, { horizonDays, now });
+
+    expect(result).toMatchObject({ removed: 1, created: 1 });
+    expect(visits.documents).toHaveLength(3);
+    expect(visitOn('2026-08-31').scheduledDate).toEqual(new Date('2026-08-31T15:00:00Z'));
+    expect(visitOn('2026-09-07').scheduledDate).toEqual(new Date('2026-09-08T20:00:00Z'));
+    expect(visitOn('2026-09-14').scheduledDate).toEqual(new Date('2026-09-15T16:00:00Z'));
+  });
+
+  test('skips inactive pools and pools without a technician', async () => {
+    pool.assignedTechnician = null;
+
+    expect(await generateVisits(pool, { horizonDays, now })).toMatchObject({ created: 0, skipped: 'no_technician' });
+    expect(visits.documents).toHaveLength(0);
+  });
+});
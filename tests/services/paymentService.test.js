@@ -0,0 +1,226 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { installMemoryModel } from '../helpers/memoryModel.js';
+
+process.env.PAYMENT_GATEWAY = 'fake';
+process.env.PAYMENT_RETRY_DAYS = '1,3,7';
+
+jest.unstable_mockModule('../../src/services/notificationService.js', () => ({
+  notifyUser: jest.fn(async () => {})
+}));
+
+const { default: mongoose } = await import('mongoose');
+const { default: Payment } = await import('../../src/models/Payment.js');
+const { default: User } = await import('../../src/models/User.js');
+const { default: WebhookEvent } = await import('../../src/models/WebhookEvent.js');
+const { PremiumSubscription } = await import('../../src/models/Premium.js');
+const { notifyUser } = await import('../../src/services/notificationService.js');
+const { createFakePaymentGateway, registerPaymentGateway } = await import('../../src/services/paymentGateways.js');
+const {
+  savePaymentMethod,
+  chargeSubscriptionRenewal,
+  chargeDueSubscriptions,
+  retryPastDueSubscription,
+  handlePaymentWebhook
+} = await import('../../src/services/paymentService.js');
+
+// Fail fast if a query slips past the in-memory models
+mongoose.set('bufferCommands', false);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// 9am Pacific; the next renewal keeps the wall-clock time across DST
+const BILLING_DATE = new Date('2026-03-01T17:00:00Z');
+const NEXT_BILLING_DATE = new Date('2026-04-01T16:00:00Z');
+
+let gateway;
+let payments;
+let subscriptions;
+let webhookEvents;
+
+beforeEach(() => {
+  gateway = createFakePaymentGateway({ webhookSecret: 'whsec_test' });
+  registerPaymentGateway('fake', gateway);
+
+  payments = installMemoryModel(Payment, { unique: [['idempotencyKey']] });
+  subscriptions = installMemoryModel(PremiumSubscription);
+  webhookEvents = installMemoryModel(WebhookEvent, { unique: [['gateway', 'eventId']] });
+  installMemoryModel(User);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  notifyUser.mockClear();
+});
+
+async function createCustomer(token = 'tok_visa') {
+  const user = await User.create({ firstName: 'Pat', lastName: 'Owner', email: 'pat@example.com', password: 'secret123' });
+  await savePaymentMethod(user, token);
+  return User.findById(user._id);
+}
+
+async function createSubscription(user) {
+  return PremiumSubscription.create({
+    client: user._id,
+    subscriptionTier: 'premium',
+    startDate: new Date('2026-02-01T17:00:00Z'),
+    billing: {
+      amount: 99,
+      frequency: 'monthly',
+      anchorDay: 1,
+      nextBillingDate: BILLING_DATE,
+      paymentMethod: user.subscription.paymentMethod.id
+    }
+  });
+}
+
+function deliver(type, object) {
+  const { body, headers } = gateway.createEvent(type, object);
+  return handlePaymentWebhook(body, headers);
+}
+
+describe('payment webhooks', () => {
+  test('rejects events with a missing, forged or stale signature', async () => {
+    const { body, headers } = gateway.createEvent('payment_intent.succeeded', { id: 'pi_123' });
+    const forged = createFakePaymentGateway({ webhookSecret: 'whsec_other' }).createEvent('payment_intent.succeeded', { id: 'pi_123' });
+    const stale = `t=${Math.floor(Date.now() / 1000) - 3600},${headers['stripe-signature'].split(',')[1]}`;
+
+    await expect(handlePaymentWebhook(body, {})).rejects.toMatchObject({ statusCode: 400 });
+    await expect(handlePaymentWebhook(forged.body, forged.headers)).rejects.toMatchObject({ statusCode: 400 });
+    await expect(handlePaymentWebhook(body.replace('pi_123', 'pi_456'), headers)).rejects.toMatchObject({ statusCode: 400 });
+    await expect(handlePaymentWebhook(body, { 'stripe-signature': stale })).rejects.toMatchObject({ statusCode: 400 });
+    expect(webhookEvents.documents).toHaveLength(0);
+  });
+
+  test('applies a replayed event once', async () => {
+    const user = await createCustomer('tok_processing');
+    const subscription = await createSubscription(user);
+    const now = new Date(BILLING_DATE.getTime() + 60 * 1000);
+
+    const pending = await chargeSubscriptionRenewal(subscription, { now });
+    expect(pending.status).toBe('pending');
+
+    const { body, headers } = gateway.createEvent('payment_intent.succeeded', { id: pending.gatewayPaymentId });
+    const first = await handlePaymentWebhook(body, headers);
+    const replay = await handlePaymentWebhook(body, headers);
+
+    expect(first).toMatchObject({ status: 'processed', applied: true });
+    expect(replay).toMatchObject({ eventId: first.eventId, duplicate: true });
+    expect(payments.get(pending._id).status).toBe('succeeded');
+
+    const renewed = subscriptions.get(subscription._id);
+    expect(renewed.totalPaid).toBe(99);
+    expect(renewed.billing.nextBillingDate).toEqual(NEXT_BILLING_DATE);
+  });
+
+  test('settles a timed-out charge by the payment id in its metadata', async () => {
+    const user = await createCustomer('tok_timeout');
+    const subscription = await createSubscription(user);
+
+    const payment = await chargeSubscriptionRenewal(subscription, { now: BILLING_DATE });
+    expect(payment.status).toBe('pending');
+    expect(payment.gatewayErrorAt).toBeDefined();
+    expect(payment.gatewayPaymentId).toBeUndefined();
+
+    const [[chargeId, charge]] = [...gateway.charges];
+    const result = await deliver('payment_intent.succeeded', { id: chargeId, metadata: charge.metadata });
+
+    expect(result).toMatchObject({ status: 'processed', applied: true });
+    expect(payments.get(payment._id)).toMatchObject({ status: 'succeeded', gatewayPaymentId: chargeId });
+    expect(subscriptions.get(subscription._id).totalPaid).toBe(99);
+  });
+
+  test('retries a timed-out charge with the same idempotency key', async () => {
+    const user = await createCustomer('tok_timeout');
+    const subscription = await createSubscription(user);
+
+    const first = await chargeSubscriptionRenewal(subscription, { now: BILLING_DATE });
+    const retried = await chargeSubscriptionRenewal(await PremiumSubscription.findById(subscription._id), {
+      now: new Date(BILLING_DATE.getTime() + 60 * 60 * 1000)
+    });
+
+    expect(retried._id).toEqual(first._id);
+    expect(retried.status).toBe('succeeded');
+    expect(gateway.charges.size).toBe(1);
+    expect(payments.documents).toHaveLength(1);
+  });
+
+  test('applies partial refunds by the newly refunded amount', async () => {
+    const user = await createCustomer();
+    const subscription = await createSubscription(user);
+    const payment = await chargeSubscriptionRenewal(subscription, { now: BILLING_DATE });
+    expect(payment.status).toBe('succeeded');
+
+    const refund = amountRefunded => deliver('charge.refunded', {
+      id: 'ch_1',
+      payment_intent: payment.gatewayPaymentId,
+      amount_refunded: amountRefunded
+    });
+
+    await refund(2000);
+    await refund(5000);
+    // A late report of the first refund changes nothing
+    await refund(2000);
+    expect(payments.get(payment._id)).toMatchObject({ status: 'partially_refunded', amountRefunded: 50 });
+    expect(subscriptions.get(subscription._id).totalPaid).toBe(49);
+
+    await refund(9900);
+    expect(payments.get(payment._id)).toMatchObject({ status: 'refunded', amountRefunded: 99 });
+    expect(subscriptions.get(subscription._id).totalPaid).toBe(0);
+  });
+});
+
+describe('dunning', () => {
+  test('retries a declined renewal on the retry schedule, then pauses the subscription', async () => {
+    const user = await createCustomer('tok_chargeDeclined');
+    const subscription = await createSubscription(user);
+    let now = new Date(BILLING_DATE.getTime() + 60 * 1000);
+
+    for (const [attempt, retryDays] of [[1, 1], [2, 3], [3, 7]]) {
+      expect(await chargeDueSubscriptions(now)).toMatchObject({ failed: 1 });
+
+      const { billing, status } = subscriptions.get(subscription._id);
+      expect(status).toBe('active');
+      expect(billing.paymentStatus).toBe('past_due');
+      expect(billing.dunning.failedAttempts).toBe(attempt);
+      expect(billing.dunning.nextRetryAt).toEqual(new Date(now.getTime() + retryDays * DAY_MS));
+      expect(notifyUser).toHaveBeenLastCalledWith(user._id, 'payment_failed',
+        expect.objectContaining({ nextRetryAt: billing.dunning.nextRetryAt }), expect.anything());
+
+      // Nothing is charged again before the retry is due
+      expect(await chargeDueSubscriptions(new Date(now.getTime() + 60 * 60 * 1000))).toMatchObject({ failed: 0 });
+      now = billing.dunning.nextRetryAt;
+    }
+
+    expect(await chargeDueSubscriptions(now)).toMatchObject({ failed: 1 });
+
+    const paused = subscriptions.get(subscription._id);
+    expect(paused.status).toBe('paused');
+    expect(paused.billing.paymentStatus).toBe('unpaid');
+    expect(paused.billing.dunning.failedAttempts).toBe(4);
+    expect(paused.billing.dunning.nextRetryAt).toBeUndefined();
+    expect(notifyUser).toHaveBeenLastCalledWith(user._id, 'payment_failed',
+      expect.objectContaining({ suspended: true }), expect.anything());
+
+    expect(payments.documents.map(payment => payment.attempt)).toEqual([1, 2, 3, 4]);
+    expect(await chargeDueSubscriptions(new Date(now.getTime() + 30 * DAY_MS))).toMatchObject({ failed: 0 });
+  });
+
+  test('a new card settles a past due subscription', async () => {
+    const user = await createCustomer('tok_insufficientFunds');
+    const subscription = await createSubscription(user);
+    const now = new Date(BILLING_DATE.getTime() + 60 * 1000);
+
+    await chargeDueSubscriptions(now);
+    expect(subscriptions.get(subscription._id).billing.paymentStatus).toBe('past_due');
+
+    await savePaymentMethod(user, 'tok_visa');
+    const payment = await retryPastDueSubscription(user, { now });
+
+    expect(payment.status).toBe('succeeded');
+    const { billing } = subscriptions.get(subscription._id);
+    expect(billing.paymentStatus).toBe('current');
+    expect(billing.dunning.failedAttempts).toBe(0);
+    expect(billing.dunning.nextRetryAt).toBeUndefined();
+    expect(billing.nextBillingDate).toEqual(NEXT_BILLING_DATE);
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, test, expect } from '@jest/globals';
+import { tokenize, embed, cosineSimilarity, createSearchIndex, bestSnippet } from '../../src/services/retrievalService.js';
+
+const articles = [
+  { key: 'cloudy', title: 'Clearing cloudy water', text: 'Hazy or milky water usually means low chlorine or a dirty filter. Shock the pool and run the filter.' },
+  { key: 'algae', title: 'Green pool recovery', text: 'Algae turns water green. Brush the walls, shock to SLAM level and keep the pump running.' },
+  { key: 'heater', title: 'Heater will not ignite', text: 'Check the gas supply, the pressure switch and the igniter.' },
+  { key: 'alkalinity', title: 'Balancing alkalinity', text: 'Total alkalinity buffers pH. Raise it with baking soda and lower it with muriatic acid.' }
+];
+
+const keys = results => results.map(result => result.document.key);
+
+describe('tokenize', () => {
+  test('drops stop words and numbers, stems, and maps synonyms to one term', () => {
+    expect(tokenize('Why is my pool water so cloudy and green after shocking?'))
+      .toEqual(['pool', 'water', 'turbid', 'algae', 'chlorine']);
+    expect(tokenize('CYA stabilizer at 7.5 ppm, pump leaking')).toEqual(['cyanuric', 'cyanuric', 'ppm', 'pump', 'leaking']);
+    expect(tokenize('')).toEqual([]);
+  });
+});
+
+describe('embed', () => {
+  test('gives related wording closer vectors', () => {
+    const question = embed('murky green water');
+
+    expect(cosineSimilarity(question, embed('cloudy algae water'))).toBeGreaterThan(0.9);
+    expect(cosineSimilarity(question, embed('heater igniter gas supply'))).toBeLessThan(0.2);
+    expect(cosineSimilarity(question, question)).toBeCloseTo(1);
+  });
+});
+
+describe('createSearchIndex', () => {
+  const index = createSearchIndex(articles);
+
+  test('ranks the article about the question first, whatever words the owner uses', () => {
+    expect(keys(index.search('pool is murky'))[0]).toBe('cloudy');
+    expect(keys(index.search('water turned green with slime'))[0]).toBe('algae');
+    expect(keys(index.search('heating not working'))).toEqual(['heater']);
+    expect(keys(index.search('my TA is low'))[0]).toBe('alkalinity');
+  });
+
+  test('returns nothing without a shared term', () => {
+    expect(index.search('warranty registration')).toEqual([]);
+    expect(index.search('the and of')).toEqual([]);
+  });
+
+  test('orders by blended score and respects limit, filter and minimum score', () => {
+    const results = index.search('shock the water', { limit: 4 });
+
+    expect(results.length).toBeGreaterThan(1);
+    expect(results.map(result => result.score)).toEqual([...results.map(result => result.score)].sort((a, b) => b - a));
+    expect(index.search('shock the water', { limit: 1 })).toHaveLength(1);
+    expect(keys(index.search('shock the water', { filter: document => document.key !== 'cloudy' }))).not.toContain('cloudy');
+    expect(index.search('shock the water', { minScore: 1.1 })).toEqual([]);
+  });
+
+  test('lets a boost favor one of two equally relevant records', () => {
+    const visits = createSearchIndex([
+      { key: 'old', title: 'Visit', text: 'Filter cleaned and chlorine raised', date: new Date('2026-01-01') },
+      { key: 'new', title: 'Visit', text: 'Filter cleaned and chlorine raised', date: new Date('2026-06-01') }
+    ]);
+    const recent = document => (document.date > new Date('2026-05-01') ? 1 : 0.5);
+
+    const [first, second] = visits.search('filter chlorine', { boost: recent });
+
+    expect(first.document.key).toBe('new');
+    expect(second.score).toBeCloseTo(first.score / 2, 2);
+  });
+});
+
+describe('bestSnippet', () => {
+  const text = 'Pumps need little care. Lubricate the lid o-ring each season. ' +
+    'A pump that hums but does not start often has a failed capacitor, which a technician can replace in minutes. ' +
+    'Keep the basket clear of leaves so the impeller is not starved of water, or the seal can overheat.';
+
+  test('returns short text whole', () => {
+    expect(bestSnippet('  Short   note. ', 'pump')).toBe('Short note.');
+  });
+
+  test('picks the sentence sharing the most terms with the question', () => {
+    const snippet = bestSnippet(text, 'pump hums and will not start, capacitor?', 150);
+
+    expect(snippet.startsWith('A pump that hums')).toBe(true);
+    expect(snippet.length).toBeLessThanOrEqual(150);
+  });
+});
@@ -0,0 +1,105 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+
+// Read when the service loads
+process.env.ROUTING_SERVICE_URL = 'http://routing.test';
+
+const { default: axios } = await import('axios');
+const { default: mongoose } = await import('mongoose');
+const { default: MaintenanceLog } = await import('../../src/models/MaintenanceLog.js');
+const { default: User } = await import('../../src/models/User.js');
+const { haversineKm, planTechnicianRoute } = await import('../../src/services/routePlanningService.js');
+
+const technicianId = new mongoose.Types.ObjectId();
+const depot = { latitude: 36.17, longitude: -115.14 };
+
+let visits;
+let visitQuery;
+
+function visitAt(name, coordinates, timeSlot) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    type: 'routine',
+    priority: 'normal',
+    tasks: [],
+    pool: {
+      _id: new mongoose.Types.ObjectId(),
+      name,
+      address: { coordinates },
+      maintenanceSchedule: { timeSlot }
+    }
+  };
+}
+
+beforeEach(() => {
+  visits = [];
+  jest.spyOn(User, 'findById').mockReturnValue({
+    select: async () => ({ _id: technicianId, firstName: 'Sam', lastName: 'Tech', address: { coordinates: depot } })
+  });
+  jest.spyOn(MaintenanceLog, 'find').mockImplementation(query => {
+    visitQuery = query;
+    return { populate: () => ({ sort: async () => visits }) };
+  });
+  jest.spyOn(MaintenanceLog, 'aggregate').mockResolvedValue([]);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('planTechnicianRoute', () => {
+  test('plans the business time zone\'s day and clock times', async () => {
+    visits = [visitAt('Backyard', { latitude: 36.2, longitude: -115.1 }, 'morning')];
+    jest.spyOn(axios, 'get').mockResolvedValue({
+      data: { code: 'Ok', durations: [[0, 600], [600, 0]], distances: [[0, 8000], [8000, 0]] }
+    });
+
+    // 11pm on Sep 7 in Las Vegas is already Sep 8 in UTC
+    const plan = await planTechnicianRoute(technicianId, new Date('2026-09-08T06:00:00Z'));
+
+    expect(visitQuery.scheduledDate).toEqual({
+      $gte: new Date('2026-09-07T07:00:00Z'),
+      $lt: new Date('2026-09-08T07:00:00Z')
+    });
+    expect(plan.startTime).toEqual(new Date('2026-09-07T15:00:00Z'));
+    expect(plan.stops[0]).toMatchObject({
+      timeWindow: { start: new Date('2026-09-07T15:00:00Z'), end: new Date('2026-09-07T19:00:00Z') },
+      travel: { distanceKm: 8, minutes: 10 },
+      estimatedArrival: new Date('2026-09-07T15:10:00Z')
+    });
+  });
+
+  test('lists visits whose pool was deleted as unrouted', async () => {
+    const orphan = { ...visitAt('Gone'), pool: null };
+    visits = [orphan, visitAt('Backyard', { latitude: 36.2, longitude: -115.1 })];
+    jest.spyOn(axios, 'get').mockRejectedValue(new Error('offline'));
+
+    const plan = await planTechnicianRoute(technicianId, new Date('2026-09-08T19:00:00Z'));
+
+    expect(plan.unrouted).toEqual([{ maintenanceId: orphan._id, pool: null, reason: 'Pool no longer exists' }]);
+    expect(plan.stops).toHaveLength(1);
+    expect(plan.source).toBe('haversine');
+  });
+
+  test('estimates legs the routing service cannot connect', async () => {
+    const island = { latitude: 36.25, longitude: -115.2 };
+    visits = [visitAt('Backyard', { latitude: 36.2, longitude: -115.1 }), visitAt('Island', island)];
+    jest.spyOn(axios, 'get').mockResolvedValue({
+      data: {
+        code: 'Ok',
+        durations: [[0, 600, null], [600, 0, null], [null, null, 0]],
+        distances: [[0, 8000, null], [8000, 0, null], [null, null, 0]]
+      }
+    });
+
+    const plan = await planTechnicianRoute(technicianId, new Date('2026-09-08T19:00:00Z'));
+    const toIsland = plan.stops.find(stop => stop.pool.name === 'Island');
+    const from = toIsland.order > 1 ? plan.stops[toIsland.order - 2].pool.address.coordinates : depot;
+
+    expect(plan.source).toBe('routing_service');
+    expect(toIsland.travel.distanceKm).toBeCloseTo(haversineKm(from, island) * 1.3, 1);
+    expect(Number.isFinite(plan.totals.driveMinutes)).toBe(true);
+    expect(plan.totals.estimatedFinish).toBeInstanceOf(Date);
+    expect(Number.isNaN(plan.totals.estimatedFinish.getTime())).toBe(false);
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, test, expect } from '@jest/globals';
+import { addBillingPeriod, getBillingAnchorDay } from '../../src/services/subscriptionService.js';
+
+// Times are 9am in the business time zone (America/Los_Angeles)
+describe('addBillingPeriod', () => {
+  test('keeps the anchor day through shorter months', () => {
+    const jan31 = new Date('2026-01-31T17:00:00Z');
+    const feb28 = addBillingPeriod(jan31, 'monthly', 31);
+    const mar31 = addBillingPeriod(feb28, 'monthly', 31);
+
+    expect(feb28).toEqual(new Date('2026-02-28T17:00:00Z'));
+    // Back on the 31st, and 9am after the switch to daylight time
+    expect(mar31).toEqual(new Date('2026-03-31T16:00:00Z'));
+    expect(addBillingPeriod(mar31, 'monthly', 31)).toEqual(new Date('2026-04-30T16:00:00Z'));
+  });
+
+  test('uses the date\'s own day without an anchor', () => {
+    expect(addBillingPeriod(new Date('2026-02-28T17:00:00Z'), 'monthly'))
+      .toEqual(new Date('2026-03-28T16:00:00Z'));
+  });
+
+  test('adds quarters and years', () => {
+    expect(addBillingPeriod(new Date('2026-11-30T17:00:00Z'), 'quarterly', 30))
+      .toEqual(new Date('2027-02-28T17:00:00Z'));
+    expect(addBillingPeriod(new Date('2028-02-29T17:00:00Z'), 'annually', 29))
+      .toEqual(new Date('2029-02-28T17:00:00Z'));
+  });
+
+  test('counts days in the business time zone, not the server\'s', () => {
+    // 11pm on Jan 31 in Las Vegas is already Feb 1 in UTC
+    expect(addBillingPeriod(new Date('2026-02-01T07:00:00Z'), 'monthly'))
+      .toEqual(new Date('2026-03-01T07:00:00Z'));
+  });
+});
+
+describe('getBillingAnchorDay', () => {
+  test('prefers the stored anchor, then the start date\'s day', () => {
+    expect(getBillingAnchorDay({ billing: { anchorDay: 31 }, startDate: new Date('2026-03-05T17:00:00Z') })).toBe(31);
+    expect(getBillingAnchorDay({ billing: {}, startDate: new Date('2026-03-05T17:00:00Z') })).toBe(5);
+  });
+});
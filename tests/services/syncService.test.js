@@ -0,0 +1,148 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import MaintenanceLog from '../../src/models/MaintenanceLog.js';
+import Pool from '../../src/models/Pool.js';
+import SyncOperation from '../../src/models/SyncOperation.js';
+import { resolveConflict, applyMaintenanceUpdate, applyOperation } from '../../src/services/syncService.js';
+import { installMemoryModel } from '../helpers/memoryModel.js';
+
+// Fail fast if a query slips past the in-memory models
+mongoose.set('bufferCommands', false);
+
+const user = { _id: new mongoose.Types.ObjectId() };
+
+let visits;
+let operations;
+let visit;
+
+function update(changes, fields = {}) {
+  return { type: 'maintenance.update', maintenanceId: visit._id, changes, ...fields };
+}
+
+beforeEach(async () => {
+  visits = installMemoryModel(MaintenanceLog);
+  operations = installMemoryModel(SyncOperation, { unique: [['user', 'opId']] });
+  installMemoryModel(Pool);
+
+  visit = await MaintenanceLog.create({
+    pool: new mongoose.Types.ObjectId(),
+    technician: user._id,
+    scheduledDate: new Date('2026-09-08T15:00:00Z'),
+    type: 'routine',
+    status: 'scheduled',
+    tasks: [{ name: 'Skim surface', category: 'cleaning' }]
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('resolveConflict', () => {
+  test('lets the further-along status win, but not over a cancellation', () => {
+    expect(resolveConflict('status', 'in_progress', 'completed')).toEqual({ resolution: 'client_wins', value: 'completed' });
+    expect(resolveConflict('status', 'completed', 'in_progress')).toEqual({ resolution: 'server_wins', value: 'completed' });
+    expect(resolveConflict('status', 'cancelled', 'completed')).toEqual({ resolution: 'server_wins', value: 'cancelled' });
+  });
+
+  test('keeps both texts of notes', () => {
+    expect(resolveConflict('notes', 'Gate code 1234', 'Dog in yard'))
+      .toEqual({ resolution: 'merged', value: 'Gate code 1234\n\nDog in yard' });
+    expect(resolveConflict('tasks.abc.notes', '', 'Leaf net torn')).toEqual({ resolution: 'client_wins', value: 'Leaf net torn' });
+  });
+
+  test('lets the technician win other fields', () => {
+    expect(resolveConflict('timeSpent.onSite', 30, 45)).toEqual({ resolution: 'client_wins', value: 45 });
+  });
+});
+
+describe('applyMaintenanceUpdate', () => {
+  test('applies fields the server has not touched and settles the rest by policy', async () => {
+    await MaintenanceLog.updateOne({ _id: visit._id }, { $set: { status: 'cancelled', notes: 'Gate code 1234' } });
+    const taskId = visit.tasks[0]._id.toString();
+
+    const result = await applyMaintenanceUpdate(user, update([
+      { field: 'status', base: 'scheduled', value: 'in_progress' },
+      { field: 'notes', base: null, value: 'Dog in yard' },
+      { field: 'timeSpent.travel', base: null, value: 15 },
+      { field: `tasks.${taskId}.status`, base: 'pending', value: 'completed' },
+      { field: 'tasks.000000000000000000000000.status', base: 'pending', value: 'completed' }
+    ]));
+
+    expect(result.applied).toEqual(['timeSpent.travel', `tasks.${taskId}.status`]);
+    expect(result.conflicts).toEqual([
+      expect.objectContaining({ field: 'status', resolution: 'server_wins', value: 'cancelled' }),
+      expect.objectContaining({ field: 'notes', resolution: 'merged', value: 'Gate code 1234\n\nDog in yard' }),
+      expect.objectContaining({ field: 'tasks.000000000000000000000000.status', resolution: 'rejected' })
+    ]);
+
+    const stored = visits.get(visit._id);
+    expect(stored).toMatchObject({ status: 'cancelled', notes: 'Gate code 1234\n\nDog in yard' });
+    expect(stored.timeSpent).toMatchObject({ travel: 15, total: 15 });
+    expect(stored.tasks[0].status).toBe('completed');
+  });
+
+  test('skips changes already in place, as on a retry', async () => {
+    const change = [{ field: 'notes', base: null, value: 'Dog in yard' }];
+    await applyMaintenanceUpdate(user, update(change));
+
+    const retry = await applyMaintenanceUpdate(user, update(change));
+
+    expect(retry).toMatchObject({ applied: [], conflicts: [] });
+    expect(visits.get(visit._id).notes).toBe('Dog in yard');
+  });
+
+  test('merges an edit that lands between reading and writing the visit', async () => {
+    const write = MaintenanceLog.updateOne.getMockImplementation();
+    MaintenanceLog.updateOne.mockImplementationOnce(async () => {
+      await write({ _id: visit._id }, { $set: { notes: 'Call before arriving' } });
+      return { matchedCount: 0, modifiedCount: 0 };
+    });
+
+    const result = await applyMaintenanceUpdate(user, update([{ field: 'notes', base: null, value: 'Dog in yard' }]));
+
+    expect(result.conflicts).toEqual([expect.objectContaining({ field: 'notes', resolution: 'merged' })]);
+    expect(visits.get(visit._id).notes).toBe('Call before arriving\n\nDog in yard');
+  });
+
+  test('refuses another technician\'s visit', async () => {
+    const other = { _id: new mongoose.Types.ObjectId() };
+
+    await expect(applyMaintenanceUpdate(other, update([{ field: 'notes', base: null, value: 'Hi' }])))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+});
+
+describe('applyOperation', () => {
+  test('applies an operation once per opId', async () => {
+    const operation = update([{ field: 'notes', base: null, value: 'Dog in yard' }], { opId: 'op-1' });
+
+    const first = await applyOperation(user, 'tablet-1', operation);
+    await MaintenanceLog.updateOne({ _id: visit._id }, { $set: { notes: 'Cleared by office' } });
+    const second = await applyOperation(user, 'tablet-1', operation);
+
+    expect(first).toMatchObject({ status: 'applied', applied: ['notes'] });
+    expect(second).toMatchObject({ status: 'applied', applied: ['notes'], duplicate: true });
+    expect(visits.get(visit._id).notes).toBe('Cleared by office');
+    expect(operations.documents).toHaveLength(1);
+  });
+
+  test('records rejections as final', async () => {
+    const operation = update([{ field: 'notes', base: null, value: 'Hi' }], { opId: 'op-2' });
+    await MaintenanceLog.updateOne({ _id: visit._id }, { $set: { signature: { signedAt: new Date() } } });
+
+    expect(await applyOperation(user, 'tablet-1', operation)).toMatchObject({ status: 'rejected' });
+    expect(await applyOperation(user, 'tablet-1', operation)).toMatchObject({ status: 'rejected', duplicate: true });
+  });
+
+  test('reapplies an operation abandoned while processing, but not one still running', async () => {
+    const operation = update([{ field: 'notes', base: null, value: 'Dog in yard' }], { opId: 'op-3' });
+    const record = await operations.insert({ user: user._id, deviceId: 'tablet-1', opId: 'op-3', type: operation.type });
+
+    expect(await applyOperation(user, 'tablet-2', operation)).toMatchObject({ status: 'pending' });
+
+    operations.documents[0].updatedAt = new Date(Date.now() - 10 * 60 * 1000);
+    expect(await applyOperation(user, 'tablet-2', operation)).toMatchObject({ status: 'applied', applied: ['notes'] });
+    expect(operations.get(record._id)).toMatchObject({ status: 'applied', deviceId: 'tablet-2', attempts: 2 });
+  });
+});
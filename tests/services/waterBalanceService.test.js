@@ -0,0 +1,97 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  calculateLSI,
+  calculateCSI,
+  classifySaturationIndex,
+  analyzeWaterBalance,
+  getBalanceRecommendation
+} from '../../src/services/waterBalanceService.js';
+
+// pH 7.5, 84°F, 300 ppm calcium, 100 ppm alkalinity: the textbook LSI example
+const reading = { pH: 7.5, temperature: 84, hardness: 300, alkalinity: 100 };
+
+describe('calculateLSI', () => {
+  test('adds pH, temperature, calcium and alkalinity factors less the TDS constant', () => {
+    // 7.5 + 0.7 + (log 300 - 0.4) + log 100 - 12.1
+    expect(calculateLSI(reading)).toBe(0.18);
+  });
+
+  test('interpolates the temperature factor between table rows', () => {
+    // 80°F is halfway between 76°F (0.6) and 84°F (0.7)
+    expect(calculateLSI({ ...reading, temperature: 80 })).toBe(0.13);
+  });
+
+  test('discounts the alkalinity cyanuric acid contributes', () => {
+    expect(calculateLSI({ ...reading, cyanuricAcid: 50 })).toBe(0.1);
+  });
+
+  test('uses the high-TDS constant for salt pools', () => {
+    expect(calculateLSI({ ...reading, salt: 3200 })).toBe(0.08);
+  });
+
+  test('needs pH, alkalinity, hardness and temperature', () => {
+    expect(calculateLSI({ ...reading, temperature: undefined })).toBeNull();
+    expect(calculateLSI({ ...reading, hardness: 0 })).toBeNull();
+    expect(calculateLSI(null)).toBeNull();
+  });
+});
+
+describe('calculateCSI', () => {
+  test('accounts for ionic strength', () => {
+    expect(calculateCSI(reading)).toBe(0.13);
+    // Salt lowers CSI where LSI only steps its TDS constant
+    expect(calculateCSI({ ...reading, salt: 3200 })).toBe(-0.08);
+  });
+});
+
+describe('classifySaturationIndex', () => {
+  test('bands indices at ±0.3', () => {
+    expect(classifySaturationIndex(-0.31)).toBe('corrosive');
+    expect(classifySaturationIndex(-0.3)).toBe('balanced');
+    expect(classifySaturationIndex(0.3)).toBe('balanced');
+    expect(classifySaturationIndex(0.31)).toBe('scaling');
+    expect(classifySaturationIndex(null)).toBe('unknown');
+  });
+});
+
+describe('analyzeWaterBalance', () => {
+  test('classifies a balanced reading', () => {
+    expect(analyzeWaterBalance(reading)).toMatchObject({
+      lsi: 0.18,
+      csi: 0.13,
+      status: 'balanced',
+      severity: 'low',
+      carbonateAlkalinity: 100
+    });
+  });
+
+  test('classifies corrosive and scale-forming water by CSI', () => {
+    expect(analyzeWaterBalance({ pH: 7.0, temperature: 60, hardness: 100, alkalinity: 60 }))
+      .toMatchObject({ lsi: -1.32, csi: -1.2, status: 'corrosive', severity: 'high' });
+    expect(analyzeWaterBalance({ pH: 8.0, temperature: 90, hardness: 500, alkalinity: 150 }))
+      .toMatchObject({ lsi: 1.14, csi: 1.03, status: 'scaling', severity: 'high' });
+  });
+
+  test('returns null without the inputs', () => {
+    expect(analyzeWaterBalance({ pH: 7.5 })).toBeNull();
+  });
+});
+
+describe('getBalanceRecommendation', () => {
+  test('recommends nothing for balanced water', () => {
+    expect(getBalanceRecommendation(analyzeWaterBalance(reading), reading)).toBeNull();
+  });
+
+  test('suggests a partial drain for scale-forming hard water', () => {
+    const hard = { pH: 8.0, temperature: 90, hardness: 500, alkalinity: 150 };
+    const recommendation = getBalanceRecommendation(analyzeWaterBalance(hard), hard);
+
+    expect(recommendation).toMatchObject({ category: 'water_balance', priority: 'high' });
+    expect(recommendation.message).toMatch(/scale-forming.*partial drain/);
+  });
+
+  test('suggests raising pH, alkalinity or calcium for corrosive water', () => {
+    const soft = { pH: 7.0, temperature: 60, hardness: 100, alkalinity: 60 };
+    expect(getBalanceRecommendation(analyzeWaterBalance(soft), soft).message).toMatch(/^Water is corrosive/);
+  });
+});
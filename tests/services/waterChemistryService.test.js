@@ -0,0 +1,99 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import Pool from '../../src/models/Pool.js';
+import WaterChemistryReading from '../../src/models/WaterChemistryReading.js';
+import { updateLatestSnapshot } from '../../src/services/waterChemistryService.js';
+import { installMemoryModel } from '../helpers/memoryModel.js';
+
+// Fail fast if a query slips past the in-memory models
+mongoose.set('bufferCommands', false);
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+let pools;
+let pool;
+
+function manualReading(testedAt, values = {}) {
+  return new WaterChemistryReading({
+    pool: pool._id,
+    pH: 7.4,
+    chlorine: 2,
+    alkalinity: 100,
+    hardness: 300,
+    temperature: 84,
+    testedAt,
+    ...values
+  });
+}
+
+function sensorReading(testedAt, values) {
+  return new WaterChemistryReading({ pool: pool._id, source: 'sensor', testedAt, ...values });
+}
+
+const latestPool = () => Pool.hydrate(pools.get(pool._id));
+
+beforeEach(async () => {
+  pools = installMemoryModel(Pool);
+  pool = await Pool.create({ name: 'Backyard', owner: new mongoose.Types.ObjectId(), poolType: 'inground' });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('updateLatestSnapshot', () => {
+  test('keeps values a sensor reading lacks, with the time they were measured', async () => {
+    const testedAt = new Date(Date.now() - 2 * DAY_MS);
+    const sensedAt = new Date(Date.now() - HOUR_MS);
+
+    await updateLatestSnapshot(pool._id, manualReading(testedAt, { chlorine: 0.4 }));
+    await updateLatestSnapshot(pool._id, sensorReading(sensedAt, { orp: 620, temperature: 86 }));
+
+    const { latestWaterChemistry: latest } = pools.get(pool._id);
+    expect(latest).toMatchObject({ source: 'sensor', testedAt: sensedAt, pH: 7.4, chlorine: 0.4, orp: 620, temperature: 86 });
+    expect(latest.measuredAt).toMatchObject({ pH: testedAt, chlorine: testedAt, orp: sensedAt, temperature: sensedAt });
+    expect(latest.lastManualTestAt).toEqual(testedAt);
+    expect(latest.waterBalance.status).toBeDefined();
+
+    // Low chlorine from the manual test is still flagged
+    expect(latestPool().needsAttention()).toBe(true);
+    expect(latestPool().getRecommendations()).toContainEqual(expect.objectContaining({ parameter: 'chlorine' }));
+  });
+
+  test('keeps the original measurement time across sensor readings', async () => {
+    const testedAt = new Date(Date.now() - 3 * DAY_MS);
+
+    await updateLatestSnapshot(pool._id, manualReading(testedAt));
+    await updateLatestSnapshot(pool._id, sensorReading(new Date(Date.now() - 2 * DAY_MS), { orp: 650 }));
+    await updateLatestSnapshot(pool._id, sensorReading(new Date(Date.now() - DAY_MS), { temperature: 85 }));
+
+    const { latestWaterChemistry: latest } = pools.get(pool._id);
+    expect(latest).toMatchObject({ pH: 7.4, orp: 650, temperature: 85 });
+    expect(latest.measuredAt.pH).toEqual(testedAt);
+    expect(latest.lastManualTestAt).toEqual(testedAt);
+  });
+
+  test('does not replace a newer snapshot', async () => {
+    await updateLatestSnapshot(pool._id, manualReading(new Date(Date.now() - HOUR_MS), { pH: 7.5 }));
+    await updateLatestSnapshot(pool._id, manualReading(new Date(Date.now() - DAY_MS), { pH: 7.2 }));
+
+    expect(pools.get(pool._id).latestWaterChemistry.pH).toBe(7.5);
+  });
+});
+
+describe('Pool#needsAttention', () => {
+  test('sensor readings do not keep a pool without a recent test fresh', async () => {
+    await updateLatestSnapshot(pool._id, manualReading(new Date(Date.now() - 8 * DAY_MS)));
+    await updateLatestSnapshot(pool._id, sensorReading(new Date(Date.now() - HOUR_MS), { orp: 700, temperature: 84 }));
+
+    expect(latestPool().needsAttention()).toBe(true);
+  });
+
+  test('an in-range pool tested this week does not need attention', async () => {
+    await updateLatestSnapshot(pool._id, manualReading(new Date(Date.now() - 2 * DAY_MS)));
+    await updateLatestSnapshot(pool._id, sensorReading(new Date(Date.now() - HOUR_MS), { orp: 700, temperature: 84 }));
+
+    expect(latestPool().needsAttention()).toBe(false);
+  });
+});